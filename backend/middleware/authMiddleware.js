@@ -1,6 +1,8 @@
 // middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+const { SCOPES, resolveScope } = require('../services/permissions');
 const JWT_SECRET = process.env.JWT_SECRET;
 
 const sendAuthError = (res, message = 'Not authorized, token failed') => {
@@ -15,12 +17,24 @@ const authMiddleware = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, JWT_SECRET);
 
-      // Attach user to request object, excluding password
-      req.user = await User.findById(decoded.user.id).select('-password');
+      // Attach user to request object, excluding password. The token is only good while its
+      // session is: logout, a password change or a reset revokes it before it expires.
+      const [user, sessionActive] = await Promise.all([
+        User.findById(decoded.user.id).select('-password'),
+        isSessionActive({ sessionId: decoded.sid, userId: decoded.user.id }),
+      ]);
+      req.user = user;
 
       if (!req.user) {
         return sendAuthError(res, 'User not found.');
       }
+      if (req.user.isDisabled) {
+        return sendAuthError(res, 'This account has been disabled.');
+      }
+      if (!sessionActive) {
+        return sendAuthError(res, 'Session has ended, please log in again.');
+      }
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       console.error('Auth Middleware Error:', error.message);
@@ -49,4 +63,26 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-module.exports = { authMiddleware, authorizeRoles };
\ No newline at end of file
+// Middleware to check for a permission (see services/permissions.js). The scope the user holds it
+// at is left on req.permissionScope for the route to apply to its queries.
+const authorizePermission = (permission) => {
+  return (req, res, next) => {
+    const scope = req.user ? resolveScope(req.user, permission) : null;
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have the '${permission}' permission.`,
+      });
+    }
+    if (scope === SCOPES.OWN_DEPARTMENT && !req.user.department) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account has no department assigned, so department-scoped access is unavailable.',
+      });
+    }
+    req.permissionScope = scope;
+    next();
+  };
+};
+
+module.exports = { authMiddleware, authorizeRoles, authorizePermission };
\ No newline at end of file
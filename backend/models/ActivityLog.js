@@ -4,7 +4,8 @@ const activityLogSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User', // This links to a document in the 'users' collection
-        required: true,
+        // Failed logins for usernames that don't exist have no user to point at.
+        required: function () { return this.action !== 'LOGIN_FAIL'; },
         index: true,     // Index for faster searching by user
     },
     username: {          // Storing username directly avoids needing to populate just to see who it was.
@@ -16,9 +17,24 @@ const activityLogSchema = new mongoose.Schema({
         required: true,
         enum: [
             'LOGIN_SUCCESS', 
+            'LOGIN_FAIL',
             'ENROLL_SUCCESS', 
-            'ENROLL_FAIL'
-            // Future actions can be added here, e.g., 'PASSWORD_CHANGE', 'LOGOUT'
+            'ENROLL_FAIL',
+            'WAITLIST_JOIN',
+            'WAITLIST_LEAVE',
+            'WAITLIST_PROMOTED',
+            'ENROLL_DROP',
+            'ENROLL_SWAP',
+            'PREFERENCES_SUBMITTED',
+            'ALLOCATION_ASSIGNED',
+            'ATTENDANCE_CHECK_IN',
+            'ATTENDANCE_CHECK_IN_FAIL',
+            'LOGOUT',
+            'ACCOUNT_CREATED',
+            'ACCOUNT_DISABLED',
+            'ACCOUNT_ENABLED',
+            'ROLE_CHANGED'
+            // Future actions can be added here, e.g., 'PASSWORD_CHANGE'
         ],
         index: true,     // Index for faster searching by action type
     },
@@ -29,8 +45,13 @@ const activityLogSchema = new mongoose.Schema({
         event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
         eventName: String,
         courseTitle: String,
+        previousCourseTitle: String, // Set on swaps: the course the student moved away from.
         slotNumericId: Number,
 
+        // Fields for account management actions (the acting admin is `user`)
+        targetUsername: String,
+        change: String,
+
         // Field for failed actions
         errorMessage: String, 
     },
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Whether a student attended one session of a slot. One document per student per session; a
+// session with no document for an enrolled student counts as absent once attendance was taken for it.
+const attendanceSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  offering: { type: mongoose.Schema.Types.ObjectId, required: true }, // Event.courses[]._id
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  slot: { type: mongoose.Schema.Types.ObjectId, required: true }, // Event.courses[].slots[]._id
+  session: { type: Date, required: true }, // Start time of the session.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ['present', 'late', 'absent', 'excused'], required: true },
+  method: { type: String, enum: ['admin', 'code'], required: true }, // Marked by staff or checked in with the code.
+  markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  markedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+});
+
+attendanceSchema.index({ slot: 1, session: 1, user: 1 }, { unique: true });
+attendanceSchema.index({ event: 1, offering: 1 });
+attendanceSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
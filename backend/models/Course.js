@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const courseSchema = new mongoose.Schema({
     title: {
@@ -19,6 +20,18 @@ const courseSchema = new mongoose.Schema({
         ref: 'Course' 
     }],
 
+    // Further prerequisite rules, all of which must hold (see services/prerequisites.js). A rule is met
+    // by holding at least minCount of its courses: the listed ones, or every course tagged `tag`.
+    prerequisiteRules: [{
+        _id: false,
+        courses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+        tag: { type: String, trim: true, maxlength: 100 },
+        minCount: { type: Number, default: 1, min: 1 },
+    }],
+
+    // Free-form labels (e.g. "Networking") that prerequisite rules can refer to.
+    tags: [{ type: String, trim: true, maxlength: 100 }],
+
     // --- NEW FIELD ADDED HERE ---
     exclusiveGroup: {
         type: String,
@@ -30,4 +43,10 @@ const courseSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Deleted courses stay readable: existing offerings and prerequisite lists must keep resolving them,
+// so the catalog routes filter on deletedAt themselves.
+courseSchema.plugin(softDelete, { hideDeleted: false });
+
+courseSchema.index({ tags: 1 });
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
@@ -1,11 +1,61 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// One meeting of a slot. Attendance is taken per session and keyed by its start.
+const slotSessionSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  venue: { type: String, trim: true },
+}, { _id: false });
 
 const slotSchema = new mongoose.Schema({
   id: { type: Number, required: true },
+  // Start of the first session (see services/slotSchedule.js); the only time slots from before
+  // schedules have.
   time: { type: Date, required: true },
+  sessions: { type: [slotSessionSchema], default: undefined },
+  // The rule the sessions were generated from, kept so the editor can regenerate them.
+  recurrence: {
+    type: new mongoose.Schema({
+      frequency: { type: String, enum: ['daily', 'weekly'], default: 'weekly' },
+      interval: { type: Number, min: 1, default: 1 },
+      startsAt: { type: Date, required: true },
+      durationMinutes: { type: Number, min: 1, required: true },
+      count: { type: Number, min: 1 },
+      until: { type: Date },
+      venue: { type: String, trim: true },
+    }, { _id: false }),
+    default: undefined,
+  },
+  // Room the sessions are held in; its capacity caps maxCapacity. Session `venue` text is only a label.
+  room: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue' },
+  // Who teaches this slot, from the offering's instructors. Empty means all of them.
+  instructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   maxCapacity: { type: Number, required: true, min: 1 },
   enrolled: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // First-come queue for a full slot; the head is promoted when a seat opens.
+  waitlist: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: { type: Date, default: Date.now },
+  }],
   isActive: { type: Boolean, default: true },
+  // Window in which enrolled students can check in to `session` with the rotating code
+  // (services/attendance.js). closesAt in the past or unset means check-in is closed.
+  checkIn: {
+    session: { type: Date },
+    openedAt: { type: Date },
+    closesAt: { type: Date },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+}, { _id: true });
+
+// A registration window for part of the student body; empty fields match everyone.
+const scheduleOverrideSchema = new mongoose.Schema({
+  department: { type: String, trim: true },
+  semester: { type: String, trim: true },
+  opensAt: { type: Date },
+  closesAt: { type: Date },
 }, { _id: true });
 
 const courseOfferingSchema = new mongoose.Schema({
@@ -15,6 +65,8 @@ const courseOfferingSchema = new mongoose.Schema({
       required: true
   },
   slots: [slotSchema],
+  // Faculty listed here can read this offering's roster.
+  instructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 });
 
 const eventSchema = new mongoose.Schema({
@@ -22,6 +74,9 @@ const eventSchema = new mongoose.Schema({
   isOpen: { type: Boolean, default: false },
   maxCoursesPerStudent: { type: Number, default: 1, min: 1 },
   courses: [courseOfferingSchema],
+  // Owning department. Coordinators manage only the events of their own department; events without
+  // one are institution-wide and left to admins.
+  department: { type: String, trim: true, default: null },
   
   // --- UPDATED & NEW FIELDS ---
   allowedDepartments: {
@@ -40,8 +95,50 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false, // If true, enrollment is disabled even if the event is open
   },
+  // Scheduled registration window. When any of these are set the schedule decides whether the
+  // event is open and `isOpen` is ignored; otherwise `isOpen` stays the manual switch.
+  opensAt: { type: Date, default: null },
+  closesAt: { type: Date, default: null },
+  scheduleOverrides: {
+    type: [scheduleOverrideSchema],
+    default: [], // First matching override (by department/semester) replaces opensAt/closesAt for that cohort.
+  },
+  // 'first-come' enrolls on click; 'ranked' collects preference lists and fills seats in one allocation run.
+  enrollmentMode: {
+    type: String,
+    enum: ['first-come', 'ranked'],
+    default: 'first-come',
+  },
+  // Record of the committed allocation run for ranked events. Null committedAt means not run yet.
+  allocation: {
+    tieBreak: { type: String, enum: ['lottery', 'seniority'] },
+    seed: { type: String },
+    committedAt: { type: Date, default: null },
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assignedCount: { type: Number, default: 0 },
+  },
+  // What counts as holding a prerequisite course for enrollments in this event: 'enrolled' accepts
+  // any enrollment that didn't end failed or withdrawn, 'completed' only completed ones (prior
+  // credits and staff-granted credits count either way).
+  prerequisitePolicy: {
+    type: String,
+    enum: ['enrolled', 'completed'],
+    default: 'enrolled',
+  },
+  dropDeadline: {
+    type: Date,
+    default: null, // After this, students can no longer drop or swap on their own. Null means no deadline.
+  },
 }, {
   timestamps: true,
 });
 
+// Deleted events keep their rosters, so a restore can hand the seats back.
+eventSchema.plugin(softDelete);
+
+eventSchema.index({ department: 1 });
+eventSchema.index({ 'courses.instructors': 1 });
+eventSchema.index({ 'courses.slots.checkIn.closesAt': 1 });
+eventSchema.index({ 'courses.slots.room': 1 });
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const availabilityWindowSchema = require('./schemas/availabilityWindow');
+
+// Scheduling profile of a faculty account. Offerings and slots name their instructors by user id;
+// faculty without a profile are always available and have no weekly limit.
+const instructorSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  availability: { type: [availabilityWindowSchema], default: [] },
+  // Most teaching hours a week across all slots; unset means no limit.
+  maxWeeklyHours: { type: Number, min: 1 },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Instructor', instructorSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A student's ranked wish list for an event running in 'ranked' enrollment mode.
+// One document per student per event; the allocation run reads these after the window closes.
+const preferenceSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rankings: [{ type: mongoose.Schema.Types.ObjectId }], // Offering IDs (Event.courses[]._id), most wanted first.
+}, {
+  timestamps: true,
+});
+
+preferenceSchema.index({ event: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Preference', preferenceSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token itself is never stored, only its SHA-256 hash; every
+// refresh rotates it and remembers the old hash so a replayed token can be recognised. Access tokens
+// carry the session id, so revoking the session signs the device out on its next request.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  rotatedHashes: { type: [String], select: false },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: ['LOGOUT', 'PASSWORD_CHANGED', 'PASSWORD_RESET', 'TOKEN_REUSE', 'ACCOUNT_DISABLED', 'ROLE_CHANGED', null], default: null },
+  ip: { type: String },
+  userAgent: { type: String, maxlength: 300 },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ rotatedHashes: 1 });
+// MongoDB drops sessions on its own once the refresh token can no longer be used.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const softDelete = require('./plugins/softDelete');
+
+const enrollmentSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  courseTitle: { type: String, required: true },
+  enrolledAt: { type: Date, default: Date.now },
+  // Outcome of the enrollment (see services/outcomes.js). It doesn't touch the seat: a
+  // withdrawn student stays on the roster until un-enrolled.
+  status: { type: String, enum: ['enrolled', 'attended', 'completed', 'failed', 'withdrawn'], default: 'enrolled' },
+  grade: { type: String, trim: true, maxlength: 20 },
+  score: { type: Number, min: 0 },
+  outcomeUpdatedAt: { type: Date },
+  outcomeUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,7 +35,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'student'],
+    enum: ['admin', 'coordinator', 'faculty', 'student'], // Permissions per role: services/permissions.js
     required: [true, 'Role is required'],
     default: 'student',
   },
@@ -52,19 +67,66 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
-  enrollments: [{
-        _id: false,
-        eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
-        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true }, 
-        courseTitle: { type: String, required: true },
-        enrolledAt: { type: Date, default: Date.now }
-    }]
+
+  // A disabled account keeps its data but can't log in; its sessions are revoked when it is disabled.
+  isDisabled: { type: Boolean, default: false },
+  disabledAt: { type: Date },
+
+  // --- Login lockout (see services/loginThrottle.js) ---
+  failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures since the last lock or success.
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date, default: null },
+  lockoutCount: { type: Number, default: 0 }, // Locks since the last successful login; each one lasts longer.
+  enrollments: [enrollmentSchema],
+  // Prior credits: courses completed outside Selectrum (see services/transcript.js). They count as
+  // taken for prerequisites and duplicate checks but are not enrollments and hold no seat.
+  completedCourses: [{
+    course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    courseTitle: { type: String, required: true },
+    completedAt: { type: Date },
+    term: { type: String, trim: true, maxlength: 50 },
+    grade: { type: String, trim: true, maxlength: 20 },
+    source: { type: String, enum: ['manual', 'import'], default: 'manual' },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now },
+  }],
+  // Prerequisite exceptions granted by staff (see services/prerequisites.js): 'credit' counts `course`
+  // as held for every prerequisite check, 'waiver' lifts the prerequisites of `course` itself.
+  prerequisiteWaivers: [{
+    kind: { type: String, enum: ['credit', 'waiver'], required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    grantedAt: { type: Date, default: Date.now },
+  }],
+  // Private calendar feed of the student's timetable (see services/timetable.js). Only the token's
+  // hash is stored; the link is shown once, when it is created.
+  calendarFeed: {
+    tokenHash: { type: String, select: false },
+    createdAt: { type: Date },
+  },
+  // Slots the student held when moved to the trash, so a restore can give back the same seats.
+  trashedSeats: [{
+    _id: false,
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+    offeringId: { type: mongoose.Schema.Types.ObjectId },
+    slotId: { type: Number },
+  }],
+  // Enrollments in events that are in the trash, kept whole (enrolledAt, outcome) so restoring the
+  // event hands back exactly what was there.
+  trashedEnrollments: [enrollmentSchema],
 }, { timestamps: true });
 
+userSchema.plugin(softDelete);
+
 // Create indexes for fields that are frequently queried
 userSchema.index({ role: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ "enrollments.eventId": 1 });
+userSchema.index({ "trashedEnrollments.eventId": 1 });
+userSchema.index({ "completedCourses.course": 1 });
+userSchema.index({ lockedUntil: 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
 
 // Hash password before saving the user document
 userSchema.pre('save', async function (next) {
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const availabilityWindowSchema = require('./schemas/availabilityWindow');
+
+// A room that slots can be held in. Its capacity caps the maxCapacity of the slots using it.
+const venueSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true, maxlength: 100 },
+  building: { type: String, trim: true, maxlength: 100 },
+  capacity: { type: Number, required: true, min: 1 },
+  availability: { type: [availabilityWindowSchema], default: [] },
+  // Inactive venues keep their existing bookings but can't be picked for new slots.
+  isActive: { type: Boolean, default: true },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -0,0 +1,33 @@
+// backend/models/plugins/softDelete.js
+// Soft deletion: a deleted document keeps its data and gets `deletedAt`/`deletedBy` until the
+// scheduled purge removes it for good (see services/trash.js).
+//
+// With `hideDeleted` (the default) reads skip deleted documents automatically, so the rest of the
+// code never sees them. A read can opt back in by filtering on `deletedAt` itself or by passing
+// `{ withDeleted: true }` in its options. Writes are never filtered, so cascades still reach
+// documents in the trash.
+const mongoose = require('mongoose');
+
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+const softDelete = (schema, { hideDeleted = true } = {}) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+  schema.index({ deletedAt: 1 });
+
+  if (!hideDeleted) return;
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// A weekly window in which a venue or instructor can be booked, in the server's local time. Times
+// are "HH:MM"; a resource with no windows is always available.
+const availabilityWindowSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday, as Date#getDay.
+  startTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  endTime: { type: String, required: true, match: /^([01]\d|2[0-4]):[0-5]\d$/ },
+}, { _id: false });
+
+module.exports = availabilityWindowSchema;
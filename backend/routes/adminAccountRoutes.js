@@ -0,0 +1,145 @@
+// backend/routes/adminAccountRoutes.js
+// Account management for staff (admins, coordinators, faculty): list, create, disable/enable and
+// change role. Day-to-day student management stays in /api/users.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const { revokeUserSessions } = require('../services/sessions');
+const { ROLES } = require('../services/permissions');
+const { authMiddleware, authorizePermission } = require('../middleware/authMiddleware');
+
+const ACCOUNT_FIELDS = 'username name role department isDisabled disabledAt lockedUntil requiresPasswordChange createdAt';
+
+const sendErrorResponse = (res, statusCode, message) => res.status(statusCode).json({ success: false, error: message });
+
+const logAccountAction = async (req, action, target, change) => {
+    try {
+        await ActivityLog.create({
+            user: req.user._id,
+            username: req.user.username,
+            action,
+            details: { ip: req.ip, targetUsername: target.username, change },
+        });
+    } catch (logError) {
+        console.error('Failed to save account activity log:', logError);
+    }
+};
+
+// Refuses to leave the system without an active admin.
+const isLastActiveAdmin = async (user) => {
+    if (user.role !== 'admin' || user.isDisabled) return false;
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isDisabled: { $ne: true } });
+    return others === 0;
+};
+
+router.use(authMiddleware, authorizePermission('accounts:manage'));
+
+// GET /api/admin/accounts?role=admin&includeDisabled=true - List accounts of one role (admins by default)
+router.get('/', async (req, res, next) => {
+    try {
+        const role = req.query.role || 'admin';
+        if (!ROLES.includes(role)) return sendErrorResponse(res, 400, `role must be one of: ${ROLES.join(', ')}.`);
+        const filter = { role };
+        if (req.query.includeDisabled === 'false') filter.isDisabled = { $ne: true };
+        const accounts = await User.find(filter).select(ACCOUNT_FIELDS).sort({ isDisabled: 1, name: 1 }).lean();
+        res.json({ success: true, data: accounts });
+    } catch (err) { next(err); }
+});
+
+// POST /api/admin/accounts - Create an account. Body: { username, name, password?, role?, department? }
+// Without a password a temporary one is generated and returned once. Either way the new user must
+// change it on first login.
+router.post('/', async (req, res, next) => {
+    try {
+        const { username, name, password, role = 'admin', department } = req.body;
+        if (!username?.trim() || !name?.trim()) return sendErrorResponse(res, 400, 'Username and name are required.');
+        if (!ROLES.includes(role)) return sendErrorResponse(res, 400, `role must be one of: ${ROLES.join(', ')}.`);
+        if (password && password.length < 6) return sendErrorResponse(res, 400, 'Password must be at least 6 characters long.');
+        if (role === 'coordinator' && !department?.trim()) return sendErrorResponse(res, 400, 'Coordinators need a department; they manage only that department.');
+        const normalizedUsername = username.trim().toLowerCase();
+        if (await User.exists({ username: normalizedUsername }).setOptions({ withDeleted: true })) return sendErrorResponse(res, 400, `Username "${normalizedUsername}" already exists.`);
+
+        const temporaryPassword = password ? null : crypto.randomBytes(6).toString('base64url');
+        const user = new User({
+            username: normalizedUsername,
+            name: name.trim(),
+            role,
+            password: password || temporaryPassword,
+            department: department ? department.trim() : undefined,
+            requiresPasswordChange: true,
+        });
+        await user.save();
+        await logAccountAction(req, 'ACCOUNT_CREATED', user, `Created with role ${role}`);
+
+        const data = await User.findById(user._id).select(ACCOUNT_FIELDS).lean();
+        res.status(201).json({
+            success: true,
+            message: `Account "${user.username}" created.`,
+            data,
+            ...(temporaryPassword && { temporaryPassword }),
+        });
+    } catch (err) { next(err); }
+});
+
+// PATCH /api/admin/accounts/:userId/status - Disable or re-enable an account. Body: { disabled: boolean }
+router.patch('/:userId/status', async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { disabled } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        if (typeof disabled !== 'boolean') return sendErrorResponse(res, 400, '"disabled" must be true or false.');
+        const user = await User.findById(userId);
+        if (!user) return sendErrorResponse(res, 404, 'User not found.');
+        if (user.isDisabled === disabled) return res.json({ success: true, message: `${user.username} is already ${disabled ? 'disabled' : 'enabled'}.` });
+
+        if (disabled) {
+            if (String(user._id) === String(req.user._id)) return sendErrorResponse(res, 400, 'You cannot disable your own account.');
+            if (await isLastActiveAdmin(user)) return sendErrorResponse(res, 400, 'This is the last active admin account and cannot be disabled.');
+        }
+        user.isDisabled = disabled;
+        user.disabledAt = disabled ? new Date() : undefined;
+        await user.save();
+        const signedOut = disabled ? await revokeUserSessions({ userId: user._id, reason: 'ACCOUNT_DISABLED' }) : 0;
+        await logAccountAction(req, disabled ? 'ACCOUNT_DISABLED' : 'ACCOUNT_ENABLED', user);
+
+        res.json({
+            success: true,
+            message: disabled ? `${user.username} has been disabled${signedOut > 0 ? ` and signed out of ${signedOut} session(s)` : ''}.` : `${user.username} has been re-enabled.`,
+            data: await User.findById(user._id).select(ACCOUNT_FIELDS).lean(),
+        });
+    } catch (err) { next(err); }
+});
+
+// PATCH /api/admin/accounts/:userId/role - Change an account's role. Body: { role }
+// The user is signed out so their next login picks up the new role.
+router.patch('/:userId/role', async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        if (!ROLES.includes(role)) return sendErrorResponse(res, 400, `role must be one of: ${ROLES.join(', ')}.`);
+        const user = await User.findById(userId);
+        if (!user) return sendErrorResponse(res, 404, 'User not found.');
+        if (user.role === role) return res.json({ success: true, message: `${user.username} already has the ${role} role.` });
+        if (String(user._id) === String(req.user._id)) return sendErrorResponse(res, 400, 'You cannot change your own role.');
+        if (await isLastActiveAdmin(user)) return sendErrorResponse(res, 400, 'This is the last active admin account; its role cannot be changed.');
+        if (role === 'coordinator' && !user.department) return sendErrorResponse(res, 400, 'Set a department for this account before making it a coordinator.');
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+        await revokeUserSessions({ userId: user._id, reason: 'ROLE_CHANGED' });
+        await logAccountAction(req, 'ROLE_CHANGED', user, `${previousRole} -> ${role}`);
+
+        res.json({
+            success: true,
+            message: `${user.username} is now ${role === 'admin' ? 'an admin' : `a ${role}`}.`,
+            data: await User.findById(user._id).select(ACCOUNT_FIELDS).lean(),
+        });
+    } catch (err) { next(err); }
+});
+
+module.exports = router;
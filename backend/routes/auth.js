@@ -3,40 +3,64 @@ const router = express.Router();
 const User = require('../models/User');
 const ActivityLog = require('../models/ActivityLog'); // <-- 1. IMPORT THE NEW MODEL
 const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_EXPIRES_IN, createSession, rotateSession, revokeSession } = require('../services/sessions');
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottle');
+const { listPermissions } = require('../services/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   console.error("FATAL ERROR: JWT_SECRET is not defined. Set it in your .env file.");
   process.exit(1);
 }
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '4h';
 
-const sendErrorResponse = (res, statusCode, message) => {
-  res.status(statusCode).json({ success: false, error: message });
+const sendErrorResponse = (res, statusCode, message, details = null) => {
+  res.status(statusCode).json({ success: false, error: message, ...(details && { details }) });
 };
 
-// POST /api/auth/register (No changes made here)
+// Failed logins are logged even for unknown usernames (without a user reference).
+const logLoginFailure = async ({ user, username, ip, errorMessage }) => {
+  try {
+    await new ActivityLog({
+      user: user ? user._id : undefined,
+      username: user ? user.username : String(username).toLowerCase().slice(0, 100),
+      action: 'LOGIN_FAIL',
+      details: { ip, errorMessage }
+    }).save();
+  } catch (logError) {
+    console.error('Failed to save failed-login activity log:', logError);
+  }
+};
+
+// Self-registration is off unless ALLOW_PUBLIC_REGISTRATION=true, and even then it only creates
+// student accounts. Admins are created by other admins (/api/admin/accounts) or, for the very
+// first one, with `npm run create-admin`.
+const PUBLIC_REGISTRATION_ENABLED = process.env.ALLOW_PUBLIC_REGISTRATION === 'true';
+
+// POST /api/auth/register
 router.post('/register', async (req, res) => {
   console.log('REGISTER: Request received for /api/auth/register');
+  if (!PUBLIC_REGISTRATION_ENABLED) {
+    return sendErrorResponse(res, 403, 'Public registration is disabled. Ask an administrator for an account.');
+  }
   try {
-    const { username, name, role, password, department } = req.body;
+    const { username, name, role = 'student', password, department } = req.body;
     console.log(`REGISTER: Attempting registration for username: ${username}`);
 
-    if (!username || !password || !role || !name) {
+    if (!username || !password || !name) {
       console.log('REGISTER: Missing required fields.');
-      return sendErrorResponse(res, 400, 'Username, name, role, and password are required.');
+      return sendErrorResponse(res, 400, 'Username, name, and password are required.');
     }
     if (password.length < 6) {
       console.log('REGISTER: Password too short.');
       return sendErrorResponse(res, 400, 'Password must be at least 6 characters long.');
     }
-    if (!['admin', 'student'].includes(role)) {
-      console.log(`REGISTER: Invalid role specified: ${role}`);
-      return sendErrorResponse(res, 400, 'Invalid role specified.');
+    if (role !== 'student') {
+      console.log(`REGISTER: Refused self-registration with role: ${role}`);
+      return sendErrorResponse(res, 403, 'Only student accounts can be self-registered.');
     }
 
     console.log('REGISTER: Checking for existing user...');
-    let existingUser = await User.findOne({ username: username.toLowerCase() });
+    let existingUser = await User.findOne({ username: username.toLowerCase() }).setOptions({ withDeleted: true });
     if (existingUser) {
       console.log(`REGISTER: Username ${username.toLowerCase()} already exists.`);
       return sendErrorResponse(res, 400, 'Username already exists.');
@@ -46,7 +70,7 @@ router.post('/register', async (req, res) => {
     const user = new User({
       username: username.toLowerCase(),
       name,
-      role,
+      role: 'student',
       password,
       department,
       // requiresPasswordChange will default to true from schema
@@ -90,15 +114,35 @@ router.post('/login', async (req, res) => {
       return sendErrorResponse(res, 400, 'Username and password are required.');
     }
 
-    const user = await User.findOne({ username: username.toLowerCase() }).select('+password');
+    const user = await User.findOne({ username: String(username).toLowerCase() }).select('+password');
+
+    // Blocked IPs and locked accounts are turned away before the password is even checked.
+    try {
+      assertLoginAllowed({ ip: req.ip, user });
+    } catch (throttleError) {
+      await logLoginFailure({ user, username, ip: req.ip, errorMessage: throttleError.reason });
+      if (throttleError.retryAt) res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(throttleError.retryAt) - Date.now()) / 1000))));
+      return sendErrorResponse(res, throttleError.statusCode, throttleError.message, { reason: throttleError.reason, retryAt: throttleError.retryAt });
+    }
 
     // Consolidated check for user not found OR password mismatch
     if (!user || !(await user.comparePassword(password))) {
-      // We don't log failed attempts here as per your request to keep it simple,
-      // but this is where failed login logging would go.
+      const { accountLocked, lockedUntil } = await recordLoginFailure({ ip: req.ip, user });
+      await logLoginFailure({ user, username, ip: req.ip, errorMessage: !user ? 'UNKNOWN_USER' : accountLocked ? 'BAD_PASSWORD, ACCOUNT_LOCKED' : 'BAD_PASSWORD' });
+      if (accountLocked) {
+        return sendErrorResponse(res, 429, 'Too many failed attempts. This account is temporarily locked.', { reason: 'ACCOUNT_LOCKED', retryAt: lockedUntil });
+      }
       return sendErrorResponse(res, 401, 'Invalid credentials.');
     }
 
+    // Only reached with the right password, so a disabled account can't be discovered by guessing.
+    if (user.isDisabled) {
+      await logLoginFailure({ user, username, ip: req.ip, errorMessage: 'ACCOUNT_DISABLED' });
+      return sendErrorResponse(res, 403, 'This account has been disabled. Contact an administrator.');
+    }
+
+    await recordLoginSuccess({ user });
+
     // --- Login Successful ---
 
     // 2. CREATE AND SAVE THE LOG ENTRY
@@ -118,15 +162,8 @@ router.post('/login', async (req, res) => {
       console.error('Failed to save login activity log:', logError);
     }
 
-    const payload = {
-      user: {
-        id: user._id,
-        role: user.role,
-        username: user.username
-      }
-    };
-
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    // Short-lived access token plus a refresh token tied to a new server-side session.
+    const { token, refreshToken } = await createSession({ user, ip: req.ip, userAgent: req.get('user-agent') });
 
     const userResponse = {
       _id: user._id,
@@ -135,11 +172,14 @@ router.post('/login', async (req, res) => {
       role: user.role,
       department: user.department,
       requiresPasswordChange: user.requiresPasswordChange,
+      permissions: listPermissions(user.role),
     };
 
     res.json({
       success: true,
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: userResponse
     });
 
@@ -149,4 +189,70 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh - Trade a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; presenting it again ends the session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await rotateSession({
+      refreshToken: req.body.refreshToken,
+      loadUser: (userId) => User.findOne({ _id: userId, isDisabled: { $ne: true } }).lean(),
+    });
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      user: {
+        _id: user._id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        department: user.department,
+        requiresPasswordChange: user.requiresPasswordChange,
+        permissions: listPermissions(user.role),
+      }
+    });
+  } catch (err) {
+    if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+    console.error('REFRESH: CRITICAL ERROR in /refresh route:', err);
+    sendErrorResponse(res, 500, 'Server error while refreshing the session.');
+  }
+});
+
+// POST /api/auth/logout - End the current session. Works with the refresh token alone, so a client
+// whose access token already expired can still sign out cleanly.
+router.post('/logout', async (req, res) => {
+  try {
+    let sessionId = null;
+    let decoded = null;
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer')) {
+      try {
+        decoded = jwt.verify(header.split(' ')[1], JWT_SECRET, { ignoreExpiration: true });
+        sessionId = decoded.sid || null;
+      } catch (tokenError) {
+        // A malformed access token is not fatal here; the refresh token may still identify the session.
+      }
+    }
+    const ended = await revokeSession({ sessionId, refreshToken: req.body.refreshToken, reason: 'LOGOUT' });
+
+    if (ended && decoded) {
+      try {
+        await new ActivityLog({
+          user: decoded.user.id,
+          username: decoded.user.username,
+          action: 'LOGOUT',
+          details: { ip: req.ip }
+        }).save();
+      } catch (logError) {
+        console.error('Failed to save logout activity log:', logError);
+      }
+    }
+    res.json({ success: true, message: 'Logged out.' });
+  } catch (err) {
+    console.error('LOGOUT: CRITICAL ERROR in /logout route:', err);
+    sendErrorResponse(res, 500, 'Server error during logout.');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,61 +3,165 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Course = require('../models/Course');
-const { authMiddleware, authorizeRoles } = require('../middleware/authMiddleware');
+const { authMiddleware, authorizePermission } = require('../middleware/authMiddleware');
+const { TRASH_RETENTION_DAYS, IN_TRASH, purgeDateFor, restoreCourse } = require('../services/trash');
+const { runInTransaction } = require('../services/enrollment');
+const { getCourseDependencies, hasDependencies, deleteCourse } = require('../services/courseDependencies');
+const { validatePrerequisites, getPrerequisiteGraph } = require('../services/prerequisiteGraph');
 
-const sendErrorResponse = (res, statusCode, message) => res.status(statusCode).json({ success: false, error: message });
+const sendErrorResponse = (res, statusCode, message, details = null) =>
+    res.status(statusCode).json({ success: false, error: message, ...(details && { details }) });
+
+// Blank strings mean "not in any group", so they are stored as an unset field rather than "".
+const normalizeExclusiveGroup = (value) => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+// Tags arrive as a list or a comma-separated string; blanks and repeats are dropped.
+const normalizeTags = (value) => [...new Set((Array.isArray(value) ? value : String(value || '').split(',')).map(t => String(t).trim()).filter(Boolean))];
 
 // GET /api/catalog/courses - Get all courses from the master catalog
-router.get('/', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/', authMiddleware, authorizePermission('catalog:read'), async (req, res, next) => {
     try {
-        const courses = await Course.find().populate('prerequisites', 'title').sort('title').lean();
+        const courses = await Course.find({ deletedAt: null }).populate('prerequisites', 'title').populate('prerequisiteRules.courses', 'title').sort('title').lean();
         res.json({ success: true, data: courses });
     } catch (err) { next(err); }
 });
 
+// GET /api/catalog/courses/exclusive-groups - List every exclusive group with its member courses
+router.get('/exclusive-groups', authMiddleware, authorizePermission('catalog:read'), async (req, res, next) => {
+    try {
+        const groups = await Course.aggregate([
+            { $match: { exclusiveGroup: { $nin: [null, ''] }, deletedAt: null } },
+            { $sort: { title: 1 } },
+            { $group: { _id: '$exclusiveGroup', courses: { $push: { _id: '$_id', title: '$title' } } } },
+            { $project: { _id: 0, name: '$_id', courses: 1 } },
+            { $sort: { name: 1 } },
+        ]);
+        res.json({ success: true, data: groups });
+    } catch (err) { next(err); }
+});
+
+// GET /api/catalog/courses/prerequisite-graph - The prerequisite DAG with each course's topological level
+router.get('/prerequisite-graph', authMiddleware, authorizePermission('catalog:read'), async (req, res, next) => {
+    try {
+        const graph = await getPrerequisiteGraph();
+        res.json({ success: true, data: graph });
+    } catch (err) { next(err); }
+});
+
 // POST /api/catalog/courses - Create a new course in the catalog
-router.post('/', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
     try {
-        const { title, description, prerequisites } = req.body;
+        const { title, description, prerequisites, prerequisiteRules, tags, exclusiveGroup } = req.body;
         if (!title?.trim()) return sendErrorResponse(res, 400, 'Course title is required.');
 
-        const newCourse = new Course({ title, description, prerequisites });
+        const courseTags = normalizeTags(tags);
+        const requirement = await validatePrerequisites({ title, prerequisiteIds: prerequisites || [], prerequisiteRules: prerequisiteRules || [], tags: courseTags });
+        const newCourse = new Course({
+            title, description, ...requirement,
+            tags: courseTags,
+            exclusiveGroup: normalizeExclusiveGroup(exclusiveGroup) || undefined,
+        });
         await newCourse.save();
         res.status(201).json({ success: true, data: newCourse });
     } catch (err) {
-        if (err.code === 11000) return sendErrorResponse(res, 400, 'A course with this title already exists.');
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        if (err.code === 11000) return sendErrorResponse(res, 400, 'A course with this title already exists (it may be in the trash).');
         next(err);
     }
 });
 
 // PUT /api/catalog/courses/:courseId - Update a course in the catalog
-router.put('/:courseId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.put('/:courseId', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
     try {
         const { courseId } = req.params;
-        const { title, description, prerequisites } = req.body;
+        const { title, description, prerequisites, prerequisiteRules, tags, exclusiveGroup } = req.body;
         if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
 
-        const updatedCourse = await Course.findByIdAndUpdate(
-            courseId,
-            { title, description, prerequisites },
+        const update = { $set: { title, description } };
+        const courseTags = tags === undefined ? undefined : normalizeTags(tags);
+        // New tags put the course into other courses' tag rules, which can close a cycle as well.
+        if (prerequisites !== undefined || prerequisiteRules !== undefined || courseTags !== undefined) {
+            const requirement = await validatePrerequisites({ courseId, prerequisiteIds: prerequisites, prerequisiteRules, tags: courseTags });
+            if (requirement.prerequisites) update.$set.prerequisites = requirement.prerequisites;
+            if (requirement.prerequisiteRules) update.$set.prerequisiteRules = requirement.prerequisiteRules;
+        }
+        if (courseTags !== undefined) update.$set.tags = courseTags;
+        if (exclusiveGroup !== undefined) {
+            const group = normalizeExclusiveGroup(exclusiveGroup);
+            if (group) update.$set.exclusiveGroup = group;
+            else update.$unset = { exclusiveGroup: 1 };
+        }
+
+        const updatedCourse = await Course.findOneAndUpdate(
+            { _id: courseId, deletedAt: null },
+            update,
             { new: true, runValidators: true }
         );
 
         if (!updatedCourse) return sendErrorResponse(res, 404, 'Course not found.');
         res.json({ success: true, message: 'Course updated successfully.', data: updatedCourse });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        next(err);
+    }
+});
+
+// GET /api/catalog/courses/trash - Courses in the trash, with the date each one will be purged
+router.get('/trash', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const courses = await Course.find(IN_TRASH)
+            .select('title description deletedAt deletedBy')
+            .populate({ path: 'deletedBy', select: 'username name', options: { withDeleted: true } })
+            .sort({ deletedAt: -1 }).lean();
+        res.json({ success: true, data: courses.map(c => ({ ...c, purgeAt: purgeDateFor(c.deletedAt) })), retentionDays: TRASH_RETENTION_DAYS });
     } catch (err) { next(err); }
 });
 
-// DELETE /api/catalog/courses/:courseId - Delete a course from the catalog
-router.delete('/:courseId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// POST /api/catalog/courses/:courseId/restore - Put a course from the trash back into the catalog
+router.post('/:courseId/restore', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
     try {
         const { courseId } = req.params;
-        // Advanced: Check if this course is currently offered in any event or is a prerequisite for another course before deleting.
-        // For now, we'll proceed with a direct delete.
-        const deletedCourse = await Course.findByIdAndDelete(courseId);
-        if (!deletedCourse) return sendErrorResponse(res, 404, 'Course not found.');
-        res.json({ success: true, message: 'Course deleted from catalog.' });
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
+        const restoredCourse = await restoreCourse({ courseId });
+        if (!restoredCourse) return sendErrorResponse(res, 404, 'No course with this ID is in the trash.');
+        res.json({ success: true, message: `"${restoredCourse.title}" is back in the catalog.`, data: restoredCourse });
     } catch (err) { next(err); }
 });
 
+// GET /api/catalog/courses/:courseId/dependencies - Events, courses and students that use a course
+router.get('/:courseId/dependencies', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { courseId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
+        const course = await Course.findOne({ _id: courseId, deletedAt: null }).select('title').lean();
+        if (!course) return sendErrorResponse(res, 404, 'Course not found.');
+        const dependencies = await getCourseDependencies({ courseId: course._id });
+        res.json({ success: true, data: { course, ...dependencies, hasDependencies: hasDependencies(dependencies) } });
+    } catch (err) { next(err); }
+});
+
+// DELETE /api/catalog/courses/:courseId?mode=block|cascade|replace[&replacementId=] - Move a course to the trash.
+// block (default) refuses while anything uses the course; cascade removes its offerings, enrollments and
+// prerequisite links; replace points them all at replacementId.
+router.delete('/:courseId', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { courseId } = req.params;
+        const { mode = 'block', replacementId } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
+        if (replacementId && !mongoose.Types.ObjectId.isValid(replacementId)) return sendErrorResponse(res, 400, 'Invalid replacement Course ID.');
+
+        const result = await runInTransaction(session => deleteCourse({ courseId, mode, replacementId, deletedBy: req.user._id, session }));
+
+        let message = `"${result.course.title}" moved to the trash. It can be restored for ${TRASH_RETENTION_DAYS} days.`;
+        if (mode === 'cascade') {
+            message += ` Removed ${result.changes.offeringsRemoved} offering(s), ${result.changes.unenrolled} enrollment(s) and ${result.changes.prerequisiteLinksRemoved} prerequisite link(s).`;
+        } else if (mode === 'replace') {
+            message += ` "${result.replacement.title}" took its place in ${result.changes.offeringsMoved} event(s), ${result.changes.enrollmentsMoved} student record(s), ${result.changes.creditsMoved} prior credit record(s), ${result.changes.waiversMoved} waiver record(s) and ${result.changes.prerequisiteLinksMoved} prerequisite list(s).`;
+        }
+        res.json({ success: true, message, data: { mode, dependencies: result.dependencies, changes: result.changes } });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        next(err);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
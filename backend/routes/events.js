@@ -6,7 +6,22 @@ const Event = require('../models/Event');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const ActivityLog = require('../models/ActivityLog');
-const { authMiddleware, authorizeRoles } = require('../middleware/authMiddleware');
+const Preference = require('../models/Preference');
+const { authMiddleware, authorizeRoles, authorizePermission } = require('../middleware/authMiddleware');
+const { SCOPES, studentScopeFilter, eventScopeFilter, offeringsInScope, isStudentInScope, isEventInScope } = require('../services/permissions');
+const { ELIGIBILITY_REASONS, checkEventEligibility, assertEventEligibility, assertExclusiveGroupEligibility, assertPrerequisiteEligibility, assertTimeClashEligibility, checkEnrollmentEligibility } = require('../services/eligibility');
+const { loadPrerequisiteCatalog, evaluatePrerequisites } = require('../services/prerequisites');
+const { takenCourseIds, readCsvRows } = require('../services/transcript');
+const { holdsCourse, countsTowardLimit, listEventOutcomes, updateEnrollmentOutcome, importOutcomeRows } = require('../services/outcomes');
+const { ATTENDANCE_REPORT_COLUMNS, MAX_FAILED_CHECK_INS, CHECK_IN_FAILURE_WINDOW_MS, slotSessions, resolveSession, currentCheckInCode, describeCheckIn, openCheckIn, closeCheckIn, getSlotAttendance, markAttendance, checkInWithCode, attendanceRate, loadAttendanceRows, summarizeAttendance } = require('../services/attendance');
+const { sessionsOf } = require('../services/slotSchedule');
+const { assertSlotResources, findOfferingClashes } = require('../services/resources');
+const { loadBookings, findClash, describeClash } = require('../services/timetable');
+const { getWaitlistPosition, promoteSlotWaitlist, promoteEventWaitlists } = require('../services/waitlist');
+const { getOpenState, isEventOpenFor, listWindowsOpeningBetween, validateWindow } = require('../services/eventSchedule');
+const { runInTransaction, saveAll, addEnrollment, removeEnrollment, moveSeat, updateOfferingSlots, enrollWithReservation, removeOffering, checkConsistency, repairConsistency } = require('../services/enrollment');
+const { TRASH_RETENTION_DAYS, IN_TRASH, purgeDateFor, trashEvent, restoreEvent } = require('../services/trash');
+const { normalizeAllocationOptions, assertAllocatable, buildAllocationPlan, applyAllocationPlan } = require('../services/allocation');
 const csv = require('csv-parser');
 const stream = require('stream');
 
@@ -31,11 +46,25 @@ const sendErrorResponse = (res, statusCode, message, details = null) => {
   if (details) response.details = details;
   return res.status(statusCode).json(response);
 };
+// Ranked events allocate seats in one run after the window closes, so students can't grab seats directly.
+const assertFirstComeMode = (event) => {
+  if (event.enrollmentMode === 'ranked') throw new Error('Seats in this event are allocated by preference. Submit your ranking instead.');
+};
 const escapeCsvField = (field) => {
   if (field === null || typeof field === 'undefined') return '';
   const stringField = String(field);
   return stringField.includes(',') || stringField.includes('"') || stringField.includes('\n') ? `"${stringField.replace(/"/g, '""')}"` : stringField;
 };
+// Validates an offering's instructor list. Undefined means "leave unchanged"; every id must be a faculty account.
+const resolveInstructors = async (instructors) => {
+  if (instructors === undefined) return undefined;
+  const ids = [...new Set((Array.isArray(instructors) ? instructors : []).map(String))];
+  const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) throw badRequest('Invalid instructor ID.');
+  const found = await User.countDocuments({ _id: { $in: ids }, role: 'faculty' });
+  if (found !== ids.length) throw badRequest('Every instructor must be an existing faculty account.');
+  return ids;
+};
 
 // =========================================================================
 // --- STUDENT-FACING ROUTES ---
@@ -43,92 +72,112 @@ const escapeCsvField = (field) => {
 router.get('/', authMiddleware, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const [openEvents, user] = await Promise.all([
-      Event.find({ isOpen: true }).populate({
+    // Manually opened events plus anything with a schedule; the schedule is resolved per student below.
+    const [candidateEvents, user] = await Promise.all([
+      Event.find({ $or: [ { isOpen: true }, { opensAt: { $ne: null } }, { closesAt: { $ne: null } }, { 'scheduleOverrides.0': { $exists: true } } ] }).populate({
         path: 'courses.course', model: 'Course',
         populate: { path: 'prerequisites', model: 'Course', select: 'title' }
-      }).lean(),
-      User.findById(userId).select('enrollments department semester section').lean()
+      }).populate({ path: 'courses.slots.room', model: 'Venue', select: 'name building' }).lean(),
+      User.findById(userId).select('enrollments completedCourses prerequisiteWaivers department semester section').lean()
     ]);
     if (!user) return sendErrorResponse(res, 401, 'User not found.');
 
-    const enrichedEvents = openEvents.map(event => {
-      const allEnrolledCourseIds = new Set((user.enrollments || []).map(e => e.courseId.toString()));
+    // Exclusive groups the student already holds a course from, across all events.
+    const enrolledCourses = await Course.find({ _id: { $in: (user.enrollments || []).filter(e => holdsCourse(e)).map(e => e.courseId) } }).select('exclusiveGroup').lean();
+    const takenExclusiveGroups = new Set(enrolledCourses.map(c => c.exclusiveGroup).filter(Boolean));
+    // Slots the student holds anywhere, so each slot can say what it would clash with.
+    const bookings = (await loadBookings({ students: [user], events: candidateEvents })).get(String(user._id)) || [];
+
+    const now = new Date();
+    // Keep open events and scheduled ones that have not opened yet (the UI shows a countdown for those).
+    const visibleByWindow = candidateEvents
+      .map(event => ({ event, openState: getOpenState(event, user, now) }))
+      .filter(({ openState }) => openState.isOpen || (openState.scheduled && openState.opensAt && new Date(openState.opensAt) > now));
+
+    // The student's submitted ranking for each ranked event, as offering IDs in order.
+    const rankedEventIds = visibleByWindow.filter(({ event }) => event.enrollmentMode === 'ranked').map(({ event }) => event._id);
+    const preferences = rankedEventIds.length > 0 ? await Preference.find({ user: userId, event: { $in: rankedEventIds } }).lean() : [];
+    const rankingsByEvent = new Map(preferences.map(p => [p.event.toString(), { rankings: (p.rankings || []).map(String), submittedAt: p.updatedAt }]));
+    const prerequisiteCatalog = await loadPrerequisiteCatalog({ courses: visibleByWindow.flatMap(({ event }) => (event.courses || []).map(o => o.course)) });
+
+    const enrichedEvents = visibleByWindow.map(({ event, openState }) => {
+      const eligibility = checkEventEligibility(event, user);
+      const allEnrolledCourseIds = takenCourseIds(user);
       const enrollmentsInThisEvent = (user.enrollments || []).filter(e => e.eventId.toString() === event._id.toString());
       const enrolledCourseTitles = enrollmentsInThisEvent.map(e => e.courseTitle);
-      const hasReachedEventLimit = enrollmentsInThisEvent.length >= event.maxCoursesPerStudent;
+      const hasReachedEventLimit = enrollmentsInThisEvent.filter(countsTowardLimit).length >= event.maxCoursesPerStudent;
 
       const processedCourses = (event.courses || []).map(offering => {
         const masterCourse = offering.course;
         if (!masterCourse) return null;
         const hasAlreadyTaken = allEnrolledCourseIds.has(masterCourse._id.toString());
-        const prereqsMet = (masterCourse.prerequisites || []).every(p => allEnrolledCourseIds.has(p._id.toString()));
-        return { ...offering, masterCourse, prereqsMet, hasAlreadyTaken, };
+        const prerequisiteStatus = evaluatePrerequisites(masterCourse, user, prerequisiteCatalog, { policy: event.prerequisitePolicy });
+        const isExclusiveGroupTaken = !hasAlreadyTaken && !!masterCourse.exclusiveGroup && takenExclusiveGroups.has(masterCourse.exclusiveGroup);
+        // Students only see their own place in the queue, never who else is waiting. Clashes with the
+        // student's own seat in this offering don't count: changing slots gives that seat up.
+        const slots = (offering.slots || []).map(({ waitlist, ...slot }) => ({ ...slot, waitlistLength: (waitlist || []).length, waitlistPosition: getWaitlistPosition({ waitlist }, userId), clash: findClash(slot, bookings, { ignoreOfferingIds: [offering._id] }) }));
+        return { ...offering, slots, masterCourse, prereqsMet: prerequisiteStatus.met, prerequisiteStatus, hasAlreadyTaken, isExclusiveGroupTaken, };
       }).filter(Boolean);
       
-      return { ...event, courses: processedCourses, isEnrolledInEvent: enrollmentsInThisEvent.length > 0, enrolledCourseTitles, numEnrolledInEvent: enrollmentsInThisEvent.length, hasReachedEventLimit, };
+      // Overrides are admin configuration; students only get the window that applies to them.
+      const { scheduleOverrides, allocation, ...eventFields } = event;
+      const preference = rankingsByEvent.get(event._id.toString());
+      const ranking = event.enrollmentMode === 'ranked' ? { myRankings: preference ? preference.rankings : [], rankingSubmittedAt: preference ? preference.submittedAt : null, allocationCommitted: !!(allocation && allocation.committedAt) } : {};
+      return { ...eventFields, ...ranking, isOpen: openState.isOpen, opensAt: openState.opensAt, closesAt: openState.closesAt, isScheduled: openState.scheduled, courses: processedCourses, isEnrolledInEvent: enrollmentsInThisEvent.length > 0, enrolledCourseTitles, numEnrolledInEvent: enrollmentsInThisEvent.length, hasReachedEventLimit, eligibility, };
     });
 
-    res.status(200).json({ success: true, data: enrichedEvents });
+    // Ineligible events are flagged by default; ?eligibleOnly=true hides them instead.
+    const visibleEvents = req.query.eligibleOnly === 'true' ? enrichedEvents.filter(e => e.eligibility.eligible) : enrichedEvents;
+    res.status(200).json({ success: true, data: visibleEvents });
   } catch (err) { next(err); }
 });
 
+// Seats are reserved per slot (see services/enrollment.js) and the roster and the student's
+// enrollments change in one transaction. withTransaction re-runs the block on transient write
+// conflicts, so a busy event makes requests retry rather than fail.
 router.post('/:eventId/courses/:courseId/slots/:slotId/enroll', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
   const { eventId, courseId, slotId } = req.params;
   const studentId = req.user.id;
+  const session = await mongoose.startSession();
 
   try {
-    const student = await User.findById(studentId);
-    if (!student) throw new Error('Student not found.');
-    const event = await Event.findById(eventId).populate({ path: 'courses.course', populate: { path: 'prerequisites' } });
-    if (!event || !event.isOpen) throw new Error('Event not found or is closed.');
-    if (event.isViewOnly) throw new Error('This event is in view-only mode.');
-    const offering = (event.courses || []).find(c => c._id.equals(courseId));
-    if (!offering) throw new Error('Course offering not found in this event.');
-    
-    const masterCourse = offering.course;
-    if (!masterCourse) throw new Error('Course data is inconsistent.');
-
-    if ((student.enrollments || []).some(e => e.courseId.equals(masterCourse._id))) throw new Error(`You have already taken ${masterCourse.title}.`);
-    if ((student.enrollments || []).filter(e => e.eventId.equals(eventId)).length >= event.maxCoursesPerStudent) throw new Error(`Maximum courses for this event reached.`);
-    
-    const slotToEnroll = (offering.slots || []).find(s => String(s.id) === slotId);
-    if (!slotToEnroll || !slotToEnroll.isActive) throw new Error('This slot is not active.');
-    if ((slotToEnroll.enrolled || []).length >= slotToEnroll.maxCapacity) {
-      throw new Error("This slot is already full.");
-    }
-    const updateResult = await Event.updateOne(
-      { 
-        _id: eventId,
-        __v: event.__v,
-        'courses.slots.enrolled': { $ne: studentId }
-      },
-      { 
-        $push: { 'courses.$[courseElem].slots.$[slotElem].enrolled': studentId },
-        $inc: { __v: 1 }
-      },
-      {
-        arrayFilters: [
-          { 'courseElem._id': offering._id },
-          { 'slotElem.id': slotId }
-        ]
+    let enrolledCourseTitle;
+    await session.withTransaction(async () => {
+      const student = await User.findById(studentId).session(session);
+      if (!student) throw new Error('Student not found.');
+      const event = await Event.findById(eventId).populate({ path: 'courses.course', populate: { path: 'prerequisites' } }).session(session);
+      if (!event || !isEventOpenFor(event, student)) throw new Error('Event not found or is closed.');
+      if (event.isViewOnly) throw new Error('This event is in view-only mode.');
+      assertFirstComeMode(event);
+      assertEventEligibility(event, student);
+      const offering = (event.courses || []).find(c => c._id.equals(courseId));
+      if (!offering) throw new Error('Course offering not found in this event.');
+
+      const masterCourse = offering.course;
+      if (!masterCourse) throw new Error('Course data is inconsistent.');
+
+      if (takenCourseIds(student).has(String(masterCourse._id))) throw new Error(`You have already taken ${masterCourse.title}.`);
+      await assertPrerequisiteEligibility(masterCourse, student, { session, policy: event.prerequisitePolicy });
+      await assertExclusiveGroupEligibility(masterCourse, student);
+      if ((student.enrollments || []).filter(e => e.eventId.equals(eventId) && countsTowardLimit(e)).length >= event.maxCoursesPerStudent) throw new Error(`Maximum courses for this event reached.`);
+
+      const slotToEnroll = (offering.slots || []).find(s => String(s.id) === slotId);
+      if (!slotToEnroll || !slotToEnroll.isActive) throw new Error('This slot is not active.');
+      if ((slotToEnroll.enrolled || []).length >= slotToEnroll.maxCapacity) {
+        throw new Error("This slot is already full.");
       }
-    );
-    if (updateResult.matchedCount === 0 || updateResult.modifiedCount === 0) {
-      throw new Error("This slot is full, select another course.");
-    }
-    await User.updateOne(
-      { _id: studentId },
-      { $push: { enrollments: { eventId: event._id, courseId: masterCourse._id, courseTitle: masterCourse.title, enrolledAt: new Date() } } }
-    );
-    await ActivityLog.create({ 
-      user: student._id, 
-      username: student.username,
-      action: 'ENROLL_SUCCESS', 
-      details: { eventName: event.name, courseTitle: masterCourse.title, ip: req.ip }
+      await assertTimeClashEligibility({ slot: slotToEnroll, student, events: [event], session });
+      await enrollWithReservation({ event, offering, slot: slotToEnroll, student, session });
+      await ActivityLog.create([{
+        user: student._id,
+        username: student.username,
+        action: 'ENROLL_SUCCESS',
+        details: { eventName: event.name, courseTitle: masterCourse.title, ip: req.ip }
+      }], { session });
+      enrolledCourseTitle = masterCourse.title;
     });
 
-    res.json({ success: true, message: `Enrolled successfully in ${masterCourse.title}!` });
+    res.json({ success: true, message: `Enrolled successfully in ${enrolledCourseTitle}!` });
 
   } catch (err) {
     await ActivityLog.create({
@@ -142,29 +191,289 @@ router.post('/:eventId/courses/:courseId/slots/:slotId/enroll', authMiddleware,
             ip: req.ip 
         }
     });
-    return sendErrorResponse(res, 400, err.message);
+    return sendErrorResponse(res, err.statusCode || 400, err.message, err.details || (err.reason ? { reason: err.reason } : null));
+  } finally {
+    session.endSession();
+  }
+});
+
+// POST /api/events/:eventId/courses/:courseId/slots/:slotId/waitlist - Join the waitlist of a full slot
+router.post('/:eventId/courses/:courseId/slots/:slotId/waitlist', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  const { eventId, courseId, slotId } = req.params;
+  const studentId = req.user.id;
+
+  try {
+    // The capacity check, the join and the position all come from one transaction, so a seat freed
+    // meanwhile makes the join retry (and refuse) instead of queueing behind a free seat.
+    const joined = await runInTransaction(async (session) => {
+      const student = await User.findById(studentId).session(session);
+      if (!student) throw new Error('Student not found.');
+      const event = await Event.findById(eventId).populate('courses.course').session(session);
+      if (!event || !isEventOpenFor(event, student)) throw new Error('Event not found or is closed.');
+      if (event.isViewOnly) throw new Error('This event is in view-only mode.');
+      assertFirstComeMode(event);
+      const offering = (event.courses || []).find(c => c._id.equals(courseId));
+      if (!offering || !offering.course) throw new Error('Course offering not found in this event.');
+      const slot = (offering.slots || []).find(s => String(s.id) === slotId);
+      if (!slot || !slot.isActive) throw new Error('This slot is not active.');
+
+      if ((slot.enrolled || []).some(id => id.equals(studentId))) throw new Error('You are already enrolled in this slot.');
+      if ((slot.enrolled || []).length < slot.maxCapacity) throw new Error('This slot still has seats. Enroll directly instead.');
+      if (getWaitlistPosition(slot, studentId)) throw new Error('You are already on the waitlist for this slot.');
+
+      const eligibility = await checkEnrollmentEligibility({ event, course: offering.course, student, session, slot });
+      if (!eligibility.eligible) {
+        const err = new Error(eligibility.message);
+        err.statusCode = 403;
+        err.reason = eligibility.reason;
+        if (eligibility.clash) err.details = { reason: eligibility.reason, clash: eligibility.clash };
+        throw err;
+      }
+
+      slot.waitlist.push({ user: student._id, joinedAt: new Date() });
+      await ActivityLog.create([{
+        user: student._id,
+        username: student.username,
+        action: 'WAITLIST_JOIN',
+        details: { event: event._id, eventName: event.name, courseTitle: offering.course.title, slotNumericId: slot.id, ip: req.ip }
+      }], { session });
+      // Only reachable if a seat opened without promotion running; fill it now rather than leave it.
+      const promoted = slot.enrolled.length < slot.maxCapacity ? await promoteSlotWaitlist({ event, offering, slot, session, ip: req.ip }) : [];
+      await event.save({ session });
+      return { courseTitle: offering.course.title, position: getWaitlistPosition(slot, studentId), promoted: promoted.some(p => String(p.userId) === String(studentId)) };
+    });
+
+    if (joined.promoted) return res.json({ success: true, message: `A seat opened up: you are enrolled in ${joined.courseTitle}.`, data: { position: null, enrolled: true } });
+    res.json({ success: true, message: `Added to the waitlist for ${joined.courseTitle} at position ${joined.position}.`, data: { position: joined.position } });
+  } catch (err) {
+    return sendErrorResponse(res, err.statusCode || 400, err.message, err.details || (err.reason ? { reason: err.reason } : null));
   }
 });
 
+// DELETE /api/events/:eventId/courses/:courseId/slots/:slotId/waitlist - Leave a slot's waitlist
+router.delete('/:eventId/courses/:courseId/slots/:slotId/waitlist', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  try {
+    const { eventId, courseId, slotId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(eventId) || !mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid ID.');
+    const event = await Event.findById(eventId).populate('courses.course', 'title');
+    if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+    const offering = event.courses.id(courseId);
+    if (!offering) return sendErrorResponse(res, 404, 'Course offering not found in this event.');
+
+    const updateResult = await Event.updateOne(
+      { _id: eventId },
+      { $pull: { 'courses.$[courseElem].slots.$[slotElem].waitlist': { user: req.user._id } } },
+      { arrayFilters: [ { 'courseElem._id': offering._id }, { 'slotElem.id': Number(slotId) } ] }
+    );
+    if (updateResult.modifiedCount === 0) return sendErrorResponse(res, 404, 'You are not on the waitlist for this slot.');
+
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'WAITLIST_LEAVE',
+      details: { event: event._id, eventName: event.name, courseTitle: offering.course?.title, slotNumericId: Number(slotId), ip: req.ip }
+    });
+    res.json({ success: true, message: 'You have left the waitlist.' });
+  } catch (err) { next(err); }
+});
+
+// Students may change their own enrollments until the event's drop deadline (if one is set).
+const assertSelfServiceChangesAllowed = (event) => {
+  if (event.isViewOnly) throw new Error('This event is in view-only mode.');
+  if (event.dropDeadline && new Date() > event.dropDeadline) throw new Error('The drop deadline for this event has passed.');
+};
+
+// POST /api/events/:eventId/courses/:courseId/drop - Student drops one of their own enrollments
+router.post('/:eventId/courses/:courseId/drop', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  const { eventId, courseId } = req.params; // courseId here is the OFFERING ID
+  const studentId = req.user.id;
+  try {
+    const droppedCourseTitle = await runInTransaction(async (session) => {
+      const student = await User.findById(studentId).session(session);
+      if (!student) throw new Error('Student not found.');
+      const event = await Event.findById(eventId).populate('courses.course').session(session);
+      if (!event) throw new Error('Event not found.');
+      assertSelfServiceChangesAllowed(event);
+
+      const offering = (event.courses || []).find(c => c._id.equals(courseId));
+      if (!offering || !offering.course) throw new Error('Course offering not found in this event.');
+
+      if (!removeEnrollment({ event, offering, student })) throw new Error('You are not enrolled in this course.');
+
+      await student.save({ session });
+      await promoteEventWaitlists({ event, session, ip: req.ip });
+      await event.save({ session });
+      await ActivityLog.create([{
+        user: student._id,
+        username: student.username,
+        action: 'ENROLL_DROP',
+        details: { event: event._id, eventName: event.name, courseTitle: offering.course.title, ip: req.ip }
+      }], { session });
+      return offering.course.title;
+    });
+
+    res.json({ success: true, message: `You have dropped ${droppedCourseTitle}.` });
+  } catch (err) {
+    return sendErrorResponse(res, err.statusCode || 400, err.message, err.details || (err.reason ? { reason: err.reason } : null));
+  }
+});
+
+// POST /api/events/:eventId/swap - Atomically move the student from one offering/slot to another.
+// Body: { fromCourseId, toCourseId, toSlotId } (offering IDs and the target slot's numeric id).
+// Everything runs in one transaction, so a full or ineligible target leaves the original seat untouched.
+router.post('/:eventId/swap', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  const { eventId } = req.params;
+  const { fromCourseId, toCourseId, toSlotId } = req.body;
+  const studentId = req.user.id;
+  try {
+    if (!fromCourseId || !toCourseId || toSlotId === undefined) throw new Error('fromCourseId, toCourseId and toSlotId are required.');
+    const moved = await runInTransaction(async (session) => {
+      const student = await User.findById(studentId).session(session);
+      const event = await Event.findById(eventId).populate('courses.course').session(session);
+      if (!student) throw new Error('Student not found.');
+      if (!event || !isEventOpenFor(event, student)) throw new Error('Event not found or is closed.');
+      assertSelfServiceChangesAllowed(event);
+      assertFirstComeMode(event);
+
+      const fromOffering = (event.courses || []).find(c => c._id.equals(fromCourseId));
+      const toOffering = (event.courses || []).find(c => c._id.equals(toCourseId));
+      if (!fromOffering || !fromOffering.course || !toOffering || !toOffering.course) throw new Error('Course offering not found in this event.');
+
+      const fromSlot = (fromOffering.slots || []).find(s => (s.enrolled || []).some(id => id.equals(studentId)));
+      if (!fromSlot) throw new Error(`You are not enrolled in ${fromOffering.course.title}.`);
+      const toSlot = (toOffering.slots || []).find(s => String(s.id) === String(toSlotId));
+      if (!toSlot || !toSlot.isActive) throw new Error('The target slot is not active.');
+      if (toSlot === fromSlot) throw new Error('You are already in this slot.');
+      if ((toSlot.enrolled || []).length >= toSlot.maxCapacity) throw new Error('The target slot is full. Your current enrollment was kept.');
+
+      const isCourseChange = !fromOffering.course._id.equals(toOffering.course._id);
+      const remaining = (student.enrollments || []).filter(e => !(e.eventId.equals(event._id) && e.courseId.equals(fromOffering.course._id)));
+      await assertTimeClashEligibility({ slot: toSlot, student, events: [event], session, ignoreOfferingIds: [fromOffering._id] });
+      if (isCourseChange) {
+        // Judge the target as if the old course were already dropped, so swapping within an exclusive group works.
+        const eligibility = await checkEnrollmentEligibility({ event, course: toOffering.course, student: { ...student.toObject(), enrollments: remaining }, session });
+        if (!eligibility.eligible) {
+          const err = new Error(eligibility.message);
+          err.statusCode = 403;
+          err.reason = eligibility.reason;
+          throw err;
+        }
+      }
+
+      if (isCourseChange) {
+        removeEnrollment({ event, offering: fromOffering, student });
+        addEnrollment({ event, offering: toOffering, slot: toSlot, student });
+      } else {
+        moveSeat({ fromSlot, toSlot, student });
+      }
+
+      await student.save({ session });
+      await promoteEventWaitlists({ event, session, ip: req.ip });
+      await event.save({ session });
+      await ActivityLog.create([{
+        user: student._id,
+        username: student.username,
+        action: 'ENROLL_SWAP',
+        details: { event: event._id, eventName: event.name, previousCourseTitle: fromOffering.course.title, courseTitle: toOffering.course.title, slotNumericId: toSlot.id, ip: req.ip }
+      }], { session });
+      return { from: fromOffering.course.title, to: toOffering.course.title };
+    });
+
+    res.json({ success: true, message: `Moved from ${moved.from} to ${moved.to}.` });
+  } catch (err) {
+    return sendErrorResponse(res, err.statusCode || 400, err.message, err.details || (err.reason ? { reason: err.reason } : null));
+  }
+});
+
+// PUT /api/events/:eventId/preferences - Submit or replace the student's ranking for a ranked event.
+// Body: { rankings: [offeringId, ...] } with the most wanted offering first; an empty list withdraws it.
+router.put('/:eventId/preferences', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  const { eventId } = req.params;
+  const { rankings } = req.body;
+  const studentId = req.user.id;
+  try {
+    if (!Array.isArray(rankings)) throw new Error('rankings must be a list of course offering IDs.');
+    const [student, event] = await Promise.all([
+      User.findById(studentId),
+      Event.findById(eventId).populate('courses.course', 'title')
+    ]);
+    if (!student) throw new Error('Student not found.');
+    if (!event || !isEventOpenFor(event, student)) throw new Error('Event not found or is closed.');
+    if (event.isViewOnly) throw new Error('This event is in view-only mode.');
+    if (event.enrollmentMode !== 'ranked') throw new Error('This event does not use ranked preferences.');
+    if (event.allocation && event.allocation.committedAt) throw new Error('Seats for this event have already been allocated.');
+    assertEventEligibility(event, student);
+
+    const offeringIds = rankings.map(String);
+    if (new Set(offeringIds).size !== offeringIds.length) throw new Error('Each course can only be ranked once.');
+    const unknown = offeringIds.filter(id => !(event.courses || []).some(c => c._id.equals(id) && c.course));
+    if (unknown.length > 0) throw new Error('Some ranked courses are not part of this event.');
+
+    if (offeringIds.length === 0) {
+      await Preference.deleteOne({ event: event._id, user: student._id });
+    } else {
+      await Preference.findOneAndUpdate(
+        { event: event._id, user: student._id },
+        { $set: { rankings: offeringIds } },
+        { upsert: true, new: true, runValidators: true }
+      );
+    }
+    const rankedTitles = offeringIds.map(id => event.courses.id(id).course.title);
+    await ActivityLog.create({
+      user: student._id,
+      username: student.username,
+      action: 'PREFERENCES_SUBMITTED',
+      details: { event: event._id, eventName: event.name, courseTitle: rankedTitles.join(' > ') || 'Withdrawn', ip: req.ip }
+    });
+
+    res.json({ success: true, message: offeringIds.length > 0 ? `Your ranking of ${offeringIds.length} course(s) was saved.` : 'Your ranking was withdrawn.', data: { rankings: offeringIds } });
+  } catch (err) {
+    return sendErrorResponse(res, err.statusCode || 400, err.message, err.details || (err.reason ? { reason: err.reason } : null));
+  }
+});
+
+// POST /api/events/attendance/check-in - Check in to the current session with the code shown there
+router.post('/attendance/check-in', authMiddleware, authorizeRoles('student'), async (req, res, next) => {
+  try {
+    const student = await User.findById(req.user.id).select('username');
+    if (!student) return sendErrorResponse(res, 404, 'Student not found.');
+    const recentFailures = await ActivityLog.countDocuments({ user: student._id, action: 'ATTENDANCE_CHECK_IN_FAIL', createdAt: { $gte: new Date(Date.now() - CHECK_IN_FAILURE_WINDOW_MS) } });
+    if (recentFailures >= MAX_FAILED_CHECK_INS) return sendErrorResponse(res, 429, 'Too many wrong codes. Ask the instructor to mark your attendance.');
+
+    let checkedIn;
+    try {
+      checkedIn = await checkInWithCode({ student, code: req.body.code });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      await ActivityLog.create({ user: student._id, username: student.username, action: 'ATTENDANCE_CHECK_IN_FAIL', details: { errorMessage: err.message, ip: req.ip } });
+      return sendErrorResponse(res, err.statusCode, err.message);
+    }
+    await ActivityLog.create(checkedIn.map(c => ({ user: student._id, username: student.username, action: 'ATTENDANCE_CHECK_IN', details: { event: c.eventId, eventName: c.eventName, courseTitle: c.courseTitle, ip: req.ip } })));
+    const titles = checkedIn.map(c => c.courseTitle).join(', ');
+    const message = checkedIn.every(c => c.alreadyRecorded) ? `Your attendance for ${titles} was already recorded.` : `Checked in to ${titles}.`;
+    res.json({ success: true, message, data: checkedIn });
+  } catch (err) { next(err); }
+});
+
 // =========================================================================
 // --- ADMIN-FACING ROUTES ---
 // =========================================================================
-router.get('/all', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/all', authMiddleware, authorizePermission('events:read'), async (req, res, next) => {
     try {
-        let events = await Event.find().populate({ path: 'courses.course', model: 'Course', select: 'title' }).sort({ createdAt: -1 }).lean();
+        let events = await Event.find(eventScopeFilter(req.user, req.permissionScope)).populate({ path: 'courses.course', model: 'Course', select: 'title' }).sort({ createdAt: -1 }).lean();
         events = events.map(event => {
             const processedCourses = (event.courses || []).map(offering => {
                 let totalEnrolled = (offering.slots || []).reduce((sum, slot) => sum + (slot.enrolled || []).length, 0);
                 let totalCapacity = (offering.slots || []).reduce((sum, slot) => sum + (slot.maxCapacity || 0), 0);
                 return { ...offering, totalEnrolled, totalCapacity };
             });
-            return { ...event, courses: processedCourses };
+            return { ...event, courses: processedCourses, schedule: getOpenState(event, null) };
         });
         res.json({ success: true, data: events });
     } catch(err) { next(err); }
 });
 
-router.get('/activity-logs', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/activity-logs', authMiddleware, authorizePermission('logs:read'), async (req, res, next) => {
     try {
         const page = parseInt(req.query.page, 10) || 1;
         const limit = parseInt(req.query.limit, 10) || 15;
@@ -178,7 +487,7 @@ router.get('/activity-logs', authMiddleware, authorizeRoles('admin'), async (req
     } catch (err) { next(err); }
 });
 
-router.get('/activity-logs/download', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/activity-logs/download', authMiddleware, authorizePermission('logs:read'), async (req, res, next) => {
     try {
         const filter = {};
         if (req.query.username) { filter.username = { $regex: req.query.username, $options: 'i' }; }
@@ -186,34 +495,140 @@ router.get('/activity-logs/download', authMiddleware, authorizeRoles('admin'), a
         const logs = await ActivityLog.find(filter).sort({ createdAt: -1 }).populate('user', 'name department').lean();
         if (logs.length === 0) return res.setHeader('Content-Type', 'text/csv; charset=utf-8').setHeader('Content-Disposition', 'attachment; filename="activity_logs_empty.csv"').status(200).send("Timestamp,Action,Username,User Name,User Department,Details\r\nNo data.");
         const headers = ['Timestamp','Action','Username','User Name','User Department','Details'];
-        const csvString = [ headers.join(','), ...logs.map(log => { const d=[]; if(log.details){if(log.details.ip)d.push(`IP: ${log.details.ip}`);if(log.details.eventName)d.push(`Event: ${log.details.eventName}`);if(log.details.courseTitle)d.push(`Course: ${log.details.courseTitle}`);if(log.details.errorMessage)d.push(`Error: ${log.details.errorMessage}`);} return [new Date(log.createdAt).toLocaleString(),log.action,log.username,log.user?log.user.name:'N/A',log.user?(log.user.department||'N/A'):'N/A',d.join('; ')].map(escapeCsvField).join(','); })].join('\r\n');
+        const csvString = [ headers.join(','), ...logs.map(log => { const d=[]; if(log.details){if(log.details.ip)d.push(`IP: ${log.details.ip}`);if(log.details.eventName)d.push(`Event: ${log.details.eventName}`);if(log.details.previousCourseTitle)d.push(`From: ${log.details.previousCourseTitle}`);if(log.details.courseTitle)d.push(`Course: ${log.details.courseTitle}`);if(log.details.targetUsername)d.push(`Account: ${log.details.targetUsername}`);if(log.details.change)d.push(`Change: ${log.details.change}`);if(log.details.errorMessage)d.push(`Error: ${log.details.errorMessage}`);} return [new Date(log.createdAt).toLocaleString(),log.action,log.username,log.user?log.user.name:'N/A',log.user?(log.user.department||'N/A'):'N/A',d.join('; ')].map(escapeCsvField).join(','); })].join('\r\n');
         res.setHeader('Content-Type', 'text/csv; charset=utf-8').setHeader('Content-Disposition', 'attachment; filename="activity_logs.csv"').status(200).send(csvString);
     } catch (err) { next(err); }
 });
 
-router.get('/enrollment-summary/by-department', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// GET /api/events/schedule/upcoming?days=7 - Preview scheduled windows that open in the next few days
+router.get('/schedule/upcoming', authMiddleware, authorizePermission('events:read'), async (req, res, next) => {
     try {
-      const distinctDeptsFromUsers = await User.distinct("department", { department: { $ne: null, $ne: "" } });
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+        const from = new Date();
+        const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+        const events = await Event.find({ ...eventScopeFilter(req.user, req.permissionScope), $or: [ { opensAt: { $gte: from, $lte: to } }, { 'scheduleOverrides.opensAt': { $gte: from, $lte: to } } ] }).select('name opensAt closesAt scheduleOverrides').lean();
+        const upcoming = events
+            .flatMap(event => listWindowsOpeningBetween(event, from, to).map(w => ({ eventId: event._id, eventName: event.name, ...w })))
+            .sort((a, b) => new Date(a.opensAt) - new Date(b.opensAt));
+        res.json({ success: true, data: { days, from, to, upcoming } });
+    } catch (err) { next(err); }
+});
+
+// GET /api/events/admin/consistency?eventId= - Report drift between slot rosters and User.enrollments
+router.get('/admin/consistency', authMiddleware, authorizePermission('system:maintain'), async (req, res, next) => {
+    try {
+        const { eventId } = req.query;
+        if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const report = await checkConsistency({ eventId });
+        res.json({ success: true, data: report });
+    } catch (err) { next(err); }
+});
+
+// POST /api/events/admin/consistency/repair - Re-check and fix all drift in one transaction.
+// Body: { eventId? } to limit the repair to one event.
+router.post('/admin/consistency/repair', authMiddleware, authorizePermission('system:maintain'), async (req, res, next) => {
+    try {
+        const { eventId } = req.body;
+        if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const result = await runInTransaction(session => repairConsistency({ eventId, session }));
+        res.json({ success: true, message: result.fixes.length > 0 ? `Repaired ${result.fixes.length} issue(s).` : 'No drift found; nothing to repair.', data: result });
+    } catch (err) { next(err); }
+});
+
+router.get('/enrollment-summary/by-department', authMiddleware, authorizePermission('reports:read'), async (req, res, next) => {
+    try {
+      const distinctDeptsFromUsers = await User.distinct("department", { ...studentScopeFilter(req.user, req.permissionScope), department: { $ne: null, $ne: "" } });
       res.json({ success: true, data: { distinctDepartments: distinctDeptsFromUsers.sort() } });
     } catch (err) { next(err); }
 });
 
-router.get('/:eventId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// GET /api/events/trash - Events in the trash, with the date each one will be purged
+router.get('/trash', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const events = await Event.find({ ...eventScopeFilter(req.user, req.permissionScope), ...IN_TRASH })
+            .select('name department courses.slots.enrolled deletedAt deletedBy')
+            .populate({ path: 'deletedBy', select: 'username name', options: { withDeleted: true } })
+            .sort({ deletedAt: -1 }).lean();
+        const data = events.map(({ courses, ...event }) => ({
+            ...event,
+            offeringCount: (courses || []).length,
+            seatCount: (courses || []).reduce((sum, o) => sum + (o.slots || []).reduce((n, slot) => n + (slot.enrolled || []).length, 0), 0),
+            purgeAt: purgeDateFor(event.deletedAt),
+        }));
+        res.json({ success: true, data, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (err) { next(err); }
+});
+
+// GET /api/events/rosters?eventId= - Read-only class lists. Faculty see only the offerings they teach,
+// coordinators the events of their department.
+router.get('/rosters', authMiddleware, authorizePermission('rosters:read'), async (req, res, next) => {
+    try {
+        const { eventId } = req.query;
+        if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const filter = eventScopeFilter(req.user, req.permissionScope);
+        if (eventId) filter._id = eventId;
+        const events = await Event.find(filter)
+            .select('name department courses')
+            .populate({ path: 'courses.course', model: 'Course', select: 'title' })
+            .populate({ path: 'courses.instructors', model: 'User', select: 'name username' })
+            .populate({ path: 'courses.slots.enrolled', model: 'User', select: 'name username department semester section' })
+            .populate({ path: 'courses.slots.room', model: 'Venue', select: 'name building' })
+            .sort({ createdAt: -1 }).lean();
+        const rosters = events.map(event => ({
+            _id: event._id,
+            name: event.name,
+            department: event.department,
+            courses: offeringsInScope(req.user, req.permissionScope, event).map(offering => ({
+                _id: offering._id,
+                course: offering.course,
+                instructors: offering.instructors || [],
+                slots: (offering.slots || []).map(slot => ({ _id: slot._id, id: slot.id, time: slot.time, sessions: sessionsOf(slot), room: slot.room || null, maxCapacity: slot.maxCapacity, isActive: slot.isActive, enrolled: slot.enrolled || [] })),
+            })),
+        }));
+        res.json({ success: true, data: rosters });
+    } catch (err) { next(err); }
+});
+
+// GET /api/events/reports/attendance?groupBy=offering|department|student[&eventId=][&format=csv] - Attendance
+// totals per offering, per department or per student and offering
+router.get('/reports/attendance', authMiddleware, authorizePermission('reports:read'), async (req, res, next) => {
+    try {
+        const { eventId, groupBy = 'offering', format } = req.query;
+        if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const filter = eventScopeFilter(req.user, req.permissionScope);
+        if (eventId) filter._id = eventId;
+        const events = await Event.find(filter).select('name courses').populate({ path: 'courses.course', model: 'Course', select: 'title' }).lean();
+        const rows = await loadAttendanceRows({ events, user: req.user, scope: req.permissionScope, studentFilter: studentScopeFilter(req.user, req.permissionScope) });
+        const report = summarizeAttendance(rows, groupBy);
+        if (format !== 'csv') return res.json({ success: true, data: report });
+
+        const columns = ATTENDANCE_REPORT_COLUMNS[groupBy];
+        const formatValue = (row, key) => (key === 'slotTime' && row[key] ? new Date(row[key]).toLocaleString() : row[key]);
+        const csvRows = report.map(row => columns.map(c => escapeCsvField(formatValue(row, c.key))).join(','));
+        const csvString = [columns.map(c => c.header).join(','), ...csvRows].join('\r\n');
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8').setHeader('Content-Disposition', `attachment; filename="attendance_by_${groupBy}.csv"`).status(200).send(csvString);
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+        next(err);
+    }
+});
+
+router.get('/:eventId', authMiddleware, authorizePermission('events:read'), async (req, res, next) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
-        const event = await Event.findById(req.params.eventId).populate('courses.course').lean();
+        const event = await Event.findOne({ _id: req.params.eventId, ...eventScopeFilter(req.user, req.permissionScope) }).populate('courses.course').populate({ path: 'courses.slots.room', model: 'Venue', select: 'name building capacity' }).lean();
         if (!event) return sendErrorResponse(res, 404, 'Event not found.');
         res.json({ success: true, data: event });
     } catch(err) { next(err); }
 });
 
-router.get('/:eventId/enrollment-status-by-department', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/:eventId/enrollment-status-by-department', authMiddleware, authorizePermission('reports:read'), async (req, res, next) => {
     try {
         const { eventId } = req.params;
         if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
-        const event = await Event.findById(eventId).select('name').lean();
+        const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).select('name').lean();
         if (!event) return sendErrorResponse(res, 404, 'Event not found.');
-        const allStudents = await User.find({ role: 'student' }).select('department enrollments').lean();
+        const allStudents = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), role: 'student' }).select('department enrollments').lean();
         if (allStudents.length === 0) return res.json({ success: true, data: { eventName: event.name, departmentalStatus: [] } });
         const statsByDept = allStudents.reduce((acc, student) => {
             const dept = student.department || 'N/A';
@@ -227,23 +642,29 @@ router.get('/:eventId/enrollment-status-by-department', authMiddleware, authoriz
     } catch (err) { next(err); }
 });
 
-router.post('/', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { name, maxCoursesPerStudent } = req.body;
         if (!name?.trim()) return sendErrorResponse(res, 400, 'Event name required.');
-        if (await Event.findOne({ name: name.trim() })) return sendErrorResponse(res, 400, 'Event name exists.');
-        const event = new Event({ name: name.trim(), isOpen: false, maxCoursesPerStudent });
+        const sameName = await Event.findOne({ name: name.trim() }).setOptions({ withDeleted: true }).select('deletedAt').lean();
+        if (sameName) return sendErrorResponse(res, 400, sameName.deletedAt ? 'An event with this name is in the trash. Restore it or choose another name.' : 'Event name exists.');
+        // Department-scoped callers always create events for their own department.
+        const department = req.permissionScope === SCOPES.ALL ? (req.body.department?.trim() || null) : req.user.department;
+        const event = new Event({ name: name.trim(), isOpen: false, maxCoursesPerStudent, department });
         await event.save();
         res.status(201).json({ success: true, data: event });
     } catch (err) { next(err); }
 });
 
 // PUT /api/events/:eventId
-router.put('/:eventId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.put('/:eventId', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { eventId } = req.params;
-        const { name, isOpen, maxCoursesPerStudent, allowedDepartments, allowedSemesters, allowedSections, isViewOnly } = req.body;
+        const { name, isOpen, maxCoursesPerStudent, allowedDepartments, allowedSemesters, allowedSections, isViewOnly, dropDeadline, opensAt, closesAt, scheduleOverrides, enrollmentMode, prerequisitePolicy, department } = req.body;
         if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid ID.');
+        if (department !== undefined && req.permissionScope !== SCOPES.ALL) return sendErrorResponse(res, 403, 'Only administrators can move an event to another department.');
+        const windowError = validateWindow({ opensAt, closesAt }) || (Array.isArray(scheduleOverrides) ? scheduleOverrides.map(validateWindow).find(Boolean) : null);
+        if (windowError) return sendErrorResponse(res, 400, windowError);
         const updateFields = {};
         if (name !== undefined) updateFields.name = name.trim();
         if (isOpen !== undefined) updateFields.isOpen = isOpen;
@@ -252,98 +673,202 @@ router.put('/:eventId', authMiddleware, authorizeRoles('admin'), async (req, res
         if (allowedDepartments !== undefined) updateFields.allowedDepartments = allowedDepartments;
         if (allowedSemesters !== undefined) updateFields.allowedSemesters = allowedSemesters;
         if (allowedSections !== undefined) updateFields.allowedSections = allowedSections;
-        const updatedEvent = await Event.findByIdAndUpdate(eventId, { $set: updateFields }, { new: true, runValidators: true, lean: true }).populate({ path: 'courses.course', model: 'Course', select: 'title' });
+        if (dropDeadline !== undefined) updateFields.dropDeadline = dropDeadline || null;
+        if (opensAt !== undefined) updateFields.opensAt = opensAt || null;
+        if (closesAt !== undefined) updateFields.closesAt = closesAt || null;
+        if (scheduleOverrides !== undefined) updateFields.scheduleOverrides = scheduleOverrides;
+        if (enrollmentMode !== undefined) updateFields.enrollmentMode = enrollmentMode;
+        if (prerequisitePolicy !== undefined) updateFields.prerequisitePolicy = prerequisitePolicy;
+        if (department !== undefined) updateFields.department = department?.trim() || null;
+        const updatedEvent = await Event.findOneAndUpdate({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }, { $set: updateFields }, { new: true, runValidators: true, lean: true }).populate({ path: 'courses.course', model: 'Course', select: 'title' });
         if (!updatedEvent) return sendErrorResponse(res, 404, 'Event not found.');
         const processedCourses = (updatedEvent.courses || []).map(offering => {
             let totalEnrolled = (offering.slots || []).reduce((sum, slot) => sum + (slot.enrolled || []).length, 0);
             let totalCapacity = (offering.slots || []).reduce((sum, slot) => sum + (slot.maxCapacity || 0), 0);
             return { ...offering, totalEnrolled, totalCapacity };
         });
-        const finalEventData = { ...updatedEvent, courses: processedCourses };
+        const finalEventData = { ...updatedEvent, courses: processedCourses, schedule: getOpenState(updatedEvent, null) };
         res.json({success:true, message:'Event updated successfully.', data: finalEventData});
     } catch (err) { next(err); }
 });
 
-// DELETE /api/events/:eventId
-router.delete('/:eventId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// DELETE /api/events/:eventId - Move an event to the trash. Its rosters are kept for a restore.
+router.delete('/:eventId', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { eventId } = req.params;
-        const eventToDelete = await Event.findByIdAndDelete(eventId);
+        if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        if (!(await Event.exists({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }))) return sendErrorResponse(res, 404, 'Event not found.');
+        const { event: eventToDelete, unenrolled } = await runInTransaction(session => trashEvent({ eventId, deletedBy: req.user._id, session }));
         if (!eventToDelete) return sendErrorResponse(res, 404, 'Event not found.');
-        await User.updateMany({"enrollments.eventId": eventId}, {$pull: {enrollments: {eventId: eventId}}});
-        res.json({ success: true, message: `Event "${eventToDelete.name}" deleted.` });
+        res.json({ success: true, message: `Event "${eventToDelete.name}" moved to the trash. ${unenrolled} student(s) un-enrolled; restoring it within ${TRASH_RETENTION_DAYS} days gives their seats back.` });
+    } catch (err) { next(err); }
+});
+
+// POST /api/events/:eventId/restore - Bring an event back from the trash and rebuild enrollments from its rosters
+router.post('/:eventId/restore', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const { eventId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        if (!(await Event.exists({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope), ...IN_TRASH }))) return sendErrorResponse(res, 404, 'No event with this ID is in the trash.');
+        const result = await runInTransaction(session => restoreEvent({ eventId, session }));
+        if (!result) return sendErrorResponse(res, 404, 'No event with this ID is in the trash.');
+        const message = `Event "${result.event.name}" restored with ${result.restoredSeats} enrollment(s).${result.dropped.length > 0 ? ` ${result.dropped.length} seat(s) could not be restored.` : ''}`;
+        res.json({ success: true, message, data: { restoredSeats: result.restoredSeats, dropped: result.dropped } });
     } catch (err) { next(err); }
 });
 
 
+// POST /api/events/:eventId/allocation/preview - Dry run of the ranked allocation; writes nothing.
+// Body: { tieBreak: 'lottery' | 'seniority', seed? }. The returned seed makes the lottery repeatable.
+router.post('/:eventId/allocation/preview', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const { eventId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).populate({ path: 'courses.course', populate: { path: 'prerequisites', select: 'title' } });
+        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        assertAllocatable(event);
+        const { tieBreak, seed } = normalizeAllocationOptions(req.body);
+        const plan = await buildAllocationPlan({ event, tieBreak, seed });
+        res.json({ success: true, data: plan });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+        next(err);
+    }
+});
+
+// POST /api/events/:eventId/allocation/commit - Re-run the allocation inside a transaction and write
+// the enrollments. Pass the preview's tieBreak and seed to commit exactly what was previewed.
+router.post('/:eventId/allocation/commit', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    const { eventId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).populate({ path: 'courses.course', populate: { path: 'prerequisites', select: 'title' } }).session(session);
+        if (!event) {
+            const err = new Error('Event not found.');
+            err.statusCode = 404;
+            throw err;
+        }
+        assertAllocatable(event);
+        const { tieBreak, seed } = normalizeAllocationOptions(req.body);
+        const plan = await buildAllocationPlan({ event, tieBreak, seed, session });
+        await applyAllocationPlan({ event, plan, session, adminId: req.user.id, ip: req.ip });
+        await event.save({ session });
+        await session.commitTransaction();
+        res.json({ success: true, message: `Allocation committed: ${plan.totals.seatsAssigned} seat(s) assigned to ${plan.totals.studentsAssigned} student(s).`, data: plan });
+    } catch (err) {
+        await session.abortTransaction();
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+        next(err);
+    } finally {
+        session.endSession();
+    }
+});
+
 // =========================================================================
 // --- COURSE OFFERING MANAGEMENT ROUTES (NOW CONSISTENT) ---
 // =========================================================================
 
+// Room and instructor clashes block a save unless the admin passed allowClashes; either way they
+// are listed so they can be fixed (see services/resources.js).
+const clashError = (clashes) => ({ status: 409, error: `This schedule has ${clashes.length} room or instructor clash(es). Fix them or save again to accept them.`, details: { clashes } });
+
 // POST /api/events/:eventId/courses - Add a new course offering to an event
-router.post('/:eventId/courses', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/:eventId/courses', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { eventId } = req.params;
-        const { course: courseId, slots } = req.body;
+        const { course: courseId, slots, allowClashes } = req.body;
         if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Valid course required.');
-        const event = await Event.findById(eventId);
+        if (!(await Course.exists({ _id: courseId, deletedAt: null }))) return sendErrorResponse(res, 404, 'Course not found in the catalog.');
+        const instructors = await resolveInstructors(req.body.instructors);
+        const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) });
         if (!event) return sendErrorResponse(res, 404, 'Event not found.');
         if((event.courses||[]).some(o=>o.course.toString()===courseId)) return sendErrorResponse(res, 400, 'Course already in event.');
-        const offering = { course: courseId, slots };
+        const offering = { course: courseId, slots: [], instructors: instructors || [] };
+        // Same slot checks as an edit, so new slots get sequential ids and a checked schedule.
+        updateOfferingSlots({ offering, slots: Array.isArray(slots) ? slots : [] });
+        await assertSlotResources({ offering });
         event.courses.push(offering);
+        const clashes = await findOfferingClashes({ event, offering: event.courses[event.courses.length - 1] });
+        if (clashes.length > 0 && !allowClashes) {
+            const { status, error, details } = clashError(clashes);
+            return sendErrorResponse(res, status, error, details);
+        }
         await event.save();
         
         // Populate the new offering before sending it back to the client
         const populatedEvent = await Event.findById(eventId).populate('courses.course');
         const createdOffering = populatedEvent.courses.find(c => c.course._id.toString() === courseId);
 
-        res.status(201).json({success:true, message:'Course offering added.', data:createdOffering});
-    } catch(err){next(err);}
+        res.status(201).json({success:true, message:'Course offering added.', data:createdOffering, clashes});
+    } catch(err){
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        next(err);
+    }
 });
 
 // PUT /api/events/:eventId/courses/:offeringId - Update an existing course offering
-router.put('/:eventId/courses/:offeringId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.put('/:eventId/courses/:offeringId', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { eventId, offeringId } = req.params;
-        const { slots } = req.body;
+        const { slots, allowClashes } = req.body;
         if (!slots || !Array.isArray(slots)) return sendErrorResponse(res, 400, 'Slots data is missing or invalid.');
+        const instructors = await resolveInstructors(req.body.instructors);
         
-        const event = await Event.findById(eventId);
-        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
-        
-        const offering = event.courses.id(offeringId);
-        if (!offering) return sendErrorResponse(res, 404, 'Offering not found.');
-        
-        // Overwrite the slots array
-        offering.slots = slots;
-        await event.save();
+        const result = await runInTransaction(async (session) => {
+            const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).session(session);
+            if (!event) return { status: 404, error: 'Event not found.' };
+            const offering = event.courses.id(offeringId);
+            if (!offering) return { status: 404, error: 'Offering not found.' };
+            if (instructors) offering.instructors = instructors;
+
+            // Rosters are kept from the server copy; schedule, room, instructors, capacity and active
+            // state come from the client.
+            updateOfferingSlots({ offering, slots });
+            await assertSlotResources({ offering, session });
+            const clashes = await findOfferingClashes({ event, offering, session });
+            if (clashes.length > 0 && !allowClashes) return clashError(clashes);
+            // A capacity increase (or re-activated slot) can open seats for waitlisted students.
+            const promoted = await promoteEventWaitlists({ event, session, ip: req.ip });
+            await event.save({ session });
+            return { offering, promoted, clashes };
+        });
+        if (result.error) return sendErrorResponse(res, result.status, result.error, result.details);
+        const { offering, promoted, clashes } = result;
         
-        res.json({ success: true, message: 'Course offering updated successfully.', data: offering });
-    } catch(err) { next(err); }
+        const message = promoted.length > 0 ? `Course offering updated. ${promoted.length} waitlisted student(s) promoted.` : 'Course offering updated successfully.';
+        res.json({ success: true, message, data: offering, promoted, clashes });
+    } catch(err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        next(err);
+    }
 });
 
 // DELETE /api/events/:eventId/courses/:offeringId - Delete a course offering
-router.delete('/:eventId/courses/:offeringId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.delete('/:eventId/courses/:offeringId', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
     try {
         const { eventId, offeringId } = req.params;
-        const event = await Event.findById(eventId);
-        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
-        
-        const offering = event.courses.id(offeringId);
-        if(!offering) return sendErrorResponse(res, 404, 'Offering not found.');
-        
-        // Un-enroll any users from this specific course in this specific event
-        await User.updateMany({}, {$pull:{enrollments:{eventId: eventId, courseId: offering.course}}});
-        
-        // Remove the offering from the event's courses array
-        event.courses.pull({_id: offeringId});
-        await event.save();
+        const result = await runInTransaction(async (session) => {
+            const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).session(session);
+            if (!event) return { status: 404, error: 'Event not found.' };
+            const offering = event.courses.id(offeringId);
+            if (!offering) return { status: 404, error: 'Offering not found.' };
+
+            // Un-enrolls everyone in this offering and removes it, rosters included.
+            const unenrolled = await removeOffering({ event, offering, session });
+            // Students who lost this course are back under the event limit and may now be promoted elsewhere.
+            const promoted = await promoteEventWaitlists({ event, session, ip: req.ip });
+            await event.save({ session });
+            return { unenrolled, promoted };
+        });
+        if (result.error) return sendErrorResponse(res, result.status, result.error);
         
-        res.json({success:true, message:'Course offering removed successfully.'});
+        res.json({success:true, message:`Course offering removed successfully. ${result.unenrolled} student(s) un-enrolled.`, promoted: result.promoted});
     } catch(err){next(err);}
 });
 
-router.post('/upload-students', authMiddleware, authorizeRoles('admin'), upload.single('csv'), async (req, res, next) => { 
+router.post('/upload-students', authMiddleware, authorizePermission('students:write'), upload.single('csv'), async (req, res, next) => { 
     try {
         if (!req.file) return sendErrorResponse(res, 400, 'No CSV file was uploaded.');
         const csvFileBuffer = req.file.buffer;
@@ -363,15 +888,16 @@ router.post('/upload-students', authMiddleware, authorizeRoles('admin'), upload.
                     const rowIndex = i + 2; 
                     const { username, name, password, department, semester, section } = row;
                     if (!username || !name || !password) { errors.push({ row: rowIndex, student: username || 'N/A', error: 'Missing required fields: username, name, or password.' }); continue; }
+                    if (req.permissionScope !== SCOPES.ALL && department?.trim() && department.trim() !== req.user.department) { errors.push({ row: rowIndex, student: username, error: `Students can only be added to the ${req.user.department} department.` }); continue; }
                     try {
-                        const existingUser = await User.findOne({ username: username.trim().toLowerCase() });
+                        const existingUser = await User.findOne({ username: username.trim().toLowerCase() }).setOptions({ withDeleted: true });
                         if (existingUser) { errors.push({ row: rowIndex, student: username, error: `Username already exists.` }); continue; }
                         const newUser = new User({ 
                             username: username.trim().toLowerCase(), 
                             name: name.trim(), 
                             password, 
                             role: 'student', 
-                            department: department?.trim(), 
+                            department: req.permissionScope === SCOPES.ALL ? department?.trim() : req.user.department, 
                             semester: semester?.trim(), 
                             section: section?.trim() 
                         });
@@ -387,7 +913,7 @@ router.post('/upload-students', authMiddleware, authorizeRoles('admin'), upload.
     } catch(err) { next(err); }
 });
 
-router.post('/download/custom-detailed', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/download/custom-detailed', authMiddleware, authorizePermission('reports:read'), async (req, res, next) => {
     try {
         const { columns, choiceNumber, filters = {} } = req.body;
         if (!Array.isArray(columns) || columns.length === 0) return sendErrorResponse(res, 400, 'Please select at least one column.');
@@ -402,13 +928,17 @@ router.post('/download/custom-detailed', authMiddleware, authorizeRoles('admin')
             semester: { header: 'Semester', getValue: (s) => s.semester || 'N/A' },
             section: { header: 'Section', getValue: (s) => s.section || 'N/A' },
             eventName: { header: 'Event Name', getValue: (s, e) => e.name },
+            attendanceRate: { header: 'Attendance %', getValue: (s, e, enr) => {
+                const rate = enr && attendanceRateByEnrollment.get(`${s._id}:${e._id}:${enr.courseId}`);
+                return rate === undefined || rate === null ? 'N/A' : rate;
+            } },
             nthChoiceTitle: { header: `Choice ${choiceNumber} Title`, getValue: (s, e, enr) => enr ? enr.courseTitle : 'N/A' },
         };
 
         const activeCols = columns.map(key => ({ key, ...columnDefinitions[key] })).filter(d => d.header);
         
         // --- UPDATED: Query now includes semester and section filters ---
-        const studentsQuery = { role: 'student' };
+        const studentsQuery = { ...studentScopeFilter(req.user, req.permissionScope), role: 'student' };
         if (filters.department && filters.department !== 'all') {
             studentsQuery.department = filters.department === 'N/A' ? null : filters.department;
         }
@@ -420,8 +950,13 @@ router.post('/download/custom-detailed', authMiddleware, authorizeRoles('admin')
         }
         
         const students = await User.find(studentsQuery).select('name username department semester section enrollments').lean();
-        const events = await Event.find().lean();
+        const events = await Event.find(eventScopeFilter(req.user, req.permissionScope)).lean();
         const eventMap = new Map(events.map(e => [e._id.toString(), e]));
+        const attendanceRateByEnrollment = new Map();
+        if (columns.includes('attendanceRate')) {
+            const attendanceRows = await loadAttendanceRows({ events, user: req.user, scope: req.permissionScope, studentFilter: studentScopeFilter(req.user, req.permissionScope) });
+            attendanceRows.forEach(row => attendanceRateByEnrollment.set(`${row.student._id}:${row.eventId}:${row.courseId}`, attendanceRate(row)));
+        }
         const reportRows = [];
 
         for (const student of students) {
@@ -449,212 +984,495 @@ router.post('/download/custom-detailed', authMiddleware, authorizeRoles('admin')
     } catch (err) { console.error(`Error generating custom detailed report:`, err.stack); next(err); }
 });
 
-// POST /api/events/admin/enroll
-router.post('/admin/enroll', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// POST /api/events/admin/enroll - Body: { userId, eventId, courseId, slotId? }. Without a slotId the
+// student gets the first active slot with a free seat that fits their timetable.
+router.post('/admin/enroll', authMiddleware, authorizePermission('enrollments:write'), async (req, res, next) => {
     try {
-        const { userId, eventId, courseId } = req.body; // courseId here is the OFFERING ID
-        
-        const [user, event] = await Promise.all([ 
-            User.findById(userId), 
-            Event.findById(eventId).populate('courses.course') // Populate to get master course details
-        ]);
-        if (!user) return sendErrorResponse(res, 404, 'Student not found.');
-        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        const { userId, eventId, courseId, slotId } = req.body; // courseId here is the OFFERING ID
+        if (![userId, eventId, courseId].every(id => mongoose.Types.ObjectId.isValid(id))) return sendErrorResponse(res, 400, 'Invalid student, event or course ID.');
 
-        const offering = (event.courses || []).find(c => c._id.equals(courseId));
-        if (!offering) return sendErrorResponse(res, 404, 'Course offering not found in this event.');
-        
-        const masterCourse = offering.course; // This is the actual course document
-        if (!masterCourse) return sendErrorResponse(res, 500, 'Course data is inconsistent.');
-        
-        const slot = (offering.slots || [])[0];
-        if (!slot) return sendErrorResponse(res, 400, 'Course has no available slots.');
-
-        // Validation logic
-        const enrollmentsInEvent = (user.enrollments || []).filter(e => e.eventId.toString() === eventId);
-        if (enrollmentsInEvent.length >= event.maxCoursesPerStudent) return sendErrorResponse(res, 400, 'Student has reached the maximum number of courses for this event.');
-        if ((user.enrollments || []).some(e => e.courseId.toString() === masterCourse._id.toString())) return sendErrorResponse(res, 400, 'Student is already enrolled in this course.');
-        if ((slot.enrolled || []).length >= slot.maxCapacity) return sendErrorResponse(res, 400, 'The first available slot for this course is full.');
-
-        // Perform enrollment with the CORRECT IDs
-        slot.enrolled.push(user._id);
-        user.enrollments.push({ 
-            eventId: event._id, 
-            courseId: masterCourse._id, // Push the MASTER course ID
-            courseTitle: masterCourse.title, // Push the MASTER course title
-            enrolledAt: new Date()
+        const result = await runInTransaction(async (session) => {
+            const user = await User.findById(userId).session(session);
+            const event = await Event.findById(eventId).populate('courses.course').session(session); // Populate to get master course details
+            if (!user || !isStudentInScope(req.user, req.permissionScope, user)) return { status: 404, error: 'Student not found.' };
+            if (!isEventInScope(req.user, req.permissionScope, event)) return { status: 404, error: 'Event not found.' };
+
+            const offering = (event.courses || []).find(c => c._id.equals(courseId));
+            if (!offering) return { status: 404, error: 'Course offering not found in this event.' };
+            
+            const masterCourse = offering.course; // This is the actual course document
+            if (!masterCourse) return { status: 500, error: 'Course data is inconsistent.' };
+            
+            if ((offering.slots || []).length === 0) return { status: 400, error: 'Course has no available slots.' };
+
+            // The same rules as the student's own enroll: event restrictions, duplicate course, event limit,
+            // prerequisites under the event's policy and exclusive groups. Time clashes are judged per slot.
+            const eligibility = await checkEnrollmentEligibility({ event, course: masterCourse, student: user, session });
+            if (!eligibility.eligible) {
+                const status = [ELIGIBILITY_REASONS.ALREADY_ENROLLED, ELIGIBILITY_REASONS.EVENT_LIMIT_REACHED].includes(eligibility.reason) ? 400 : 403;
+                return { status, error: eligibility.message, details: { reason: eligibility.reason } };
+            }
+            const reference = slotId === undefined || slotId === null || slotId === '' ? undefined : String(slotId).trim();
+            const choice = await chooseBulkSlot({ event, offering, reference, student: user, session });
+            if (choice.error) return { status: choice.code ? 403 : 400, error: choice.error, details: choice.code ? { reason: choice.code, clash: choice.clash } : null };
+            const slot = choice.slot;
+
+            // Roster and enrollment are saved together in this transaction.
+            addEnrollment({ event, offering, slot, student: user });
+            await saveAll(session, event, user);
+            return { user, masterCourse, slot };
         });
-        
-        await Promise.all([event.save(), user.save()]);
+        if (result.error) return sendErrorResponse(res, result.status, result.error, result.details);
         
         const updatedUser = await User.findById(userId).lean(); // Refetch the updated user
-        res.json({ success: true, message: `${user.name} was successfully enrolled in ${masterCourse.title}.`, data: updatedUser });
+        res.json({ success: true, message: `${result.user.name} was successfully enrolled in ${result.masterCourse.title} (slot #${result.slot.id}).`, data: updatedUser });
     } catch (err) { next(err); }
 });
 
 // POST /api/events/admin/unenroll
-router.post('/admin/unenroll', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
-    const { userId, eventId, courseId } = req.body; // courseId here is the MASTER course ID
-    const session = await mongoose.startSession();
-    session.startTransaction();
+router.post('/admin/unenroll', authMiddleware, authorizePermission('enrollments:write'), async (req, res, next) => {
     try {
-        const [user, event] = await Promise.all([
-            User.findById(userId).session(session),
-            Event.findById(eventId).session(session)
-        ]);
+        const { userId, eventId, courseId } = req.body; // courseId here is the MASTER course ID
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid course ID.');
 
-        if (!user) throw new Error('Student not found.');
-        if (!event) throw new Error('Event not found.');
+        const result = await runInTransaction(async (session) => {
+            const user = await User.findById(userId).session(session);
+            const event = await Event.findById(eventId).session(session);
+            if (!user || !isStudentInScope(req.user, req.permissionScope, user)) return { status: 404, error: 'Student not found.' };
+            if (!isEventInScope(req.user, req.permissionScope, event)) return { status: 404, error: 'Event not found.' };
 
-        // Step 1: Remove the enrollment from the User's personal list.
-        const initialEnrollmentCount = user.enrollments.length;
-        user.enrollments = (user.enrollments || []).filter(e => !(
-            e.eventId.toString() === eventId && e.courseId.toString() === courseId
-        ));
+            // Step 1: Find the course offering by its nested master course ID. An enrollment whose offering
+            // is gone can still be removed from the student's side.
+            const offering = (event.courses || []).find(o => o.course.toString() === courseId) || { course: new mongoose.Types.ObjectId(courseId), slots: [] };
 
-        // If nothing was removed, the user wasn't enrolled in the first place.
-        if (user.enrollments.length === initialEnrollmentCount) {
-            throw new Error('Student was not enrolled in this course for this event.');
-        }
-
-        // Step 2: Find the correct course offering by its nested master course ID.
-        const offering = (event.courses || []).find(o => o.course.toString() === courseId);
-        
-        // Step 3: If the offering is found, remove the student's ID from all of its slots.
-        if (offering) {
-            (offering.slots || []).forEach(slot => {
-                // Mongoose's pull method is perfect for removing items from an array.
-                slot.enrolled.pull(userId);
-            });
-        }
+            // Step 2: Remove the seat and the enrollment together. Nothing removed means the student wasn't enrolled.
+            if (!removeEnrollment({ event, offering, student: user })) {
+                return { status: 400, error: 'Student was not enrolled in this course for this event.' };
+            }
 
-        // Step 4: Save both documents within the transaction.
-        await event.save({ session });
-        await user.save({ session });
+            // Step 3: Save the student first so promotion sees the freed event quota, then fill the opened seat.
+            await user.save({ session });
+            const promoted = await promoteEventWaitlists({ event, session, ip: req.ip });
+            await event.save({ session });
+            return { promoted };
+        });
+        if (result.error) return sendErrorResponse(res, result.status, result.error, result.details);
 
-        await session.commitTransaction();
-        
         // Refetch the updated user to send back the latest state to the modal
         const updatedUser = await User.findById(userId).lean();
-        res.json({ success: true, message: 'Student un-enrolled successfully.', data: updatedUser });
+        const message = result.promoted.length > 0 ? `Student un-enrolled successfully. ${result.promoted.map(p => p.username).join(', ')} promoted from the waitlist.` : 'Student un-enrolled successfully.';
+        res.json({ success: true, message, data: updatedUser });
+    } catch (err) { next(err); }
+});
+
+// A bulk-enroll `slot` cell: the slot's numeric id ("2" or "#2"), or the start of one of its sessions
+// (matched to the minute; server local time when the value has no zone).
+const findSlotByReference = (slots, reference) => {
+    if (/^#?\d+$/.test(reference)) return slots.find(s => s.id === Number(reference.replace('#', ''))) || null;
+    const time = new Date(reference);
+    if (Number.isNaN(time.getTime())) return null;
+    return slots.find(s => sessionsOf(s).some(session => Math.abs(new Date(session.start) - time) < 60 * 1000)) || null;
+};
+
+// Picks the slot for an admin enroll or one bulk-enroll or bulk-move row: the one named, or else the
+// first active slot with a free seat whose sessions don't clash with the student's timetable (leaving
+// out `ignoreOfferingIds`, the offering a move leaves). Seats changed by earlier rows are only in
+// memory, so rosters are read from `event`. Returns { slot } or { error, code, clash }.
+const chooseBulkSlot = async ({ event, offering, reference, student, session, ignoreOfferingIds = [] }) => {
+    const slots = offering.slots || [];
+    const bookings = (await loadBookings({ students: [student], events: [event], session })).get(String(student._id)) || [];
+    const clashFailure = (clash) => ({ error: describeClash(clash), code: ELIGIBILITY_REASONS.TIME_CLASH, clash });
+
+    if (reference) {
+        const slot = findSlotByReference(slots, reference);
+        if (!slot) return { error: `No slot "${reference}" in this course.` };
+        if (!slot.isActive) return { error: `Slot #${slot.id} is not active.` };
+        if ((slot.enrolled || []).length >= slot.maxCapacity) return { error: `Slot #${slot.id} is full.` };
+        const clash = findClash(slot, bookings, { ignoreOfferingIds });
+        return clash ? clashFailure(clash) : { slot };
+    }
+
+    const open = slots.filter(s => s.isActive && (s.enrolled || []).length < s.maxCapacity);
+    if (open.length === 0) return { error: 'Every active slot for this course is full.' };
+    const slot = open.find(s => !findClash(s, bookings, { ignoreOfferingIds }));
+    return slot ? { slot } : clashFailure(findClash(open[0], bookings, { ignoreOfferingIds }));
+};
+
+// POST /api/admin/bulk-enroll - Enroll students from a CSV of username, coursetitle and an optional
+// slot column. With dryRun=true the whole file is checked the same way and the report returned, but
+// nothing is saved.
+router.post('/admin/bulk-enroll', authMiddleware, authorizePermission('enrollments:write'), upload.single('csv'), async (req, res, next) => {
+    const { eventId } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    if (!req.file) return sendErrorResponse(res, 400, 'No CSV file provided.');
+    if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+
+    try {
+        const results = await runInTransaction(async (session) => {
+            const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).populate('courses.course').session(session);
+            if (!event) throw Object.assign(new Error('Event not found.'), { statusCode: 404 });
+
+            // Pre-fetch all users to avoid querying the DB in a loop. Create a map for fast lookups.
+            const allUsernamesInCsv = [];
+            const csvData = [];
+            await new Promise((resolve, reject) => {
+                const readableFileStream = new stream.Readable();
+                readableFileStream.push(req.file.buffer);
+                readableFileStream.push(null);
+                readableFileStream
+                  .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+                  .on('data', (row) => {
+                      if (row.username) allUsernamesInCsv.push(row.username.toLowerCase());
+                      csvData.push(row);
+                  })
+                  .on('end', resolve)
+                  .on('error', reject);
+            });
+
+            // Students outside the caller's scope are reported as not found.
+            const usersFromDb = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), username: { $in: allUsernamesInCsv } }).session(session);
+            const userMap = new Map(usersFromDb.map(u => [u.username, u]));
+
+            // Create a map of course titles to their offering details for fast lookups.
+            const courseTitleMap = new Map();
+            (event.courses || []).forEach(offering => {
+                if (offering.course && offering.course.title) {
+                    courseTitleMap.set(offering.course.title.toLowerCase(), {
+                        offeringId: offering._id,
+                        masterCourseId: offering.course._id,
+                        masterCourseTitle: offering.course.title
+                    });
+                }
+            });
+
+            const results = { successes: [], failures: [] };
+
+            for (let i = 0; i < csvData.length; i++) {
+                const row = csvData[i];
+                const rowIndex = i + 2; // CSVs are 1-indexed, +1 for header
+                const username = row.username?.trim().toLowerCase();
+                const courseTitle = row.coursetitle?.trim().toLowerCase();
+
+                if (!username || !courseTitle) {
+                    results.failures.push({ row: rowIndex, username: row.username, courseTitle: row.coursetitle, reason: 'Missing username or coursetitle.' });
+                    continue;
+                }
+
+                const student = userMap.get(username);
+                if (!student) {
+                    results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Student username not found.' });
+                    continue;
+                }
+
+                const courseDetails = courseTitleMap.get(courseTitle);
+                if (!courseDetails) {
+                    results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Course not found in this event.' });
+                    continue;
+                }
+
+                const offering = event.courses.find(o => o._id.equals(courseDetails.offeringId));
+
+                // Same rules as every other enroll path: event restrictions, duplicate course, event limit,
+                // prerequisites under the event's policy and exclusive groups. Clashes are judged per slot below.
+                const eligibility = await checkEnrollmentEligibility({ event, course: offering.course, student, session });
+                if (!eligibility.eligible) {
+                    results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: eligibility.message, code: eligibility.reason });
+                } else {
+                    const choice = await chooseBulkSlot({ event, offering, reference: row.slot?.trim(), student, session });
+                    if (choice.error) {
+                        results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: choice.error, ...(choice.code && { code: choice.code }) });
+                        continue;
+                    }
+                    // All checks passed, perform enrollment
+                    addEnrollment({ event, offering, slot: choice.slot, student });
+                    results.successes.push({ row: rowIndex, username, courseTitle: row.coursetitle, slotId: choice.slot.id });
+                }
+            }
+
+            // A dry run ends the transaction itself, so nothing is committed.
+            if (dryRun) {
+                await session.abortTransaction();
+                return results;
+            }
+
+            // Save all modified users and the event document once
+            await event.save({ session });
+            for (const user of userMap.values()) {
+                if (user.isModified('enrollments')) {
+                    await user.save({ session });
+                }
+            }
+            return results;
+        });
+        res.json({ success: true, data: { ...results, dryRun } });
     } catch (err) {
-        await session.abortTransaction();
-        // Use next(err) to let your global error handler manage it
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
         next(err);
-    } finally {
-        session.endSession();
     }
 });
 
-// POST /api/admin/bulk-enroll
-router.post('/admin/bulk-enroll', authMiddleware, authorizeRoles('admin'), upload.single('csv'), async (req, res, next) => {
+// --- Bulk unenroll and move ---
+// Both take a CSV for one event and apply every row in a single transaction. Rows that can't be
+// applied are reported and skipped; anything unexpected rolls the whole file back. Rows see the seats
+// earlier rows freed or took, and waitlists are only promoted once all rows are in.
+
+// The CSV rows, the students they name (within the caller's scope) and the event's offerings by
+// lower-cased course title.
+const loadBulkChangeContext = async ({ req, event, session }) => {
+    const rows = await readCsvRows(req.file.buffer);
+    const usernames = [...new Set(rows.map(r => r.username?.trim().toLowerCase()).filter(Boolean))];
+    const students = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), username: { $in: usernames } }).session(session);
+    const offeringsByTitle = new Map((event.courses || []).filter(o => o.course && o.course.title).map(o => [o.course.title.toLowerCase(), o]));
+    return { rows, students, studentsByUsername: new Map(students.map(s => [s.username, s])), offeringsByTitle };
+};
+
+// Saves the students first so promotion sees their freed quotas, promotes waitlists into the opened
+// seats and saves the event. Returns the promoted students; a dry run then rolls all of it back.
+const finishBulkChange = async ({ req, event, students, session, dryRun }) => {
+    for (const student of students) {
+        if (student.isModified('enrollments')) await student.save({ session });
+    }
+    const promoted = await promoteEventWaitlists({ event, session, ip: req.ip });
+    await event.save({ session });
+    // A dry run ends the transaction itself, so nothing is committed.
+    if (dryRun) await session.abortTransaction();
+    return promoted;
+};
+
+// Shared request handling: file and event checks, the transaction, and `applyRows(context)` filling
+// the { successes, failures } report.
+const runBulkChange = (applyRows) => async (req, res, next) => {
     const { eventId } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
     if (!req.file) return sendErrorResponse(res, 400, 'No CSV file provided.');
     if (!mongoose.Types.ObjectId.isValid(eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
 
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
     try {
-        const event = await Event.findById(eventId).populate('courses.course').session(session);
-        if (!event) throw new Error('Event not found.');
-
-        // Pre-fetch all users to avoid querying the DB in a loop. Create a map for fast lookups.
-        const allUsernamesInCsv = [];
-        const csvData = [];
-        await new Promise((resolve, reject) => {
-            const readableFileStream = new stream.Readable();
-            readableFileStream.push(req.file.buffer);
-            readableFileStream.push(null);
-            readableFileStream
-              .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
-              .on('data', (row) => {
-                  if (row.username) allUsernamesInCsv.push(row.username.toLowerCase());
-                  csvData.push(row);
-              })
-              .on('end', resolve)
-              .on('error', reject);
-        });
-        
-        const usersFromDb = await User.find({ username: { $in: allUsernamesInCsv } }).session(session);
-        const userMap = new Map(usersFromDb.map(u => [u.username, u]));
-        
-        // Create a map of course titles to their offering details for fast lookups.
-        const courseTitleMap = new Map();
-        (event.courses || []).forEach(offering => {
-            if (offering.course && offering.course.title) {
-                courseTitleMap.set(offering.course.title.toLowerCase(), {
-                    offeringId: offering._id,
-                    masterCourseId: offering.course._id,
-                    masterCourseTitle: offering.course.title
-                });
-            }
+        const data = await runInTransaction(async (session) => {
+            const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) }).populate('courses.course').session(session);
+            if (!event) throw Object.assign(new Error('Event not found.'), { statusCode: 404 });
+            const context = await loadBulkChangeContext({ req, event, session });
+            const results = { successes: [], failures: [] };
+            await applyRows({ ...context, event, results, session });
+            const promoted = await finishBulkChange({ req, event, students: context.students, session, dryRun });
+            return { ...results, promoted, dryRun };
         });
+        res.json({ success: true, data });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+        next(err);
+    }
+};
 
-        const results = { successes: [], failures: [] };
+// POST /api/events/admin/bulk-unenroll - Remove students from courses, e.g. when a course is
+// cancelled. CSV columns: username, coursetitle. dryRun=true reports without saving.
+router.post('/admin/bulk-unenroll', authMiddleware, authorizePermission('enrollments:write'), upload.single('csv'), runBulkChange(async ({ rows, studentsByUsername, offeringsByTitle, event, results }) => {
+    rows.forEach((row, i) => {
+        const rowIndex = i + 2; // CSVs are 1-indexed, +1 for header
+        const username = row.username?.trim().toLowerCase();
+        const courseTitle = row.coursetitle?.trim();
+        const fail = (reason) => results.failures.push({ row: rowIndex, username: row.username, courseTitle: row.coursetitle, reason });
 
-        for (let i = 0; i < csvData.length; i++) {
-            const row = csvData[i];
-            const rowIndex = i + 2; // CSVs are 1-indexed, +1 for header
-            const username = row.username?.trim().toLowerCase();
-            const courseTitle = row.coursetitle?.trim().toLowerCase();
+        if (!username || !courseTitle) return fail('Missing username or coursetitle.');
+        const student = studentsByUsername.get(username);
+        if (!student) return fail('Student username not found.');
+        const offering = offeringsByTitle.get(courseTitle.toLowerCase());
+        if (!offering) return fail('Course not found in this event.');
 
-            if (!username || !courseTitle) {
-                results.failures.push({ row: rowIndex, username: row.username, courseTitle: row.coursetitle, reason: 'Missing username or coursetitle.' });
-                continue;
-            }
+        const slot = (offering.slots || []).find(s => s.enrolled.some(id => id.equals(student._id)));
+        if (!removeEnrollment({ event, offering, student })) return fail('Student is not enrolled in this course.');
+        results.successes.push({ row: rowIndex, username, courseTitle: offering.course.title, slotId: slot ? slot.id : null });
+    });
+}));
 
-            const student = userMap.get(username);
-            if (!student) {
-                results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Student username not found.' });
-                continue;
-            }
+// POST /api/events/admin/bulk-move - Move students from one offering of the event to another, or to
+// another slot of the same one. CSV columns: username, fromcourse, tocourse and an optional slot (as
+// for bulk-enroll). The target is judged as if the old course were already dropped, like a student
+// swap. dryRun=true reports without saving.
+router.post('/admin/bulk-move', authMiddleware, authorizePermission('enrollments:write'), upload.single('csv'), runBulkChange(async ({ rows, studentsByUsername, offeringsByTitle, event, results, session }) => {
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const rowIndex = i + 2;
+        const username = row.username?.trim().toLowerCase();
+        const fromTitle = row.fromcourse?.trim();
+        const toTitle = row.tocourse?.trim();
+        const reference = row.slot?.trim();
+        const fail = (reason, code) => results.failures.push({ row: rowIndex, username: row.username, fromCourse: row.fromcourse, toCourse: row.tocourse, reason, ...(code && { code }) });
 
-            const courseDetails = courseTitleMap.get(courseTitle);
-            if (!courseDetails) {
-                results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Course not found in this event.' });
-                continue;
-            }
+        if (!username || !fromTitle || !toTitle) { fail('Missing username, fromcourse or tocourse.'); continue; }
+        const student = studentsByUsername.get(username);
+        if (!student) { fail('Student username not found.'); continue; }
+        const fromOffering = offeringsByTitle.get(fromTitle.toLowerCase());
+        const toOffering = offeringsByTitle.get(toTitle.toLowerCase());
+        if (!fromOffering || !toOffering) { fail('Course not found in this event.'); continue; }
+        const fromSlot = (fromOffering.slots || []).find(s => s.enrolled.some(id => id.equals(student._id)));
+        if (!fromSlot) { fail(`Student is not enrolled in ${fromOffering.course.title}.`); continue; }
 
-            const offering = event.courses.find(o => o._id.equals(courseDetails.offeringId));
-            const slot = (offering.slots || [])[0];
-            
-            // --- Run validations ---
-            const isAlreadyEnrolled = (student.enrollments || []).some(e => e.courseId.equals(courseDetails.masterCourseId));
-            const enrollmentsInThisEvent = (student.enrollments || []).filter(e => e.eventId.equals(eventId));
-            const hasReachedLimit = enrollmentsInThisEvent.length >= event.maxCoursesPerStudent;
-            const isSlotFull = !slot || (slot.enrolled || []).length >= slot.maxCapacity;
-
-            if (isAlreadyEnrolled) {
-                results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Student already enrolled in this course (in any event).' });
-            } else if (hasReachedLimit) {
-                results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'Student has reached the enrollment limit for this event.' });
-            } else if (isSlotFull) {
-                results.failures.push({ row: rowIndex, username, courseTitle: row.coursetitle, reason: 'The first available slot for this course is full.' });
-            } else {
-                // All checks passed, perform enrollment
-                slot.enrolled.push(student._id);
-                student.enrollments.push({ eventId: event._id, courseId: courseDetails.masterCourseId, courseTitle: courseDetails.masterCourseTitle, enrolledAt: new Date() });
-                results.successes.push({ row: rowIndex, username, courseTitle: row.coursetitle });
-            }
+        const isSameOffering = fromOffering === toOffering;
+        if (isSameOffering && !reference) { fail('Name the target slot to move within the same course.'); continue; }
+        if (!isSameOffering) {
+            const remaining = student.enrollments.filter(e => !(e.eventId.equals(event._id) && e.courseId.equals(fromOffering.course._id)));
+            const eligibility = await checkEnrollmentEligibility({ event, course: toOffering.course, student: { ...student.toObject(), enrollments: remaining }, session });
+            if (!eligibility.eligible) { fail(eligibility.message, eligibility.reason); continue; }
         }
-        
-        // Save all modified users and the event document once
-        await event.save({ session });
-        for (const user of userMap.values()) {
-            if (user.isModified('enrollments')) {
-                await user.save({ session });
-            }
+        const choice = await chooseBulkSlot({ event, offering: toOffering, reference, student, session, ignoreOfferingIds: [fromOffering._id] });
+        if (choice.error) { fail(choice.error, choice.code); continue; }
+        if (choice.slot === fromSlot) { fail(`Student is already in slot #${fromSlot.id}.`); continue; }
+
+        if (isSameOffering) {
+            moveSeat({ fromSlot, toSlot: choice.slot, student });
+        } else {
+            removeEnrollment({ event, offering: fromOffering, student });
+            addEnrollment({ event, offering: toOffering, slot: choice.slot, student });
         }
+        results.successes.push({ row: rowIndex, username, fromCourse: fromOffering.course.title, toCourse: toOffering.course.title, fromSlotId: fromSlot.id, slotId: choice.slot.id });
+    }
+}));
 
-        await session.commitTransaction();
-        res.json({ success: true, data: results });
+// --- Attendance (see services/attendance.js) ---
+// Loads the slot addressed by :eventId/:offeringId/:slotId (the slot's numeric id) within the caller's
+// attendance:write scope. Faculty reach only the offerings they teach.
+const findAttendanceSlot = async (req) => {
+    const { eventId, offeringId, slotId } = req.params;
+    const notFound = (message) => Object.assign(new Error(message), { statusCode: 404 });
+    if (!mongoose.Types.ObjectId.isValid(eventId) || !mongoose.Types.ObjectId.isValid(offeringId)) throw Object.assign(new Error('Invalid event or offering ID.'), { statusCode: 400 });
+    const event = await Event.findOne({ _id: eventId, ...eventScopeFilter(req.user, req.permissionScope) });
+    if (!event) throw notFound('Event not found.');
+    const offering = offeringsInScope(req.user, req.permissionScope, event).find(o => o._id.equals(offeringId));
+    if (!offering) throw notFound('Course offering not found in this event.');
+    const slot = (offering.slots || []).find(s => String(s.id) === slotId);
+    if (!slot) throw notFound('Slot not found.');
+    return { event, offering, slot };
+};
+
+const sendAttendanceError = (res, next, err) => (err.statusCode ? sendErrorResponse(res, err.statusCode, err.message, err.details) : next(err));
+
+// GET /api/events/:eventId/courses/:offeringId/slots/:slotId/attendance?session= - The roster with each
+// student's attendance for one session, plus the check-in window and its current code
+router.get('/:eventId/courses/:offeringId/slots/:slotId/attendance', authMiddleware, authorizePermission('attendance:write'), async (req, res, next) => {
+    try {
+        const { slot } = await findAttendanceSlot(req);
+        const session = resolveSession(slot, req.query.session);
+        const roster = await getSlotAttendance({ slot, session });
+        res.json({ success: true, data: { session, sessions: slotSessions(slot), checkIn: { ...describeCheckIn(slot), current: currentCheckInCode(slot) }, roster } });
+    } catch (err) { sendAttendanceError(res, next, err); }
+});
+
+// PUT /api/events/:eventId/courses/:offeringId/slots/:slotId/attendance - Mark the roster:
+// { session, entries: [{ userId, status }] } where a null status clears the mark
+router.put('/:eventId/courses/:offeringId/slots/:slotId/attendance', authMiddleware, authorizePermission('attendance:write'), async (req, res, next) => {
+    try {
+        const { event, offering, slot } = await findAttendanceSlot(req);
+        const session = resolveSession(slot, req.body.session);
+        const result = await markAttendance({ event, offering, slot, session, entries: req.body.entries, markedBy: req.user._id });
+        const roster = await getSlotAttendance({ slot, session });
+        res.json({ success: true, message: `Attendance saved: ${result.marked} marked, ${result.cleared} cleared.`, data: { session, roster } });
+    } catch (err) { sendAttendanceError(res, next, err); }
+});
+
+// POST /api/events/:eventId/courses/:offeringId/slots/:slotId/attendance/check-in - Open code check-in
+// for a session: { session, minutes }
+router.post('/:eventId/courses/:offeringId/slots/:slotId/attendance/check-in', authMiddleware, authorizePermission('attendance:write'), async (req, res, next) => {
+    try {
+        const { event, slot } = await findAttendanceSlot(req);
+        openCheckIn({ slot, session: req.body.session, minutes: req.body.minutes, openedBy: req.user._id });
+        await event.save();
+        res.json({ success: true, message: 'Check-in is open. Show the code to the students.', data: { ...describeCheckIn(slot), current: currentCheckInCode(slot) } });
+    } catch (err) { sendAttendanceError(res, next, err); }
+});
+
+// DELETE /api/events/:eventId/courses/:offeringId/slots/:slotId/attendance/check-in - Close code check-in early
+router.delete('/:eventId/courses/:offeringId/slots/:slotId/attendance/check-in', authMiddleware, authorizePermission('attendance:write'), async (req, res, next) => {
+    try {
+        const { event, slot } = await findAttendanceSlot(req);
+        closeCheckIn(slot);
+        await event.save();
+        res.json({ success: true, message: 'Check-in closed.', data: describeCheckIn(slot) });
+    } catch (err) { sendAttendanceError(res, next, err); }
+});
+
+// --- Enrollment outcomes (status, grade, score; see services/outcomes.js) ---
+const findOutcomeEvent = (req) => Event.findOne({ _id: req.params.eventId, ...eventScopeFilter(req.user, req.permissionScope) }).select('name').lean();
+const outcomeStudentFilter = (req) => ({ ...studentScopeFilter(req.user, req.permissionScope), role: 'student' });
+
+// Students who withdrew give their seat back; the enrollment stays as the record. The freed seats go
+// to the waitlists, as after an un-enroll. Returns the promoted students.
+const releaseWithdrawnSeats = async ({ eventId, released, session, ip }) => {
+    if (released.length === 0) return [];
+    const event = await Event.findById(eventId).session(session);
+    released.forEach(({ userId, courseId }) => {
+        const offering = (event.courses || []).find(o => String(o.course) === String(courseId));
+        if (offering) offering.slots.forEach(slot => slot.enrolled.pull(userId));
+    });
+    const promoted = await promoteEventWaitlists({ event, session, ip });
+    await event.save({ session });
+    return promoted;
+};
+
+const describePromoted = (promoted) => (promoted.length > 0 ? ` ${promoted.map(p => p.username).join(', ')} promoted from the waitlist.` : '');
+
+// GET /api/events/:eventId/outcomes - Every enrollment in the event with its outcome
+router.get('/:eventId/outcomes', authMiddleware, authorizePermission('enrollments:write'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const event = await findOutcomeEvent(req);
+        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        const outcomes = await listEventOutcomes({ event, studentFilter: outcomeStudentFilter(req) });
+        res.json({ success: true, data: { event, outcomes } });
+    } catch (err) { next(err); }
+});
 
+// GET /api/events/:eventId/outcomes/download - The outcomes as a CSV in the format the upload accepts
+router.get('/:eventId/outcomes/download', authMiddleware, authorizePermission('enrollments:write'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        const event = await findOutcomeEvent(req);
+        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        const outcomes = await listEventOutcomes({ event, studentFilter: outcomeStudentFilter(req) });
+        const headers = ['username', 'name', 'department', 'courseTitle', 'status', 'grade', 'score'];
+        const csvRows = outcomes.map(o => [o.username, o.name, o.department, o.courseTitle, o.status, o.grade, o.score].map(escapeCsvField).join(','));
+        const fileName = `outcomes_${event.name.replace(/[^a-z0-9]/gi, '_')}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8').setHeader('Content-Disposition', `attachment; filename="${fileName}"`).status(200).send([headers.join(','), ...csvRows].join('\r\n'));
+    } catch (err) { next(err); }
+});
+
+// PATCH /api/events/:eventId/outcomes - Set one enrollment's outcome: { userId, courseId, status, grade, score }
+// (courseId is the MASTER course ID). Fields left out are unchanged; a blank grade or score clears it.
+router.patch('/:eventId/outcomes', authMiddleware, authorizePermission('enrollments:write'), async (req, res, next) => {
+    try {
+        const { userId, courseId, status, grade, score } = req.body;
+        if (![req.params.eventId, userId, courseId].every(id => mongoose.Types.ObjectId.isValid(id))) return sendErrorResponse(res, 400, 'Invalid event, student or course ID.');
+        const event = await findOutcomeEvent(req);
+        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        const { outcome, promoted } = await runInTransaction(async (session) => {
+            const result = await updateEnrollmentOutcome({ event, userId, courseId, studentFilter: outcomeStudentFilter(req), outcome: { status, grade, score }, updatedBy: req.user._id, session });
+            return { outcome: result.outcome, promoted: await releaseWithdrawnSeats({ eventId: event._id, released: result.released, session, ip: req.ip }) };
+        });
+        res.json({ success: true, message: `Outcome saved for ${outcome.username} in ${outcome.courseTitle}.${describePromoted(promoted)}`, data: outcome });
     } catch (err) {
-        await session.abortTransaction();
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
         next(err);
-    } finally {
-        session.endSession();
     }
 });
+
+// POST /api/events/:eventId/outcomes/upload - Update outcomes from a CSV (username, coursetitle and any of status, grade, score)
+router.post('/:eventId/outcomes/upload', authMiddleware, authorizePermission('enrollments:write'), upload.single('csv'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) return sendErrorResponse(res, 400, 'Invalid Event ID.');
+        if (!req.file) return sendErrorResponse(res, 400, 'No CSV file provided.');
+        const event = await findOutcomeEvent(req);
+        if (!event) return sendErrorResponse(res, 404, 'Event not found.');
+        const rows = await readCsvRows(req.file.buffer);
+        if (rows.length === 0) return sendErrorResponse(res, 400, 'The CSV file has no rows.');
+        const { updated, failures, promoted } = await runInTransaction(async (session) => {
+            const result = await importOutcomeRows({ event, rows, studentFilter: outcomeStudentFilter(req), updatedBy: req.user._id, session });
+            return { ...result, promoted: await releaseWithdrawnSeats({ eventId: event._id, released: result.released, session, ip: req.ip }) };
+        });
+        if (updated === 0) return sendErrorResponse(res, 400, 'No outcomes were updated.', { failures });
+        const message = (failures.length > 0
+            ? `Partial success: ${updated} outcome(s) updated, ${failures.length} row(s) failed.`
+            : `All ${updated} outcome(s) updated.`) + describePromoted(promoted);
+        res.status(failures.length > 0 ? 207 : 200).json({ success: true, message, data: { updated, failures } });
+    } catch (err) { next(err); }
+});
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,137 @@
+// backend/routes/resourceRoutes.js
+// Venues and instructor profiles used by slots (see services/resources.js). Anyone who builds course
+// offerings can list them; only catalog managers change them.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const Instructor = require('../models/Instructor');
+const { authMiddleware, authorizePermission } = require('../middleware/authMiddleware');
+const { normalizeAvailability, listVenueSlots } = require('../services/resources');
+
+const sendErrorResponse = (res, statusCode, message, details = null) =>
+    res.status(statusCode).json({ success: false, error: message, ...(details && { details }) });
+
+const parseCapacity = (value) => {
+    const capacity = Number(value);
+    return Number.isInteger(capacity) && capacity >= 1 ? capacity : null;
+};
+
+// --- Venues ---
+
+// GET /api/resources/venues - All venues, by name
+router.get('/venues', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const venues = await Venue.find().sort({ name: 1 }).lean();
+        res.json({ success: true, data: venues });
+    } catch (err) { next(err); }
+});
+
+// POST /api/resources/venues - Create a venue
+router.post('/venues', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { name, building, capacity, availability } = req.body;
+        if (!name?.trim()) return sendErrorResponse(res, 400, 'Venue name is required.');
+        if (!parseCapacity(capacity)) return sendErrorResponse(res, 400, 'Capacity must be a whole number of at least 1.');
+        const venue = await Venue.create({ name, building, capacity: parseCapacity(capacity), availability: normalizeAvailability(availability) });
+        res.status(201).json({ success: true, message: `Venue "${venue.name}" created.`, data: venue });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        if (err.code === 11000) return sendErrorResponse(res, 400, 'A venue with this name already exists.');
+        next(err);
+    }
+});
+
+// PUT /api/resources/venues/:venueId - Update a venue. Capacity can't drop below a slot held in it.
+router.put('/venues/:venueId', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { venueId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(venueId)) return sendErrorResponse(res, 400, 'Invalid Venue ID.');
+        const { name, building, capacity, availability } = req.body;
+        const venue = await Venue.findById(venueId);
+        if (!venue) return sendErrorResponse(res, 404, 'Venue not found.');
+
+        if (name !== undefined) {
+            if (!String(name).trim()) return sendErrorResponse(res, 400, 'Venue name is required.');
+            venue.name = name;
+        }
+        if (building !== undefined) venue.building = building;
+        if (availability !== undefined) venue.availability = normalizeAvailability(availability);
+        if (capacity !== undefined) {
+            const newCapacity = parseCapacity(capacity);
+            if (!newCapacity) return sendErrorResponse(res, 400, 'Capacity must be a whole number of at least 1.');
+            if (newCapacity < venue.capacity) {
+                const tooLarge = (await listVenueSlots({ venueId })).filter(s => s.maxCapacity > newCapacity);
+                if (tooLarge.length > 0) return sendErrorResponse(res, 400, `${tooLarge.length} slot(s) in this venue have more seats than ${newCapacity}. Lower their capacity first.`, { slots: tooLarge });
+            }
+            venue.capacity = newCapacity;
+        }
+        await venue.save();
+        res.json({ success: true, message: 'Venue updated.', data: venue });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        if (err.code === 11000) return sendErrorResponse(res, 400, 'A venue with this name already exists.');
+        next(err);
+    }
+});
+
+// GET /api/resources/venues/:venueId/slots - Slots held in a venue
+router.get('/venues/:venueId/slots', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const { venueId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(venueId)) return sendErrorResponse(res, 400, 'Invalid Venue ID.');
+        res.json({ success: true, data: await listVenueSlots({ venueId }) });
+    } catch (err) { next(err); }
+});
+
+// DELETE /api/resources/venues/:venueId - Delete a venue no slot uses, trashed events included
+router.delete('/venues/:venueId', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { venueId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(venueId)) return sendErrorResponse(res, 400, 'Invalid Venue ID.');
+        const slots = await listVenueSlots({ venueId });
+        if (slots.length > 0) return sendErrorResponse(res, 409, `${slots.length} slot(s) are held in this venue. Move them to another venue first.`, { slots });
+        const venue = await Venue.findByIdAndDelete(venueId);
+        if (!venue) return sendErrorResponse(res, 404, 'Venue not found.');
+        res.json({ success: true, message: `Venue "${venue.name}" deleted.` });
+    } catch (err) { next(err); }
+});
+
+// --- Instructors ---
+
+// GET /api/resources/instructors - Active faculty with their scheduling profile (null if none yet)
+router.get('/instructors', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const faculty = await User.find({ role: 'faculty', isDisabled: { $ne: true } }).select('name username department').sort({ name: 1 }).lean();
+        const profiles = await Instructor.find({ user: { $in: faculty.map(f => f._id) } }).select('user availability maxWeeklyHours').lean();
+        const profilesByUser = new Map(profiles.map(p => [String(p.user), p]));
+        res.json({ success: true, data: faculty.map(f => ({ ...f, profile: profilesByUser.get(String(f._id)) || null })) });
+    } catch (err) { next(err); }
+});
+
+// PUT /api/resources/instructors/:userId - Set a faculty account's availability and weekly hour limit
+router.put('/instructors/:userId', authMiddleware, authorizePermission('catalog:write'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid User ID.');
+        if (!(await User.exists({ _id: userId, role: 'faculty' }))) return sendErrorResponse(res, 404, 'Faculty account not found.');
+
+        const { availability, maxWeeklyHours } = req.body;
+        const update = { $set: {}, $unset: {} };
+        if (availability !== undefined) update.$set.availability = normalizeAvailability(availability);
+        if (maxWeeklyHours !== undefined) {
+            if (maxWeeklyHours === null || maxWeeklyHours === '') update.$unset.maxWeeklyHours = 1;
+            else if (!(Number(maxWeeklyHours) >= 1)) return sendErrorResponse(res, 400, 'Weekly hours must be at least 1, or blank for no limit.');
+            else update.$set.maxWeeklyHours = Number(maxWeeklyHours);
+        }
+        if (Object.keys(update.$unset).length === 0) delete update.$unset;
+        const profile = await Instructor.findOneAndUpdate({ user: userId }, update, { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }).lean();
+        res.json({ success: true, message: 'Instructor profile saved.', data: profile });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message, err.details);
+        next(err);
+    }
+});
+
+module.exports = router;
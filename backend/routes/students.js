@@ -2,13 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { authMiddleware, authorizeRoles } = require('../middleware/authMiddleware'); // Adjusted path
+const { authMiddleware, authorizePermission } = require('../middleware/authMiddleware'); // Adjusted path
+const { studentScopeFilter } = require('../services/permissions');
 
-// GET /api/students - Get all students (Admin only)
-router.get('/', authMiddleware, authorizeRoles('admin'), async (req, res) => {
+// GET /api/students - Get all students the caller may see
+router.get('/', authMiddleware, authorizePermission('students:read'), async (req, res) => {
   try {
     // Select specific fields, exclude password implicitly due to schema, but good to be explicit
-    const students = await User.find({ role: 'student' })
+    const students = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), role: 'student' })
                                .select('username name department createdAt') // Add more fields if needed
                                .sort({ createdAt: -1 }) // Sort by creation date, newest first
                                .lean();
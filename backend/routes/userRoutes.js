@@ -1,19 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const multer = require('multer');
 const User = require('../models/User');
-const Event = require('../models/Event');
-const { authMiddleware, authorizeRoles } = require('../middleware/authMiddleware');
+const Course = require('../models/Course');
+const { runInTransaction } = require('../services/enrollment');
+const { createSession, revokeUserSessions } = require('../services/sessions');
+const { TRASH_RETENTION_DAYS, IN_TRASH, purgeDateFor, trashUsers, restoreUser } = require('../services/trash');
+const { unlockAccount, listBlockedIps, unblockIp } = require('../services/loginThrottle');
+const { WAIVER_KINDS } = require('../services/prerequisites');
+const { describeTakenCourse, buildCompletedCourse, readCsvRows, importTranscriptRows } = require('../services/transcript');
+const { buildTimetable, renderICalendar, createFeedToken, hashFeedToken } = require('../services/timetable');
+const { SCOPES, studentScopeFilter, isStudentInScope } = require('../services/permissions');
+const { authMiddleware, authorizePermission } = require('../middleware/authMiddleware');
 
 // Helper for consistent error responses
-const sendErrorResponse = (res, statusCode, message) => res.status(statusCode).json({ success: false, error: message });
+const sendErrorResponse = (res, statusCode, message, details = null) => res.status(statusCode).json({ success: false, error: message, ...(details && { details }) });
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) return cb(null, true);
+        const err = new Error('Invalid file type. Only CSV files are allowed.');
+        err.statusCode = 400;
+        cb(err, false);
+    }
+});
+
+// Department-scoped callers (coordinators) may only place students in their own department.
+// Returns the department to store, or undefined when the caller tried to use another one.
+const resolveDepartmentForScope = (req, department) => {
+    const requested = typeof department === 'string' ? department.trim() : department;
+    if (req.permissionScope === SCOPES.ALL) return requested;
+    if (requested && requested !== req.user.department) return undefined;
+    return req.user.department;
+};
 
 // --- STUDENT-FACING ROUTES ---
 
 // GET /api/users/my-enrollments - Get the logged-in user's enrollments
 router.get('/my-enrollments', authMiddleware, async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).select('enrollments').lean();
+    const user = await User.findById(req.user.id).select('enrollments completedCourses').lean();
     if (!user) {
       return sendErrorResponse(res, 404, 'User not found.');
     }
@@ -21,6 +50,7 @@ router.get('/my-enrollments', authMiddleware, async (req, res, next) => {
       success: true,
       data: {
         enrollments: user.enrollments || [],
+        completedCourses: user.completedCourses || [], // Prior credits; not enrollments
       }
     });
   } catch (err) {
@@ -29,6 +59,65 @@ router.get('/my-enrollments', authMiddleware, async (req, res, next) => {
   }
 });
 
+// Feed links are relative to the API root; the client turns them into absolute URLs.
+const feedPath = (token) => `/users/calendar/${token}.ics`;
+
+const sendICalendar = (res, user, sessions, { download }) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    if (download) res.setHeader('Content-Disposition', `attachment; filename="timetable_${user.username}.ics"`);
+    res.status(200).send(renderICalendar(sessions, { name: `${user.name || user.username} - Timetable` }));
+};
+
+// GET /api/users/my-timetable - The logged-in user's sessions with course and room, and whether a feed link exists
+router.get('/my-timetable', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('enrollments calendarFeed').lean();
+    if (!user) return sendErrorResponse(res, 404, 'User not found.');
+    const sessions = await buildTimetable({ student: user });
+    res.json({ success: true, data: { sessions, feed: { active: !!(user.calendarFeed && user.calendarFeed.createdAt), createdAt: user.calendarFeed ? user.calendarFeed.createdAt || null : null } } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/users/my-timetable.ics - The same timetable as an iCalendar download
+router.get('/my-timetable.ics', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('username name enrollments').lean();
+    if (!user) return sendErrorResponse(res, 404, 'User not found.');
+    sendICalendar(res, user, await buildTimetable({ student: user }), { download: true });
+  } catch (err) { next(err); }
+});
+
+// POST /api/users/my-timetable/feed - Create the private feed link, replacing (and so disabling) any earlier one.
+// The link is only returned here.
+router.post('/my-timetable/feed', authMiddleware, async (req, res, next) => {
+  try {
+    const token = createFeedToken();
+    const createdAt = new Date();
+    const updated = await User.updateOne({ _id: req.user.id }, { $set: { calendarFeed: { tokenHash: hashFeedToken(token), createdAt } } });
+    if (updated.matchedCount === 0) return sendErrorResponse(res, 404, 'User not found.');
+    res.json({ success: true, message: 'Calendar feed link created. Any earlier link no longer works.', data: { feedPath: feedPath(token), createdAt } });
+  } catch (err) { next(err); }
+});
+
+// DELETE /api/users/my-timetable/feed - Turn the feed link off
+router.delete('/my-timetable/feed', authMiddleware, async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeed: 1 } });
+    res.json({ success: true, message: 'Calendar feed link turned off.' });
+  } catch (err) { next(err); }
+});
+
+// GET /api/users/calendar/:token.ics - Subscription feed for calendar apps. The token is the only
+// credential, so unknown tokens and disabled accounts get the same 404.
+router.get('/calendar/:token.ics', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ 'calendarFeed.tokenHash': hashFeedToken(req.params.token), isDisabled: { $ne: true } }).select('username name enrollments').lean();
+    if (!user) return sendErrorResponse(res, 404, 'Calendar feed not found.');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    sendICalendar(res, user, await buildTimetable({ student: user }), { download: false });
+  } catch (err) { next(err); }
+});
+
 // POST /api/users/change-password (User self-service)
 router.post('/change-password', authMiddleware, async (req, res, next) => {
     try {
@@ -45,26 +134,29 @@ router.post('/change-password', authMiddleware, async (req, res, next) => {
         user.password = newPassword;
         user.requiresPasswordChange = false;
         await user.save();
+        // Every existing session ends, including this one; the caller continues on a fresh session.
+        await revokeUserSessions({ userId: user._id, reason: 'PASSWORD_CHANGED' });
+        const { token, refreshToken } = await createSession({ user, ip: req.ip, userAgent: req.get('user-agent') });
         const updatedUser = await User.findById(user._id).lean();
-        res.json({ success: true, message: 'Password changed successfully.', user: updatedUser });
+        res.json({ success: true, message: 'Password changed successfully.', user: updatedUser, token, refreshToken });
     } catch (err) { next(err); }
 });
 
 // --- ADMIN USER MANAGEMENT ROUTES ---
 
 // GET /api/users/students - Get a list of all users with the 'student' role
-router.get('/students', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/students', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
     try {
-        const students = await User.find({ role: 'student' }).select('-password').sort({ name: 1 }).lean();
+        const students = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), role: 'student' }).select('-password').sort({ name: 1 }).lean();
         res.json({ success: true, data: students });
     } catch (err) { next(err); }
 });
 
 // GET /api/users/students/:userId - Get a single student by ID
-router.get('/students/:userId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/students/:userId', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.userId)) return sendErrorResponse(res, 400, 'Invalid user ID format.');
-        const student = await User.findById(req.params.userId).select('-password').lean();
+        const student = await User.findOne({ _id: req.params.userId, ...studentScopeFilter(req.user, req.permissionScope) }).select('-password').lean();
         if (!student) return sendErrorResponse(res, 404, 'Student not found.');
         res.json({ success: true, data: student });
     } catch (err) {
@@ -73,9 +165,10 @@ router.get('/students/:userId', authMiddleware, authorizeRoles('admin'), async (
 });
 
 // GET /api/users/departments - Get a unique list of all departments
-router.get('/departments', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/departments', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
     try {
         const departments = await User.distinct("department", { 
+            ...studentScopeFilter(req.user, req.permissionScope),
             role: 'student', 
             department: { $ne: null, $ne: "" } 
         });
@@ -86,9 +179,10 @@ router.get('/departments', authMiddleware, authorizeRoles('admin'), async (req,
 });
 
 // --- NEW ROUTES for Admin Dropdowns ---
-router.get('/semesters', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/semesters', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
     try {
         const semesters = await User.distinct("semester", { 
+            ...studentScopeFilter(req.user, req.permissionScope),
             role: 'student', 
             semester: { $ne: null, $ne: "" } 
         });
@@ -98,9 +192,10 @@ router.get('/semesters', authMiddleware, authorizeRoles('admin'), async (req, re
     }
 });
 
-router.get('/sections', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.get('/sections', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
     try {
         const sections = await User.distinct("section", { 
+            ...studentScopeFilter(req.user, req.permissionScope),
             role: 'student', 
             section: { $ne: null, $ne: "" } 
         });
@@ -110,20 +205,67 @@ router.get('/sections', authMiddleware, authorizeRoles('admin'), async (req, res
     }
 });
 
+// GET /api/users/faculty - Active faculty accounts, for assigning instructors to course offerings
+router.get('/faculty', authMiddleware, authorizePermission('events:write'), async (req, res, next) => {
+    try {
+        const faculty = await User.find({ role: 'faculty', isDisabled: { $ne: true } }).select('name username department').sort({ name: 1 }).lean();
+        res.json({ success: true, data: faculty });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// GET /api/users/lockouts - Accounts locked after failed logins, plus IPs currently blocked.
+// Department-scoped callers see only their own students and no IP blocks.
+router.get('/lockouts', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const accounts = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), lockedUntil: { $gt: new Date() } })
+            .select('username name role department lockedUntil lockoutCount lastFailedLoginAt')
+            .sort({ lockedUntil: -1 }).lean();
+        const blockedIps = req.permissionScope === SCOPES.ALL ? listBlockedIps() : [];
+        res.json({ success: true, data: { accounts, blockedIps } });
+    } catch (err) { next(err); }
+});
+
+// POST /api/users/lockouts/unblock-ip - Lift an IP block early. Body: { ip }
+router.post('/lockouts/unblock-ip', authMiddleware, authorizePermission('accounts:manage'), async (req, res, next) => {
+    try {
+        const { ip } = req.body;
+        if (!ip) return sendErrorResponse(res, 400, 'An IP address is required.');
+        if (!unblockIp(String(ip))) return sendErrorResponse(res, 404, `No block found for ${ip}.`);
+        res.json({ success: true, message: `Login block for ${ip} has been lifted.` });
+    } catch (err) { next(err); }
+});
+
+// POST /api/users/:userId/unlock - Clear a login lockout and the failed-attempt history
+router.post('/:userId/unlock', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        if (!(await User.exists({ _id: userId, ...studentScopeFilter(req.user, req.permissionScope) }))) return sendErrorResponse(res, 404, 'User not found.');
+        const user = await unlockAccount(userId);
+        if (!user) return sendErrorResponse(res, 404, 'User not found.');
+        res.json({ success: true, message: `${user.username} has been unlocked.`, data: user });
+    } catch (err) { next(err); }
+});
+
 // POST /api/users/add-student - Add a new student
-router.post('/add-student', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/add-student', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
     try {
-      const { username, name, password, department, semester, section } = req.body;
+      const { username, name, password, semester, section } = req.body;
       if (!username?.trim() || !name?.trim() || !password) return sendErrorResponse(res, 400, 'Username, name, and password are required.');
-      const existingUser = await User.findOne({ username: username.trim().toLowerCase() });
-      if (existingUser) return sendErrorResponse(res, 400, `Username "${username.trim()}" already exists.`);
+      const department = resolveDepartmentForScope(req, req.body.department);
+      if (department === undefined) return sendErrorResponse(res, 403, `You can only add students to the ${req.user.department} department.`);
+      // Usernames of students in the trash stay reserved until they are purged.
+      const existingUser = await User.findOne({ username: username.trim().toLowerCase() }).setOptions({ withDeleted: true });
+      if (existingUser) return sendErrorResponse(res, 400, existingUser.deletedAt ? `Username "${username.trim()}" belongs to a student in the trash. Restore them instead.` : `Username "${username.trim()}" already exists.`);
       
       const user = new User({ 
           username: username.trim().toLowerCase(), 
           name: name.trim(), 
           role: 'student', 
           password, 
-          department: department ? department.trim() : null,
+          department: department || null,
           semester: semester ? semester.trim() : null,
           section: section ? section.trim() : null
       });
@@ -135,11 +277,14 @@ router.post('/add-student', authMiddleware, authorizeRoles('admin'), async (req,
 });
 
 // PUT /api/users/:userId - Update a student's basic details
-router.put('/:userId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.put('/:userId', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
     try {
         const { userId } = req.params;
         const { name, username, department, semester, section } = req.body;
         if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID format.');
+        if (department !== undefined && resolveDepartmentForScope(req, department) === undefined) {
+            return sendErrorResponse(res, 403, `You can only keep students in the ${req.user.department} department.`);
+        }
 
         const updateFields = {};
         if (name !== undefined) updateFields.name = name.trim();
@@ -148,7 +293,7 @@ router.put('/:userId', authMiddleware, authorizeRoles('admin'), async (req, res,
         if (semester !== undefined) updateFields.semester = semester.trim();
         if (section !== undefined) updateFields.section = section.trim();
 
-        const updatedUser = await User.findByIdAndUpdate(userId, updateFields, { new: true, runValidators: true }).select('-password');
+        const updatedUser = await User.findOneAndUpdate({ _id: userId, ...studentScopeFilter(req.user, req.permissionScope) }, updateFields, { new: true, runValidators: true }).select('-password');
         if (!updatedUser) return sendErrorResponse(res, 404, 'User not found.');
 
         res.json({ success: true, message: 'Student details updated.', data: updatedUser });
@@ -156,36 +301,200 @@ router.put('/:userId', authMiddleware, authorizeRoles('admin'), async (req, res,
 });
 
 // POST /api/users/:userId/reset-password - Admin resets a student's password
-router.post('/:userId/reset-password', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+router.post('/:userId/reset-password', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
     try {
         const { userId } = req.params;
         const { newPassword } = req.body;
         if (!newPassword || newPassword.length < 6) return sendErrorResponse(res, 400, 'New password must be at least 6 characters.');
         if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
         const user = await User.findById(userId);
-        if (!user) return sendErrorResponse(res, 404, 'User not found.');
+        if (!user || !isStudentInScope(req.user, req.permissionScope, user)) return sendErrorResponse(res, 404, 'User not found.');
         user.password = newPassword;
         user.requiresPasswordChange = true;
+        // A reset by an admin also lifts any lockout the student ran into.
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        user.lockedUntil = null;
         await user.save();
-        res.json({ success: true, message: `Password for ${user.username} has been reset.` });
+        const signedOut = await revokeUserSessions({ userId: user._id, reason: 'PASSWORD_RESET' });
+        res.json({ success: true, message: `Password for ${user.username} has been reset.${signedOut > 0 ? ` Signed out of ${signedOut} active session(s).` : ''}` });
+    } catch (err) { next(err); }
+});
+
+// --- Prior credits / transcript (see services/transcript.js) ---
+
+const populateTranscript = (query) => query
+    .select('username name completedCourses')
+    .populate({ path: 'completedCourses.recordedBy', select: 'username name', options: { withDeleted: true } });
+
+// POST /api/users/transcripts/upload - Import prior credits from a CSV (username, coursetitle[, completedat, term, grade])
+router.post('/transcripts/upload', authMiddleware, authorizePermission('students:write'), upload.single('csv'), async (req, res, next) => {
+    try {
+        if (!req.file) return sendErrorResponse(res, 400, 'No CSV file was uploaded.');
+        const rows = await readCsvRows(req.file.buffer);
+        if (rows.length === 0) return sendErrorResponse(res, 400, 'The CSV file has no rows.');
+        const { imported, failures } = await importTranscriptRows({ rows, studentFilter: studentScopeFilter(req.user, req.permissionScope), recordedBy: req.user._id });
+        if (imported === 0) return sendErrorResponse(res, 400, 'No prior credits were imported.', { failures });
+        const message = failures.length > 0
+            ? `Partial success: ${imported} prior credit(s) recorded, ${failures.length} row(s) failed.`
+            : `All ${imported} prior credit(s) recorded.`;
+        res.status(failures.length > 0 ? 207 : 200).json({ success: true, message, data: { imported, failures } });
+    } catch (err) { next(err); }
+});
+
+// GET /api/users/:userId/transcript - A student's prior credits
+router.get('/:userId/transcript', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        const student = await populateTranscript(User.findOne({ _id: userId, role: 'student', ...studentScopeFilter(req.user, req.permissionScope) })).lean();
+        if (!student) return sendErrorResponse(res, 404, 'Student not found.');
+        res.json({ success: true, data: student.completedCourses || [] });
     } catch (err) { next(err); }
 });
 
-// DELETE /api/users/:userId - Delete a SINGLE student
-router.delete('/:userId', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// POST /api/users/:userId/transcript - Record one prior credit
+router.post('/:userId/transcript', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
     try {
         const { userId } = req.params;
+        const { courseId, completedAt, term, grade } = req.body;
         if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
-        const userToDelete = await User.findById(userId);
-        if (!userToDelete) return sendErrorResponse(res, 404, 'User not found.');
-        await Event.updateMany({}, { $pull: { "courses.$[].slots.$[].enrolled": userId } });
-        await User.findByIdAndDelete(userId);
-        res.json({ success: true, message: `User "${userToDelete.username}" has been permanently deleted.` });
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
+
+        const course = await Course.findOne({ _id: courseId, deletedAt: null }).select('title').lean();
+        if (!course) return sendErrorResponse(res, 404, 'Course not found in the catalog.');
+        const student = await User.findOne({ _id: userId, role: 'student', ...studentScopeFilter(req.user, req.permissionScope) });
+        if (!student) return sendErrorResponse(res, 404, 'Student not found.');
+        const taken = describeTakenCourse(student, course);
+        if (taken) return sendErrorResponse(res, 400, taken);
+
+        student.completedCourses.push(buildCompletedCourse({ course, completedAt, term, grade, source: 'manual', recordedBy: req.user._id }));
+        await student.save();
+        const updated = await populateTranscript(User.findById(student._id)).lean();
+        res.status(201).json({ success: true, message: `${course.title} recorded as a prior credit for ${student.username}.`, data: updated.completedCourses });
+    } catch (err) {
+        if (err.statusCode) return sendErrorResponse(res, err.statusCode, err.message);
+        next(err);
+    }
+});
+
+// DELETE /api/users/:userId/transcript/:entryId - Remove a prior credit
+router.delete('/:userId/transcript/:entryId', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId, entryId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(entryId)) return sendErrorResponse(res, 400, 'Invalid ID.');
+        const result = await User.updateOne(
+            { _id: userId, role: 'student', deletedAt: null, 'completedCourses._id': entryId, ...studentScopeFilter(req.user, req.permissionScope) },
+            { $pull: { completedCourses: { _id: entryId } } }
+        );
+        if (result.modifiedCount === 0) return sendErrorResponse(res, 404, 'Prior credit not found.');
+        res.json({ success: true, message: 'Prior credit removed. Existing enrollments are not affected.' });
     } catch (err) { next(err); }
 });
 
-// DELETE /api/users - Deletes multiple users at once
-router.delete('/', authMiddleware, authorizeRoles('admin'), async (req, res, next) => {
+// --- Prerequisite credits and waivers (see services/prerequisites.js) ---
+
+const populateWaivers = (query) => query
+    .select('username name prerequisiteWaivers')
+    .populate('prerequisiteWaivers.course', 'title')
+    .populate({ path: 'prerequisiteWaivers.grantedBy', select: 'username name', options: { withDeleted: true } });
+
+// GET /api/users/:userId/prerequisite-waivers - A student's prerequisite credits and waivers
+router.get('/:userId/prerequisite-waivers', authMiddleware, authorizePermission('students:read'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        const student = await populateWaivers(User.findOne({ _id: userId, role: 'student', ...studentScopeFilter(req.user, req.permissionScope) })).lean();
+        if (!student) return sendErrorResponse(res, 404, 'Student not found.');
+        res.json({ success: true, data: student.prerequisiteWaivers || [] });
+    } catch (err) { next(err); }
+});
+
+// POST /api/users/:userId/prerequisite-waivers - Grant credit for a course ('credit') or lift a course's prerequisites ('waiver')
+router.post('/:userId/prerequisite-waivers', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { kind, courseId, reason } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        if (!WAIVER_KINDS.includes(kind)) return sendErrorResponse(res, 400, `Kind must be one of: ${WAIVER_KINDS.join(', ')}.`);
+        if (!mongoose.Types.ObjectId.isValid(courseId)) return sendErrorResponse(res, 400, 'Invalid Course ID.');
+
+        const course = await Course.findOne({ _id: courseId, deletedAt: null }).select('title').lean();
+        if (!course) return sendErrorResponse(res, 404, 'Course not found in the catalog.');
+        const student = await User.findOne({ _id: userId, role: 'student', ...studentScopeFilter(req.user, req.permissionScope) });
+        if (!student) return sendErrorResponse(res, 404, 'Student not found.');
+        if (student.prerequisiteWaivers.some(w => w.kind === kind && w.course.equals(course._id))) {
+            return sendErrorResponse(res, 400, `${student.username} already has this ${kind} for ${course.title}.`);
+        }
+
+        student.prerequisiteWaivers.push({ kind, course: course._id, reason: typeof reason === 'string' ? reason.trim() : undefined, grantedBy: req.user._id });
+        await student.save();
+        const updated = await populateWaivers(User.findById(student._id)).lean();
+        const message = kind === 'credit'
+            ? `${student.username} now counts as having taken ${course.title} for prerequisites.`
+            : `Prerequisites of ${course.title} are waived for ${student.username}.`;
+        res.status(201).json({ success: true, message, data: updated.prerequisiteWaivers });
+    } catch (err) { next(err); }
+});
+
+// DELETE /api/users/:userId/prerequisite-waivers/:waiverId - Withdraw a credit or waiver
+router.delete('/:userId/prerequisite-waivers/:waiverId', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId, waiverId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(waiverId)) return sendErrorResponse(res, 400, 'Invalid ID.');
+        const result = await User.updateOne(
+            { _id: userId, role: 'student', deletedAt: null, 'prerequisiteWaivers._id': waiverId, ...studentScopeFilter(req.user, req.permissionScope) },
+            { $pull: { prerequisiteWaivers: { _id: waiverId } } }
+        );
+        if (result.modifiedCount === 0) return sendErrorResponse(res, 404, 'Waiver not found.');
+        res.json({ success: true, message: 'Waiver withdrawn. Existing enrollments are not affected.' });
+    } catch (err) { next(err); }
+});
+
+// GET /api/users/trash - Students in the trash, with the date each one will be purged
+router.get('/trash', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const students = await User.find({ ...studentScopeFilter(req.user, req.permissionScope), ...IN_TRASH, role: 'student' })
+            .select('username name department semester section enrollments deletedAt deletedBy')
+            .populate({ path: 'deletedBy', select: 'username name', options: { withDeleted: true } })
+            .sort({ deletedAt: -1 }).lean();
+        res.json({ success: true, data: students.map(s => ({ ...s, purgeAt: purgeDateFor(s.deletedAt) })), retentionDays: TRASH_RETENTION_DAYS });
+    } catch (err) { next(err); }
+});
+
+// POST /api/users/:userId/restore - Bring a student back from the trash and give back their seats where still free
+router.post('/:userId/restore', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        const trashed = await User.findOne({ _id: userId, ...IN_TRASH }).lean();
+        if (!trashed || !isStudentInScope(req.user, req.permissionScope, trashed)) return sendErrorResponse(res, 404, 'No student with this ID is in the trash.');
+        const result = await runInTransaction(session => restoreUser({ userId, session }));
+        if (!result) return sendErrorResponse(res, 404, 'No student with this ID is in the trash.');
+        const message = result.dropped.length > 0
+            ? `${result.user.username} restored. ${result.restored.length} enrollment(s) kept, ${result.dropped.length} could not be restored.`
+            : `${result.user.username} restored with ${result.restored.length} enrollment(s).`;
+        res.json({ success: true, message, data: { restored: result.restored, dropped: result.dropped } });
+    } catch (err) { next(err); }
+});
+
+// DELETE /api/users/:userId - Move a SINGLE student to the trash
+router.delete('/:userId', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) return sendErrorResponse(res, 400, 'Invalid user ID.');
+        if (userId === String(req.user._id)) return sendErrorResponse(res, 400, 'You cannot delete your own account.');
+        // Only students go to the trash; the trash lists and restores nothing else.
+        const userToDelete = await User.findOne({ _id: userId, role: 'student' });
+        if (!userToDelete || !isStudentInScope(req.user, req.permissionScope, userToDelete)) return sendErrorResponse(res, 404, 'User not found.');
+        // Seats, waitlists, rankings and sessions go; the account and its enrollment history wait in the trash.
+        await runInTransaction(session => trashUsers({ userIds: [userToDelete._id], deletedBy: req.user._id, session }));
+        res.json({ success: true, message: `User "${userToDelete.username}" moved to the trash. It can be restored for ${TRASH_RETENTION_DAYS} days.` });
+    } catch (err) { next(err); }
+});
+
+// DELETE /api/users - Moves multiple users to the trash at once
+router.delete('/', authMiddleware, authorizePermission('students:write'), async (req, res, next) => {
     try {
         const { userIds } = req.body;
         if (!Array.isArray(userIds) || userIds.length === 0) {
@@ -196,14 +505,19 @@ router.delete('/', authMiddleware, authorizeRoles('admin'), async (req, res, nex
                 return sendErrorResponse(res, 400, `Invalid user ID format found in the list: ${id}`);
             }
         }
-        await Event.updateMany({}, { $pull: { "courses.$[].slots.$[].enrolled": { $in: userIds } } });
-        const deleteResult = await User.deleteMany({ _id: { $in: userIds } });
-        if (deleteResult.deletedCount === 0) {
+        if (userIds.some(id => String(id) === String(req.user._id))) {
+            return sendErrorResponse(res, 400, 'You cannot delete your own account.');
+        }
+        // Ids outside the caller's scope, and accounts that are not students, are silently dropped, as if they didn't exist.
+        const objectIds = await User.find({ _id: { $in: userIds }, ...studentScopeFilter(req.user, req.permissionScope), role: 'student' }).distinct('_id');
+        if (objectIds.length === 0) return sendErrorResponse(res, 404, 'No matching students found to delete.');
+        const trashedCount = await runInTransaction(session => trashUsers({ userIds: objectIds, deletedBy: req.user._id, session }));
+        if (trashedCount === 0) {
             return sendErrorResponse(res, 404, 'No matching students found to delete.');
         }
         res.json({ 
             success: true, 
-            message: `${deleteResult.deletedCount} student(s) have been permanently deleted.` 
+            message: `${trashedCount} student(s) moved to the trash. They can be restored for ${TRASH_RETENTION_DAYS} days.` 
         });
     } catch (err) {
         console.error(`Error during bulk user deletion:`, err.stack);
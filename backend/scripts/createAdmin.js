@@ -0,0 +1,59 @@
+// backend/scripts/createAdmin.js
+// One-time bootstrap: creates the first admin account on a fresh database. It refuses to run once
+// any admin exists; after that, admins create each other from the Admin Accounts page.
+//
+// Usage:
+//   npm run create-admin -- --username=admin --name="Site Admin" [--password=...] [--department=...]
+//
+// Without --password (or ADMIN_PASSWORD in the environment) a temporary password is generated and
+// printed once. Either way the admin must choose a new password on first login.
+require('dotenv').config();
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const parseArgs = () => Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, ...rest] = arg.replace(/^--/, '').split('=');
+  return [key, rest.length ? rest.join('=') : true];
+}));
+
+const main = async () => {
+  const args = parseArgs();
+  const username = typeof args.username === 'string' ? args.username.trim().toLowerCase() : '';
+  const name = typeof args.name === 'string' ? args.name.trim() : '';
+  if (!username || !name) throw new Error('Both --username and --name are required.');
+  const providedPassword = typeof args.password === 'string' ? args.password : process.env.ADMIN_PASSWORD;
+  if (providedPassword && providedPassword.length < 6) throw new Error('Password must be at least 6 characters long.');
+  if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI is not set.');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    if (await User.exists({ role: 'admin' })) {
+      throw new Error('An admin account already exists. Create further admins from the Admin Accounts page.');
+    }
+    if (await User.exists({ username }).setOptions({ withDeleted: true })) throw new Error(`Username "${username}" is already taken.`);
+
+    const password = providedPassword || crypto.randomBytes(9).toString('base64url');
+    const admin = new User({
+      username,
+      name,
+      role: 'admin',
+      password,
+      department: typeof args.department === 'string' ? args.department.trim() : undefined,
+      requiresPasswordChange: true,
+    });
+    await admin.save();
+
+    console.log(`Admin "${admin.username}" created.`);
+    if (!providedPassword) console.log(`Temporary password: ${password}`);
+    console.log('You will be asked to choose a new password on first login.');
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error('create-admin failed:', err.message);
+  mongoose.connection.close().finally(() => process.exit(1));
+});
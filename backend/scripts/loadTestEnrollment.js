@@ -0,0 +1,170 @@
+// backend/scripts/loadTestEnrollment.js
+// Fires hundreds of concurrent student enrollments at a running API and checks that no slot was
+// overbooked and that slot rosters and User.enrollments agree afterwards.
+//
+// Usage (API and script must point at the same local MongoDB):
+//   npm start                                   # in another terminal
+//   npm run loadtest:enroll -- --students=300 --capacity=40 --offerings=3 --slots=2
+//
+// Options: --students, --offerings, --slots (per offering), --capacity (per slot),
+// --api (default http://localhost:5000/api), --keep (leave the test data in place).
+// It refuses to run against a non-local MONGODB_URI unless LOADTEST_ALLOW_REMOTE=true. The database
+// must be a replica set (a single-node one is fine), since enrollment runs in transactions.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Course = require('../models/Course');
+const ActivityLog = require('../models/ActivityLog');
+const Session = require('../models/Session');
+const { createSession } = require('../services/sessions');
+
+const parseArgs = () => {
+  const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+  }));
+  return {
+    students: parseInt(args.students, 10) || 300,
+    offerings: parseInt(args.offerings, 10) || 3,
+    slots: parseInt(args.slots, 10) || 2,
+    capacity: parseInt(args.capacity, 10) || 40,
+    api: (args.api || process.env.LOADTEST_API_URL || 'http://localhost:5000/api').replace(/\/$/, ''),
+    keep: !!args.keep,
+  };
+};
+
+const percentile = (sorted, p) => (sorted.length === 0 ? 0 : sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))]);
+
+const seed = async ({ runId, students, offerings, slots, capacity }) => {
+  const courses = await Course.insertMany(Array.from({ length: offerings }, (_, i) => ({ title: `Load Test ${runId} Course ${i + 1}` })));
+  const slotTime = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const event = await Event.create({
+    name: `Load Test ${runId}`,
+    isOpen: true,
+    maxCoursesPerStudent: 1,
+    courses: courses.map(course => ({
+      course: course._id,
+      slots: Array.from({ length: slots }, (_, i) => ({ id: i + 1, time: slotTime, maxCapacity: capacity, enrolled: [], isActive: true })),
+    })),
+  });
+  // insertMany skips the password hashing hook; these accounts never log in, they get sessions directly.
+  const users = await User.insertMany(Array.from({ length: students }, (_, i) => ({
+    username: `lt${runId}_${i}`,
+    name: `Load Test Student ${i}`,
+    role: 'student',
+    password: 'not-a-login-password',
+    requiresPasswordChange: false,
+  })));
+  return { courses, event, users };
+};
+
+const verify = async ({ eventId, userIds }) => {
+  const problems = [];
+  const event = await Event.findById(eventId).lean();
+  const users = await User.find({ _id: { $in: userIds } }).select('enrollments').lean();
+  const enrollmentsByUser = new Map(users.map(u => [String(u._id), (u.enrollments || []).filter(e => String(e.eventId) === String(eventId))]));
+  let seatsTaken = 0;
+
+  for (const offering of event.courses) {
+    for (const slot of offering.slots) {
+      const roster = slot.enrolled.map(String);
+      seatsTaken += roster.length;
+      if (roster.length > slot.maxCapacity) problems.push(`Slot ${slot.id} of offering ${offering._id} is overbooked: ${roster.length}/${slot.maxCapacity}.`);
+      if (new Set(roster).size !== roster.length) problems.push(`Slot ${slot.id} of offering ${offering._id} lists a student twice.`);
+      roster.forEach(userId => {
+        if (!(enrollmentsByUser.get(userId) || []).some(e => String(e.courseId) === String(offering.course))) {
+          problems.push(`User ${userId} is on a roster but has no matching enrollment.`);
+        }
+      });
+    }
+  }
+  enrollmentsByUser.forEach((enrollments, userId) => {
+    if (enrollments.length > event.maxCoursesPerStudent) problems.push(`User ${userId} exceeds maxCoursesPerStudent.`);
+    enrollments.forEach(e => {
+      const offering = event.courses.find(o => String(o.course) === String(e.courseId));
+      if (!offering || !offering.slots.some(s => s.enrolled.map(String).includes(userId))) problems.push(`User ${userId} has an enrollment in ${e.courseTitle} but is on no roster.`);
+    });
+  });
+  return { problems, seatsTaken, totalCapacity: event.courses.reduce((sum, o) => sum + o.slots.reduce((s, slot) => s + slot.maxCapacity, 0), 0) };
+};
+
+const cleanup = async ({ courses, event, users }) => {
+  const userIds = users.map(u => u._id);
+  await Promise.all([
+    Event.deleteOne({ _id: event._id }),
+    Course.deleteMany({ _id: { $in: courses.map(c => c._id) } }),
+    User.deleteMany({ _id: { $in: userIds } }),
+    ActivityLog.deleteMany({ user: { $in: userIds } }),
+    Session.deleteMany({ user: { $in: userIds } }),
+  ]);
+};
+
+const main = async () => {
+  const options = parseArgs();
+  const uri = process.env.MONGODB_URI;
+  if (!uri) throw new Error('MONGODB_URI is not set.');
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set; it must match the running API.');
+  if (!/localhost|127\.0\.0\.1/.test(uri) && process.env.LOADTEST_ALLOW_REMOTE !== 'true') {
+    throw new Error('MONGODB_URI does not point at a local database. Set LOADTEST_ALLOW_REMOTE=true to run anyway.');
+  }
+
+  await mongoose.connect(uri);
+  const runId = Date.now().toString(36);
+  console.log(`Seeding run ${runId}: ${options.students} students, ${options.offerings} offerings x ${options.slots} slots x ${options.capacity} seats.`);
+  const data = await seed({ runId, ...options });
+
+  try {
+    // Every student targets a random slot, so some slots are oversubscribed and others are not.
+    const requests = await Promise.all(data.users.map(async user => {
+      const offering = data.event.courses[Math.floor(Math.random() * data.event.courses.length)];
+      const slot = offering.slots[Math.floor(Math.random() * offering.slots.length)];
+      const { token } = await createSession({ user, ip: 'loadtest' });
+      return { url: `${options.api}/events/${data.event._id}/courses/${offering._id}/slots/${slot.id}/enroll`, token };
+    }));
+
+    const startedAt = Date.now();
+    const results = await Promise.all(requests.map(async ({ url, token }) => {
+      const requestStart = Date.now();
+      try {
+        const response = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+        const body = await response.json().catch(() => ({}));
+        return { status: response.status, error: body.error, ms: Date.now() - requestStart };
+      } catch (err) {
+        return { status: 'network', error: err.message, ms: Date.now() - requestStart };
+      }
+    }));
+    const elapsed = Date.now() - startedAt;
+
+    const byOutcome = results.reduce((acc, r) => {
+      const key = r.status === 200 ? 'enrolled' : `${r.status}: ${r.error || 'no message'}`;
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+    const latencies = results.map(r => r.ms).sort((a, b) => a - b);
+    const { problems, seatsTaken, totalCapacity } = await verify({ eventId: data.event._id, userIds: data.users.map(u => u._id) });
+
+    console.log(`\n${results.length} requests in ${elapsed} ms (p50 ${percentile(latencies, 50)} ms, p95 ${percentile(latencies, 95)} ms, max ${latencies[latencies.length - 1]} ms)`);
+    Object.entries(byOutcome).sort((a, b) => b[1] - a[1]).forEach(([outcome, count]) => console.log(`  ${String(count).padStart(5)}  ${outcome}`));
+    console.log(`Seats taken: ${seatsTaken}/${totalCapacity}; successful responses: ${byOutcome.enrolled || 0}`);
+    if ((byOutcome.enrolled || 0) !== seatsTaken) problems.push(`Successful responses (${byOutcome.enrolled || 0}) do not match seats taken (${seatsTaken}).`);
+
+    if (problems.length > 0) {
+      console.error(`\nFAILED with ${problems.length} consistency problem(s):`);
+      problems.slice(0, 20).forEach(p => console.error(`  - ${p}`));
+      process.exitCode = 1;
+    } else {
+      console.log('\nOK: no overbooking, rosters and enrollments agree.');
+    }
+  } finally {
+    if (options.keep) console.log(`Keeping test data (event ${data.event._id}).`);
+    else await cleanup(data);
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(err => {
+  console.error('Load test failed:', err.message);
+  mongoose.connection.close().finally(() => process.exit(1));
+});
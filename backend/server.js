@@ -14,6 +14,9 @@ const eventRoutes = require('./routes/events');
 const studentRoutes = require('./routes/students');
 const userRoutes = require('./routes/userRoutes');
 const courseCatalogRoutes = require('./routes/courseCatalogRoutes');
+const adminAccountRoutes = require('./routes/adminAccountRoutes');
+const resourceRoutes = require('./routes/resourceRoutes');
+const { startTrashPurgeSchedule } = require('./services/trash');
 
 // --- Initializations ---
 const app = express();
@@ -25,6 +28,8 @@ const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log(`🚀 MongoDB Atlas connected successfully in ${nodeEnv} mode.`);
+    // Deleted students, events and courses are purged once they have been in the trash long enough.
+    startTrashPurgeSchedule();
   } catch (err) {
     console.error('🔴 MongoDB connection error:', err.message);
     process.exit(1);
@@ -70,6 +75,8 @@ app.use('/api/events', eventRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/catalog/courses', courseCatalogRoutes);
+app.use('/api/admin/accounts', adminAccountRoutes);
+app.use('/api/resources', resourceRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
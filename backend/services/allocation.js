@@ -0,0 +1,235 @@
+// backend/services/allocation.js
+// Preference-ranked allocation for events in 'ranked' mode. Students rank offerings while the event
+// is open; once it closes an admin previews a run and then commits it. Both steps build the plan
+// with the same function, so a commit with the preview's tie-break and seed reproduces the preview.
+const crypto = require('crypto');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Preference = require('../models/Preference');
+const ActivityLog = require('../models/ActivityLog');
+const { ELIGIBILITY_REASONS, checkEventEligibility, checkPrerequisiteEligibility } = require('./eligibility');
+const { loadPrerequisiteCatalog } = require('./prerequisites');
+const { takenCourseIds, describeTakenCourse } = require('./transcript');
+const { RELEASED_STATUSES, holdsCourse, countsTowardLimit } = require('./outcomes');
+const { isAnyWindowOpen } = require('./eventSchedule');
+const { loadBookings, findClash, describeClash } = require('./timetable');
+
+const TIE_BREAKS = ['lottery', 'seniority'];
+
+const ALLOCATION_REASONS = {
+  ...ELIGIBILITY_REASONS,
+  OFFERING_NOT_FOUND: 'OFFERING_NOT_FOUND',
+  NO_SEATS_LEFT: 'NO_SEATS_LEFT',
+};
+
+const toAllocationError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Seeded PRNG (mulberry32) so a lottery can be replayed exactly from its seed.
+const createRandom = (seed) => {
+  let state = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Semesters are free text ("5", "Sem 5", "V"); only the digits count, anything else ranks last.
+const semesterNumber = (semester) => {
+  const value = parseInt(String(semester || '').replace(/\D/g, ''), 10);
+  return Number.isNaN(value) ? 0 : value;
+};
+
+// Processing order for students. A seeded shuffle is always applied first, so 'seniority' falls back
+// to the lottery between students in the same semester.
+const orderStudents = (students, tieBreak, seed) => {
+  const random = createRandom(seed);
+  const ordered = [...students].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  for (let i = ordered.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+  }
+  if (tieBreak === 'seniority') ordered.sort((a, b) => semesterNumber(b.semester) - semesterNumber(a.semester));
+  return ordered;
+};
+
+// Validates { tieBreak, seed } from a request body. A missing seed gets a fresh random one, which the
+// plan echoes back so the admin can commit exactly what they previewed.
+const normalizeAllocationOptions = ({ tieBreak, seed } = {}) => {
+  const resolvedTieBreak = tieBreak || 'lottery';
+  if (!TIE_BREAKS.includes(resolvedTieBreak)) throw toAllocationError(`tieBreak must be one of: ${TIE_BREAKS.join(', ')}.`);
+  const resolvedSeed = seed !== undefined && seed !== null && String(seed).trim() !== '' ? String(seed).trim() : crypto.randomBytes(4).toString('hex');
+  return { tieBreak: resolvedTieBreak, seed: resolvedSeed };
+};
+
+// Throws unless the event is a ranked event whose registration has closed and that was not allocated yet.
+const assertAllocatable = (event, now = new Date()) => {
+  if (event.enrollmentMode !== 'ranked') throw toAllocationError('This event does not use ranked preferences.');
+  if (event.allocation && event.allocation.committedAt) throw toAllocationError('Allocation for this event has already been committed.', 409);
+  if (isAnyWindowOpen(event, now)) throw toAllocationError('Close the preference window before running the allocation.');
+};
+
+// Builds the allocation plan without writing anything. `event` must have `courses.course` populated.
+//
+// Seats are filled rank by rank: every student's first choice is considered (in tie-break order)
+// before anyone's second choice. A choice is skipped with a reason when the student is not eligible
+// for the event, already holds the course, misses a prerequisite, would break an exclusive group,
+// has reached maxCoursesPerStudent, or no active slot has a seat left. A seat goes to the first slot
+// with room whose sessions don't clash with the student's other slots, those assigned earlier in the
+// run included. Prerequisites only count courses held before this run.
+const buildAllocationPlan = async ({ event, tieBreak, seed, session }) => {
+  const preferences = await Preference.find({ event: event._id }).session(session || null).lean();
+  const students = await User.find({ _id: { $in: preferences.map(p => p.user) }, role: 'student' })
+    .select('username name department semester section enrollments completedCourses prerequisiteWaivers').session(session || null).lean();
+  const rankingsByUser = new Map(preferences.map(p => [String(p.user), (p.rankings || []).map(String)]));
+
+  // Exclusive groups of everything the students already hold, across all events.
+  const heldCourseIds = [...new Set(students.flatMap(s => (s.enrollments || []).filter(e => holdsCourse(e)).map(e => String(e.courseId))))];
+  const heldCourses = await Course.find({ _id: { $in: heldCourseIds } }).select('exclusiveGroup').session(session || null).lean();
+  const groupByCourseId = new Map(heldCourses.map(c => [String(c._id), c.exclusiveGroup]));
+  const bookingsByUser = await loadBookings({ students, events: [event], session });
+
+  const offerings = new Map();
+  (event.courses || []).forEach(offering => {
+    if (!offering.course) return;
+    const slots = (offering.slots || []).filter(s => s.isActive).map(s => ({ id: s.id, slot: s, free: Math.max(s.maxCapacity - (s.enrolled || []).length, 0) }));
+    offerings.set(String(offering._id), { offering, course: offering.course, slots, seatsBefore: slots.reduce((sum, s) => sum + s.free, 0), assigned: 0, firstChoiceCount: 0 });
+  });
+
+  const prerequisiteCatalog = await loadPrerequisiteCatalog({ courses: [...offerings.values()].map(entry => entry.course), session });
+
+  const states = orderStudents(students, tieBreak, seed).map((student, index) => {
+    const rankings = rankingsByUser.get(String(student._id)) || [];
+    if (rankings[0] && offerings.has(rankings[0])) offerings.get(rankings[0]).firstChoiceCount += 1;
+    return {
+      student,
+      order: index + 1,
+      rankings,
+      eligibility: checkEventEligibility(event, student),
+      heldCourseIds: takenCourseIds(student),
+      heldGroups: new Set((student.enrollments || []).map(e => groupByCourseId.get(String(e.courseId))).filter(Boolean)),
+      bookings: bookingsByUser.get(String(student._id)) || [],
+      remaining: event.maxCoursesPerStudent - (student.enrollments || []).filter(e => String(e.eventId) === String(event._id) && countsTowardLimit(e)).length,
+      assigned: [],
+      skipped: [],
+    };
+  });
+
+  const evaluateChoice = (state, entry) => {
+    if (!entry) return { reason: ALLOCATION_REASONS.OFFERING_NOT_FOUND, message: 'This offering is no longer part of the event.' };
+    if (!state.eligibility.eligible) return state.eligibility;
+    const courseId = String(entry.course._id);
+    if (state.heldCourseIds.has(courseId)) return { reason: ALLOCATION_REASONS.ALREADY_ENROLLED, message: describeTakenCourse(state.student, entry.course) || `Already enrolled in ${entry.course.title}.` };
+    const prerequisites = checkPrerequisiteEligibility(entry.course, state.student, prerequisiteCatalog, { policy: event.prerequisitePolicy });
+    if (!prerequisites.eligible) return prerequisites;
+    if (entry.course.exclusiveGroup && state.heldGroups.has(entry.course.exclusiveGroup)) {
+      return { reason: ALLOCATION_REASONS.EXCLUSIVE_GROUP_CONFLICT, message: `Already holds a course from the "${entry.course.exclusiveGroup}" group.` };
+    }
+    const open = entry.slots.filter(s => s.free > 0);
+    if (open.length === 0) return { reason: ALLOCATION_REASONS.NO_SEATS_LEFT, message: `${entry.course.title} has no seats left.` };
+    const slot = open.find(s => !findClash(s.slot, state.bookings));
+    if (!slot) return { reason: ALLOCATION_REASONS.TIME_CLASH, message: describeClash(findClash(open[0].slot, state.bookings)) };
+    return { slot };
+  };
+
+  const assignments = [];
+  const maxRank = Math.max(0, ...states.map(s => s.rankings.length));
+  for (let rankIndex = 0; rankIndex < maxRank; rankIndex++) {
+    for (const state of states) {
+      const offeringId = state.rankings[rankIndex];
+      if (!offeringId || state.remaining <= 0) continue;
+      const entry = offerings.get(offeringId);
+      const result = evaluateChoice(state, entry);
+      if (!result.slot) {
+        state.skipped.push({ rank: rankIndex + 1, offeringId, courseTitle: entry ? entry.course.title : null, reason: result.reason, message: result.message });
+        continue;
+      }
+      result.slot.free -= 1;
+      entry.assigned += 1;
+      state.remaining -= 1;
+      state.heldCourseIds.add(String(entry.course._id));
+      if (entry.course.exclusiveGroup) state.heldGroups.add(entry.course.exclusiveGroup);
+      state.bookings.push({ eventId: event._id, eventName: event.name, offeringId: entry.offering._id, courseTitle: entry.course.title, slot: result.slot.slot });
+      const assignment = { userId: state.student._id, username: state.student.username, name: state.student.name, offeringId, courseId: entry.course._id, courseTitle: entry.course.title, slotId: result.slot.id, rank: rankIndex + 1 };
+      state.assigned.push(assignment);
+      assignments.push(assignment);
+    }
+  }
+
+  const studentResults = states.map(state => ({
+    userId: state.student._id,
+    username: state.student.username,
+    name: state.student.name,
+    department: state.student.department,
+    semester: state.student.semester,
+    order: state.order,
+    rankedCount: state.rankings.length,
+    assigned: state.assigned.map(a => ({ courseTitle: a.courseTitle, rank: a.rank, slotId: a.slotId })),
+    skipped: state.skipped,
+  }));
+
+  return {
+    tieBreak,
+    seed,
+    generatedAt: new Date(),
+    totals: {
+      submissions: states.length,
+      seatsAssigned: assignments.length,
+      studentsAssigned: studentResults.filter(s => s.assigned.length > 0).length,
+      studentsUnassigned: studentResults.filter(s => s.assigned.length === 0).length,
+      firstChoiceAssigned: assignments.filter(a => a.rank === 1).length,
+    },
+    offerings: [...offerings.entries()].map(([offeringId, entry]) => ({
+      offeringId, courseTitle: entry.course.title, seatsBefore: entry.seatsBefore, assigned: entry.assigned, firstChoiceCount: entry.firstChoiceCount,
+    })),
+    assignments,
+    students: studentResults,
+  };
+};
+
+// Writes a plan built inside the same transaction: slot rosters on the event, enrollments on the
+// users and one ALLOCATION_ASSIGNED log per seat. Mutates `event`; the caller saves it.
+const applyAllocationPlan = async ({ event, plan, session, adminId, ip }) => {
+  const pushesByUser = new Map();
+  for (const assignment of plan.assignments) {
+    const offering = event.courses.find(c => String(c._id) === assignment.offeringId);
+    const slot = offering && offering.slots.find(s => s.id === assignment.slotId);
+    if (!slot || slot.enrolled.length >= slot.maxCapacity) throw toAllocationError(`Seat for ${assignment.courseTitle} is no longer available; preview again.`, 409);
+    slot.enrolled.push(assignment.userId);
+    const key = String(assignment.userId);
+    if (!pushesByUser.has(key)) pushesByUser.set(key, []);
+    pushesByUser.get(key).push({ eventId: event._id, courseId: assignment.courseId, courseTitle: assignment.courseTitle, enrolledAt: new Date() });
+  }
+
+  if (pushesByUser.size > 0) {
+    // A failed or withdrawn enrollment in the same course of this event is replaced by the new one.
+    await User.bulkWrite([...pushesByUser.entries()].flatMap(([userId, enrollments]) => [
+      { updateOne: { filter: { _id: userId }, update: { $pull: { enrollments: { eventId: event._id, courseId: { $in: enrollments.map(e => e.courseId) }, status: { $in: RELEASED_STATUSES } } } } } },
+      { updateOne: { filter: { _id: userId }, update: { $push: { enrollments: { $each: enrollments } } } } },
+    ]), { session });
+  }
+  if (plan.assignments.length > 0) {
+    await ActivityLog.create(plan.assignments.map(a => ({
+      user: a.userId,
+      username: a.username,
+      action: 'ALLOCATION_ASSIGNED',
+      details: { event: event._id, eventName: event.name, courseTitle: a.courseTitle, slotNumericId: a.slotId, ip },
+    })), { session });
+  }
+
+  event.allocation = { tieBreak: plan.tieBreak, seed: plan.seed, committedAt: new Date(), committedBy: adminId, assignedCount: plan.assignments.length };
+};
+
+module.exports = {
+  TIE_BREAKS,
+  ALLOCATION_REASONS,
+  normalizeAllocationOptions,
+  assertAllocatable,
+  buildAllocationPlan,
+  applyAllocationPlan,
+};
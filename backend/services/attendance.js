@@ -0,0 +1,282 @@
+// backend/services/attendance.js
+// Attendance per slot session. Staff mark the roster directly, or open a check-in window during which
+// enrolled students enter a short code that changes every CHECK_IN_CODE_PERIOD_MS. Codes are derived
+// from the slot and the window with an HMAC, so nothing secret is stored on the event. Reports count a
+// session as held once anyone's attendance was taken for it; enrolled students without a record for
+// a held session count as absent, and excused sessions are left out of the attendance rate.
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const { offeringsInScope } = require('./permissions');
+const { sessionsOf } = require('./slotSchedule');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+const ATTENDANCE_REPORT_GROUPINGS = ['offering', 'department', 'student'];
+const CHECK_IN_CODE_PERIOD_MS = 30 * 1000;
+const DEFAULT_CHECK_IN_MINUTES = 15;
+const MAX_CHECK_IN_MINUTES = 240;
+// Wrong codes a student may enter within CHECK_IN_FAILURE_WINDOW_MS before check-in is refused.
+const MAX_FAILED_CHECK_INS = 5;
+const CHECK_IN_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+
+const toAttendanceError = (message, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const idOf = (value) => String((value && value._id) || value);
+
+// Start times of the slot's sessions; attendance records are keyed by these.
+const slotSessions = (slot) => sessionsOf(slot).map(s => s.start);
+
+// The session a request is about: the given start time, which must be one of the slot's sessions,
+// or else the latest session that has started (the first one if none has).
+const resolveSession = (slot, value, now = new Date()) => {
+  const sessions = slotSessions(slot).map(s => new Date(s)).sort((a, b) => a - b);
+  if (value) {
+    const requested = new Date(value);
+    const session = sessions.find(s => s.getTime() === requested.getTime());
+    if (!session) throw toAttendanceError('That is not a session of this slot.');
+    return session;
+  }
+  return sessions.filter(s => s <= now).pop() || sessions[0];
+};
+
+const isCheckInOpen = (slot, now = new Date()) =>
+  !!(slot.checkIn && slot.checkIn.openedAt && slot.checkIn.closesAt && slot.checkIn.openedAt <= now && slot.checkIn.closesAt > now);
+
+const codeSecret = () => process.env.ATTENDANCE_CODE_SECRET || process.env.JWT_SECRET;
+
+const codeForWindow = (slot, window) => {
+  const digest = crypto.createHmac('sha256', codeSecret())
+    .update(`${idOf(slot)}:${new Date(slot.checkIn.openedAt).getTime()}:${window}`)
+    .digest();
+  return String(digest.readUInt32BE(0) % 1000000).padStart(6, '0');
+};
+
+// The code to show at the session right now, or null while check-in is closed.
+const currentCheckInCode = (slot, now = new Date()) => {
+  if (!isCheckInOpen(slot, now)) return null;
+  const window = Math.floor(now.getTime() / CHECK_IN_CODE_PERIOD_MS);
+  return {
+    code: codeForWindow(slot, window),
+    expiresAt: new Date((window + 1) * CHECK_IN_CODE_PERIOD_MS),
+    periodSeconds: CHECK_IN_CODE_PERIOD_MS / 1000,
+  };
+};
+
+// Accepts the current code and the one before it, so a code read just before it changed still works.
+const verifyCheckInCode = (slot, code, now = new Date()) => {
+  if (!isCheckInOpen(slot, now)) return false;
+  const window = Math.floor(now.getTime() / CHECK_IN_CODE_PERIOD_MS);
+  const entered = String(code || '').trim();
+  return [window, window - 1].some(w => codeForWindow(slot, w) === entered);
+};
+
+const describeCheckIn = (slot, now = new Date()) => ({
+  open: isCheckInOpen(slot, now),
+  session: (slot.checkIn && slot.checkIn.session) || null,
+  closesAt: (slot.checkIn && slot.checkIn.closesAt) || null,
+});
+
+// Opens code check-in for one session of the slot. Mutates the slot; the caller saves the event.
+const openCheckIn = ({ slot, session, minutes = DEFAULT_CHECK_IN_MINUTES, openedBy, now = new Date() }) => {
+  const duration = Number(minutes);
+  if (!Number.isInteger(duration) || duration < 1 || duration > MAX_CHECK_IN_MINUTES) {
+    throw toAttendanceError(`Check-in must stay open between 1 and ${MAX_CHECK_IN_MINUTES} minutes.`);
+  }
+  slot.checkIn = { session: resolveSession(slot, session, now), openedAt: now, closesAt: new Date(now.getTime() + duration * 60 * 1000), openedBy };
+};
+
+const closeCheckIn = (slot, now = new Date()) => {
+  if (isCheckInOpen(slot, now)) slot.checkIn.closesAt = now;
+};
+
+// The slot's roster with each student's record for `session`, or null where none was taken.
+const getSlotAttendance = async ({ slot, session }) => {
+  const students = await User.find({ _id: { $in: slot.enrolled || [] } }).select('username name department').sort('username').lean();
+  const records = await Attendance.find({ slot: slot._id, session }).select('user status method markedAt').lean();
+  const recordByUser = new Map(records.map(r => [String(r.user), r]));
+  return students.map(student => {
+    const record = recordByUser.get(String(student._id));
+    return { ...student, status: record ? record.status : null, method: record ? record.method : null, markedAt: record ? record.markedAt : null };
+  });
+};
+
+// Staff marking: `entries` is a list of { userId, status }; a null status clears the record. Every
+// student must be on the slot's roster.
+const markAttendance = async ({ event, offering, slot, session, entries, markedBy }) => {
+  if (!Array.isArray(entries) || entries.length === 0) throw toAttendanceError('No attendance entries were given.');
+  const roster = new Set((slot.enrolled || []).map(idOf));
+  const notOnRoster = entries.filter(e => !roster.has(String(e.userId))).map(e => e.userId);
+  if (notOnRoster.length > 0) throw toAttendanceError('Some students are not enrolled in this slot.', 400, { notOnRoster });
+  const invalid = entries.find(e => e.status !== null && !ATTENDANCE_STATUSES.includes(e.status));
+  if (invalid) throw toAttendanceError(`Unknown attendance status "${invalid.status}". Use one of: ${ATTENDANCE_STATUSES.join(', ')}.`);
+
+  const operations = entries.map(({ userId, status }) => {
+    const filter = { slot: slot._id, session, user: userId };
+    if (status === null) return { deleteOne: { filter } };
+    return {
+      updateOne: {
+        filter,
+        update: {
+          $set: { status, method: 'admin', markedBy, markedAt: new Date() },
+          $setOnInsert: { event: event._id, offering: offering._id, course: idOf(offering.course) },
+        },
+        upsert: true,
+      },
+    };
+  });
+  await Attendance.bulkWrite(operations, { ordered: false });
+  return { marked: entries.filter(e => e.status !== null).length, cleared: entries.filter(e => e.status === null).length };
+};
+
+// Checks the student in to every open session whose current code matches. A record staff already
+// made for that session is kept. Throws (400) when the code matches none of the student's sessions.
+const checkInWithCode = async ({ student, code, now = new Date() }) => {
+  const events = await Event.find({ 'courses.slots': { $elemMatch: { enrolled: student._id, 'checkIn.closesAt': { $gt: now } } } })
+    .select('name courses')
+    .populate({ path: 'courses.course', select: 'title' })
+    .lean();
+
+  const matches = [];
+  events.forEach(event => (event.courses || []).forEach(offering => (offering.slots || []).forEach(slot => {
+    const enrolled = (slot.enrolled || []).some(id => idOf(id) === idOf(student));
+    if (enrolled && verifyCheckInCode(slot, code, now)) matches.push({ event, offering, slot });
+  })));
+  if (matches.length === 0) throw toAttendanceError('That code is not valid for any session you are enrolled in. Codes change every few seconds; try the one shown now.');
+
+  const checkedIn = [];
+  for (const { event, offering, slot } of matches) {
+    const result = await Attendance.updateOne(
+      { slot: slot._id, session: slot.checkIn.session, user: student._id },
+      { $setOnInsert: { event: event._id, offering: offering._id, course: idOf(offering.course), status: 'present', method: 'code', markedBy: student._id, markedAt: now } },
+      { upsert: true }
+    );
+    checkedIn.push({
+      eventId: event._id,
+      eventName: event.name,
+      courseTitle: (offering.course && offering.course.title) || 'Unknown course',
+      session: slot.checkIn.session,
+      alreadyRecorded: result.upsertedCount === 0,
+    });
+  }
+  return checkedIn;
+};
+
+// --- Reports ---
+
+// Percentage of non-excused held sessions attended (present or late), or null with none held.
+const attendanceRate = ({ present, late, excused, sessionsHeld }) => {
+  const counted = sessionsHeld - excused;
+  return counted > 0 ? Math.round(((present + late) / counted) * 100) : null;
+};
+
+// One row per enrolled student per slot of the given (lean) events, restricted to the offerings the
+// caller can see and the students `studentFilter` allows. Offerings may have `course` populated.
+const loadAttendanceRows = async ({ events, user, scope, studentFilter }) => {
+  const slots = [];
+  events.forEach(event => offeringsInScope(user, scope, event).forEach(offering => (offering.slots || []).forEach(slot => slots.push({ event, offering, slot }))));
+  const studentIds = [...new Set(slots.flatMap(({ slot }) => (slot.enrolled || []).map(idOf)))];
+  if (studentIds.length === 0) return [];
+
+  const students = await User.find({ ...studentFilter, _id: { $in: studentIds } }).select('username name department semester section').lean();
+  const studentsById = new Map(students.map(s => [String(s._id), s]));
+  const records = await Attendance.find({ event: { $in: events.map(e => e._id) } }).select('slot session user status').lean();
+  const sessionsBySlot = new Map();
+  const statusByKey = new Map();
+  records.forEach(r => {
+    const slotId = String(r.slot);
+    if (!sessionsBySlot.has(slotId)) sessionsBySlot.set(slotId, new Set());
+    sessionsBySlot.get(slotId).add(new Date(r.session).getTime());
+    statusByKey.set(`${slotId}:${new Date(r.session).getTime()}:${r.user}`, r.status);
+  });
+
+  return slots.flatMap(({ event, offering, slot }) => {
+    const sessions = [...(sessionsBySlot.get(String(slot._id)) || [])];
+    return (slot.enrolled || []).map(idOf).filter(id => studentsById.has(id)).map(studentId => {
+      const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+      sessions.forEach(session => { counts[statusByKey.get(`${slot._id}:${session}:${studentId}`) || 'absent'] += 1; });
+      return {
+        student: studentsById.get(studentId),
+        eventId: event._id,
+        eventName: event.name,
+        offeringId: offering._id,
+        courseId: idOf(offering.course),
+        courseTitle: (offering.course && offering.course.title) || null,
+        slotId: slot._id,
+        slotTime: slot.time,
+        sessionsHeld: sessions.length,
+        ...counts,
+      };
+    });
+  });
+};
+
+const sumCounts = (rows) => rows.reduce((acc, row) => {
+  ['sessionsHeld', 'present', 'late', 'excused', 'absent'].forEach(key => { acc[key] += row[key]; });
+  return acc;
+}, { sessionsHeld: 0, present: 0, late: 0, excused: 0, absent: 0 });
+
+const groupRows = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.values()];
+};
+
+// Report rows for one grouping. Totals count student-sessions, so a department's "sessionsHeld" is
+// the number of sessions its students were expected at.
+const summarizeAttendance = (rows, groupBy) => {
+  if (!ATTENDANCE_REPORT_GROUPINGS.includes(groupBy)) throw toAttendanceError(`Unknown report grouping "${groupBy}". Use one of: ${ATTENDANCE_REPORT_GROUPINGS.join(', ')}.`);
+  if (groupBy === 'student') {
+    return rows
+      .map(({ student, ...row }) => ({ username: student.username, name: student.name, department: student.department || 'N/A', semester: student.semester, section: student.section, ...row, rate: attendanceRate(row) }))
+      .sort((a, b) => a.username.localeCompare(b.username) || a.eventName.localeCompare(b.eventName));
+  }
+  if (groupBy === 'offering') {
+    return groupRows(rows, r => `${r.eventId}:${r.offeringId}`).map(group => {
+      const totals = sumCounts(group);
+      return { eventId: group[0].eventId, eventName: group[0].eventName, offeringId: group[0].offeringId, courseTitle: group[0].courseTitle, students: group.length, ...totals, rate: attendanceRate(totals) };
+    }).sort((a, b) => a.eventName.localeCompare(b.eventName) || String(a.courseTitle).localeCompare(String(b.courseTitle)));
+  }
+  return groupRows(rows, r => `${r.eventId}:${r.student.department || 'N/A'}`).map(group => {
+    const totals = sumCounts(group);
+    return { eventId: group[0].eventId, eventName: group[0].eventName, department: group[0].student.department || 'N/A', students: new Set(group.map(r => String(r.student._id))).size, ...totals, rate: attendanceRate(totals) };
+  }).sort((a, b) => a.eventName.localeCompare(b.eventName) || a.department.localeCompare(b.department));
+};
+
+// CSV columns for each grouping, as { key, header }.
+const columns = (...pairs) => pairs.map(([key, header]) => ({ key, header }));
+const COUNT_COLUMNS = [['present', 'Present'], ['late', 'Late'], ['excused', 'Excused'], ['absent', 'Absent'], ['rate', 'Attendance %']];
+const ATTENDANCE_REPORT_COLUMNS = {
+  offering: columns(['eventName', 'Event Name'], ['courseTitle', 'Course'], ['students', 'Students'], ['sessionsHeld', 'Student Sessions'], ...COUNT_COLUMNS),
+  department: columns(['eventName', 'Event Name'], ['department', 'Department'], ['students', 'Students'], ['sessionsHeld', 'Student Sessions'], ...COUNT_COLUMNS),
+  student: columns(['username', 'Username'], ['name', 'Name'], ['department', 'Department'], ['eventName', 'Event Name'], ['courseTitle', 'Course'], ['slotTime', 'Slot Time'], ['sessionsHeld', 'Sessions Held'], ...COUNT_COLUMNS),
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDANCE_REPORT_GROUPINGS,
+  ATTENDANCE_REPORT_COLUMNS,
+  MAX_FAILED_CHECK_INS,
+  CHECK_IN_FAILURE_WINDOW_MS,
+  slotSessions,
+  resolveSession,
+  currentCheckInCode,
+  describeCheckIn,
+  openCheckIn,
+  closeCheckIn,
+  getSlotAttendance,
+  markAttendance,
+  checkInWithCode,
+  attendanceRate,
+  loadAttendanceRows,
+  summarizeAttendance,
+};
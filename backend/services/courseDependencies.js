@@ -0,0 +1,191 @@
+// backend/services/courseDependencies.js
+// What still points at a catalog course, and the three ways of deleting one: block while anything
+// does, cascade (drop its offerings, enrollments and prerequisite links; prior credits and waivers
+// stay as records) or replace it with another course everywhere. Events in the trash count too, so
+// a restore never brings back a dangling offering.
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { saveAll, removeOffering } = require('./enrollment');
+const { trashCourse } = require('./trash');
+const { prerequisiteIdsOf, loadPrerequisiteMap, findCycle, describeCycle } = require('./prerequisiteGraph');
+const { WAIVER_KINDS, requiringCourseFilter, replacePrerequisiteCourse } = require('./prerequisites');
+
+const DELETE_MODES = ['block', 'cascade', 'replace'];
+
+const toDependencyError = (message, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const findOfferingEvents = (courseIds, session) =>
+  Event.find({ 'courses.course': { $in: courseIds } }).setOptions({ withDeleted: true }).session(session || null);
+
+// Returns the events offering the course, the courses that list it as a prerequisite, the students
+// who currently have it in their enrollments and those holding a prior credit, granted credit or
+// waiver for it. Reads run one after another so this can be used inside a transaction.
+const getCourseDependencies = async ({ courseId, session }) => {
+  const events = await findOfferingEvents([courseId], session).select('name department isOpen deletedAt courses').lean();
+  const requiredBy = await Course.find({ ...requiringCourseFilter([courseId]), deletedAt: null }).select('title').sort('title').session(session || null).lean();
+  const students = await User.find({ 'enrollments.courseId': courseId }).select('username name department enrollments').sort('username').session(session || null).lean();
+  const recordHolders = await User.find({ $or: [{ 'completedCourses.course': courseId }, { 'prerequisiteWaivers.course': courseId }] })
+    .select('username name department completedCourses prerequisiteWaivers').sort('username').session(session || null).lean();
+
+  const eventNames = new Map(events.map(e => [String(e._id), e.name]));
+  return {
+    events: events.map(event => {
+      const offering = event.courses.find(o => o.course.equals(courseId));
+      return {
+        _id: event._id,
+        name: event.name,
+        department: event.department,
+        isOpen: event.isOpen,
+        inTrash: !!event.deletedAt,
+        offeringId: offering._id,
+        enrolledCount: (offering.slots || []).reduce((sum, slot) => sum + (slot.enrolled || []).length, 0),
+      };
+    }),
+    requiredBy,
+    students: students.map(student => {
+      const enrollment = student.enrollments.find(e => e.courseId.equals(courseId));
+      return {
+        _id: student._id,
+        username: student.username,
+        name: student.name,
+        department: student.department,
+        eventId: enrollment.eventId,
+        eventName: eventNames.get(String(enrollment.eventId)) || null,
+      };
+    }),
+    recordHolders: recordHolders.map(student => ({
+      _id: student._id,
+      username: student.username,
+      name: student.name,
+      department: student.department,
+      priorCredit: (student.completedCourses || []).some(c => c.course.equals(courseId)),
+      waiverKinds: [...new Set((student.prerequisiteWaivers || []).filter(w => w.course.equals(courseId)).map(w => w.kind))],
+    })),
+  };
+};
+
+const hasDependencies = (report) => report.events.length + report.requiredBy.length + report.students.length + report.recordHolders.length > 0;
+
+// Removes every offering of the course (with its enrollments and rankings), un-enrolls anyone left
+// holding it and drops it from other courses' prerequisites.
+const cascadeCourse = async ({ courseId, session }) => {
+  const events = await findOfferingEvents([courseId], session);
+  let unenrolled = 0;
+  for (const event of events) {
+    for (const offering of event.courses.filter(o => o.course.equals(courseId))) {
+      unenrolled += await removeOffering({ event, offering, session });
+    }
+  }
+  await saveAll(session, events);
+  // Enrollments whose event is already gone have no offering to remove them with.
+  const leftovers = await User.updateMany(
+    { $or: [{ 'enrollments.courseId': courseId }, { 'trashedEnrollments.courseId': courseId }] },
+    { $pull: { enrollments: { courseId }, trashedEnrollments: { courseId } } },
+    { session }
+  );
+  const requiring = await Course.find(requiringCourseFilter([courseId])).session(session);
+  requiring.forEach(course => replacePrerequisiteCourse(course, courseId));
+  await saveAll(session, requiring);
+  return { offeringsRemoved: events.length, unenrolled: unenrolled + leftovers.modifiedCount, prerequisiteLinksRemoved: requiring.length };
+};
+
+// Points every offering, enrollment, prior credit, waiver and prerequisite link at `replacement`
+// instead. Refuses (409) when an event already offers the replacement or a student already has the
+// same kind of record for both courses, since the two would collapse into a duplicate.
+const replaceCourse = async ({ courseId, replacement, session }) => {
+  const events = await findOfferingEvents([courseId, replacement._id], session);
+  const bothOffered = events.filter(e => e.courses.some(o => o.course.equals(courseId)) && e.courses.some(o => o.course.equals(replacement._id)));
+  const both = [courseId, replacement._id];
+  const bothTaken = await User.find({ $or: [
+    { 'enrollments.courseId': { $all: both } },
+    { 'completedCourses.course': { $all: both } },
+    ...WAIVER_KINDS.map(kind => ({ $and: both.map(course => ({ prerequisiteWaivers: { $elemMatch: { kind, course } } })) })),
+  ] }).select('username name').setOptions({ withDeleted: true }).session(session).lean();
+  if (bothOffered.length > 0 || bothTaken.length > 0) {
+    throw toDependencyError(`"${replacement.title}" can't replace this course: some events already offer it or some students already have it.`, 409, {
+      events: bothOffered.map(e => ({ _id: e._id, name: e.name })),
+      students: bothTaken,
+    });
+  }
+
+  const offeringEvents = events.filter(e => e.courses.some(o => o.course.equals(courseId)));
+  offeringEvents.forEach(event => event.courses.forEach(offering => {
+    if (offering.course.equals(courseId)) offering.course = replacement._id;
+  }));
+  await saveAll(session, offeringEvents);
+
+  const students = await User.updateMany(
+    { 'enrollments.courseId': courseId },
+    { $set: { 'enrollments.$[e].courseId': replacement._id, 'enrollments.$[e].courseTitle': replacement.title } },
+    { arrayFilters: [{ 'e.courseId': courseId }], session }
+  );
+  // Enrollments set aside with a trashed event follow too, so restoring it finds them.
+  await User.updateMany(
+    { 'trashedEnrollments.courseId': courseId },
+    { $set: { 'trashedEnrollments.$[t].courseId': replacement._id, 'trashedEnrollments.$[t].courseTitle': replacement.title } },
+    { arrayFilters: [{ 't.courseId': courseId }], session }
+  );
+  const credits = await User.updateMany(
+    { 'completedCourses.course': courseId },
+    { $set: { 'completedCourses.$[c].course': replacement._id, 'completedCourses.$[c].courseTitle': replacement.title } },
+    { arrayFilters: [{ 'c.course': courseId }], session }
+  );
+  const waivers = await User.updateMany(
+    { 'prerequisiteWaivers.course': courseId },
+    { $set: { 'prerequisiteWaivers.$[w].course': replacement._id } },
+    { arrayFilters: [{ 'w.course': courseId }], session }
+  );
+
+  // The replacement can't be its own prerequisite, so it only loses the link.
+  const requiring = await Course.find(requiringCourseFilter([courseId])).session(session);
+  requiring.forEach(course => replacePrerequisiteCourse(course, courseId, replacement._id));
+  const { courses, membersByTag, prerequisitesById } = await loadPrerequisiteMap({ session });
+  requiring.forEach(course => prerequisitesById.set(String(course._id), prerequisiteIdsOf(course, membersByTag)));
+  const cycle = findCycle(prerequisitesById, requiring.map(course => String(course._id)));
+  if (cycle) throw toDependencyError(`"${replacement.title}" can't replace this course: it would create a prerequisite cycle (${describeCycle(cycle, courses)}).`, 409, { cycle });
+  await saveAll(session, requiring);
+
+  return { offeringsMoved: offeringEvents.length, enrollmentsMoved: students.modifiedCount, creditsMoved: credits.modifiedCount, waiversMoved: waivers.modifiedCount, prerequisiteLinksMoved: requiring.length };
+};
+
+// Moves the course to the trash in the chosen mode. "block" refuses (409, with the dependency report)
+// while anything points at it. Returns the trashed course, the report as it was before the delete
+// and what the cascade or replace changed.
+const deleteCourse = async ({ courseId, mode = 'block', replacementId, deletedBy, session }) => {
+  if (!DELETE_MODES.includes(mode)) throw toDependencyError(`Unknown delete mode "${mode}". Use one of: ${DELETE_MODES.join(', ')}.`);
+  const course = await Course.findOne({ _id: courseId, deletedAt: null }).session(session);
+  if (!course) throw toDependencyError('Course not found.', 404);
+
+  let replacement = null;
+  if (mode === 'replace') {
+    if (!replacementId) throw toDependencyError('Choose the course that replaces this one.');
+    if (course._id.equals(replacementId)) throw toDependencyError('A course cannot replace itself.');
+    replacement = await Course.findOne({ _id: replacementId, deletedAt: null }).session(session);
+    if (!replacement) throw toDependencyError('Replacement course not found in the catalog.', 404);
+  }
+
+  const dependencies = await getCourseDependencies({ courseId: course._id, session });
+  if (mode === 'block' && hasDependencies(dependencies)) {
+    throw toDependencyError(`"${course.title}" is still in use. Remove it from the events and courses listed, or delete it with cascade or replace.`, 409, dependencies);
+  }
+
+  let changes = null;
+  if (mode === 'cascade') changes = await cascadeCourse({ courseId: course._id, session });
+  if (mode === 'replace') changes = await replaceCourse({ courseId: course._id, replacement, session });
+
+  const trashed = await trashCourse({ courseId: course._id, deletedBy, session });
+  return { course: trashed, replacement, dependencies, changes };
+};
+
+module.exports = {
+  DELETE_MODES,
+  getCourseDependencies,
+  hasDependencies,
+  deleteCourse,
+};
@@ -0,0 +1,155 @@
+// backend/services/eligibility.js
+// Shared eligibility rules for event enrollment. Every enroll path (student, admin, bulk)
+// and the student event listing go through here so the rules only live in one place.
+const Course = require('../models/Course');
+const { loadPrerequisiteCatalog, evaluatePrerequisites } = require('./prerequisites');
+const { describeTakenCourse } = require('./transcript');
+const { holdsCourse, countsTowardLimit } = require('./outcomes');
+const { loadBookings, findClash, describeClash } = require('./timetable');
+
+const ELIGIBILITY_REASONS = {
+  DEPARTMENT_NOT_ALLOWED: 'DEPARTMENT_NOT_ALLOWED',
+  SEMESTER_NOT_ALLOWED: 'SEMESTER_NOT_ALLOWED',
+  SECTION_NOT_ALLOWED: 'SECTION_NOT_ALLOWED',
+  EXCLUSIVE_GROUP_CONFLICT: 'EXCLUSIVE_GROUP_CONFLICT',
+  ALREADY_ENROLLED: 'ALREADY_ENROLLED',
+  EVENT_LIMIT_REACHED: 'EVENT_LIMIT_REACHED',
+  PREREQUISITES_NOT_MET: 'PREREQUISITES_NOT_MET',
+  TIME_CLASH: 'TIME_CLASH',
+};
+
+const toEligibilityError = (result) => {
+  const err = new Error(result.message);
+  err.statusCode = 403;
+  err.reason = result.reason;
+  if (result.clash) err.details = { reason: result.reason, clash: result.clash };
+  return err;
+};
+
+// An empty (or missing) allow-list means the event is open to everyone for that attribute.
+const isValueAllowed = (allowedValues, value) => {
+  if (!Array.isArray(allowedValues) || allowedValues.length === 0) return true;
+  if (!value) return false;
+  return allowedValues.includes(String(value).trim());
+};
+
+const eventRestrictions = [
+  { field: 'department', allowedKey: 'allowedDepartments', reason: ELIGIBILITY_REASONS.DEPARTMENT_NOT_ALLOWED, label: 'department' },
+  { field: 'semester', allowedKey: 'allowedSemesters', reason: ELIGIBILITY_REASONS.SEMESTER_NOT_ALLOWED, label: 'semester' },
+  { field: 'section', allowedKey: 'allowedSections', reason: ELIGIBILITY_REASONS.SECTION_NOT_ALLOWED, label: 'section' },
+];
+
+// Returns { eligible: true } or { eligible: false, reason, message } for the first rule the student fails.
+const checkEventEligibility = (event, student) => {
+  for (const rule of eventRestrictions) {
+    if (!isValueAllowed(event[rule.allowedKey], student[rule.field])) {
+      return {
+        eligible: false,
+        reason: rule.reason,
+        message: `This event is not open to your ${rule.label} (${student[rule.field] || 'not set'}).`,
+      };
+    }
+  }
+  return { eligible: true };
+};
+
+// Throwing variant for routes that bail out on the first failure.
+const assertEventEligibility = (event, student) => {
+  const result = checkEventEligibility(event, student);
+  if (!result.eligible) throw toEligibilityError(result);
+};
+
+// Courses sharing an exclusiveGroup are alternatives: a student may hold at most one of them.
+// `course` must carry `_id` and `exclusiveGroup`; enrolled courses are looked up from the catalog.
+const checkExclusiveGroupEligibility = async (course, student) => {
+  if (!course || !course.exclusiveGroup) return { eligible: true };
+  const enrolledCourseIds = (student.enrollments || [])
+    .filter(e => holdsCourse(e))
+    .map(e => e.courseId)
+    .filter(id => String(id) !== String(course._id));
+  if (enrolledCourseIds.length === 0) return { eligible: true };
+
+  const conflicting = await Course.findOne({ _id: { $in: enrolledCourseIds }, exclusiveGroup: course.exclusiveGroup }).select('title').lean();
+  if (!conflicting) return { eligible: true };
+  return {
+    eligible: false,
+    reason: ELIGIBILITY_REASONS.EXCLUSIVE_GROUP_CONFLICT,
+    message: `Already enrolled in "${conflicting.title}" from the "${course.exclusiveGroup}" group.`,
+  };
+};
+
+const assertExclusiveGroupEligibility = async (course, student) => {
+  const result = await checkExclusiveGroupEligibility(course, student);
+  if (!result.eligible) throw toEligibilityError(result);
+};
+
+// Evaluates the course's prerequisite expression (services/prerequisites.js) against the student's
+// enrollments, credits and waivers. `catalog` comes from loadPrerequisiteCatalog and must cover
+// `course`; `options.policy` is the event's prerequisitePolicy. The failure carries the list of unmet
+// rules for display.
+const checkPrerequisiteEligibility = (course, student, catalog, options) => {
+  const status = evaluatePrerequisites(course, student, catalog, options);
+  if (status.met) return { eligible: true, waived: status.waived };
+  return {
+    eligible: false,
+    reason: ELIGIBILITY_REASONS.PREREQUISITES_NOT_MET,
+    message: `Requires: ${status.unmet.join('; ')}.`,
+    unmet: status.unmet,
+  };
+};
+
+// Loads what the check needs for a single course and throws when the student doesn't meet it.
+const assertPrerequisiteEligibility = async (course, student, { session, policy } = {}) => {
+  const catalog = await loadPrerequisiteCatalog({ courses: [course], session });
+  const result = checkPrerequisiteEligibility(course, student, catalog, { policy });
+  if (!result.eligible) throw toEligibilityError(result);
+};
+
+// A slot whose sessions overlap one the student already holds, in any event. `events` are in-memory
+// copies to read rosters from instead of the stored ones (see services/timetable.js); the failure
+// carries the clashing booking.
+const checkTimeClashEligibility = async ({ slot, student, events, session, ignoreOfferingIds }) => {
+  const bookings = (await loadBookings({ students: [student], events, session })).get(String(student._id)) || [];
+  const clash = findClash(slot, bookings, { ignoreOfferingIds });
+  if (!clash) return { eligible: true };
+  return { eligible: false, reason: ELIGIBILITY_REASONS.TIME_CLASH, message: describeClash(clash), clash };
+};
+
+const assertTimeClashEligibility = async (options) => {
+  const result = await checkTimeClashEligibility(options);
+  if (!result.eligible) throw toEligibilityError(result);
+};
+
+// Full check for putting `student` into `course` within `event`: event restrictions, duplicate
+// course, per-event limit, prerequisites, exclusive groups and, when `slot` is given, time clashes.
+// Used where no single route owns the messages (waitlist joins, swaps and automatic promotion).
+const checkEnrollmentEligibility = async ({ event, course, student, session, slot, ignoreOfferingIds }) => {
+  const eventResult = checkEventEligibility(event, student);
+  if (!eventResult.eligible) return eventResult;
+
+  const enrollments = student.enrollments || [];
+  const taken = describeTakenCourse(student, course);
+  if (taken) return { eligible: false, reason: ELIGIBILITY_REASONS.ALREADY_ENROLLED, message: taken };
+  if (enrollments.filter(e => String(e.eventId) === String(event._id) && countsTowardLimit(e)).length >= event.maxCoursesPerStudent) {
+    return { eligible: false, reason: ELIGIBILITY_REASONS.EVENT_LIMIT_REACHED, message: 'Maximum courses for this event reached.' };
+  }
+  const catalog = await loadPrerequisiteCatalog({ courses: [course], session });
+  const prerequisites = checkPrerequisiteEligibility(course, student, catalog, { policy: event.prerequisitePolicy });
+  if (!prerequisites.eligible) return prerequisites;
+  const group = await checkExclusiveGroupEligibility(course, student);
+  if (!group.eligible || !slot) return group;
+  return checkTimeClashEligibility({ slot, student, events: [event], session, ignoreOfferingIds });
+};
+
+module.exports = {
+  ELIGIBILITY_REASONS,
+  checkEventEligibility,
+  assertEventEligibility,
+  checkExclusiveGroupEligibility,
+  assertExclusiveGroupEligibility,
+  checkPrerequisiteEligibility,
+  assertPrerequisiteEligibility,
+  checkTimeClashEligibility,
+  assertTimeClashEligibility,
+  checkEnrollmentEligibility,
+};
@@ -0,0 +1,372 @@
+// backend/services/enrollment.js
+// Single place that changes enrollment state. A seat lives in two places, the slot roster
+// (Event.courses[].slots[].enrolled) and the student's User.enrollments entry; every route that adds,
+// moves or removes one goes through here and runs inside a transaction so both sides change together.
+// checkConsistency/repairConsistency find and fix any drift left by older data.
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Preference = require('../models/Preference');
+const Attendance = require('../models/Attendance');
+const { normalizeSlotSchedule } = require('./slotSchedule');
+const { RELEASED_STATUSES } = require('./outcomes');
+
+const CONSISTENCY_ISSUES = {
+  SEAT_WITHOUT_ENROLLMENT: 'SEAT_WITHOUT_ENROLLMENT',
+  ENROLLMENT_WITHOUT_SEAT: 'ENROLLMENT_WITHOUT_SEAT',
+  ENROLLMENT_FOR_MISSING_EVENT: 'ENROLLMENT_FOR_MISSING_EVENT',
+  ENROLLMENT_FOR_MISSING_OFFERING: 'ENROLLMENT_FOR_MISSING_OFFERING',
+  SEAT_FOR_MISSING_USER: 'SEAT_FOR_MISSING_USER',
+  WAITLIST_FOR_MISSING_USER: 'WAITLIST_FOR_MISSING_USER',
+  DUPLICATE_SEAT: 'DUPLICATE_SEAT',
+  DUPLICATE_ENROLLMENT: 'DUPLICATE_ENROLLMENT',
+};
+
+const toEnrollmentError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const courseIdOf = (offering) => (offering.course && offering.course._id) || offering.course;
+const idOf = (value) => String((value && value._id) || value);
+
+// Runs `work(session)` in a transaction and returns its result. withTransaction re-runs the work on
+// transient write conflicts, so `work` must (re)load whatever it changes.
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => { result = await work(session); });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Saves documents one at a time; operations inside one transaction must not run in parallel.
+const saveAll = async (session, ...docs) => {
+  for (const doc of docs.flat()) {
+    if (doc) await doc.save({ session });
+  }
+};
+
+// A student has at most one enrollment per course in an event. Retaking a failed or withdrawn course
+// in the same event replaces that entry (and its outcome); retaking it elsewhere adds a new one.
+const isReleasedEntryFor = (eventId, courseId) => (e) => e.eventId.equals(eventId) && e.courseId.equals(courseId) && RELEASED_STATUSES.includes(e.status);
+
+// --- Changes on loaded documents (the caller saves event and user with saveAll) ---
+
+// Seats `student` in `slot`: adds them to the roster, takes them off every waitlist of the offering
+// and records the enrollment. Pass `course` when `offering.course` is not populated.
+const addEnrollment = ({ event, offering, slot, student, course = offering.course }) => {
+  slot.enrolled.push(student._id);
+  (offering.slots || []).forEach(s => { s.waitlist = (s.waitlist || []).filter(w => !w.user.equals(student._id)); });
+  const isRetake = isReleasedEntryFor(event._id, course._id);
+  if (student.enrollments.some(isRetake)) student.enrollments = student.enrollments.filter(e => !isRetake(e));
+  student.enrollments.push({ eventId: event._id, courseId: course._id, courseTitle: course.title, enrolledAt: new Date() });
+};
+
+// Removes the student's seat and enrollment for `offering`. Returns false if neither side had one.
+const removeEnrollment = ({ event, offering, student }) => {
+  const courseId = courseIdOf(offering);
+  const remaining = (student.enrollments || []).filter(e => !(e.eventId.equals(event._id) && e.courseId.equals(courseId)));
+  const hadSeat = (offering.slots || []).some(s => s.enrolled.some(id => id.equals(student._id)));
+  if (remaining.length === student.enrollments.length && !hadSeat) return false;
+  student.enrollments = remaining;
+  (offering.slots || []).forEach(s => s.enrolled.pull(student._id));
+  return true;
+};
+
+// Moves a student between two slots of the same offering; the enrollment entry is unchanged.
+const moveSeat = ({ fromSlot, toSlot, student }) => {
+  fromSlot.enrolled.pull(student._id);
+  toSlot.enrolled.push(student._id);
+  toSlot.waitlist = (toSlot.waitlist || []).filter(w => !w.user.equals(student._id));
+};
+
+// Applies an admin's slot edits to an offering (also used to build a new one). Rosters and waitlists
+// always come from the server copy (the client's may be stale), new slots get the next free numeric
+// id, and a slot that still has students cannot be removed. Schedules are checked by
+// normalizeSlotSchedule.
+const updateOfferingSlots = ({ offering, slots }) => {
+  const existingById = new Map((offering.slots || []).map(s => [String(s._id), s]));
+  const existingByNumber = new Map((offering.slots || []).map(s => [s.id, s]));
+  let nextId = Math.max(0, ...(offering.slots || []).map(s => s.id)) + 1;
+
+  const kept = new Set();
+  const updated = slots.map((input, index) => {
+    const existing = (input._id && existingById.get(String(input._id))) || (input.id !== undefined && existingByNumber.get(Number(input.id)));
+    const reused = existing && !kept.has(existing);
+    const schedule = normalizeSlotSchedule(input, reused ? `Slot #${existing.id}` : `New slot ${index + 1}`);
+    // Room and instructors are checked against the venues and the offering by services/resources.js.
+    const resources = { room: input.room ? idOf(input.room) : undefined, instructors: (input.instructors || []).map(idOf) };
+    if (reused) {
+      kept.add(existing);
+      return { _id: existing._id, id: existing.id, ...schedule, ...resources, maxCapacity: input.maxCapacity, isActive: input.isActive !== false, enrolled: existing.enrolled, waitlist: existing.waitlist, checkIn: existing.checkIn };
+    }
+    return { id: nextId++, ...schedule, ...resources, maxCapacity: input.maxCapacity, isActive: input.isActive !== false, enrolled: [], waitlist: [] };
+  });
+
+  const removedWithStudents = (offering.slots || []).filter(s => !kept.has(s) && s.enrolled.length > 0);
+  if (removedWithStudents.length > 0) {
+    throw toEnrollmentError(`Slot ${removedWithStudents.map(s => `#${s.id}`).join(', ')} still has enrolled students. Un-enroll or move them before removing the slot.`);
+  }
+  offering.slots = updated;
+};
+
+// --- Atomic and cascading changes (pass the transaction's session) ---
+
+// Atomically adds `userId` to one slot's roster (and drops them from its waitlist). The capacity and
+// duplicate checks are part of the update filter, and only this slot is touched, so enrollments in
+// different slots never make each other fail. `slot` is the caller's copy; its maxCapacity is in the
+// filter so a concurrent capacity change makes the reservation fail instead of overbooking.
+// Returns true when the seat was taken.
+const reserveSeat = async ({ eventId, offeringId, slot, userId, session }) => {
+  const capacity = slot.maxCapacity;
+  const result = await Event.updateOne(
+    { _id: eventId },
+    {
+      $push: { 'courses.$[courseElem].slots.$[slotElem].enrolled': userId },
+      $pull: { 'courses.$[courseElem].slots.$[slotElem].waitlist': { user: userId } },
+    },
+    {
+      arrayFilters: [
+        { 'courseElem._id': offeringId },
+        {
+          'slotElem.id': slot.id,
+          'slotElem.isActive': true,
+          'slotElem.maxCapacity': capacity,
+          // Seat number `capacity` (index capacity - 1) must still be free.
+          [`slotElem.enrolled.${capacity - 1}`]: { $exists: false },
+          'slotElem.enrolled': { $ne: userId },
+        },
+      ],
+      session,
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Reserves the seat and records the enrollment without loading the event for writing. Throws when
+// the slot is full or the student already holds the course (e.g. a double submit); failed and
+// withdrawn enrollments don't hold it, and one in this event is replaced.
+const enrollWithReservation = async ({ event, offering, slot, student, session }) => {
+  const reserved = await reserveSeat({ eventId: event._id, offeringId: offering._id, slot, userId: student._id, session });
+  if (!reserved) throw toEnrollmentError('This slot is full, select another course.');
+  const courseId = offering.course._id;
+  const notHeld = { _id: student._id, enrollments: { $not: { $elemMatch: { courseId, status: { $nin: RELEASED_STATUSES } } } }, 'completedCourses.course': { $ne: courseId } };
+  await User.updateOne(notHeld, { $pull: { enrollments: { eventId: event._id, courseId, status: { $in: RELEASED_STATUSES } } } }, { session });
+  const userUpdate = await User.updateOne(
+    notHeld,
+    { $push: { enrollments: { eventId: event._id, courseId, courseTitle: offering.course.title, enrolledAt: new Date() } } },
+    { session }
+  );
+  if (userUpdate.modifiedCount === 0) throw toEnrollmentError(`You have already taken ${offering.course.title}.`);
+};
+
+// Removes an offering and every enrollment in it, including those set aside while the event is in
+// the trash. Mutates `event`; the caller saves it. Returns the number of students who lost the course.
+const removeOffering = async ({ event, offering, session }) => {
+  const courseId = courseIdOf(offering);
+  const result = await User.updateMany(
+    { $or: [{ enrollments: { $elemMatch: { eventId: event._id, courseId } } }, { trashedEnrollments: { $elemMatch: { eventId: event._id, courseId } } }] },
+    { $pull: { enrollments: { eventId: event._id, courseId }, trashedEnrollments: { eventId: event._id, courseId } } },
+    { session }
+  );
+  await Preference.updateMany({ event: event._id }, { $pull: { rankings: offering._id } }, { session });
+  event.courses.pull({ _id: offering._id });
+  return result.modifiedCount;
+};
+
+// Deletes an event together with every enrollment and ranking that points at it.
+// Returns the deleted event (or null) and the number of students un-enrolled.
+const deleteEventCascade = async ({ eventId, session }) => {
+  const event = await Event.findByIdAndDelete(eventId, { session });
+  if (!event) return { event: null, unenrolled: 0 };
+  const result = await User.updateMany(
+    { $or: [{ 'enrollments.eventId': event._id }, { 'trashedEnrollments.eventId': event._id }] },
+    { $pull: { enrollments: { eventId: event._id }, trashedEnrollments: { eventId: event._id } } },
+    { session }
+  );
+  await Preference.deleteMany({ event: event._id }, { session });
+  await Attendance.deleteMany({ event: event._id }, { session });
+  return { event, unenrolled: result.modifiedCount };
+};
+
+// Takes users off every roster and waitlist and drops their rankings, before deleting them.
+const removeUsersFromEvents = async ({ userIds, session }) => {
+  await Event.updateMany({}, { $pull: { 'courses.$[].slots.$[].enrolled': { $in: userIds }, 'courses.$[].slots.$[].waitlist': { user: { $in: userIds } } } }, { session });
+  await Preference.deleteMany({ user: { $in: userIds } }, { session });
+};
+
+// --- Consistency check and repair ---
+
+// Compares slot rosters with User.enrollments and returns every mismatch. With `eventId` only that
+// event (and enrollments pointing at it) is checked; without it, everything is.
+const checkConsistency = async ({ eventId, session } = {}) => {
+  const events = await Event.find(eventId ? { _id: eventId } : {}).populate('courses.course', 'title').session(session || null).lean();
+  const rosterUserIds = new Set();
+  events.forEach(event => (event.courses || []).forEach(offering => (offering.slots || []).forEach(slot => {
+    (slot.enrolled || []).forEach(id => rosterUserIds.add(String(id)));
+    (slot.waitlist || []).forEach(w => rosterUserIds.add(String(w.user)));
+  })));
+
+  const enrollmentFilter = eventId ? { 'enrollments.eventId': new mongoose.Types.ObjectId(eventId) } : { 'enrollments.0': { $exists: true } };
+  const users = await User.find({ $or: [enrollmentFilter, { _id: { $in: [...rosterUserIds] } }] }).select('username enrollments').session(session || null).lean();
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+  const eventsById = new Map(events.map(e => [String(e._id), e]));
+
+  const issues = [];
+  const issue = (type, fields, message) => issues.push({ type, ...fields, message });
+
+  for (const event of events) {
+    const eventFields = { eventId: event._id, eventName: event.name };
+    for (const offering of event.courses || []) {
+      const courseId = String(courseIdOf(offering));
+      const courseTitle = offering.course ? offering.course.title : null;
+      const offeringFields = { ...eventFields, offeringId: offering._id, courseId, courseTitle };
+      const seatsByUser = new Map();
+      (offering.slots || []).forEach(slot => {
+        (slot.enrolled || []).forEach(id => {
+          const key = String(id);
+          if (!seatsByUser.has(key)) seatsByUser.set(key, []);
+          seatsByUser.get(key).push(slot.id);
+        });
+        (slot.waitlist || []).forEach(w => {
+          if (!usersById.has(String(w.user))) issue(CONSISTENCY_ISSUES.WAITLIST_FOR_MISSING_USER, { ...offeringFields, userId: w.user, slotId: slot.id }, `Waitlist of slot #${slot.id} lists a user that no longer exists.`);
+        });
+      });
+
+      seatsByUser.forEach((slotIds, userId) => {
+        const user = usersById.get(userId);
+        if (!user) {
+          issue(CONSISTENCY_ISSUES.SEAT_FOR_MISSING_USER, { ...offeringFields, userId, slotIds }, `Roster holds a seat for a user that no longer exists.`);
+          return;
+        }
+        const userFields = { ...offeringFields, userId, username: user.username, slotIds };
+        if (slotIds.length > 1) issue(CONSISTENCY_ISSUES.DUPLICATE_SEAT, userFields, `${user.username} holds ${slotIds.length} seats in ${courseTitle}.`);
+        if (!(user.enrollments || []).some(e => String(e.eventId) === String(event._id) && String(e.courseId) === courseId)) {
+          issue(CONSISTENCY_ISSUES.SEAT_WITHOUT_ENROLLMENT, userFields, `${user.username} is on the roster of ${courseTitle} but has no enrollment for it.`);
+        }
+      });
+    }
+  }
+
+  for (const user of users) {
+    const seen = new Set();
+    for (const enrollment of user.enrollments || []) {
+      const key = `${enrollment.eventId}:${enrollment.courseId}`;
+      const fields = { eventId: enrollment.eventId, courseId: enrollment.courseId, courseTitle: enrollment.courseTitle, userId: user._id, username: user.username };
+      if (eventId && String(enrollment.eventId) !== String(eventId)) continue;
+      if (seen.has(key)) {
+        issue(CONSISTENCY_ISSUES.DUPLICATE_ENROLLMENT, fields, `${user.username} has ${enrollment.courseTitle} recorded more than once.`);
+        continue;
+      }
+      seen.add(key);
+      const event = eventsById.get(String(enrollment.eventId));
+      if (!event) {
+        issue(CONSISTENCY_ISSUES.ENROLLMENT_FOR_MISSING_EVENT, fields, `${user.username} is enrolled in ${enrollment.courseTitle} for an event that no longer exists.`);
+        continue;
+      }
+      const offering = (event.courses || []).find(o => String(courseIdOf(o)) === String(enrollment.courseId));
+      if (!offering) {
+        issue(CONSISTENCY_ISSUES.ENROLLMENT_FOR_MISSING_OFFERING, { ...fields, eventName: event.name }, `${user.username} is enrolled in ${enrollment.courseTitle}, which ${event.name} no longer offers.`);
+        continue;
+      }
+      // A withdrawn student gave their seat back on purpose.
+      if (enrollment.status !== 'withdrawn' && !(offering.slots || []).some(s => (s.enrolled || []).some(id => String(id) === String(user._id)))) {
+        issue(CONSISTENCY_ISSUES.ENROLLMENT_WITHOUT_SEAT, { ...fields, eventName: event.name, offeringId: offering._id }, `${user.username} is enrolled in ${enrollment.courseTitle} but holds no seat in any of its slots.`);
+      }
+    }
+  }
+
+  const summary = issues.reduce((acc, i) => { acc[i.type] = (acc[i.type] || 0) + 1; return acc; }, {});
+  return { checkedAt: new Date(), scope: eventId || 'all', eventsChecked: events.length, usersChecked: users.length, issueCount: issues.length, summary, issues };
+};
+
+// Re-runs the check inside the session and fixes each issue. The roster is treated as the record of
+// who holds a seat: a seat without an enrollment gets the enrollment back, while an enrollment
+// without a seat gets a seat if one is free and is removed otherwise. References to deleted users,
+// events or offerings are dropped, and duplicates are collapsed to the first entry.
+const repairConsistency = async ({ eventId, session }) => {
+  const report = await checkConsistency({ eventId, session });
+  const fixes = [];
+  const record = (item, fix) => fixes.push({ type: item.type, userId: item.userId, username: item.username, eventId: item.eventId, courseTitle: item.courseTitle, fix });
+  const byType = (type) => report.issues.filter(i => i.type === type);
+
+  for (const item of byType(CONSISTENCY_ISSUES.DUPLICATE_ENROLLMENT)) {
+    const user = await User.findById(item.userId).session(session);
+    const matching = user.enrollments.filter(e => e.eventId.equals(item.eventId) && e.courseId.equals(item.courseId));
+    if (matching.length < 2) continue;
+    const keep = matching.reduce((first, e) => (e.enrolledAt < first.enrolledAt ? e : first));
+    user.enrollments = user.enrollments.filter(e => !(e.eventId.equals(item.eventId) && e.courseId.equals(item.courseId)) || e === keep);
+    await user.save({ session });
+    record(item, 'Removed the duplicate enrollment entries.');
+  }
+
+  for (const item of byType(CONSISTENCY_ISSUES.DUPLICATE_SEAT)) {
+    // Clear every seat in the offering, then give back the first one (also collapses repeats within one slot).
+    const keptSlotId = item.slotIds[0];
+    await Event.updateOne({ _id: item.eventId }, { $pull: { 'courses.$[courseElem].slots.$[].enrolled': item.userId } }, { arrayFilters: [{ 'courseElem._id': item.offeringId }], session });
+    await Event.updateOne({ _id: item.eventId }, { $push: { 'courses.$[courseElem].slots.$[slotElem].enrolled': item.userId } }, { arrayFilters: [{ 'courseElem._id': item.offeringId }, { 'slotElem.id': keptSlotId }], session });
+    record(item, `Kept the seat in slot #${keptSlotId} and released the others.`);
+  }
+
+  const missingUserIds = [...new Set([...byType(CONSISTENCY_ISSUES.SEAT_FOR_MISSING_USER), ...byType(CONSISTENCY_ISSUES.WAITLIST_FOR_MISSING_USER)].map(i => String(i.userId)))];
+  if (missingUserIds.length > 0) {
+    await removeUsersFromEvents({ userIds: missingUserIds.map(id => new mongoose.Types.ObjectId(id)), session });
+    [...byType(CONSISTENCY_ISSUES.SEAT_FOR_MISSING_USER), ...byType(CONSISTENCY_ISSUES.WAITLIST_FOR_MISSING_USER)].forEach(item => record(item, 'Removed the deleted user from rosters and waitlists.'));
+  }
+
+  for (const item of [...byType(CONSISTENCY_ISSUES.ENROLLMENT_FOR_MISSING_EVENT), ...byType(CONSISTENCY_ISSUES.ENROLLMENT_FOR_MISSING_OFFERING)]) {
+    await User.updateOne({ _id: item.userId }, { $pull: { enrollments: { eventId: item.eventId, courseId: item.courseId } } }, { session });
+    record(item, 'Removed the enrollment; the course is no longer offered there.');
+  }
+
+  for (const item of byType(CONSISTENCY_ISSUES.SEAT_WITHOUT_ENROLLMENT)) {
+    await User.updateOne(
+      { _id: item.userId, enrollments: { $not: { $elemMatch: { eventId: item.eventId, courseId: item.courseId } } } },
+      { $push: { enrollments: { eventId: item.eventId, courseId: item.courseId, courseTitle: item.courseTitle, enrolledAt: new Date() } } },
+      { session }
+    );
+    record(item, 'Restored the missing enrollment from the roster.');
+  }
+
+  const seatless = byType(CONSISTENCY_ISSUES.ENROLLMENT_WITHOUT_SEAT);
+  if (seatless.length > 0) {
+    const events = await Event.find({ _id: { $in: [...new Set(seatless.map(i => String(i.eventId)))] } }).session(session).lean();
+    for (const item of seatless) {
+      const offering = events.find(e => e._id.equals(item.eventId)).courses.find(o => o._id.equals(item.offeringId));
+      let seatedIn = null;
+      for (const slot of (offering.slots || []).filter(s => s.isActive)) {
+        if (await reserveSeat({ eventId: item.eventId, offeringId: offering._id, slot, userId: item.userId, session })) { seatedIn = slot.id; break; }
+      }
+      if (seatedIn !== null) {
+        record(item, `Gave the student a seat in slot #${seatedIn}.`);
+      } else {
+        await User.updateOne({ _id: item.userId }, { $pull: { enrollments: { eventId: item.eventId, courseId: item.courseId } } }, { session });
+        record(item, 'No seat was free, so the enrollment was removed.');
+      }
+    }
+  }
+
+  return { ...report, repairedAt: new Date(), fixes };
+};
+
+module.exports = {
+  CONSISTENCY_ISSUES,
+  runInTransaction,
+  saveAll,
+  addEnrollment,
+  removeEnrollment,
+  moveSeat,
+  updateOfferingSlots,
+  reserveSeat,
+  enrollWithReservation,
+  removeOffering,
+  deleteEventCascade,
+  removeUsersFromEvents,
+  checkConsistency,
+  repairConsistency,
+};
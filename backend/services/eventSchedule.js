@@ -0,0 +1,61 @@
+// backend/services/eventSchedule.js
+// Scheduled registration windows. An event with a schedule (opensAt/closesAt or per-cohort
+// overrides) opens and closes on its own; events without one still use the manual isOpen switch.
+
+const hasSchedule = (event) => !!(event.opensAt || event.closesAt || (event.scheduleOverrides || []).length > 0);
+
+// Overrides are checked in order and the first one matching the student's cohort wins.
+// An override field left empty matches every value.
+const overrideMatches = (override, student) =>
+  (!override.department || override.department === student.department) &&
+  (!override.semester || override.semester === student.semester);
+
+// The { opensAt, closesAt } window that applies to this student, or null for unscheduled events.
+const resolveWindow = (event, student) => {
+  if (!hasSchedule(event)) return null;
+  const override = student && (event.scheduleOverrides || []).find(o => overrideMatches(o, student));
+  const source = override || event;
+  return { opensAt: source.opensAt || null, closesAt: source.closesAt || null };
+};
+
+// Effective open state for one student: { isOpen, scheduled, opensAt, closesAt }.
+const getOpenState = (event, student, now = new Date()) => {
+  const window = resolveWindow(event, student);
+  if (!window) return { isOpen: !!event.isOpen, scheduled: false, opensAt: null, closesAt: null };
+  const hasOpened = !window.opensAt || now >= new Date(window.opensAt);
+  const hasClosed = !!window.closesAt && now >= new Date(window.closesAt);
+  return { isOpen: hasOpened && !hasClosed, scheduled: true, ...window };
+};
+
+const isEventOpenFor = (event, student, now = new Date()) => getOpenState(event, student, now).isOpen;
+
+// True while any cohort can still act: the manual switch for unscheduled events, otherwise the
+// event-level window or any override window. Used to tell when registration has fully closed.
+const isAnyWindowOpen = (event, now = new Date()) => {
+  if (!hasSchedule(event)) return !!event.isOpen;
+  const inWindow = (w) => (!w.opensAt || now >= new Date(w.opensAt)) && (!w.closesAt || now < new Date(w.closesAt));
+  return inWindow(event) || (event.scheduleOverrides || []).some(inWindow);
+};
+
+// Every window (event-level and overrides) opening between `from` and `to`, for the admin preview.
+const listWindowsOpeningBetween = (event, from, to) => {
+  const windows = [];
+  const inRange = (date) => date && new Date(date) >= from && new Date(date) <= to;
+  if (inRange(event.opensAt)) {
+    windows.push({ opensAt: event.opensAt, closesAt: event.closesAt || null, department: null, semester: null });
+  }
+  (event.scheduleOverrides || []).forEach(o => {
+    if (inRange(o.opensAt)) windows.push({ opensAt: o.opensAt, closesAt: o.closesAt || null, department: o.department || null, semester: o.semester || null });
+  });
+  return windows;
+};
+
+// Returns an error message for an invalid window, or null.
+const validateWindow = ({ opensAt, closesAt }) => {
+  if (opensAt && isNaN(new Date(opensAt))) return 'opensAt is not a valid date.';
+  if (closesAt && isNaN(new Date(closesAt))) return 'closesAt is not a valid date.';
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) return 'closesAt must be after opensAt.';
+  return null;
+};
+
+module.exports = { hasSchedule, resolveWindow, getOpenState, isEventOpenFor, isAnyWindowOpen, listWindowsOpeningBetween, validateWindow };
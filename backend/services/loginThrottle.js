@@ -0,0 +1,121 @@
+// backend/services/loginThrottle.js
+// Brute-force protection for POST /api/auth/login, on two levels:
+// - per account: after LOGIN_MAX_ATTEMPTS consecutive failures the account is locked, and every
+//   further lock before a successful login lasts twice as long as the one before (capped);
+// - per IP: too many failures from one address inside a window block that address for a while,
+//   with the same doubling. Kept in memory, so it resets on restart and is per API instance.
+// The IP limit is deliberately loose because a whole computer lab can share one address.
+const User = require('../models/User');
+
+const MINUTE = 60 * 1000;
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const ACCOUNT_BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 5) * MINUTE;
+const ACCOUNT_MAX_LOCK_MS = 24 * 60 * MINUTE;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50;
+const IP_WINDOW_MS = 15 * MINUTE;
+const IP_BASE_BLOCK_MS = 15 * MINUTE;
+const IP_MAX_BLOCK_MS = 24 * 60 * MINUTE;
+const MAX_TRACKED_IPS = 10000;
+
+const LOCK_REASONS = {
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  IP_BLOCKED: 'IP_BLOCKED',
+};
+
+// ip -> { failures: [timestamps], blockedUntil, blockCount }
+const ipRecords = new Map();
+
+const lockDuration = (base, max, previousLocks) => Math.min(base * 2 ** previousLocks, max);
+
+const toThrottleError = (message, reason, retryAt) => {
+  const err = new Error(message);
+  err.statusCode = 429;
+  err.reason = reason;
+  err.retryAt = retryAt;
+  return err;
+};
+
+const minutesUntil = (date, now) => Math.max(1, Math.ceil((new Date(date) - now) / MINUTE));
+
+const pruneIpRecord = (ip, now) => {
+  const record = ipRecords.get(ip);
+  if (!record) return null;
+  record.failures = record.failures.filter(t => now - t < IP_WINDOW_MS);
+  // Forget an address once it has been quiet for a full maximum block, escalation included.
+  if (record.failures.length === 0 && (!record.blockedUntil || now - record.blockedUntil > IP_MAX_BLOCK_MS)) {
+    ipRecords.delete(ip);
+    return null;
+  }
+  return record;
+};
+
+// Throws a 429 error if this IP is blocked or this account is locked. Runs before the password is
+// checked, so a locked account cannot be probed further.
+const assertLoginAllowed = ({ ip, user, now = Date.now() }) => {
+  const record = pruneIpRecord(ip, now);
+  if (record && record.blockedUntil > now) {
+    throw toThrottleError(`Too many failed logins from this network. Try again in ${minutesUntil(record.blockedUntil, now)} minute(s).`, LOCK_REASONS.IP_BLOCKED, new Date(record.blockedUntil));
+  }
+  if (user && user.lockedUntil && new Date(user.lockedUntil) > now) {
+    throw toThrottleError(`This account is temporarily locked after repeated failed logins. Try again in ${minutesUntil(user.lockedUntil, now)} minute(s) or ask an administrator to unlock it.`, LOCK_REASONS.ACCOUNT_LOCKED, user.lockedUntil);
+  }
+};
+
+// Records a failed attempt against the IP and, if the username exists, the account.
+// Returns { accountLocked, lockedUntil, ipBlocked } so the caller can log what happened.
+const recordLoginFailure = async ({ ip, user, now = Date.now() }) => {
+  if (ipRecords.size > MAX_TRACKED_IPS) [...ipRecords.keys()].forEach(key => pruneIpRecord(key, now));
+  const record = pruneIpRecord(ip, now) || { failures: [], blockedUntil: 0, blockCount: 0 };
+  record.failures.push(now);
+  let ipBlocked = false;
+  if (record.failures.length >= IP_MAX_FAILURES) {
+    record.blockedUntil = now + lockDuration(IP_BASE_BLOCK_MS, IP_MAX_BLOCK_MS, record.blockCount);
+    record.blockCount += 1;
+    record.failures = [];
+    ipBlocked = true;
+  }
+  ipRecords.set(ip, record);
+
+  if (!user) return { accountLocked: false, lockedUntil: null, ipBlocked };
+
+  // $inc keeps concurrent failures from overwriting each other's count.
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(now) } }, { new: true })
+    .select('failedLoginAttempts lockoutCount').lean();
+  if (!updated || updated.failedLoginAttempts < ACCOUNT_MAX_ATTEMPTS) return { accountLocked: false, lockedUntil: null, ipBlocked };
+
+  const lockedUntil = new Date(now + lockDuration(ACCOUNT_BASE_LOCK_MS, ACCOUNT_MAX_LOCK_MS, updated.lockoutCount || 0));
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil, failedLoginAttempts: 0 }, $inc: { lockoutCount: 1 } });
+  return { accountLocked: true, lockedUntil, ipBlocked };
+};
+
+// A successful login clears the account's history; the IP record is left alone because other
+// people may be failing from the same address.
+const recordLoginSuccess = async ({ user }) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } });
+};
+
+const unlockAccount = async (userId) => User.findByIdAndUpdate(
+  userId,
+  { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } },
+  { new: true }
+).select('username name lockedUntil').lean();
+
+const listBlockedIps = (now = Date.now()) => [...ipRecords.keys()]
+  .map(ip => ({ ip, record: pruneIpRecord(ip, now) }))
+  .filter(({ record }) => record && record.blockedUntil > now)
+  .map(({ ip, record }) => ({ ip, blockedUntil: new Date(record.blockedUntil), blockCount: record.blockCount }))
+  .sort((a, b) => b.blockedUntil - a.blockedUntil);
+
+const unblockIp = (ip) => ipRecords.delete(ip);
+
+module.exports = {
+  ACCOUNT_MAX_ATTEMPTS,
+  LOCK_REASONS,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  listBlockedIps,
+  unblockIp,
+};
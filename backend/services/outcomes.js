@@ -0,0 +1,159 @@
+// backend/services/outcomes.js
+// Enrollment outcomes: each entry of User.enrollments moves through enrolled -> attended ->
+// completed / failed, or withdrawn, with an optional grade and score. Outcomes are records only, with
+// one exception: a withdrawn student gives their seat back (the caller releases it, see
+// updateEnrollmentOutcome). Failed and withdrawn enrollments no longer hold their course, so it can be
+// retaken. An event's prerequisitePolicy decides which outcomes count as holding a course when its
+// offerings check prerequisites.
+const User = require('../models/User');
+
+const ENROLLMENT_STATUSES = ['enrolled', 'attended', 'completed', 'failed', 'withdrawn'];
+const PREREQUISITE_POLICIES = ['enrolled', 'completed'];
+// Statuses under which an enrollment no longer holds its course.
+const RELEASED_STATUSES = ['failed', 'withdrawn'];
+
+const toOutcomeError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Enrollments from before outcomes were recorded have no status.
+const statusOf = (enrollment) => enrollment.status || 'enrolled';
+
+// Whether the enrollment counts as holding its course for prerequisites under `policy`.
+const holdsCourse = (enrollment, policy = 'enrolled') => {
+  const status = statusOf(enrollment);
+  if (policy === 'completed') return status === 'completed';
+  return !RELEASED_STATUSES.includes(status);
+};
+
+// Whether the enrollment uses up one of its event's maxCoursesPerStudent places; withdrawing gives
+// the place back.
+const countsTowardLimit = (enrollment) => statusOf(enrollment) !== 'withdrawn';
+
+const isBlank = (value) => value === null || String(value).trim() === '';
+
+// Checks { status, grade, score } and returns the fields to change. Undefined fields are left as they
+// are; a blank grade or score clears it.
+const normalizeOutcome = ({ status, grade, score }) => {
+  const outcome = {};
+  if (status !== undefined && !isBlank(status)) {
+    const value = String(status).trim().toLowerCase();
+    if (!ENROLLMENT_STATUSES.includes(value)) throw toOutcomeError(`Unknown status "${status}". Use one of: ${ENROLLMENT_STATUSES.join(', ')}.`);
+    outcome.status = value;
+  }
+  if (grade !== undefined) {
+    const value = isBlank(grade) ? undefined : String(grade).trim();
+    if (value && value.length > 20) throw toOutcomeError('Grade cannot exceed 20 characters.');
+    outcome.grade = value;
+  }
+  if (score !== undefined) {
+    const value = isBlank(score) ? undefined : Number(score);
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) throw toOutcomeError(`"${score}" is not a valid score.`);
+    outcome.score = value;
+  }
+  if (Object.keys(outcome).length === 0) throw toOutcomeError('Nothing to update: give a status, grade or score.');
+  return outcome;
+};
+
+// Applies the outcome and returns true when it withdraws the student, whose seat must then be
+// released. A withdrawal can't be undone here: the seat is gone, so the student is enrolled again.
+const applyOutcome = (enrollment, outcome, updatedBy) => {
+  const wasWithdrawn = statusOf(enrollment) === 'withdrawn';
+  if (wasWithdrawn && outcome.status && outcome.status !== 'withdrawn') {
+    throw toOutcomeError('The student withdrew and gave up their seat. Enroll them again instead of changing the status.');
+  }
+  Object.entries(outcome).forEach(([key, value]) => { enrollment[key] = value; });
+  enrollment.outcomeUpdatedAt = new Date();
+  enrollment.outcomeUpdatedBy = updatedBy;
+  return outcome.status === 'withdrawn';
+};
+
+const toOutcomeRow = (student, enrollment) => ({
+  userId: student._id,
+  username: student.username,
+  name: student.name,
+  department: student.department,
+  courseId: enrollment.courseId,
+  courseTitle: enrollment.courseTitle,
+  enrolledAt: enrollment.enrolledAt,
+  status: statusOf(enrollment),
+  grade: enrollment.grade ?? null,
+  score: enrollment.score ?? null,
+  outcomeUpdatedAt: enrollment.outcomeUpdatedAt ?? null,
+});
+
+const inEvent = (event, enrollment) => String(enrollment.eventId) === String(event._id);
+
+// One row per enrollment in the event, for the students `studentFilter` lets the caller see.
+const listEventOutcomes = async ({ event, studentFilter }) => {
+  const students = await User.find({ ...studentFilter, 'enrollments.eventId': event._id }).select('username name department enrollments').lean();
+  return students
+    .flatMap(student => student.enrollments.filter(e => inEvent(event, e)).map(e => toOutcomeRow(student, e)))
+    .sort((a, b) => a.courseTitle.localeCompare(b.courseTitle) || a.username.localeCompare(b.username));
+};
+
+// Sets the outcome of one student's enrollment in `courseId` (a master course id) within the event.
+// Returns the outcome row and, in `released`, the { userId, courseId } seat to release when the
+// student withdrew; run it in the transaction that releases the seat.
+const updateEnrollmentOutcome = async ({ event, userId, courseId, studentFilter, outcome, updatedBy, session }) => {
+  const changes = normalizeOutcome(outcome);
+  const student = await User.findOne({ ...studentFilter, _id: userId, 'enrollments.eventId': event._id }).session(session || null);
+  const enrollment = student && student.enrollments.find(e => inEvent(event, e) && String(e.courseId) === String(courseId));
+  if (!enrollment) throw toOutcomeError('This student is not enrolled in that course for this event.', 404);
+  const withdrew = applyOutcome(enrollment, changes, updatedBy);
+  await student.save({ session });
+  return { outcome: toOutcomeRow(student, enrollment), released: withdrew ? [{ userId: student._id, courseId: enrollment.courseId }] : [] };
+};
+
+// Applies CSV rows (username, coursetitle, and any of status, grade, score) to the event's
+// enrollments. Rows that can't be applied are returned as failures; the rest are saved. `released`
+// lists the seats of students who withdrew, as for updateEnrollmentOutcome.
+const importOutcomeRows = async ({ event, rows, studentFilter, updatedBy, session }) => {
+  const usernames = [...new Set(rows.map(r => r.username?.trim().toLowerCase()).filter(Boolean))];
+  const students = await User.find({ ...studentFilter, username: { $in: usernames }, 'enrollments.eventId': event._id }).select('username enrollments').session(session || null);
+  const studentsByUsername = new Map(students.map(s => [s.username, s]));
+
+  const failures = [];
+  const released = [];
+  const changed = new Set();
+  let updated = 0;
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // Header is row 1.
+    const username = row.username?.trim().toLowerCase();
+    const courseTitle = row.coursetitle?.trim();
+    const fail = (reason) => failures.push({ row: rowNumber, username: row.username, courseTitle: row.coursetitle, reason });
+    if (!username || !courseTitle) return fail('Missing username or coursetitle.');
+
+    const student = studentsByUsername.get(username);
+    if (!student) return fail('Student not found or not enrolled in this event.');
+    const enrollment = student.enrollments.find(e => inEvent(event, e) && e.courseTitle.toLowerCase() === courseTitle.toLowerCase());
+    if (!enrollment) return fail('Student is not enrolled in this course for this event.');
+
+    try {
+      if (applyOutcome(enrollment, normalizeOutcome({ status: row.status, grade: row.grade, score: row.score }), updatedBy)) {
+        released.push({ userId: student._id, courseId: enrollment.courseId });
+      }
+    } catch (err) {
+      return fail(err.message);
+    }
+    changed.add(student);
+    updated += 1;
+  });
+
+  for (const student of changed) await student.save({ session });
+  return { updated, failures, released };
+};
+
+module.exports = {
+  ENROLLMENT_STATUSES,
+  PREREQUISITE_POLICIES,
+  RELEASED_STATUSES,
+  holdsCourse,
+  countsTowardLimit,
+  normalizeOutcome,
+  listEventOutcomes,
+  updateEnrollmentOutcome,
+  importOutcomeRows,
+};
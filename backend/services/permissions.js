@@ -0,0 +1,107 @@
+// backend/services/permissions.js
+// Permission-based authorization. Routes ask for a permission ("events:write") rather than a role;
+// each role maps to a set of permissions, optionally narrowed by a scope suffix:
+//   "events:write"                 - every event
+//   "events:write:own-department"  - only events (and students) of the user's own department
+//   "rosters:read:own-courses"     - only offerings the user is listed as an instructor on
+// The scope a user holds is resolved once per request and then applied inside the queries.
+
+const ROLES = ['admin', 'coordinator', 'faculty', 'student'];
+
+const SCOPES = {
+  ALL: 'all',
+  OWN_DEPARTMENT: 'own-department',
+  OWN_COURSES: 'own-courses',
+};
+
+const PERMISSIONS = [
+  'students:read',
+  'students:write',
+  'events:read',
+  'events:write',
+  'enrollments:write',
+  'rosters:read',
+  'attendance:write',
+  'reports:read',
+  'catalog:read',
+  'catalog:write',
+  'logs:read',
+  'accounts:manage',
+  'system:maintain',
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  coordinator: [
+    'students:read:own-department',
+    'students:write:own-department',
+    'events:read:own-department',
+    'events:write:own-department',
+    'enrollments:write:own-department',
+    'rosters:read:own-department',
+    'attendance:write:own-department',
+    'reports:read:own-department',
+    'catalog:read',
+  ],
+  faculty: [
+    'rosters:read:own-courses',
+    'attendance:write:own-courses',
+  ],
+  student: [],
+};
+
+const listPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// The scope at which `user` holds `permission`, or null if they don't hold it at all.
+const resolveScope = (user, permission) => {
+  const granted = listPermissions(user && user.role);
+  if (granted.includes(permission)) return SCOPES.ALL;
+  const scoped = granted.find(p => p.startsWith(`${permission}:`));
+  return scoped ? scoped.slice(permission.length + 1) : null;
+};
+
+const hasPermission = (user, permission) => resolveScope(user, permission) !== null;
+
+// --- Query filters for a resolved scope ---
+
+// Scoped users only ever see student accounts of their own department, never staff.
+const studentScopeFilter = (user, scope) => (scope === SCOPES.ALL ? {} : { role: 'student', department: user.department });
+
+const eventScopeFilter = (user, scope) => {
+  if (scope === SCOPES.ALL) return {};
+  if (scope === SCOPES.OWN_COURSES) return { 'courses.instructors': user._id };
+  return { department: user.department };
+};
+
+// Offerings of an event visible at this scope; own-courses narrows the list to what the user teaches.
+const offeringsInScope = (user, scope, event) => {
+  const offerings = event.courses || [];
+  if (scope !== SCOPES.OWN_COURSES) return offerings;
+  return offerings.filter(o => (o.instructors || []).some(id => String(id._id || id) === String(user._id)));
+};
+
+// --- Checks for single documents that were loaded without a scoped query ---
+
+const isStudentInScope = (user, scope, student) =>
+  scope === SCOPES.ALL || (!!student && student.role === 'student' && !!user.department && student.department === user.department);
+
+const isEventInScope = (user, scope, event) => {
+  if (!event) return false;
+  if (scope === SCOPES.ALL) return true;
+  if (scope === SCOPES.OWN_COURSES) return offeringsInScope(user, scope, event).length > 0;
+  return !!user.department && event.department === user.department;
+};
+
+module.exports = {
+  ROLES,
+  SCOPES,
+  PERMISSIONS,
+  listPermissions,
+  resolveScope,
+  hasPermission,
+  studentScopeFilter,
+  eventScopeFilter,
+  offeringsInScope,
+  isStudentInScope,
+  isEventInScope,
+};
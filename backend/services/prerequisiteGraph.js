@@ -0,0 +1,202 @@
+// backend/services/prerequisiteGraph.js
+// The catalog's prerequisite relation as a graph: an edge runs from a prerequisite to the course that
+// requires it. Writes must keep it acyclic (a course in a cycle can never be taken); reads lay it out
+// in topological levels, where level 0 has no prerequisites and every other course sits one level
+// above its highest prerequisite. Every course a requirement names is an edge, including each option
+// of an any-of rule, and a tag rule has an edge from every course currently carrying the tag. Tagging
+// a course can therefore close a cycle too, so tag changes are validated like requirement changes.
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { referencedCourseIds } = require('./prerequisites');
+
+const toGraphError = (message, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+// Map of tag -> ids of the courses carrying it.
+const tagMembersOf = (courses) => {
+  const membersByTag = new Map();
+  courses.forEach(c => (c.tags || []).forEach(tag => {
+    if (!membersByTag.has(tag)) membersByTag.set(tag, []);
+    membersByTag.get(tag).push(String(c._id));
+  }));
+  return membersByTag;
+};
+
+// Ids of the courses `course` requires: the ones it names plus, for each tag rule, every course in
+// `membersByTag` carrying the tag other than the course itself.
+const prerequisiteIdsOf = (course, membersByTag = new Map()) => [...new Set([
+  ...referencedCourseIds(course),
+  ...(course.prerequisiteRules || []).flatMap(rule => (rule.tag ? membersByTag.get(rule.tag) || [] : []))
+    .filter(id => !course._id || id !== String(course._id)),
+])];
+
+const buildPrerequisiteMap = (courses) => {
+  const membersByTag = tagMembersOf(courses);
+  return new Map(courses.map(c => [String(c._id), prerequisiteIdsOf(c, membersByTag)]));
+};
+
+// Map of course id -> prerequisite ids, for every course including trashed ones (a restore must not
+// bring back a cycle), and the tag members the map was built with.
+const loadPrerequisiteMap = async ({ session } = {}) => {
+  const courses = await Course.find({}).select('title prerequisites prerequisiteRules tags deletedAt').session(session || null).lean();
+  return {
+    courses,
+    membersByTag: tagMembersOf(courses),
+    prerequisitesById: buildPrerequisiteMap(courses),
+  };
+};
+
+// Returns one cycle as a list of ids (first id repeated at the end), or null. With `startIds` only
+// cycles reachable from those courses are looked for.
+const findCycle = (prerequisitesById, startIds = [...prerequisitesById.keys()]) => {
+  const VISITING = 1;
+  const DONE = 2;
+  const state = new Map();
+  const path = [];
+
+  const visit = (id) => {
+    if (state.get(id) === DONE) return null;
+    if (state.get(id) === VISITING) return [...path.slice(path.indexOf(id)), id];
+    state.set(id, VISITING);
+    path.push(id);
+    for (const next of prerequisitesById.get(id) || []) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(id, DONE);
+    return null;
+  };
+
+  for (const id of startIds) {
+    const cycle = visit(String(id));
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+const describeCycle = (cycle, courses) => {
+  const titles = new Map(courses.map(c => [String(c._id), c.title]));
+  return cycle.map(id => titles.get(id) || id).join(' → ');
+};
+
+const uniqueIds = (ids) => [...new Set((Array.isArray(ids) ? ids : []).map(String))];
+
+// Checks the shape of each prerequisite rule: either a course list or a tag, and a whole minCount
+// that the course list can reach. Returns the rules in their stored form.
+const normalizePrerequisiteRules = (rules) => {
+  if (!Array.isArray(rules)) throw toGraphError('Prerequisite rules must be a list.');
+  return rules.map((rule, index) => {
+    const label = `Prerequisite rule ${index + 1}`;
+    const tag = typeof rule.tag === 'string' ? rule.tag.trim() : '';
+    const courses = uniqueIds(rule.courses);
+    const minCount = rule.minCount === undefined || rule.minCount === '' ? 1 : Number(rule.minCount);
+    if (!Number.isInteger(minCount) || minCount < 1) throw toGraphError(`${label}: the minimum count must be a whole number of at least 1.`);
+    if (tag && courses.length > 0) throw toGraphError(`${label}: use either a list of courses or a tag, not both.`);
+    if (tag) return { tag, minCount };
+    if (courses.length === 0) throw toGraphError(`${label}: choose at least one course or a tag.`);
+    if (minCount > courses.length) throw toGraphError(`${label}: asks for ${minCount} of only ${courses.length} course(s).`);
+    return { courses, minCount };
+  });
+};
+
+// Stands in for the id of a course that is being created.
+const NEW_COURSE_ID = 'new';
+
+// Throws (400) when the requirement and tags can't belong to `courseId`: the requirement names the
+// course itself or a course that isn't in the catalog (ones the course already named are kept even if
+// since trashed), a rule is malformed, or the course would close a cycle, through its own requirement
+// or through tag rules of other courses that its tags pull it into. Pass no courseId (and the title,
+// for the message) for a course that is being created. `prerequisiteIds`, `prerequisiteRules` or
+// `tags` left undefined keep the stored value; the requirement fields then come back undefined and
+// the others are returned de-duplicated and normalized.
+const validatePrerequisites = async ({ courseId, title, prerequisiteIds, prerequisiteRules, tags, session }) => {
+  const ids = prerequisiteIds === undefined ? undefined : uniqueIds(prerequisiteIds);
+  const rules = prerequisiteRules === undefined ? undefined : normalizePrerequisiteRules(prerequisiteRules);
+
+  const { courses } = await loadPrerequisiteMap({ session });
+  const coursesById = new Map(courses.map(c => [String(c._id), c]));
+  const stored = courseId ? coursesById.get(String(courseId)) : null;
+  const course = {
+    _id: courseId ? String(courseId) : NEW_COURSE_ID,
+    title: stored ? stored.title : title,
+    prerequisites: ids !== undefined ? ids : (stored && stored.prerequisites),
+    prerequisiteRules: rules !== undefined ? rules : (stored && stored.prerequisiteRules),
+    tags: tags !== undefined ? tags : (stored && stored.tags),
+  };
+  const named = [...new Set(referencedCourseIds(course))];
+
+  if (named.some(id => !mongoose.Types.ObjectId.isValid(id))) throw toGraphError('Prerequisites contain an invalid Course ID.');
+  if (courseId && named.includes(String(courseId))) throw toGraphError('A course cannot be its own prerequisite.');
+  const current = new Set(stored ? referencedCourseIds(stored) : []);
+  const unknown = named.filter(id => !coursesById.has(id) || (coursesById.get(id).deletedAt && !current.has(id)));
+  if (unknown.length > 0) throw toGraphError('Some prerequisites are not in the catalog.', 400, { unknown });
+
+  // Any new cycle runs through the edited course, so only cycles reachable from it are looked for.
+  const edited = [...courses.filter(c => String(c._id) !== course._id), course];
+  const cycle = findCycle(buildPrerequisiteMap(edited), [course._id]);
+  if (cycle) {
+    throw toGraphError(`These prerequisites would create a cycle: ${describeCycle(cycle, edited)}.`, 400, { cycle });
+  }
+  return { prerequisites: ids, prerequisiteRules: rules };
+};
+
+// Every catalog course with its direct prerequisites and dependents and its level, plus the edges
+// and the courses grouped by level. Courses caught in a cycle (only possible in data from before
+// validation) have level null and are listed under `cyclic`.
+const getPrerequisiteGraph = async () => {
+  const courses = await Course.find({ deletedAt: null }).select('title exclusiveGroup prerequisites prerequisiteRules tags').sort('title').lean();
+  const activeIds = new Set(courses.map(c => String(c._id)));
+  const prerequisitesById = new Map([...buildPrerequisiteMap(courses)].map(([id, prerequisites]) => [id, prerequisites.filter(p => activeIds.has(p))]));
+
+  const dependentsById = new Map(courses.map(c => [String(c._id), []]));
+  prerequisitesById.forEach((prerequisites, id) => prerequisites.forEach(p => dependentsById.get(p).push(id)));
+
+  // Kahn's algorithm, one level at a time.
+  const levelById = new Map();
+  const remaining = new Map([...prerequisitesById].map(([id, prerequisites]) => [id, prerequisites.length]));
+  let frontier = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const levels = [];
+  while (frontier.length > 0) {
+    levels.push(frontier);
+    const next = [];
+    frontier.forEach(id => {
+      levelById.set(id, levels.length - 1);
+      dependentsById.get(id).forEach(dependent => {
+        remaining.set(dependent, remaining.get(dependent) - 1);
+        if (remaining.get(dependent) === 0) next.push(dependent);
+      });
+    });
+    frontier = next;
+  }
+
+  return {
+    nodes: courses.map(c => {
+      const id = String(c._id);
+      return {
+        _id: c._id,
+        title: c.title,
+        exclusiveGroup: c.exclusiveGroup,
+        level: levelById.has(id) ? levelById.get(id) : null,
+        prerequisites: prerequisitesById.get(id),
+        dependents: dependentsById.get(id),
+      };
+    }),
+    edges: [...prerequisitesById].flatMap(([id, prerequisites]) => prerequisites.map(p => ({ from: p, to: id }))),
+    levels,
+    cyclic: courses.map(c => String(c._id)).filter(id => !levelById.has(id)),
+  };
+};
+
+module.exports = {
+  prerequisiteIdsOf,
+  loadPrerequisiteMap,
+  findCycle,
+  describeCycle,
+  validatePrerequisites,
+  getPrerequisiteGraph,
+};
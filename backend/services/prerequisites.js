@@ -0,0 +1,121 @@
+// backend/services/prerequisites.js
+// Prerequisite expressions and the engine that evaluates them. A course's requirement is the
+// conjunction of:
+//   - `prerequisites`: every listed course (the original all-of list), and
+//   - each of `prerequisiteRules`: at least `minCount` of the rule's courses, taken either from its
+//     `courses` list or from every catalog course tagged `tag`.
+// A course counts as held when the student has a prior credit for it (services/transcript.js), an
+// admin granted credit for it, or an enrollment in it that the event's prerequisitePolicy accepts
+// (services/outcomes.js); an admin waiver on the target course lifts its requirement altogether.
+//
+// Evaluation is synchronous against a catalog snapshot (titles and tag members) loaded once with
+// loadPrerequisiteCatalog, so listings can check many courses without a query per course.
+const Course = require('../models/Course');
+const { holdsCourse } = require('./outcomes');
+
+const WAIVER_KINDS = ['credit', 'waiver'];
+
+const idOf = (value) => String((value && value._id) || value);
+
+const heldCourseIds = (student, policy) => new Set([
+  ...(student.enrollments || []).filter(e => holdsCourse(e, policy)).map(e => idOf(e.courseId)),
+  ...(student.completedCourses || []).map(c => idOf(c.course)),
+  ...(student.prerequisiteWaivers || []).filter(w => w.kind === 'credit').map(w => idOf(w.course)),
+]);
+
+const findWaiver = (course, student) =>
+  (student.prerequisiteWaivers || []).find(w => w.kind === 'waiver' && idOf(w.course) === idOf(course));
+
+// Ids named directly by a course's requirement; tag rules are not included.
+const referencedCourseIds = (course) => [
+  ...(course.prerequisites || []).map(idOf),
+  ...(course.prerequisiteRules || []).flatMap(rule => (rule.courses || []).map(idOf)),
+];
+
+// Filter for the courses whose prerequisite list or rules name one of `courseIds`.
+const requiringCourseFilter = (courseIds) => ({ $or: [{ prerequisites: { $in: courseIds } }, { 'prerequisiteRules.courses': { $in: courseIds } }] });
+
+// Titles of every course the given courses refer to and the current members of every tag they use.
+const loadPrerequisiteCatalog = async ({ courses, session }) => {
+  const ids = [...new Set(courses.filter(Boolean).flatMap(referencedCourseIds))];
+  const tags = [...new Set(courses.filter(Boolean).flatMap(c => (c.prerequisiteRules || []).map(r => r.tag).filter(Boolean)))];
+  const named = ids.length > 0 ? await Course.find({ _id: { $in: ids } }).select('title').session(session || null).lean() : [];
+  const tagged = tags.length > 0 ? await Course.find({ tags: { $in: tags }, deletedAt: null }).select('title tags').session(session || null).lean() : [];
+  const titleById = new Map([...named, ...tagged].map(c => [String(c._id), c.title]));
+  const membersByTag = new Map(tags.map(tag => [tag, tagged.filter(c => c.tags.includes(tag)).map(c => String(c._id))]));
+  return { titleById, membersByTag };
+};
+
+// The course's requirement as a list of { courseIds, minCount, tag } clauses, all of which must hold.
+const requirementClauses = (course, catalog) => {
+  const clauses = (course.prerequisites || []).map(p => ({ courseIds: [idOf(p)], minCount: 1 }));
+  (course.prerequisiteRules || []).forEach(rule => {
+    const courseIds = rule.tag
+      ? (catalog.membersByTag.get(rule.tag) || []).filter(id => id !== idOf(course))
+      : (rule.courses || []).map(idOf);
+    clauses.push({ courseIds, minCount: rule.minCount || 1, tag: rule.tag || null });
+  });
+  return clauses;
+};
+
+const describeClause = (clause, titleOf) => {
+  const titles = clause.courseIds.map(titleOf);
+  if (clause.tag) return `${clause.minCount === 1 ? 'One course' : `${clause.minCount} courses`} from the "${clause.tag}" group`;
+  if (titles.length === 1) return titles[0];
+  if (clause.minCount >= titles.length) return `All of ${titles.join(', ')}`;
+  return `${clause.minCount === 1 ? 'One' : clause.minCount} of ${titles.join(', ')}`;
+};
+
+// Returns { met, waived, rules, unmet }: one entry per clause saying what it asks for, which held
+// courses satisfy it and how many more are needed, plus the descriptions of the clauses not met.
+// `waived` is true only when a waiver is what makes an otherwise unmet requirement pass. `policy` is
+// the prerequisitePolicy of the event the course is offered in.
+const evaluatePrerequisites = (course, student, catalog, { policy = 'enrolled' } = {}) => {
+  const titleOf = (id) => catalog.titleById.get(id) || 'Unknown course';
+  const held = heldCourseIds(student, policy);
+  const rules = requirementClauses(course, catalog).map(clause => {
+    const satisfiedBy = clause.courseIds.filter(id => held.has(id));
+    const stillNeeded = Math.max(clause.minCount - satisfiedBy.length, 0);
+    return {
+      description: describeClause(clause, titleOf),
+      minCount: clause.minCount,
+      satisfiedBy: satisfiedBy.map(titleOf),
+      stillNeeded,
+      met: stillNeeded === 0,
+    };
+  });
+  const waived = !!findWaiver(course, student);
+  const unmet = rules.filter(r => !r.met).map(r => (r.minCount > 1 && r.satisfiedBy.length > 0
+    ? `${r.description} (${r.stillNeeded} more needed)`
+    : r.description));
+  return { met: waived || unmet.length === 0, waived: waived && unmet.length > 0, rules, unmet };
+};
+
+// Removes `courseId` from a course's prerequisite list and rules, putting `replacementId` in its
+// place when given. Rules left without courses are dropped and minCount never exceeds what is left.
+// Mutates the course document; the caller saves it.
+const replacePrerequisiteCourse = (course, courseId, replacementId = null) => {
+  const swap = (ids) => {
+    const next = ids.map(idOf).filter(id => id !== idOf(courseId));
+    const hadCourse = next.length !== ids.length;
+    if (hadCourse && replacementId && idOf(replacementId) !== idOf(course._id) && !next.includes(idOf(replacementId))) next.push(idOf(replacementId));
+    return next;
+  };
+  course.prerequisites = swap(course.prerequisites || []);
+  course.prerequisiteRules = (course.prerequisiteRules || [])
+    .map(rule => {
+      if (rule.tag) return rule;
+      const courses = swap(rule.courses || []);
+      return { courses, minCount: Math.min(rule.minCount || 1, courses.length) };
+    })
+    .filter(rule => rule.tag || rule.courses.length > 0);
+};
+
+module.exports = {
+  WAIVER_KINDS,
+  referencedCourseIds,
+  requiringCourseFilter,
+  loadPrerequisiteCatalog,
+  evaluatePrerequisites,
+  replacePrerequisiteCourse,
+};
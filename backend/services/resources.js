@@ -0,0 +1,213 @@
+// backend/services/resources.js
+// Venues and instructors as bookable resources. A slot holds all its sessions in its room, and its
+// instructors (the offering's, when the slot names none) teach every session. Saving an offering first
+// checks the hard limits: the room exists, the slot's seats fit in it, and slot instructors teach the
+// offering. Clashes are looked for next: another slot booking the same room or instructor at an
+// overlapping time, a session outside a venue's or instructor's availability, or an instructor over
+// their weekly hours. Clashes are reported for the admin to fix or knowingly accept.
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const Instructor = require('../models/Instructor');
+const { sessionsOf, sessionEnd, sessionsOverlap } = require('./slotSchedule');
+
+const CLASH_TYPES = {
+  ROOM_DOUBLE_BOOKED: 'ROOM_DOUBLE_BOOKED',
+  INSTRUCTOR_DOUBLE_BOOKED: 'INSTRUCTOR_DOUBLE_BOOKED',
+  ROOM_UNAVAILABLE: 'ROOM_UNAVAILABLE',
+  INSTRUCTOR_UNAVAILABLE: 'INSTRUCTOR_UNAVAILABLE',
+  INSTRUCTOR_OVERLOADED: 'INSTRUCTOR_OVERLOADED',
+};
+const MAX_REPORTED_CLASHES = 100;
+const START_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toResourceError = (message, statusCode = 400, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const idOf = (value) => String((value && value._id) || value);
+const uniqueIds = (ids) => [...new Set(ids.map(idOf))];
+
+// --- Availability ---
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Checks weekly windows ({ dayOfWeek, startTime, endTime }) and returns them sorted.
+const normalizeAvailability = (windows) => {
+  if (windows === undefined || windows === null) return [];
+  if (!Array.isArray(windows)) throw toResourceError('Availability must be a list of weekly windows.');
+  return windows.map((window, index) => {
+    const label = `Availability window ${index + 1}`;
+    const dayOfWeek = Number(window.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) throw toResourceError(`${label}: day must be 0 (Sunday) to 6 (Saturday).`);
+    const startTime = String(window.startTime || '').trim();
+    const endTime = String(window.endTime || '').trim();
+    if (!START_TIME_PATTERN.test(startTime) || !END_TIME_PATTERN.test(endTime)) throw toResourceError(`${label}: times must be HH:MM.`);
+    if (minutesOf(endTime) <= minutesOf(startTime)) throw toResourceError(`${label}: the window must end after it starts.`);
+    return { dayOfWeek, startTime, endTime };
+  }).sort((a, b) => a.dayOfWeek - b.dayOfWeek || minutesOf(a.startTime) - minutesOf(b.startTime));
+};
+
+// Whether the whole session fits in one window on its day (server local time). No windows means
+// always available; a session running past midnight never fits.
+const isWithinAvailability = (windows, session) => {
+  if (!windows || windows.length === 0) return true;
+  const start = new Date(session.start);
+  const end = sessionEnd(session);
+  const from = start.getHours() * 60 + start.getMinutes();
+  const to = from + Math.ceil((end - start) / 60000);
+  return windows.some(w => w.dayOfWeek === start.getDay() && minutesOf(w.startTime) <= from && to <= minutesOf(w.endTime));
+};
+
+// --- Bookings ---
+
+const slotInstructorIds = (offering, slot) =>
+  uniqueIds((slot.instructors || []).length > 0 ? slot.instructors : (offering.instructors || []));
+
+const toBooking = (event, offering, slot) => ({
+  eventId: event._id,
+  eventName: event.name,
+  offeringId: offering._id,
+  courseTitle: (offering.course && offering.course.title) || null,
+  slotId: slot.id,
+  room: slot.room ? idOf(slot.room) : null,
+  instructors: slotInstructorIds(offering, slot),
+  sessions: sessionsOf(slot),
+});
+
+// Slots of other offerings that use any of the rooms or instructors, as bookings.
+const loadOtherBookings = async ({ offering, roomIds, instructorIds, session }) => {
+  const or = [];
+  if (roomIds.length > 0) or.push({ 'courses.slots.room': { $in: roomIds } });
+  if (instructorIds.length > 0) or.push({ 'courses.instructors': { $in: instructorIds } });
+  if (or.length === 0) return [];
+  const events = await Event.find({ $or: or }).select('name courses').populate({ path: 'courses.course', model: 'Course', select: 'title' }).session(session).lean();
+  return events.flatMap(event => (event.courses || [])
+    .filter(other => idOf(other._id) !== idOf(offering._id))
+    .flatMap(other => (other.slots || []).map(slot => toBooking(event, other, slot))));
+};
+
+// Hard limits for an offering about to be saved; throws a 400 on the first problem.
+const assertSlotResources = async ({ offering, session }) => {
+  const slots = offering.slots || [];
+  const roomIds = uniqueIds(slots.filter(s => s.room).map(s => s.room));
+  if (roomIds.some(id => !mongoose.Types.ObjectId.isValid(id))) throw toResourceError('Invalid venue ID.');
+  const venues = await Venue.find({ _id: { $in: roomIds } }).select('name capacity').session(session).lean();
+  const venuesById = new Map(venues.map(v => [idOf(v._id), v]));
+  const offeringInstructors = new Set((offering.instructors || []).map(idOf));
+
+  slots.forEach(slot => {
+    const label = `Slot #${slot.id}`;
+    if (slot.room) {
+      const venue = venuesById.get(idOf(slot.room));
+      if (!venue) throw toResourceError(`${label}: venue not found.`, 404);
+      if (slot.maxCapacity > venue.capacity) throw toResourceError(`${label}: capacity ${slot.maxCapacity} is more than ${venue.name} holds (${venue.capacity}).`);
+    }
+    if ((slot.instructors || []).some(id => !offeringInstructors.has(idOf(id)))) throw toResourceError(`${label}: slot instructors must be instructors of the offering.`);
+  });
+};
+
+const describeOther = (booking, session) => ({
+  eventId: booking.eventId,
+  eventName: booking.eventName,
+  courseTitle: booking.courseTitle,
+  slotId: booking.slotId,
+  sameOffering: !!booking.own,
+  sessionStart: session.start,
+});
+
+// Monday 00:00 (server local time) of the session's week.
+const weekOf = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.toISOString();
+};
+
+// Room and instructor clashes of `offering` (as it is about to be saved) with itself and with every
+// other offering. At most MAX_REPORTED_CLASHES are returned.
+const findOfferingClashes = async ({ event, offering, session }) => {
+  const own = (offering.slots || []).map(slot => ({ ...toBooking(event, offering, slot), own: true }));
+  const roomIds = uniqueIds(own.filter(b => b.room).map(b => b.room));
+  const instructorIds = uniqueIds(own.flatMap(b => b.instructors));
+  if (roomIds.length === 0 && instructorIds.length === 0) return [];
+
+  // One query at a time: a transaction session can't run operations in parallel.
+  const others = await loadOtherBookings({ offering, roomIds, instructorIds, session });
+  const venues = await Venue.find({ _id: { $in: roomIds } }).select('name availability').session(session).lean();
+  const users = await User.find({ _id: { $in: instructorIds } }).select('name username').session(session).lean();
+  const profiles = await Instructor.find({ user: { $in: instructorIds } }).select('user availability maxWeeklyHours').session(session).lean();
+  const venuesById = new Map(venues.map(v => [idOf(v._id), v]));
+  const namesById = new Map(users.map(u => [idOf(u._id), u.name || u.username]));
+  const profilesByUser = new Map(profiles.map(p => [idOf(p.user), p]));
+  const roomResource = (id) => ({ kind: 'room', id, name: (venuesById.get(id) || {}).name || null });
+  const instructorResource = (id) => ({ kind: 'instructor', id, name: namesById.get(id) || null });
+
+  const clashes = [];
+  const add = (clash) => { if (clashes.length < MAX_REPORTED_CLASHES) clashes.push(clash); };
+
+  own.forEach((booking, index) => {
+    const candidates = [...own.slice(index + 1), ...others];
+    const venue = booking.room && venuesById.get(booking.room);
+    booking.sessions.forEach(s => {
+      const at = { slotId: booking.slotId, sessionStart: s.start };
+      if (venue && !isWithinAvailability(venue.availability, s)) add({ type: CLASH_TYPES.ROOM_UNAVAILABLE, ...at, resource: roomResource(booking.room) });
+      booking.instructors.forEach(id => {
+        const profile = profilesByUser.get(id);
+        if (profile && !isWithinAvailability(profile.availability, s)) add({ type: CLASH_TYPES.INSTRUCTOR_UNAVAILABLE, ...at, resource: instructorResource(id) });
+      });
+      candidates.forEach(other => {
+        const overlapping = other.sessions.find(o => sessionsOverlap(s, o));
+        if (!overlapping) return;
+        if (booking.room && booking.room === other.room) add({ type: CLASH_TYPES.ROOM_DOUBLE_BOOKED, ...at, resource: roomResource(booking.room), with: describeOther(other, overlapping) });
+        booking.instructors.filter(id => other.instructors.includes(id)).forEach(id => add({ type: CLASH_TYPES.INSTRUCTOR_DOUBLE_BOOKED, ...at, resource: instructorResource(id), with: describeOther(other, overlapping) }));
+      });
+    });
+  });
+
+  // Weekly hours count every slot an instructor teaches, but only weeks this offering adds to.
+  profiles.filter(p => p.maxWeeklyHours).forEach(profile => {
+    const id = idOf(profile.user);
+    const hoursByWeek = new Map();
+    const ownWeeks = new Set();
+    [...own, ...others].filter(b => b.instructors.includes(id)).forEach(booking => booking.sessions.forEach(s => {
+      const week = weekOf(s.start);
+      hoursByWeek.set(week, (hoursByWeek.get(week) || 0) + (sessionEnd(s) - new Date(s.start)) / 3600000);
+      if (booking.own) ownWeeks.add(week);
+    }));
+    ownWeeks.forEach(week => {
+      const hours = Math.round(hoursByWeek.get(week) * 100) / 100;
+      if (hours > profile.maxWeeklyHours) add({ type: CLASH_TYPES.INSTRUCTOR_OVERLOADED, weekOf: week, hours, limit: profile.maxWeeklyHours, resource: instructorResource(id) });
+    });
+  });
+
+  return clashes;
+};
+
+// Slots that hold sessions in the venue, including those of events in the trash (a restore would
+// bring them back).
+const listVenueSlots = async ({ venueId }) => {
+  const events = await Event.find({ 'courses.slots.room': venueId }).setOptions({ withDeleted: true })
+    .select('name courses deletedAt').populate({ path: 'courses.course', model: 'Course', select: 'title' }).lean();
+  return events.flatMap(event => (event.courses || []).flatMap(offering => (offering.slots || [])
+    .filter(slot => slot.room && idOf(slot.room) === idOf(venueId))
+    .map(slot => ({ eventId: event._id, eventName: event.name, inTrash: !!event.deletedAt, offeringId: offering._id, courseTitle: (offering.course && offering.course.title) || null, slotId: slot.id, maxCapacity: slot.maxCapacity }))));
+};
+
+module.exports = {
+  CLASH_TYPES,
+  normalizeAvailability,
+  isWithinAvailability,
+  slotInstructorIds,
+  assertSlotResources,
+  findOfferingClashes,
+  listVenueSlots,
+};
@@ -0,0 +1,106 @@
+// backend/services/sessions.js
+// Short-lived access tokens backed by server-side sessions with rotating refresh tokens.
+// The access token (JWT) names its session; authMiddleware rejects it as soon as that session is
+// revoked. The refresh token is an opaque random string that is swapped for a new one on every use.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+// Only recent rotations are kept for reuse detection; a token older than this is simply unknown.
+const MAX_ROTATED_HASHES = 50;
+
+const toSessionError = (message, statusCode = 401) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { user: { id: user._id, role: user.role, username: user.username }, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Starts a session for a user who just proved who they are (login, password change).
+// Returns { token, refreshToken, sessionId }.
+const createSession = async ({ user, ip, userAgent, session }) => {
+  const refreshToken = newRefreshToken();
+  const [created] = await Session.create([{
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ip,
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+  }], { session });
+  return { token: signAccessToken(user, created._id), refreshToken, sessionId: created._id };
+};
+
+// Swaps a refresh token for a new pair. The swap is a single conditional update, so two requests
+// racing with the same token cannot both win. A token that was already rotated away means it was
+// copied; the whole session is revoked so neither copy keeps working.
+const rotateSession = async ({ refreshToken, loadUser }) => {
+  if (!refreshToken) throw toSessionError('Refresh token is required.', 400);
+  const oldHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const rotated = await Session.findOneAndUpdate(
+    { tokenHash: oldHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { tokenHash: hashToken(nextToken), lastUsedAt: now, expiresAt: refreshExpiry() }, $push: { rotatedHashes: { $each: [oldHash], $slice: -MAX_ROTATED_HASHES } } },
+    { new: true }
+  );
+  if (!rotated) {
+    const reused = await Session.findOneAndUpdate(
+      { rotatedHashes: oldHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'TOKEN_REUSE' } }
+    );
+    if (reused) console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked.`);
+    throw toSessionError('Session expired, please log in again.');
+  }
+
+  const user = await loadUser(rotated.user);
+  if (!user) {
+    await revokeSession({ sessionId: rotated._id, reason: 'LOGOUT' });
+    throw toSessionError('User not found.');
+  }
+  return { user, token: signAccessToken(user, rotated._id), refreshToken: nextToken, sessionId: rotated._id };
+};
+
+// True while the session named in an access token can still be used.
+const isSessionActive = async ({ sessionId, userId }) => {
+  if (!sessionId) return false;
+  return !!(await Session.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Ends one session, found by its id or by its current refresh token. Returns false if it was already gone.
+const revokeSession = async ({ sessionId, refreshToken, reason = 'LOGOUT' }) => {
+  if (!sessionId && !refreshToken) return false;
+  const filter = sessionId ? { _id: sessionId } : { tokenHash: hashToken(refreshToken) };
+  const result = await Session.updateOne({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+};
+
+// Signs a user out everywhere, e.g. after their password changed. Returns how many sessions ended.
+const revokeUserSessions = async ({ userId, reason, session }) => {
+  const result = await Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } }, { session });
+  return result.modifiedCount;
+};
+
+const deleteUserSessions = ({ userIds, session }) => Session.deleteMany({ user: { $in: userIds } }, { session });
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  deleteUserSessions,
+};
@@ -0,0 +1,138 @@
+// backend/services/slotSchedule.js
+// Slot schedules: a slot meets for one or more sessions, each with a start, an end and a venue.
+// Sessions are stored expanded on the slot; the recurrence rule they were generated from is kept next
+// to them so the editor can show and regenerate it, but the session list is what counts (admins may
+// move or drop single sessions afterwards). `slot.time` is kept as the first session's start so
+// sorting and older clients keep working. Slots from before schedules have no sessions and meet once
+// at `time`, taken to last DEFAULT_SESSION_MINUTES.
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+const FREQUENCY_DAYS = { daily: 1, weekly: 7 };
+const MAX_SESSIONS_PER_SLOT = 200;
+const DEFAULT_SESSION_MINUTES = 60;
+const MAX_SESSION_MINUTES = 24 * 60;
+const MAX_VENUE_LENGTH = 100;
+
+const toScheduleError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toVenue = (value, label) => {
+  if (value === undefined || value === null) return undefined;
+  const venue = String(value).trim();
+  if (venue.length > MAX_VENUE_LENGTH) throw toScheduleError(`${label}: venue cannot exceed ${MAX_VENUE_LENGTH} characters.`);
+  return venue || undefined;
+};
+
+const toWholeNumber = (value, { label, field, min, max, fallback }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) throw toScheduleError(`${label}: ${field} must be a whole number from ${min} to ${max}.`);
+  return number;
+};
+
+// The slot's sessions in start order as { start, end, venue }. Slots without sessions meet once at
+// `time`; their end is null.
+const sessionsOf = (slot) => {
+  if (slot.sessions && slot.sessions.length > 0) {
+    return slot.sessions.map(s => ({ start: s.start, end: s.end, venue: s.venue || null })).sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+  return slot.time ? [{ start: slot.time, end: null, venue: null }] : [];
+};
+
+// End of a session; sessions of older slots have none and are taken to last the default length.
+const sessionEnd = (session) => (session.end ? new Date(session.end) : new Date(new Date(session.start).getTime() + DEFAULT_SESSION_MINUTES * 60 * 1000));
+
+const sessionsOverlap = (a, b) => new Date(a.start) < sessionEnd(b) && new Date(b.start) < sessionEnd(a);
+
+// Checks a recurrence rule: { startsAt, durationMinutes, frequency, interval, count, until, venue }.
+// It needs a count, an until date, or both (whichever ends the series first).
+const normalizeRecurrence = (input, label = 'Slot') => {
+  const startsAt = toDate(input.startsAt);
+  if (!startsAt) throw toScheduleError(`${label}: the recurrence needs a valid first session start.`);
+  const frequency = input.frequency || 'weekly';
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) throw toScheduleError(`${label}: unknown frequency "${frequency}". Use one of: ${RECURRENCE_FREQUENCIES.join(', ')}.`);
+  const rule = {
+    startsAt,
+    frequency,
+    durationMinutes: toWholeNumber(input.durationMinutes, { label, field: 'duration (minutes)', min: 1, max: MAX_SESSION_MINUTES, fallback: DEFAULT_SESSION_MINUTES }),
+    interval: toWholeNumber(input.interval, { label, field: 'interval', min: 1, max: 52, fallback: 1 }),
+    count: toWholeNumber(input.count, { label, field: 'number of sessions', min: 1, max: MAX_SESSIONS_PER_SLOT, fallback: undefined }),
+    venue: toVenue(input.venue, label),
+  };
+  const until = toDate(input.until);
+  if (input.until && !until) throw toScheduleError(`${label}: the recurrence end date is not a valid date.`);
+  if (until && until < startsAt) throw toScheduleError(`${label}: the recurrence ends before its first session.`);
+  if (until) rule.until = until;
+  if (!rule.count && !rule.until) throw toScheduleError(`${label}: give the recurrence a number of sessions or an end date.`);
+  return rule;
+};
+
+// Sessions of a normalized recurrence rule. Days are stepped in the server's local time; the editor
+// expands rules in the browser and sends the sessions, so this is only used for API clients that send
+// a rule alone.
+const expandRecurrence = (rule, label = 'Slot') => {
+  const sessions = [];
+  const stepDays = FREQUENCY_DAYS[rule.frequency] * rule.interval;
+  const limit = rule.count || MAX_SESSIONS_PER_SLOT + 1;
+  const start = new Date(rule.startsAt);
+  while (sessions.length < limit && (!rule.until || start <= rule.until)) {
+    sessions.push({ start: new Date(start), end: new Date(start.getTime() + rule.durationMinutes * 60 * 1000), venue: rule.venue });
+    start.setDate(start.getDate() + stepDays);
+  }
+  if (sessions.length > MAX_SESSIONS_PER_SLOT) throw toScheduleError(`${label}: the recurrence makes more than ${MAX_SESSIONS_PER_SLOT} sessions.`);
+  return sessions;
+};
+
+const normalizeSession = (input, label) => {
+  const start = toDate(input.start);
+  const end = toDate(input.end);
+  if (!start || !end) throw toScheduleError(`${label}: sessions need a valid start and end.`);
+  if (end <= start) throw toScheduleError(`${label}: a session must end after it starts.`);
+  if (end - start > MAX_SESSION_MINUTES * 60 * 1000) throw toScheduleError(`${label}: a session cannot last longer than a day.`);
+  return { start, end, venue: toVenue(input.venue, label) };
+};
+
+// Turns a slot from the client into { time, sessions, recurrence }. An explicit session list wins;
+// otherwise a recurrence rule is expanded; a bare `time` becomes one session lasting `durationMinutes`
+// (default DEFAULT_SESSION_MINUTES), so every saved slot has an end to check clashes against.
+const normalizeSlotSchedule = (input, label = 'Slot') => {
+  const recurrence = input.recurrence ? normalizeRecurrence(input.recurrence, label) : undefined;
+  let sessions;
+  if (Array.isArray(input.sessions) && input.sessions.length > 0) {
+    sessions = input.sessions.map((session, index) => normalizeSession(session, `${label}, session ${index + 1}`));
+  } else if (recurrence) {
+    sessions = expandRecurrence(recurrence, label);
+  } else {
+    const time = toDate(input.time);
+    if (!time) throw toScheduleError(`${label} needs a valid time or at least one session.`);
+    const durationMinutes = toWholeNumber(input.durationMinutes, { label, field: 'duration (minutes)', min: 1, max: MAX_SESSION_MINUTES, fallback: DEFAULT_SESSION_MINUTES });
+    sessions = [{ start: time, end: new Date(time.getTime() + durationMinutes * 60 * 1000), venue: undefined }];
+  }
+
+  if (sessions.length > MAX_SESSIONS_PER_SLOT) throw toScheduleError(`${label} cannot have more than ${MAX_SESSIONS_PER_SLOT} sessions.`);
+  sessions.sort((a, b) => a.start - b.start);
+  const overlap = sessions.findIndex((session, index) => index > 0 && session.start < sessions[index - 1].end);
+  if (overlap !== -1) throw toScheduleError(`${label}: the sessions starting ${sessions[overlap - 1].start.toISOString()} and ${sessions[overlap].start.toISOString()} overlap.`);
+  return { time: sessions[0].start, sessions, recurrence };
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MAX_SESSIONS_PER_SLOT,
+  DEFAULT_SESSION_MINUTES,
+  sessionsOf,
+  sessionEnd,
+  sessionsOverlap,
+  normalizeRecurrence,
+  expandRecurrence,
+  normalizeSlotSchedule,
+};
@@ -0,0 +1,164 @@
+// backend/services/timetable.js
+// What each student is booked into, and when. A seat is the student's id on a slot roster
+// (services/enrollment.js), so bookings are read from the rosters of the events the student's
+// enrollments point at. Two slots clash when any of their sessions overlap (services/slotSchedule.js);
+// the enroll paths refuse a slot that clashes with one the student already holds.
+//
+// The same bookings make up the student's timetable, which is also served as iCalendar: as a
+// download, and as a private feed calendar apps poll. The feed is rendered on every request, so it
+// follows slots that admins move.
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const { sessionsOf, sessionEnd, sessionsOverlap } = require('./slotSchedule');
+
+const ICALENDAR_PRODUCT_ID = '-//Selectrum//Timetable//EN';
+// How often calendar apps are asked to poll the feed.
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+const idOf = (value) => String((value && value._id) || value);
+
+// Bookings of each student as a Map of user id to [{ eventId, eventName, eventUpdatedAt, offeringId,
+// courseTitle, slot }]. `events` are in-memory copies read instead of the stored ones, so seats
+// added earlier in the same request (a bulk import, an allocation run) count before they are saved.
+const loadBookings = async ({ students, events = [], session }) => {
+  const bookings = new Map(students.map(s => [idOf(s._id), []]));
+  const inMemory = new Set(events.map(e => idOf(e._id)));
+  const eventIds = [...new Set(students.flatMap(s => (s.enrollments || []).map(e => idOf(e.eventId))))].filter(id => !inMemory.has(id));
+  const stored = eventIds.length === 0 ? [] : await Event.find({ _id: { $in: eventIds } })
+    .select('name courses updatedAt')
+    .populate({ path: 'courses.course', model: 'Course', select: 'title' })
+    .populate({ path: 'courses.slots.room', model: 'Venue', select: 'name building' })
+    .session(session || null).lean();
+
+  [...stored, ...events].forEach(event => (event.courses || []).forEach(offering => (offering.slots || []).forEach(slot => {
+    (slot.enrolled || []).forEach(userId => {
+      const list = bookings.get(idOf(userId));
+      if (list) list.push({ eventId: event._id, eventName: event.name, eventUpdatedAt: event.updatedAt, offeringId: offering._id, courseTitle: (offering.course && offering.course.title) || null, slot });
+    });
+  })));
+  return bookings;
+};
+
+// The first booking whose sessions overlap `slot`'s, or null. The slot itself and bookings in
+// `ignoreOfferingIds` (the offering a swap leaves) are skipped.
+const findClash = (slot, bookings, { ignoreOfferingIds = [] } = {}) => {
+  const ignored = new Set(ignoreOfferingIds.map(idOf));
+  const sessions = sessionsOf(slot);
+  for (const booking of bookings) {
+    if (ignored.has(idOf(booking.offeringId)) || (slot._id && idOf(booking.slot._id) === idOf(slot._id))) continue;
+    const otherSessions = sessionsOf(booking.slot);
+    for (const session of sessions) {
+      const other = otherSessions.find(o => sessionsOverlap(session, o));
+      if (other) {
+        return { eventId: booking.eventId, eventName: booking.eventName, offeringId: booking.offeringId, courseTitle: booking.courseTitle, slotId: booking.slot.id, sessionStart: session.start, otherSessionStart: other.start };
+      }
+    }
+  }
+  return null;
+};
+
+const describeClash = (clash) => {
+  const when = new Date(clash.otherSessionStart).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  return `This slot clashes with "${clash.courseTitle || 'another course'}" (${clash.eventName}) on ${when}.`;
+};
+
+// --- Timetable ---
+
+// Every session the student holds, in start order. A slot's room is only named when the event was
+// loaded with rooms populated (loadBookings does this for stored events).
+const buildTimetable = async ({ student, session }) => {
+  const bookings = (await loadBookings({ students: [student], session })).get(idOf(student._id)) || [];
+  return bookings.flatMap(booking => {
+    const room = booking.slot.room && booking.slot.room.name ? { name: booking.slot.room.name, building: booking.slot.room.building || null } : null;
+    return sessionsOf(booking.slot).map((s, index) => ({
+      eventId: booking.eventId,
+      eventName: booking.eventName,
+      offeringId: booking.offeringId,
+      courseTitle: booking.courseTitle,
+      slotId: booking.slot.id,
+      sessionIndex: index,
+      start: new Date(s.start),
+      end: sessionEnd(s),
+      venue: s.venue || null,
+      room,
+      updatedAt: booking.eventUpdatedAt || null,
+    }));
+  }).sort((a, b) => a.start - b.start);
+};
+
+// --- iCalendar (RFC 5545) ---
+
+const escapeText = (value) => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const toICalendarDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines longer than 75 octets continue on the next line after a space.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = '';
+      bytes = 1; // the leading space of the continuation
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const locationOf = (entry) => {
+  if (entry.room) return [entry.room.name, entry.room.building].filter(Boolean).join(', ');
+  return entry.venue;
+};
+
+// One VEVENT per session. The UID names the slot and the session's place in it, so a moved session
+// updates the calendar entry instead of adding a new one.
+const renderICalendar = (entries, { name = 'Timetable', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICALENDAR_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+  ];
+  entries.forEach(entry => {
+    const location = locationOf(entry);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.offeringId}-${entry.slotId}-${entry.sessionIndex}@selectrum`,
+      `DTSTAMP:${toICalendarDate(now)}`,
+      `DTSTART:${toICalendarDate(entry.start)}`,
+      `DTEND:${toICalendarDate(entry.end)}`,
+      `SUMMARY:${escapeText(entry.courseTitle || 'Course')}`,
+      ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+      `DESCRIPTION:${escapeText(`${entry.eventName}, slot #${entry.slotId}`)}`,
+      ...(entry.updatedAt ? [`LAST-MODIFIED:${toICalendarDate(entry.updatedAt)}`] : []),
+      'END:VEVENT',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// --- Feed tokens ---
+
+// Feed links carry a random token; only its hash is stored on the user.
+const createFeedToken = () => crypto.randomBytes(32).toString('hex');
+const hashFeedToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  loadBookings,
+  findClash,
+  describeClash,
+  buildTimetable,
+  renderICalendar,
+  createFeedToken,
+  hashFeedToken,
+};
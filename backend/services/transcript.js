@@ -0,0 +1,111 @@
+// backend/services/transcript.js
+// Prior credits: courses a student completed outside Selectrum (e.g. before it was adopted), kept in
+// User.completedCourses. They count as taken for prerequisites and the duplicate-course check, but
+// they are not enrollments: they hold no seat and never show up in rosters or enrollment reports.
+const stream = require('stream');
+const csv = require('csv-parser');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { holdsCourse } = require('./outcomes');
+
+const toTranscriptError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Ids of every course the student has taken: enrollments that still hold their course (not failed or
+// withdrawn) plus prior credits.
+const takenCourseIds = (student) => new Set([
+  ...(student.enrollments || []).filter(e => holdsCourse(e)).map(e => String(e.courseId)),
+  ...(student.completedCourses || []).map(c => String((c.course && c.course._id) || c.course)),
+]);
+
+// Why the student can't take `course` again, or null: an enrollment wins over a prior credit.
+const describeTakenCourse = (student, course) => {
+  const courseId = String(course._id);
+  if ((student.enrollments || []).some(e => holdsCourse(e) && String(e.courseId) === courseId)) return `Already enrolled in ${course.title}.`;
+  if ((student.completedCourses || []).some(c => String((c.course && c.course._id) || c.course) === courseId)) return `${course.title} was already completed (prior credit).`;
+  return null;
+};
+
+// Optional completion date; throws on anything Date can't parse.
+const parseCompletedAt = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const date = new Date(String(value).trim());
+  if (Number.isNaN(date.getTime())) throw toTranscriptError(`"${value}" is not a valid completion date.`);
+  return date;
+};
+
+// The stored form of one prior credit; `source` is 'manual' or 'import'.
+const buildCompletedCourse = ({ course, completedAt, term, grade, source, recordedBy }) => ({
+  course: course._id,
+  courseTitle: course.title,
+  completedAt: parseCompletedAt(completedAt),
+  term: term ? String(term).trim() : undefined,
+  grade: grade ? String(grade).trim() : undefined,
+  source,
+  recordedBy,
+  recordedAt: new Date(),
+});
+
+// Parses a CSV upload into rows keyed by lower-case header.
+const readCsvRows = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  const readable = new stream.Readable();
+  readable.push(buffer);
+  readable.push(null);
+  readable
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase(), skipComments: true }))
+    .on('data', row => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+// Records prior credits from CSV rows (username, coursetitle, and optionally completedat, term,
+// grade). `studentFilter` limits which students may be touched (the caller's permission scope).
+// Rows that can't be recorded are returned as failures; the rest are saved.
+const importTranscriptRows = async ({ rows, studentFilter, recordedBy }) => {
+  const usernames = [...new Set(rows.map(r => r.username?.trim().toLowerCase()).filter(Boolean))];
+  const students = await User.find({ ...studentFilter, role: 'student', username: { $in: usernames } }).select('username enrollments completedCourses');
+  const studentsByUsername = new Map(students.map(s => [s.username, s]));
+  const courses = await Course.find({ deletedAt: null }).select('title').lean();
+  const coursesByTitle = new Map(courses.map(c => [c.title.toLowerCase(), c]));
+
+  const failures = [];
+  const changed = new Set();
+  let imported = 0;
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // Header is row 1.
+    const username = row.username?.trim().toLowerCase();
+    const courseTitle = row.coursetitle?.trim();
+    const fail = (reason) => failures.push({ row: rowNumber, username: row.username, courseTitle: row.coursetitle, reason });
+    if (!username || !courseTitle) return fail('Missing username or coursetitle.');
+
+    const student = studentsByUsername.get(username);
+    if (!student) return fail('Student username not found.');
+    const course = coursesByTitle.get(courseTitle.toLowerCase());
+    if (!course) return fail('Course not found in the catalog.');
+    const taken = describeTakenCourse(student, course);
+    if (taken) return fail(taken);
+
+    try {
+      student.completedCourses.push(buildCompletedCourse({ course, completedAt: row.completedat, term: row.term, grade: row.grade, source: 'import', recordedBy }));
+    } catch (err) {
+      return fail(err.message);
+    }
+    changed.add(student);
+    imported += 1;
+  });
+
+  for (const student of changed) await student.save();
+  return { imported, failures };
+};
+
+module.exports = {
+  takenCourseIds,
+  describeTakenCourse,
+  buildCompletedCourse,
+  readCsvRows,
+  importTranscriptRows,
+};
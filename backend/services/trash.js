@@ -0,0 +1,254 @@
+// backend/services/trash.js
+// Soft delete, restore and purge for students, events and catalog courses. Deleting moves a record to
+// the trash (models/plugins/softDelete.js); it can be restored until it has been there for
+// TRASH_RETENTION_DAYS, after which the scheduled purge deletes it for good.
+//
+// Seats follow the record: a trashed student gives up their seats (remembering which ones) and gets
+// them back on restore if they are still free; a trashed event keeps its rosters, sets the students'
+// enrollments in it aside and hands them back unchanged on restore.
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const Instructor = require('../models/Instructor');
+const { runInTransaction, saveAll, reserveSeat, removeUsersFromEvents, deleteEventCascade } = require('./enrollment');
+const { deleteUserSessions } = require('./sessions');
+const { requiringCourseFilter, replacePrerequisiteCourse } = require('./prerequisites');
+const { holdsCourse } = require('./outcomes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const purgeDateFor = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Filter for "in the trash"; reads that name deletedAt are not hidden by the plugin.
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+const courseIdOf = (offering) => (offering.course && offering.course._id) || offering.course;
+
+// --- Students ---
+
+// Moves students to the trash: their seats, waitlist places, rankings and sessions go, their
+// enrollment history stays. Returns the number of students trashed.
+const trashUsers = async ({ userIds, deletedBy, session }) => {
+  const events = await Event.find({ 'courses.slots.enrolled': { $in: userIds } }).select('courses').session(session).lean();
+  const seatsByUser = new Map();
+  events.forEach(event => (event.courses || []).forEach(offering => (offering.slots || []).forEach(slot => {
+    (slot.enrolled || []).forEach(id => {
+      const key = String(id);
+      if (!seatsByUser.has(key)) seatsByUser.set(key, []);
+      seatsByUser.get(key).push({ eventId: event._id, offeringId: offering._id, slotId: slot.id });
+    });
+  })));
+
+  await removeUsersFromEvents({ userIds, session });
+  await deleteUserSessions({ userIds, session });
+  const deletedAt = new Date();
+  const result = await User.bulkWrite(userIds.map(userId => ({
+    updateOne: {
+      filter: { _id: userId, deletedAt: null },
+      update: { $set: { deletedAt, deletedBy, trashedSeats: seatsByUser.get(String(userId)) || [] } },
+    },
+  })), { session });
+  return result.modifiedCount;
+};
+
+// Brings a student back and re-seats each enrollment: the slot they held if it is still free,
+// otherwise any other active slot of the offering. Enrollments that can't be seated are dropped and
+// reported; withdrawn ones held no seat and are kept as they are. Returns null when the student is
+// not in the trash.
+const restoreUser = async ({ userId, session }) => {
+  const user = await User.findOne({ _id: userId, ...IN_TRASH }).session(session);
+  if (!user) return null;
+
+  const restored = [];
+  const dropped = [];
+  const kept = [];
+  for (const enrollment of user.enrollments) {
+    if (enrollment.status === 'withdrawn') {
+      kept.push(enrollment);
+      continue;
+    }
+    const event = await Event.findById(enrollment.eventId).session(session).lean();
+    const offering = event && (event.courses || []).find(o => o.course.equals(enrollment.courseId));
+    if (!offering) {
+      dropped.push({ courseTitle: enrollment.courseTitle, reason: event ? `${event.name} no longer offers this course.` : 'The event no longer exists.' });
+      continue;
+    }
+    const previous = (user.trashedSeats || []).find(s => s.eventId.equals(event._id) && s.offeringId.equals(offering._id));
+    const isPreviousSlot = (slot) => !!previous && slot.id === previous.slotId;
+    const candidates = (offering.slots || []).filter(s => s.isActive).sort((a, b) => isPreviousSlot(b) - isPreviousSlot(a));
+    let seatedIn = null;
+    for (const slot of candidates) {
+      if (await reserveSeat({ eventId: event._id, offeringId: offering._id, slot, userId: user._id, session })) { seatedIn = slot.id; break; }
+    }
+    if (seatedIn === null) {
+      dropped.push({ eventName: event.name, courseTitle: enrollment.courseTitle, reason: 'No seat was free.' });
+      continue;
+    }
+    kept.push(enrollment);
+    restored.push({ eventName: event.name, courseTitle: enrollment.courseTitle, slotId: seatedIn });
+  }
+
+  user.enrollments = kept;
+  user.trashedSeats = [];
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save({ session });
+  return { user, restored, dropped };
+};
+
+// --- Events ---
+
+// Moves an event to the trash. Rosters and rankings stay on it; the students' enrollments in it move
+// to User.trashedEnrollments whole (enrolledAt, outcome), so they stop counting against limits and
+// come back as they were. Returns the event (or null) and the number of students un-enrolled.
+const trashEvent = async ({ eventId, deletedBy, session }) => {
+  const event = await Event.findOneAndUpdate({ _id: eventId, deletedAt: null }, { $set: { deletedAt: new Date(), deletedBy } }, { new: true, session });
+  if (!event) return { event: null, unenrolled: 0 };
+  const inEvent = (op) => ({ $filter: { input: '$enrollments', cond: { [op]: ['$$this.eventId', event._id] } } });
+  const result = await User.updateMany({ 'enrollments.eventId': event._id }, [{
+    $set: {
+      trashedEnrollments: { $concatArrays: [{ $ifNull: ['$trashedEnrollments', []] }, inEvent('$eq')] },
+      enrollments: inEvent('$ne'),
+    },
+  }], { session });
+  return { event, unenrolled: result.modifiedCount };
+};
+
+// Brings an event back and gives each student on its rosters the enrollment set aside when it was
+// trashed (one is rebuilt for events trashed before enrollments were kept). Seats of students who
+// are gone, or who took the same course elsewhere in the meantime, are released and reported; their
+// set-aside enrollments are discarded. Withdrawn enrollments held no seat and come back without one,
+// as do those of students who are in the trash themselves (restoreUser seats them). Returns null
+// when the event is not in the trash.
+const restoreEvent = async ({ eventId, session }) => {
+  const event = await Event.findOne({ _id: eventId, ...IN_TRASH }).populate('courses.course', 'title').session(session);
+  if (!event) return null;
+
+  const rosterIds = new Set();
+  event.courses.forEach(offering => offering.slots.forEach(slot => {
+    slot.enrolled.forEach(id => rosterIds.add(String(id)));
+    (slot.waitlist || []).forEach(w => rosterIds.add(String(w.user)));
+  }));
+  const users = await User.find({ $or: [{ _id: { $in: [...rosterIds] } }, { 'trashedEnrollments.eventId': event._id }] }).setOptions({ withDeleted: true }).session(session);
+  const usersById = new Map(users.map(u => [String(u._id), u]));
+
+  let restoredSeats = 0;
+  const dropped = [];
+  const changedUsers = new Set();
+  event.courses.forEach(offering => {
+    const courseId = courseIdOf(offering);
+    const courseTitle = offering.course ? offering.course.title : 'Unknown course';
+    offering.slots.forEach(slot => {
+      slot.enrolled = slot.enrolled.filter(id => {
+        const user = usersById.get(String(id));
+        if (!user || user.deletedAt) {
+          dropped.push({ userId: id, courseTitle, reason: 'The student account no longer exists.' });
+          return false;
+        }
+        if (user.enrollments.some(e => holdsCourse(e) && e.courseId.equals(courseId))) {
+          dropped.push({ userId: id, username: user.username, courseTitle, reason: 'Already enrolled in this course elsewhere.' });
+          return false;
+        }
+        const kept = (user.trashedEnrollments || []).find(e => e.eventId.equals(event._id) && e.courseId.equals(courseId));
+        user.enrollments.push(kept ? kept.toObject() : { eventId: event._id, courseId, courseTitle, enrolledAt: new Date() });
+        changedUsers.add(user);
+        restoredSeats += 1;
+        return true;
+      });
+      slot.waitlist = (slot.waitlist || []).filter(w => usersById.has(String(w.user)) && !usersById.get(String(w.user)).deletedAt);
+    });
+  });
+  users.forEach(user => (user.trashedEnrollments || [])
+    .filter(e => e.eventId.equals(event._id) && (e.status === 'withdrawn' || user.deletedAt) && !user.enrollments.some(k => k.eventId.equals(event._id) && k.courseId.equals(e.courseId)))
+    .forEach(e => {
+      user.enrollments.push(e.toObject());
+      changedUsers.add(user);
+    }));
+  users.filter(user => (user.trashedEnrollments || []).some(e => e.eventId.equals(event._id))).forEach(user => {
+    user.trashedEnrollments = user.trashedEnrollments.filter(e => !e.eventId.equals(event._id));
+    changedUsers.add(user);
+  });
+
+  event.deletedAt = null;
+  event.deletedBy = null;
+  await saveAll(session, event, [...changedUsers]);
+  return { event, restoredSeats, dropped };
+};
+
+// --- Catalog courses ---
+
+// Offerings and prerequisite lists keep pointing at a trashed course; it only leaves the catalog.
+const trashCourse = ({ courseId, deletedBy, session }) =>
+  Course.findOneAndUpdate({ _id: courseId, deletedAt: null }, { $set: { deletedAt: new Date(), deletedBy } }, { new: true, session });
+
+const restoreCourse = ({ courseId }) =>
+  Course.findOneAndUpdate({ _id: courseId, ...IN_TRASH }, { $set: { deletedAt: null, deletedBy: null } }, { new: true });
+
+// --- Purge ---
+
+// Permanently deletes everything that has been in the trash longer than the retention period.
+// A course still used by an offering (even of a trashed event) is kept until nothing points at it.
+const purgeExpiredTrash = async ({ now = new Date() } = {}) => {
+  const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } };
+  const [userIds, eventIds, courseIds] = await Promise.all([
+    User.find(expired).distinct('_id'),
+    Event.find(expired).distinct('_id'),
+    Course.find(expired).distinct('_id'),
+  ]);
+  if (userIds.length + eventIds.length + courseIds.length === 0) return { purgedAt: now, users: 0, events: 0, courses: 0, coursesKept: 0 };
+
+  return runInTransaction(async (session) => {
+    if (userIds.length > 0) {
+      await removeUsersFromEvents({ userIds, session });
+      await deleteUserSessions({ userIds, session });
+      await Attendance.deleteMany({ user: { $in: userIds } }, { session });
+      await Instructor.deleteMany({ user: { $in: userIds } }, { session });
+      await User.deleteMany({ _id: { $in: userIds } }, { session });
+    }
+    for (const eventId of eventIds) {
+      await deleteEventCascade({ eventId, session });
+    }
+    let purgeableCourseIds = [];
+    if (courseIds.length > 0) {
+      const inUse = await Event.find({ 'courses.course': { $in: courseIds } }).setOptions({ withDeleted: true }).session(session).distinct('courses.course');
+      purgeableCourseIds = courseIds.filter(id => !inUse.some(usedId => usedId.equals(id)));
+      if (purgeableCourseIds.length > 0) {
+        const requiring = await Course.find(requiringCourseFilter(purgeableCourseIds)).session(session);
+        requiring.forEach(course => purgeableCourseIds.forEach(id => replacePrerequisiteCourse(course, id)));
+        await saveAll(session, requiring);
+        await Course.deleteMany({ _id: { $in: purgeableCourseIds } }, { session });
+      }
+    }
+    return { purgedAt: now, users: userIds.length, events: eventIds.length, courses: purgeableCourseIds.length, coursesKept: courseIds.length - purgeableCourseIds.length };
+  });
+};
+
+// Purges once now and then every hour. The timer does not keep the process alive.
+const startTrashPurgeSchedule = () => {
+  const run = () => purgeExpiredTrash()
+    .then(result => {
+      if (result.users + result.events + result.courses > 0) {
+        console.log(`Trash purge: removed ${result.users} user(s), ${result.events} event(s) and ${result.courses} course(s).`);
+      }
+    })
+    .catch(err => console.error('Trash purge failed:', err.message));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  IN_TRASH,
+  purgeDateFor,
+  trashUsers,
+  restoreUser,
+  trashEvent,
+  restoreEvent,
+  trashCourse,
+  restoreCourse,
+  purgeExpiredTrash,
+  startTrashPurgeSchedule,
+};
@@ -0,0 +1,69 @@
+// backend/services/waitlist.js
+// Promotes waitlisted students into slots that have free seats. Routes that can open a seat
+// (un-enroll, offering removal, capacity changes) call this before saving the event.
+const User = require('../models/User');
+const Course = require('../models/Course');
+const ActivityLog = require('../models/ActivityLog');
+const { checkEnrollmentEligibility } = require('./eligibility');
+const { addEnrollment } = require('./enrollment');
+
+const resolveCourse = async (offering, session) => {
+  if (offering.course && offering.course.title) return offering.course; // already populated
+  return Course.findById(offering.course).session(session || null);
+};
+
+const removeFromWaitlist = (slot, userId) => {
+  slot.waitlist = (slot.waitlist || []).filter(w => String(w.user) !== String(userId));
+};
+
+// Returns the 1-based position of `userId` in the slot's waitlist, or null.
+const getWaitlistPosition = (slot, userId) => {
+  const index = (slot.waitlist || []).findIndex(w => String(w.user) === String(userId));
+  return index === -1 ? null : index + 1;
+};
+
+// Fills open seats in one slot in queue order. Students who are not currently eligible (a time clash
+// included) keep their place but are skipped. Mutates `event` in memory; the caller is responsible for saving it.
+const promoteSlotWaitlist = async ({ event, offering, slot, session, ip }) => {
+  const promoted = [];
+  if (!slot.isActive || (slot.waitlist || []).length === 0) return promoted;
+  const course = await resolveCourse(offering, session);
+  if (!course) return promoted;
+
+  for (const entry of [...slot.waitlist]) {
+    if (slot.enrolled.length >= slot.maxCapacity) break;
+
+    const student = await User.findById(entry.user).session(session || null);
+    if (!student) { removeFromWaitlist(slot, entry.user); continue; }
+
+    const eligibility = await checkEnrollmentEligibility({ event, course, student, session, slot });
+    if (!eligibility.eligible) continue;
+
+    // Also takes the student off the other waitlists of this offering; they only need one seat.
+    addEnrollment({ event, offering, slot, student, course });
+    await student.save({ session });
+
+    await ActivityLog.create([{
+      user: student._id,
+      username: student.username,
+      action: 'WAITLIST_PROMOTED',
+      details: { event: event._id, eventName: event.name, courseTitle: course.title, slotNumericId: slot.id, ip },
+    }], { session });
+    promoted.push({ userId: student._id, username: student.username, courseTitle: course.title, slotId: slot.id });
+  }
+  return promoted;
+};
+
+// Runs promotion over every slot in the event, e.g. after a student's enrollment was removed and
+// they (or others) may now fit elsewhere.
+const promoteEventWaitlists = async ({ event, session, ip }) => {
+  const promoted = [];
+  for (const offering of event.courses || []) {
+    for (const slot of offering.slots || []) {
+      promoted.push(...await promoteSlotWaitlist({ event, offering, slot, session, ip }));
+    }
+  }
+  return promoted;
+};
+
+module.exports = { getWaitlistPosition, removeFromWaitlist, promoteSlotWaitlist, promoteEventWaitlists };
@@ -1,7 +1,7 @@
 import React, { Suspense, lazy, useState, Component } from 'react';
 import { BrowserRouter as Router, Routes, Route, NavLink, Outlet, Navigate, useLocation } from 'react-router-dom';
-import { AuthProvider, useAuth } from './context/AuthContext';
-import { Menu, X, LogOut, Home, Users, Calendar } from 'react-feather';
+import { AuthProvider, useAuth, getHomePath } from './context/AuthContext';
+import { Menu, X, LogOut, Home, Users, Calendar, Shield, Clipboard, Trash2, Award, CheckSquare, MapPin } from 'react-feather';
 
 // --- Lazy Loaded Pages ---
 const Login = lazy(() => import('./components/Login'));
@@ -13,6 +13,12 @@ const EventManagementPage = lazy(() => import('./pages/EventManagementPage'));
 const CourseManagementPage = lazy(() => import('./pages/CourseManagementPage'));
 const BulkEnrollmentPage = lazy(() => import('./pages/BulkEnrollmentPage'));
 const CatalogManagementPage = lazy(() => import('./pages/CatalogManagementPage'));
+const AdminAccountsPage = lazy(() => import('./pages/AdminAccountsPage'));
+const RosterPage = lazy(() => import('./pages/RosterPage'));
+const TrashPage = lazy(() => import('./pages/TrashPage'));
+const OutcomesPage = lazy(() => import('./pages/OutcomesPage'));
+const AttendancePage = lazy(() => import('./pages/AttendancePage'));
+const ResourcesPage = lazy(() => import('./pages/ResourcesPage'));
 
 // --- Error Boundary ---
 class ErrorBoundary extends Component {
@@ -174,8 +180,26 @@ const StudentLayout = () => {
 };
 
 // --- Admin-specific Layout ---
+// Staff see only the sections their role grants; the same permissions guard the routes below.
+const adminNavItems = [
+  { to: '/admin', label: 'Dashboard', icon: Home, permission: 'logs:read', end: true },
+  { to: '/admin/students', label: 'Manage Students', icon: Users, permission: 'students:read' },
+  { to: '/admin/events', label: 'Manage Events', icon: Calendar, permission: 'events:read' },
+  { to: '/admin/rosters', label: 'Class Rosters', icon: Clipboard, permission: 'rosters:read' },
+  { to: '/admin/attendance', label: 'Attendance', icon: CheckSquare, permission: 'attendance:write' },
+  { to: '/admin/bulk-enroll', label: 'Bulk Enrollment', icon: Calendar, permission: 'enrollments:write' },
+  { to: '/admin/outcomes', label: 'Course Outcomes', icon: Award, permission: 'enrollments:write' },
+  { to: '/admin/catalog', label: 'Manage Course Catalog', icon: Calendar, permission: 'catalog:write' },
+  { to: '/admin/resources', label: 'Venues & Instructors', icon: MapPin, permission: 'catalog:write' },
+  { to: '/admin/trash', label: 'Trash', icon: Trash2, permission: ['students:write', 'events:write', 'catalog:write'] },
+  { to: '/admin/accounts', label: 'Admin Accounts', icon: Shield, permission: 'accounts:manage' },
+];
+
+// A nav item or route may list several permissions; holding any one of them is enough.
+const hasAnyPermission = (hasPermission, permission) => [].concat(permission).some(hasPermission);
+
 const AdminLayout = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const navLinkClass = ({ isActive }) =>
     `flex items-center p-3 rounded-lg transition duration-200 text-sm font-medium ${
@@ -202,36 +226,14 @@ const AdminLayout = () => {
         </div>
         <div className="flex-1 p-4">
           <ul className="space-y-2">
-            <li>
-              <NavLink to="/admin" end className={navLinkClass} onClick={() => setSidebarOpen(false)}>
-                <Home className="w-5 h-5 mr-2" />
-                Dashboard
-              </NavLink>
-            </li>
-            <li>
-              <NavLink to="/admin/students" className={navLinkClass} onClick={() => setSidebarOpen(false)}>
-                <Users className="w-5 h-5 mr-2" />
-                Manage Students
-              </NavLink>
-            </li>
-            <li>
-              <NavLink to="/admin/events" className={navLinkClass} onClick={() => setSidebarOpen(false)}>
-                <Calendar className="w-5 h-5 mr-2" />
-                Manage Events
-              </NavLink>
-            </li>
-            <li>
-              <NavLink to="/admin/bulk-enroll" className={navLinkClass} onClick={() => setSidebarOpen(false)}>
-                <Calendar className="w-5 h-5 mr-2" />
-                Bulk Enroll Students
-              </NavLink>
-            </li>
-            <li>
-              <NavLink to="/admin/catalog" className={navLinkClass} onClick={() => setSidebarOpen(false)}>
-                <Calendar className="w-5 h-5 mr-2" />
-                Manage Course Catalog
-              </NavLink>
-            </li>
+            {adminNavItems.filter(item => hasAnyPermission(hasPermission, item.permission)).map(({ to, label, icon: Icon, end }) => (
+              <li key={to}>
+                <NavLink to={to} end={end} className={navLinkClass} onClick={() => setSidebarOpen(false)}>
+                  <Icon className="w-5 h-5 mr-2" />
+                  {label}
+                </NavLink>
+              </li>
+            ))}
           </ul>
         </div>
         <div className="p-4 border-t border-indigo-700">
@@ -277,7 +279,7 @@ const AdminLayout = () => {
 };
 
 // --- Route Protection and Logic Components ---
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+const ProtectedRoute = ({ children, staffOnly = false }) => {
   const { isAuthenticated, user, isLoading } = useAuth();
   const location = useLocation();
   if (isLoading) return <LoadingSpinner />;
@@ -285,16 +287,29 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
   if (user && user.requiresPasswordChange && location.pathname !== '/change-password') {
     return <Navigate to="/change-password" state={{ from: location }} replace />;
   }
-  if (adminOnly && user?.role !== 'admin') return <Navigate to="/unauthorized" replace />;
+  if (staffOnly && user?.role === 'student') return <Navigate to="/unauthorized" replace />;
   return children;
 };
 
+const RequirePermission = ({ permission, children }) => {
+  const { hasPermission } = useAuth();
+  return hasAnyPermission(hasPermission, permission) ? children : <Navigate to="/unauthorized" replace />;
+};
+
+// The dashboard is built on activity logs and global reports; staff without them start on their first section.
+const AdminIndex = () => {
+  const { hasPermission } = useAuth();
+  if (hasPermission('logs:read')) return <AdminDashboardPage />;
+  const firstSection = adminNavItems.find(item => item.to !== '/admin' && hasAnyPermission(hasPermission, item.permission));
+  return firstSection ? <Navigate to={firstSection.to} replace /> : <Navigate to="/unauthorized" replace />;
+};
+
 const LoginWrapper = () => {
   const { isAuthenticated, user, isLoading } = useAuth();
   if (isLoading) return <LoadingSpinner />;
   if (isAuthenticated && user) {
     if (user.requiresPasswordChange) return <Navigate to="/change-password" replace />;
-    return <Navigate to={user.role === 'admin' ? '/admin' : '/student-dashboard'} replace />;
+    return <Navigate to={getHomePath(user)} replace />;
   }
   return <Login />;
 };
@@ -321,13 +336,19 @@ function App() {
               </Route>
 
               {/* Admin Section */}
-              <Route path="/admin" element={<ProtectedRoute adminOnly={true}><AdminLayout /></ProtectedRoute>}>
-                <Route index element={<AdminDashboardPage />} />
-                <Route path="students" element={<StudentManagementPage />} />
-                <Route path="events" element={<EventManagementPage />} />
-                <Route path="events/:eventId" element={<CourseManagementPage />} />
-                <Route path="bulk-enroll" element={<BulkEnrollmentPage />} />
-                <Route path="catalog" element={<CatalogManagementPage />} />
+              <Route path="/admin" element={<ProtectedRoute staffOnly={true}><AdminLayout /></ProtectedRoute>}>
+                <Route index element={<AdminIndex />} />
+                <Route path="students" element={<RequirePermission permission="students:read"><StudentManagementPage /></RequirePermission>} />
+                <Route path="events" element={<RequirePermission permission="events:read"><EventManagementPage /></RequirePermission>} />
+                <Route path="events/:eventId" element={<RequirePermission permission="events:write"><CourseManagementPage /></RequirePermission>} />
+                <Route path="rosters" element={<RequirePermission permission="rosters:read"><RosterPage /></RequirePermission>} />
+                <Route path="bulk-enroll" element={<RequirePermission permission="enrollments:write"><BulkEnrollmentPage /></RequirePermission>} />
+                <Route path="catalog" element={<RequirePermission permission="catalog:write"><CatalogManagementPage /></RequirePermission>} />
+                <Route path="attendance" element={<RequirePermission permission="attendance:write"><AttendancePage /></RequirePermission>} />
+                <Route path="resources" element={<RequirePermission permission="catalog:write"><ResourcesPage /></RequirePermission>} />
+                <Route path="outcomes" element={<RequirePermission permission="enrollments:write"><OutcomesPage /></RequirePermission>} />
+                <Route path="trash" element={<RequirePermission permission={['students:write', 'events:write', 'catalog:write']}><TrashPage /></RequirePermission>} />
+                <Route path="accounts" element={<RequirePermission permission="accounts:manage"><AdminAccountsPage /></RequirePermission>} />
               </Route>
 
               <Route path="*" element={<NotFoundPage />} />
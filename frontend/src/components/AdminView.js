@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import api from '../services/api';
 import Select from 'react-select';
+import { toDateTimeInput, fromDateTimeInput } from '../utils/dateTime';
 
 // --- Reusable Modal Component for Editing Events (Unchanged and Correct) ---
 const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, distinctSemesters, distinctSections }) => {
@@ -21,6 +22,10 @@ const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, d
                 allowedDepartments: (event.allowedDepartments || []).map(d => ({ value: d, label: d })),
                 allowedSemesters: (event.allowedSemesters || []).map(s => ({ value: s, label: s })),
                 allowedSections: (event.allowedSections || []).map(s => ({ value: s, label: s })),
+                dropDeadline: toDateTimeInput(event.dropDeadline),
+                opensAt: toDateTimeInput(event.opensAt),
+                closesAt: toDateTimeInput(event.closesAt),
+                scheduleOverrides: (event.scheduleOverrides || []).map(o => ({ department: o.department || '', semester: o.semester || '', opensAt: toDateTimeInput(o.opensAt), closesAt: toDateTimeInput(o.closesAt) })),
             });
         }
     }, [event]);
@@ -34,6 +39,12 @@ const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, d
         setFormData(prev => ({ ...prev, [action.name]: selectedOptions || [] }));
     };
 
+    const handleOverrideChange = (index, field, value) => {
+        setFormData(prev => ({ ...prev, scheduleOverrides: prev.scheduleOverrides.map((o, i) => i === index ? { ...o, [field]: value } : o) }));
+    };
+    const addOverride = () => setFormData(prev => ({ ...prev, scheduleOverrides: [...prev.scheduleOverrides, { department: '', semester: '', opensAt: '', closesAt: '' }] }));
+    const removeOverride = (index) => setFormData(prev => ({ ...prev, scheduleOverrides: prev.scheduleOverrides.filter((_, i) => i !== index) }));
+
     const handleSave = async () => {
         setIsSaving(true);
         try {
@@ -42,6 +53,10 @@ const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, d
                 allowedDepartments: formData.allowedDepartments.map(opt => opt.value),
                 allowedSemesters: formData.allowedSemesters.map(opt => opt.value),
                 allowedSections: formData.allowedSections.map(opt => opt.value),
+                dropDeadline: fromDateTimeInput(formData.dropDeadline),
+                opensAt: fromDateTimeInput(formData.opensAt),
+                closesAt: fromDateTimeInput(formData.closesAt),
+                scheduleOverrides: formData.scheduleOverrides.map(o => ({ department: o.department.trim() || undefined, semester: o.semester.trim() || undefined, opensAt: fromDateTimeInput(o.opensAt), closesAt: fromDateTimeInput(o.closesAt) })),
             });
             onClose();
         } catch (error) { console.error("Failed to save event", error);
@@ -52,7 +67,7 @@ const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, d
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
-            <div className="bg-white p-6 rounded-xl shadow-2xl w-full max-w-lg">
+            <div className="bg-white p-6 rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
                 <h3 className="text-xl font-bold text-gray-800 mb-4">Edit Event: {event.name}</h3>
                 <div className="space-y-4">
                     <div><label htmlFor="eventName" className="block text-sm font-medium text-gray-700">Event Name</label><input type="text" id="eventName" name="name" value={formData.name} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md"/></div>
@@ -69,6 +84,25 @@ const EditEventModal = ({ isOpen, onClose, event, onSave, distinctDepartments, d
                         <label htmlFor="allowedSections" className="block text-sm font-medium text-gray-700">Allowed Sections</label>
                         <Select inputId="allowedSections" isMulti name="allowedSections" options={sectionOptions} value={formData.allowedSections} onChange={handleSelectChange} placeholder="Leave empty for all"/>
                     </div>
+                    <div className="p-3 border rounded-md bg-gray-50 space-y-3">
+                        <p className="text-sm font-medium text-gray-700">Registration Window</p>
+                        <p className="text-xs text-gray-500">When set, the event opens and closes automatically and the "Open for Enrollment" switch is ignored.</p>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div><label htmlFor="opensAt" className="block text-xs font-medium text-gray-600">Opens At</label><input type="datetime-local" id="opensAt" name="opensAt" value={formData.opensAt} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md"/></div>
+                            <div><label htmlFor="closesAt" className="block text-xs font-medium text-gray-600">Closes At</label><input type="datetime-local" id="closesAt" name="closesAt" value={formData.closesAt} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md"/></div>
+                        </div>
+                        {formData.scheduleOverrides.map((o, index) => (
+                            <div key={index} className="p-2 border rounded-md bg-white grid grid-cols-2 gap-2">
+                                <select value={o.department} onChange={e => handleOverrideChange(index, 'department', e.target.value)} className="p-2 border rounded-md text-sm" aria-label="Override department"><option value="">Any Department</option>{departmentOptions.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}</select>
+                                <select value={o.semester} onChange={e => handleOverrideChange(index, 'semester', e.target.value)} className="p-2 border rounded-md text-sm" aria-label="Override semester"><option value="">Any Semester</option>{semesterOptions.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}</select>
+                                <input type="datetime-local" value={o.opensAt} onChange={e => handleOverrideChange(index, 'opensAt', e.target.value)} className="p-2 border rounded-md text-sm" aria-label="Override opens at"/>
+                                <input type="datetime-local" value={o.closesAt} onChange={e => handleOverrideChange(index, 'closesAt', e.target.value)} className="p-2 border rounded-md text-sm" aria-label="Override closes at"/>
+                                <button type="button" onClick={() => removeOverride(index)} className="col-span-2 text-xs text-red-600 font-semibold text-right">Remove override</button>
+                            </div>
+                        ))}
+                        <button type="button" onClick={addOverride} className="p-2 text-xs bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200">+ Add Department/Semester Window</button>
+                    </div>
+                    <div><label htmlFor="dropDeadline" className="block text-sm font-medium text-gray-700">Drop/Swap Deadline</label><input type="datetime-local" id="dropDeadline" name="dropDeadline" value={formData.dropDeadline} onChange={handleChange} className="mt-1 block w-full p-2 border border-gray-300 rounded-md"/><p className="text-xs text-gray-500 mt-1">Leave empty to let students drop or swap while the event is open.</p></div>
                     <div className="flex items-center space-x-6 pt-2"><label htmlFor="isOpen" className="flex items-center space-x-2 cursor-pointer"><input type="checkbox" id="isOpen" name="isOpen" checked={formData.isOpen} onChange={handleChange} /><span>Open for Enrollment</span></label><label htmlFor="isViewOnly" className="flex items-center space-x-2 cursor-pointer"><input type="checkbox" id="isViewOnly" name="isViewOnly" checked={formData.isViewOnly} onChange={handleChange} /><span>View-Only Mode</span></label></div>
                 </div>
                 <div className="flex justify-end space-x-3 mt-6 pt-4 border-t"><button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-md">Cancel</button><button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md disabled:opacity-50">{isSaving ? 'Saving...' : 'Save Changes'}</button></div>
@@ -84,6 +118,7 @@ const reportColumnConfig = {
     semester: { label: 'Semester', defaultChecked: false },
     section: { label: 'Section', defaultChecked: false },
     eventName: { label: 'Event Name', defaultChecked: false },
+    attendanceRate: { label: 'Attendance %', defaultChecked: false },
 };
 
 function AdminView() {
@@ -294,7 +329,7 @@ if (loadingStates.initialData) return <div className="p-4 text-center">Loading D
                           <React.Fragment key={event._id}>
                               <tr className="hover:bg-gray-50">
                                   <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{event.name}</td>
-                                  <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${event.isOpen ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{event.isOpen ? 'Open' : 'Closed'}</span></td>
+                                  <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${(event.schedule ? event.schedule.isOpen : event.isOpen) ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{(event.schedule ? event.schedule.isOpen : event.isOpen) ? 'Open' : 'Closed'}</span>{event.schedule?.scheduled && <div className="text-xs text-gray-500 mt-1">Scheduled</div>}</td>
                                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                                       {event.isViewOnly && <div className="font-semibold text-yellow-800">View-Only</div>}
                                       {(event.allowedDepartments?.length > 0) && <div>Dept. Restricted</div>}
@@ -433,7 +468,7 @@ if (loadingStates.initialData) return <div className="p-4 text-center">Loading D
           <h2 className="text-2xl font-semibold mb-4 text-gray-700 border-b pb-2">User Activity Logs</h2>
           <div className="p-4 mb-4 bg-gray-50 rounded-lg border flex flex-col sm:flex-row gap-4 items-center flex-wrap">
               <div className="flex-grow w-full sm:w-auto"><label htmlFor="logFilterUsername" className="text-sm font-medium">Username</label><input id="logFilterUsername" type="text" name="username" value={logFilters.username} onChange={handleLogFilterChange} className="mt-1 w-full p-2 border rounded-md focus:ring-2 focus:ring-blue-500" autoComplete="off"/></div>
-              <div className="flex-grow w-full sm:w-auto"><label htmlFor="logFilterAction" className="text-sm font-medium">Action</label><select id="logFilterAction" name="action" value={logFilters.action} onChange={handleLogFilterChange} className="mt-1 w-full p-2 border rounded-md focus:ring-2 focus:ring-blue-500"><option value="">All</option><option value="LOGIN_SUCCESS">Login</option><option value="ENROLL_SUCCESS">Enroll Success</option><option value="ENROLL_FAIL">Enroll Fail</option></select></div>
+              <div className="flex-grow w-full sm:w-auto"><label htmlFor="logFilterAction" className="text-sm font-medium">Action</label><select id="logFilterAction" name="action" value={logFilters.action} onChange={handleLogFilterChange} className="mt-1 w-full p-2 border rounded-md focus:ring-2 focus:ring-blue-500"><option value="">All</option><option value="LOGIN_SUCCESS">Login</option><option value="LOGIN_FAIL">Login Failed</option><option value="LOGOUT">Logout</option><option value="ENROLL_SUCCESS">Enroll Success</option><option value="ENROLL_FAIL">Enroll Fail</option><option value="WAITLIST_JOIN">Waitlist Join</option><option value="WAITLIST_LEAVE">Waitlist Leave</option><option value="WAITLIST_PROMOTED">Waitlist Promoted</option><option value="ENROLL_DROP">Drop</option><option value="ENROLL_SWAP">Swap</option><option value="PREFERENCES_SUBMITTED">Preferences Submitted</option><option value="ALLOCATION_ASSIGNED">Allocation Assigned</option><option value="ATTENDANCE_CHECK_IN">Attendance Check-in</option><option value="ATTENDANCE_CHECK_IN_FAIL">Attendance Check-in Failed</option><option value="ACCOUNT_CREATED">Account Created</option><option value="ACCOUNT_DISABLED">Account Disabled</option><option value="ACCOUNT_ENABLED">Account Enabled</option><option value="ROLE_CHANGED">Role Changed</option></select></div>
               <div className="flex-shrink-0 pt-6 flex space-x-2">
                    <button onClick={handleApplyLogFilters} className="p-2 h-10 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors" disabled={loadingStates.isFetchingLogs}>{loadingStates.isFetchingLogs ? 'Searching...' : 'Search'}</button>
                    <button onClick={handleDownloadLogs} className="p-2 h-10 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors" disabled={loadingStates.isDownloadingLogs}>{loadingStates.isDownloadingLogs ? 'Downloading...' : 'Download'}</button>
@@ -448,7 +483,7 @@ if (loadingStates.initialData) return <div className="p-4 text-center">Loading D
                       <td className="px-4 py-4 whitespace-nowrap"><span className="text-sm">{new Date(log.createdAt).toLocaleString()}</span></td>
                       <td className="px-4 py-4 whitespace-nowrap"><span className={`px-2 py-1 text-xs font-semibold rounded-full ${log.action.includes('SUCCESS') ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{log.action}</span></td>
                       <td className="px-4 py-4 text-sm whitespace-nowrap"><div>{log.user?.name || log.username}</div><div className="text-xs text-gray-500">{log.user?.department || 'N/A'}</div></td>
-                      <td className="px-4 py-4 text-sm">{log.details && (<>{log.details.ip && <div>IP: {log.details.ip}</div>}{log.details.eventName && <div>Event: {log.details.eventName}</div>}{log.details.courseTitle && <div>Course: {log.details.courseTitle}</div>}{log.details.errorMessage && <div className="text-red-600">Error: {log.details.errorMessage}</div>}</>)}</td>
+                      <td className="px-4 py-4 text-sm">{log.details && (<>{log.details.ip && <div>IP: {log.details.ip}</div>}{log.details.eventName && <div>Event: {log.details.eventName}</div>}{log.details.previousCourseTitle && <div>From: {log.details.previousCourseTitle}</div>}{log.details.courseTitle && <div>Course: {log.details.courseTitle}</div>}{log.details.targetUsername && <div>Account: {log.details.targetUsername}</div>}{log.details.change && <div>Change: {log.details.change}</div>}{log.details.errorMessage && <div className="text-red-600">Error: {log.details.errorMessage}</div>}</>)}</td>
                     </tr>)))}
               </tbody>
             </table>
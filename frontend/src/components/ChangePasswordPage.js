@@ -1,12 +1,12 @@
 // src/pages/ChangePasswordPage.js
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import { useAuth, getHomePath } from '../context/AuthContext';
 import api from '../services/api';
 
 function ChangePasswordPage() {
   // Get the correct 'updateUser' function and the 'user' object from our custom hook
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, updateSessionTokens } = useAuth();
   const navigate = useNavigate();
   
   const [passwords, setPasswords] = useState({
@@ -59,12 +59,14 @@ function ChangePasswordPage() {
       
       setSuccess('Password changed successfully! Redirecting...');
       
+      // The server ended every session on password change and issued this one a fresh pair.
+      updateSessionTokens(response.data);
       // Update the user in our global context and localStorage
       updateUser(response.data.user);
 
       // Redirect to the appropriate dashboard after 2 seconds
       setTimeout(() => {
-        const redirectTo = user.role === 'admin' ? '/admin' : '/student-dashboard';
+        const redirectTo = getHomePath(user);
         navigate(redirectTo, { replace: true });
       }, 2000);
 
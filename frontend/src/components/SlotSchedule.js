@@ -0,0 +1,19 @@
+// src/components/SlotSchedule.js
+import React from 'react';
+import { scheduleOf, formatSession, summarizeSchedule, describeRecurrence } from '../utils/slotSchedule';
+
+// A slot's schedule: the summary line, with every session listed under it when there is more than one.
+const SlotSchedule = ({ slot, className = 'text-sm text-gray-600' }) => {
+  const sessions = scheduleOf(slot);
+  if (sessions.length <= 1) return <p className={className}>🕒 {summarizeSchedule(slot)}</p>;
+  return (
+    <details className={className}>
+      <summary className="cursor-pointer">🕒 {summarizeSchedule(slot)}{slot.recurrence ? ` (${describeRecurrence(slot.recurrence)})` : ''}</summary>
+      <ol className="list-decimal list-inside pl-2 mt-1 space-y-0.5">
+        {sessions.map(session => <li key={session.start}>{formatSession(session)}</li>)}
+      </ol>
+    </details>
+  );
+};
+
+export default SlotSchedule;
@@ -1,7 +1,10 @@
-import React, { useState, useEffect, useCallback, useMemo, useContext } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useContext, useRef } from 'react';
 import api from '../services/api';
-import { useAuth } from '../context/AuthContext';
-import { CheckCircle, XCircle, RefreshCw, Lock, Eye, FileText, AlertTriangle } from 'react-feather';
+import { CheckCircle, XCircle, RefreshCw, Lock, Eye, FileText, AlertTriangle, Clock } from 'react-feather';
+import { formatRemaining, formatDateTime } from '../utils/dateTime';
+import { summarizeSchedule } from '../utils/slotSchedule';
+import SlotSchedule from './SlotSchedule';
+import WeekTimetable from './WeekTimetable';
 
 const OVERALL_SYLLABUS_LINK = "https://drive.google.com/file/d/1eNLapYj2Jqvij7txDDC7jvBU3Lcp2NTk/view?usp=drive_link";
 
@@ -22,16 +25,35 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, children, confir
   );
 };
 
+// --- Live countdown to an event's scheduled opening or closing ---
+const Countdown = ({ target, label, onElapsed }) => {
+  const [now, setNow] = useState(Date.now());
+  const remaining = new Date(target).getTime() - now;
+  useEffect(() => {
+    if (remaining <= 0) { onElapsed(); return undefined; }
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining, onElapsed]);
+  if (remaining <= 0) return null;
+  return (<div className="mt-2 inline-flex items-center bg-white bg-opacity-20 text-white text-xs font-semibold px-2.5 py-1 rounded-full mr-2"><Clock className="w-4 h-4 mr-1.5" />{label} {formatRemaining(remaining)}</div>);
+};
+
 function StudentView() {
-  const { user } = useAuth();
   const [events, setEvents] = useState([]);
   const [userEnrollments, setUserEnrollments] = useState([]);
+  const [completedCourses, setCompletedCourses] = useState([]);
   const [expandedEventId, setExpandedEventId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [uiMessage, setUiMessage] = useState({ type: '', text: '' });
   const [enrollmentLoading, setEnrollmentLoading] = useState(null);
   // The modal state is now only for confirming an enrollment, not for showing errors.
   const [modalState, setModalState] = useState({ isOpen: false, title: '', content: null, onConfirm: () => {} });
+  // Read when the swap modal is confirmed; a ref because the modal content is rendered once.
+  const swapFromRef = useRef('');
+  // Unsaved ranking edits per ranked event (offering IDs, first choice first).
+  const [draftRankings, setDraftRankings] = useState({});
+  const [checkInCode, setCheckInCode] = useState('');
+  const [isCheckingIn, setIsCheckingIn] = useState(false);
 
   const setFeedbackMessage = (type, text, duration = 7000) => {
     setUiMessage({ type, text });
@@ -46,7 +68,10 @@ function StudentView() {
         api.get('/users/my-enrollments'),
       ]);
       if (eventsResponse.data.success) setEvents(eventsResponse.data.data || []);
-      if (enrollmentsResponse.data.success) setUserEnrollments(enrollmentsResponse.data.data.enrollments || []);
+      if (enrollmentsResponse.data.success) {
+        setUserEnrollments(enrollmentsResponse.data.data.enrollments || []);
+        setCompletedCourses(enrollmentsResponse.data.data.completedCourses || []);
+      }
     } catch (err) {
       setFeedbackMessage('error', err.error || err.message || 'Failed to fetch data.');
     } finally {
@@ -55,36 +80,40 @@ function StudentView() {
   }, []);
 
   useEffect(() => { fetchData(true); }, [fetchData]);
+  const refreshSilently = useCallback(() => fetchData(false), [fetchData]);
   useEffect(() => { const hF = () => fetchData(false); window.addEventListener('focus', hF); return () => window.removeEventListener('focus', hF); }, [fetchData]);
   
-  const allCoursesMap = useMemo(() => {
-    const map = new Map();
-    events.forEach(event => { (event.courses || []).forEach(offering => { if (offering.masterCourse) map.set(offering.masterCourse._id.toString(), offering.masterCourse); }); });
-    return map;
-  }, [events]);
-
   const handleEnrollClick = (event, offering, slot) => {
-    if (offering.masterCourse?.exclusiveGroup) {
-      const exclusiveGroup = offering.masterCourse.exclusiveGroup;
-      const alreadyEnrolledInGroup = userEnrollments.some(enrollment => {
-        const enrolledCourse = allCoursesMap.get(enrollment.courseId.toString());
-        return enrolledCourse?.exclusiveGroup === exclusiveGroup;
-      });
-      if (alreadyEnrolledInGroup) {
-        setFeedbackMessage('error', `You have already enrolled in a course from the "${exclusiveGroup}" group.`);
-        return;
-      }
+    // The server flags offerings whose exclusive group is already taken (across all events).
+    if (offering.isExclusiveGroupTaken) {
+      setFeedbackMessage('error', `You have already enrolled in a course from the "${offering.masterCourse.exclusiveGroup}" group.`);
+      return;
     }
     const courseTitle = offering.masterCourse?.title;
     if (!slot?.id || !event?._id || !offering?._id || !courseTitle) { setFeedbackMessage('error', 'Invalid slot, course, or event data.'); return; }
     setModalState({
       isOpen: true,
       title: 'Confirm Enrollment',
-      content: ( <p>Are you sure you want to enroll in <strong>{courseTitle}</strong> at{' '}{new Date(slot.time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}?</p> ),
+      content: ( <p>Are you sure you want to enroll in <strong>{courseTitle}</strong> ({summarizeSchedule(slot)})?</p> ),
       onConfirm: () => performEnrollment(event._id, offering._id, slot.id),
     });
   };
-  
+  // Attendance: the code is shown in class while the instructor has check-in open.
+  const handleCheckIn = async (e) => {
+    e.preventDefault();
+    if (!checkInCode.trim()) return;
+    setIsCheckingIn(true);
+    try {
+      const response = await api.post('/events/attendance/check-in', { code: checkInCode.trim() });
+      setFeedbackMessage('success', response.data.message);
+      setCheckInCode('');
+    } catch (err) {
+      setFeedbackMessage('error', err.error || 'Check-in failed.');
+    } finally {
+      setIsCheckingIn(false);
+    }
+  };
+
   const performEnrollment = async (eventId, courseId, slotId) => {
     const url = `/events/${eventId}/courses/${courseId}/slots/${slotId}/enroll`;
     const slotIdentifier = `${eventId}-${courseId}-${slotId}`;
@@ -107,40 +136,153 @@ function StudentView() {
     }
   };
 
+  const handleWaitlistClick = (event, offering, slot, isLeaving = false) => {
+    const courseTitle = offering.masterCourse?.title;
+    setModalState({
+      isOpen: true,
+      title: isLeaving ? 'Leave Waitlist' : 'Join Waitlist',
+      confirmText: isLeaving ? 'Yes, Leave' : 'Yes, Join Waitlist',
+      content: isLeaving
+        ? ( <p>Give up your place (#{slot.waitlistPosition}) on the waitlist for <strong>{courseTitle}</strong>?</p> )
+        : ( <p>This slot is full. Join the waitlist for <strong>{courseTitle}</strong>? You will be enrolled automatically if a seat opens and you are still eligible.</p> ),
+      onConfirm: () => performWaitlistAction(isLeaving ? 'delete' : 'post', event._id, offering._id, slot.id),
+    });
+  };
+
+  // Shared runner for the self-service actions (waitlist, drop, swap) that refresh the page afterwards.
+  const runSlotAction = async (slotIdentifier, request, fallbackError) => {
+    setEnrollmentLoading(slotIdentifier);
+    setModalState({ isOpen: false });
+    setFeedbackMessage('', '');
+    try {
+      const response = await request();
+      setFeedbackMessage('success', response.data.message || 'Done.');
+    } catch (err) {
+      setFeedbackMessage('error', err.error || fallbackError);
+    } finally {
+      fetchData();
+      setEnrollmentLoading(null);
+    }
+  };
+
+  const performWaitlistAction = (method, eventId, courseId, slotId) => runSlotAction(
+    `${eventId}-${courseId}-${slotId}`,
+    () => api[method](`/events/${eventId}/courses/${courseId}/slots/${slotId}/waitlist`),
+    'Could not update the waitlist. Please try again.'
+  );
+
+  const handleDropClick = (event, offering, slot) => {
+    setModalState({
+      isOpen: true,
+      title: 'Drop Course',
+      confirmText: 'Yes, Drop',
+      content: ( <p>Drop <strong>{offering.masterCourse?.title}</strong>? Your seat will be released and may go to a waitlisted student.</p> ),
+      onConfirm: () => runSlotAction(
+        `${event._id}-${offering._id}-${slot.id}`,
+        () => api.post(`/events/${event._id}/courses/${offering._id}/drop`),
+        'Could not drop the course. Please try again.'
+      ),
+    });
+  };
+
+  const handleSwapClick = (event, offering, slot) => {
+    const enrolledOfferings = (event.courses || []).filter(o => o.isEnrolledInThisOffering);
+    if (enrolledOfferings.length === 0) return;
+    swapFromRef.current = enrolledOfferings[0]._id;
+    setModalState({
+      isOpen: true,
+      title: 'Swap Course',
+      confirmText: 'Yes, Swap',
+      content: (
+        <div>
+          <p>Move into <strong>{offering.masterCourse?.title}</strong> ({summarizeSchedule(slot)})? Your current course is only released if the move succeeds.</p>
+          {enrolledOfferings.length === 1 ? (
+            <p className="mt-2">You will leave <strong>{enrolledOfferings[0].masterCourse?.title}</strong>.</p>
+          ) : (
+            <select defaultValue={enrolledOfferings[0]._id} onChange={e => { swapFromRef.current = e.target.value; }} className="mt-3 w-full p-2 border rounded-md" aria-label="Course to leave">
+              {enrolledOfferings.map(o => <option key={o._id} value={o._id}>Leave {o.masterCourse?.title}</option>)}
+            </select>
+          )}
+        </div>
+      ),
+      onConfirm: () => runSlotAction(
+        `${event._id}-${offering._id}-${slot.id}`,
+        () => api.post(`/events/${event._id}/swap`, { fromCourseId: swapFromRef.current, toCourseId: offering._id, toSlotId: slot.id }),
+        'Swap failed. Your current enrollment was kept.'
+      ),
+    });
+  };
+
+  // --- Ranked-preference events: build a ranking locally, then save it in one request ---
+  const getRanking = event => draftRankings[event._id] || event.myRankings || [];
+  const updateRanking = (event, rankings) => setDraftRankings(prev => ({ ...prev, [event._id]: rankings }));
+
+  const toggleRanking = (event, offering) => {
+    const current = getRanking(event);
+    const offeringId = String(offering._id);
+    updateRanking(event, current.includes(offeringId) ? current.filter(id => id !== offeringId) : [...current, offeringId]);
+  };
+
+  const moveRanking = (event, index, direction) => {
+    const next = [...getRanking(event)];
+    const target = index + direction;
+    if (target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    updateRanking(event, next);
+  };
+
+  const saveRanking = async event => {
+    setEnrollmentLoading(`${event._id}-ranking`);
+    setFeedbackMessage('', '');
+    try {
+      const response = await api.put(`/events/${event._id}/preferences`, { rankings: getRanking(event) });
+      setFeedbackMessage('success', response.data.message || 'Ranking saved.');
+      setDraftRankings(prev => { const { [event._id]: saved, ...rest } = prev; return rest; });
+    } catch (err) {
+      setFeedbackMessage('error', err.error || 'Could not save your ranking. Please try again.');
+    } finally {
+      fetchData();
+      setEnrollmentLoading(null);
+    }
+  };
+
   const closeModal = () => setModalState({ isOpen: false });
   const toggleEvent = eventId => setExpandedEventId(prev => (prev === eventId ? null : eventId));
   
   const processedEvents = useMemo(() => {
     // This entire block is unchanged and correct.
     if (!Array.isArray(events) || events.length === 0) return [];
-    const allTakenCourseIds = new Set((userEnrollments || []).map(e => String(e.courseId)));
-    const takenExclusiveGroups = new Set();
-    userEnrollments.forEach(enrollment => {
-        const course = allCoursesMap.get(enrollment.courseId.toString());
-        if (course && course.exclusiveGroup) takenExclusiveGroups.add(course.exclusiveGroup);
-    });
-    return events.filter(e => e.isOpen).map(event => {
+    // Prior credits count as taken, so those courses are hidden like ones enrolled in another event.
+    // Failed and withdrawn enrollments don't hold their course, and withdrawn ones free their place.
+    const allTakenCourseIds = new Set([
+      ...(userEnrollments || []).filter(e => e.status !== 'failed' && e.status !== 'withdrawn').map(e => String(e.courseId)),
+      ...(completedCourses || []).map(c => String(c.course?._id || c.course)),
+    ]);
+    // The server only returns events that are open or scheduled to open for this student.
+    return events.map(event => {
       const enrollmentsInThisEvent = (userEnrollments || []).filter(e => String(e.eventId) === event._id.toString());
-      const courseIdsInThisEvent = new Set(enrollmentsInThisEvent.map(e => String(e.courseId)));
+      // A failed or withdrawn course in this event can be enrolled in again.
+      const courseIdsInThisEvent = new Set(enrollmentsInThisEvent.filter(e => e.status !== 'failed' && e.status !== 'withdrawn').map(e => String(e.courseId)));
       const processedCourses = (event.courses || []).map(offering => {
           if (!offering.masterCourse) return null;
-          const isExclusiveGroupTaken = offering.masterCourse.exclusiveGroup && takenExclusiveGroups.has(offering.masterCourse.exclusiveGroup);
-          const isDeptAllowed = !event.allowedDepartments || event.allowedDepartments.length === 0 || (user.department && event.allowedDepartments.includes(user.department));
-          const isSemesterAllowed = !event.allowedSemesters || event.allowedSemesters.length === 0 || (user.semester && event.allowedSemesters.includes(user.semester));
-          const isSectionAllowed = !event.allowedSections || event.allowedSections.length === 0 || (user.section && event.allowedSections.includes(user.section));
-          const allRestrictionsMet = isDeptAllowed && isSemesterAllowed && isSectionAllowed;
+          const isExclusiveGroupTaken = !!offering.isExclusiveGroupTaken;
+          // Eligibility is decided by the server; the flag comes back with each event.
+          const allRestrictionsMet = event.eligibility ? event.eligibility.eligible : true;
           const masterCourseId = String(offering.masterCourse._id);
           const isEnrolledInThisOffering = courseIdsInThisEvent.has(masterCourseId);
           const hasTakenThisCourseBefore = allTakenCourseIds.has(masterCourseId);
-          const unmetPrerequisites = (offering.masterCourse.prerequisites || []).filter(p => !allTakenCourseIds.has(String(p._id))).map(p => p.title);
-          const prereqsMet = unmetPrerequisites.length === 0;
-          return { ...offering, isEnrolledInThisOffering, hasTakenThisCourseBefore, prereqsMet, unmetPrerequisites, allRestrictionsMet, isExclusiveGroupTaken, slots: (offering.slots || []).map(slot => ({ ...slot, availableCapacity: slot.maxCapacity - (slot.enrolled || []).length })), };
+          // Prerequisite rules (any-of, minimum counts, credits and waivers) are evaluated by the server.
+          const unmetPrerequisites = offering.prerequisiteStatus?.unmet || [];
+          const prereqsMet = offering.prerequisiteStatus ? offering.prerequisiteStatus.met : true;
+          const prereqsWaived = !!offering.prerequisiteStatus?.waived;
+          return { ...offering, isEnrolledInThisOffering, hasTakenThisCourseBefore, prereqsMet, prereqsWaived, unmetPrerequisites, allRestrictionsMet, isExclusiveGroupTaken, slots: (offering.slots || []).map(slot => ({ ...slot, availableCapacity: slot.maxCapacity - (slot.enrolled || []).length })), };
         }).filter(Boolean)
         .filter(offering => offering.isEnrolledInThisOffering || !offering.hasTakenThisCourseBefore)
         .filter(offering => offering.isEnrolledInThisOffering || !offering.isExclusiveGroupTaken);
-      return { ...event, courses: processedCourses, hasReachedEventLimit: enrollmentsInThisEvent.length >= (event.maxCoursesPerStudent || Infinity), enrolledCourseTitles: enrollmentsInThisEvent.map(e => e.courseTitle).filter(Boolean) };
+      const canChangeEnrollments = !event.isViewOnly && (!event.dropDeadline || new Date(event.dropDeadline) > new Date());
+      return { ...event, courses: processedCourses, canChangeEnrollments, hasReachedEventLimit: enrollmentsInThisEvent.filter(e => e.status !== 'withdrawn').length >= (event.maxCoursesPerStudent || Infinity), enrolledCourseTitles: enrollmentsInThisEvent.map(e => e.courseTitle).filter(Boolean) };
     });
-  }, [events, userEnrollments, user, allCoursesMap]);
+  }, [events, userEnrollments, completedCourses]);
 
   if (loading) { return ( <div className="p-6 text-center text-lg flex justify-center items-center bg-indigo-50 min-h-screen"><svg className="w-6 h-6 animate-spin mr-2" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8h8a8 8 0 01-8 8 8 8 0 01-8-8z"></path></svg>Loading events...</div> ); }
 
@@ -154,6 +296,13 @@ function StudentView() {
         </div>
       </div>
       {uiMessage.text && ( <div className="max-w-4xl mx-auto mb-6"> <div className={`flex items-center p-4 rounded-lg border shadow-sm ${ uiMessage.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700' }`} role="alert"> {uiMessage.type === 'error' ? <XCircle className="w-5 h-5 mr-2" /> : <CheckCircle className="w-5 h-5 mr-2" />} <span>{uiMessage.text}</span> <button onClick={() => setUiMessage({ type: '', text: '' })} className="ml-auto text-sm font-semibold hover:underline" aria-label="Dismiss message">Dismiss</button> </div> </div> )}
+      <form onSubmit={handleCheckIn} className="max-w-4xl mx-auto mb-6 p-4 bg-white rounded-lg shadow-sm border flex flex-wrap items-center gap-3">
+        <label htmlFor="checkInCode" className="font-semibold text-gray-700">Attendance check-in</label>
+        <input id="checkInCode" value={checkInCode} onChange={e => setCheckInCode(e.target.value.replace(/\D/g, ''))} inputMode="numeric" maxLength={6} placeholder="6-digit code" className="p-2 border rounded-md w-36 font-mono tracking-widest" />
+        <button type="submit" disabled={isCheckingIn || checkInCode.length < 6} className="px-4 py-2 bg-indigo-600 text-white rounded-lg disabled:opacity-50">{isCheckingIn ? 'Checking in...' : 'Check In'}</button>
+        <span className="text-xs text-gray-500">Enter the code shown at your session while check-in is open.</span>
+      </form>
+      <WeekTimetable refreshKey={userEnrollments} />
       {processedEvents.length === 0 && !loading && ( <div className="text-center p-10 bg-white rounded-xl shadow-lg"> <p className="text-gray-600 text-xl">No open events are available for enrollment.</p> <p className="text-gray-500 mt-2">Please check back later.</p> </div> )}
       {processedEvents.length > 0 && (
         <div className="space-y-6">
@@ -162,7 +311,9 @@ function StudentView() {
                 <div className="p-5 bg-gradient-to-r from-indigo-500 to-purple-600 text-white cursor-pointer flex justify-between items-center" onClick={() => toggleEvent(event._id)}>
                   <div>
                     <h4 className="text-xl font-semibold">{event.name || 'Unnamed Event'}</h4>
-                    <p className="text-sm opacity-90">{event.isViewOnly ? '👁️ View Only' : '🟢 Open for Enrollment'} | {event.courses?.length || 0} course(s) available for you | Max {event.maxCoursesPerStudent || 'Unlimited'}</p>
+                    <p className="text-sm opacity-90">{!event.isOpen ? `⏳ Opens ${new Date(event.opensAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}` : event.isViewOnly ? '👁️ View Only' : event.enrollmentMode === 'ranked' ? '🗳️ Rank Your Preferences' : '🟢 Open for Enrollment'} | {event.courses?.length || 0} course(s) available for you | Max {event.maxCoursesPerStudent || 'Unlimited'}{event.dropDeadline && ` | Drop/swap until ${new Date(event.dropDeadline).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`}</p>
+                    {!event.isOpen && event.opensAt && <Countdown target={event.opensAt} label="Opens in" onElapsed={refreshSilently} />}
+                    {event.isOpen && event.closesAt && <Countdown target={event.closesAt} label="Closes in" onElapsed={refreshSilently} />}
                     {event.enrolledCourseTitles.length > 0 && (<div className="mt-2 inline-flex items-center bg-green-200 text-green-800 text-xs font-semibold px-2.5 py-1 rounded-full"><CheckCircle className="w-4 h-4 mr-1.5" />Enrolled in: {event.enrolledCourseTitles.join(', ')}</div>)}
                   </div>
                   <span className={`text-2xl transform transition-transform duration-300 ${expandedEventId === event._id ? 'rotate-180' : 'rotate-0'}`}>▼</span>
@@ -171,6 +322,32 @@ function StudentView() {
                   <div className="px-4 py-6">
                     {event.courses?.length === 0 && <p className="text-gray-500 p-4 text-center">No new courses available for you in this event.</p>}
                     {event.isViewOnly && (<div className="text-center p-3 mb-4 bg-yellow-100 border border-yellow-300 text-yellow-800 rounded-md text-sm max-w-2xl mx-auto flex items-center justify-center"><Eye className="w-4 h-4 mr-2" />This event is for viewing only. Enrollment is currently disabled.</div>)}
+                    {event.enrollmentMode === 'ranked' && !event.isViewOnly && (() => {
+                      const ranking = getRanking(event);
+                      const isDirty = !!draftRankings[event._id];
+                      const titleFor = id => (event.courses || []).find(o => String(o._id) === id)?.masterCourse?.title || 'Unavailable course';
+                      if (event.allocationCommitted) return (<div className="text-center p-3 mb-4 bg-indigo-100 border border-indigo-300 text-indigo-700 rounded-md text-sm max-w-2xl mx-auto">Seats for this event have been allocated. Your enrollments are shown below.</div>);
+                      return (
+                        <div className="p-4 mb-6 bg-purple-50 border border-purple-200 rounded-lg max-w-2xl mx-auto">
+                          <h5 className="font-semibold text-purple-800 mb-1">Your Ranking</h5>
+                          <p className="text-xs text-gray-600 mb-3">Seats are allocated by preference after registration closes, up to {event.maxCoursesPerStudent} course(s). Order matters, not when you submit.{event.rankingSubmittedAt && ` Last saved ${new Date(event.rankingSubmittedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.`}</p>
+                          {ranking.length === 0 ? <p className="text-sm text-gray-500">Add courses below to build your ranking.</p> : (
+                            <ol className="space-y-2">
+                              {ranking.map((id, index) => (
+                                <li key={id} className="flex items-center bg-white p-2 rounded border text-sm">
+                                  <span className="w-6 font-bold text-purple-700">{index + 1}.</span>
+                                  <span className="flex-1">{titleFor(id)}</span>
+                                  <button onClick={() => moveRanking(event, index, -1)} disabled={index === 0 || !event.isOpen} className="px-2 text-gray-600 disabled:opacity-30" aria-label="Move up">▲</button>
+                                  <button onClick={() => moveRanking(event, index, 1)} disabled={index === ranking.length - 1 || !event.isOpen} className="px-2 text-gray-600 disabled:opacity-30" aria-label="Move down">▼</button>
+                                  <button onClick={() => updateRanking(event, ranking.filter(r => r !== id))} disabled={!event.isOpen} className="px-2 text-red-600 disabled:opacity-30" aria-label="Remove from ranking">✕</button>
+                                </li>
+                              ))}
+                            </ol>
+                          )}
+                          <button onClick={() => saveRanking(event)} disabled={!isDirty || !event.isOpen || enrollmentLoading === `${event._id}-ranking`} className="mt-3 w-full py-2 px-4 rounded-lg text-white font-semibold bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400">{enrollmentLoading === `${event._id}-ranking` ? 'Saving...' : isDirty ? 'Save Ranking' : 'Ranking Saved'}</button>
+                        </div>
+                      );
+                    })()}
                     {event.hasReachedEventLimit && !event.isViewOnly && (<div className="text-center p-3 mb-4 bg-indigo-100 border border-indigo-300 text-indigo-700 rounded-md text-sm max-w-2xl mx-auto">You have reached the enrollment limit for this event.</div>)}
                     <div className="grid sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                       {(event.courses || []).map(offering => {
@@ -181,13 +358,23 @@ function StudentView() {
                         const isLoadingThisSlot = enrollmentLoading === slotIdentifier;
                         let buttonState = { text: 'Enroll', disabled: false, className: 'bg-indigo-600 hover:bg-indigo-700 focus:ring-indigo-500' };
                         if (offering.isEnrolledInThisOffering) { buttonState = { text: '✓ Enrolled', disabled: true, className: 'bg-green-600 cursor-default' };
+                        } else if (!event.isOpen) { buttonState = { text: 'Not Open Yet', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
                         } else if (event.isViewOnly) { buttonState = { text: 'View Only', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
                         } else if (offering.isExclusiveGroupTaken) { buttonState = { text: 'Similar Course Taken', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
                         } else if (!offering.allRestrictionsMet) { buttonState = { text: 'Restricted', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
                         } else if (offering.hasTakenThisCourseBefore) { buttonState = { text: '✓ Completed', disabled: true, className: 'bg-blue-600 cursor-default' };
+                        } else if (event.enrollmentMode === 'ranked') {
+                          const rankIndex = getRanking(event).indexOf(String(offering._id));
+                          if (event.allocationCommitted) { buttonState = { text: 'Allocation Closed', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
+                          } else if (rankIndex !== -1) { buttonState = { text: `Ranked #${rankIndex + 1} (Remove)`, disabled: false, isRank: true, className: 'bg-purple-600 hover:bg-purple-700 focus:ring-purple-500' };
+                          } else if (!offering.prereqsMet) { buttonState = { text: 'Prerequisites Not Met', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
+                          } else { buttonState = { text: 'Add to Ranking', disabled: false, isRank: true, className: 'bg-indigo-600 hover:bg-indigo-700 focus:ring-indigo-500' }; }
+                        } else if (event.hasReachedEventLimit && event.canChangeEnrollments && offering.prereqsMet && !isFull && !isLoadingThisSlot) { buttonState = { text: 'Swap Into This', disabled: false, isSwap: true, className: 'bg-purple-600 hover:bg-purple-700 focus:ring-purple-500' };
                         } else if (event.hasReachedEventLimit) { buttonState = { text: 'Event Limit Reached', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
                         } else if (!offering.prereqsMet) { buttonState = { text: 'Prerequisites Not Met', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
-                        } else if (isFull) { buttonState = { text: 'Slot Full', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
+                        } else if (slot.clash) { buttonState = { text: 'Time Clash', disabled: true, className: 'bg-gray-400 cursor-not-allowed' };
+                        } else if (slot.waitlistPosition) { buttonState = { text: `Waitlisted (#${slot.waitlistPosition})`, disabled: true, className: 'bg-yellow-500 cursor-default' };
+                        } else if (isFull) { buttonState = { text: 'Join Waitlist', disabled: false, isWaitlist: true, className: 'bg-yellow-600 hover:bg-yellow-700 focus:ring-yellow-500' };
                         } else if (isLoadingThisSlot) { buttonState = { text: 'Processing...', disabled: true, className: 'bg-gray-500 animate-pulse' }; }
                         return (
                           <div key={slotIdentifier} className={`p-4 border rounded-lg shadow-md hover:shadow-lg transition-all flex flex-col justify-between ${buttonState.disabled && !offering.isEnrolledInThisOffering ? 'opacity-70' : ''}`}>
@@ -195,15 +382,25 @@ function StudentView() {
                               <h5 className="font-semibold text-lg text-indigo-700">{offering.masterCourse?.title || 'Unnamed Course'}</h5>
                               {offering.masterCourse?.description && <p className="text-sm text-gray-600 mb-2">{offering.masterCourse.description}</p>}
                               {offering.isExclusiveGroupTaken && !offering.isEnrolledInThisOffering && (<div className="text-sm text-purple-600 font-semibold my-2 p-2 bg-purple-50 border border-purple-200 rounded"><AlertTriangle className="w-4 h-4 inline-block mr-1" />Unavailable: You have already selected a course from the "{offering.masterCourse.exclusiveGroup}" group.</div>)}
-                              {!offering.prereqsMet && !event.isViewOnly && (<div className="text-sm text-red-600 font-semibold my-2 p-2 bg-red-50 border border-red-200 rounded"><Lock className="w-4 h-4 inline-block mr-1" />Requires: {offering.unmetPrerequisites.join(', ')}</div>)}
-                              {!offering.allRestrictionsMet && !event.isViewOnly && (<div className="text-sm text-orange-600 font-semibold my-2 p-2 bg-orange-50 border border-orange-200 rounded"><Lock className="w-4 h-4 inline-block mr-1" />Enrollment is restricted for your group.</div>)}
-                              <p className="text-sm text-gray-600">🕒 {new Date(slot.time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</p>
+                              {!offering.prereqsMet && !event.isViewOnly && (
+                                <div className="text-sm text-red-600 my-2 p-2 bg-red-50 border border-red-200 rounded">
+                                  <p className="font-semibold"><Lock className="w-4 h-4 inline-block mr-1" />Prerequisites not met. Still needed:</p>
+                                  <ul className="list-disc list-inside">{offering.unmetPrerequisites.map(rule => <li key={rule}>{rule}</li>)}</ul>
+                                </div>
+                              )}
+                              {offering.prereqsWaived && !offering.isEnrolledInThisOffering && (<p className="text-xs text-green-700 my-1">Prerequisites waived for you by the administration.</p>)}
+                              {!offering.allRestrictionsMet && !event.isViewOnly && (<div className="text-sm text-orange-600 font-semibold my-2 p-2 bg-orange-50 border border-orange-200 rounded"><Lock className="w-4 h-4 inline-block mr-1" />{event.eligibility?.message || 'Enrollment is restricted for your group.'}</div>)}
+                              {slot.clash && !offering.isEnrolledInThisOffering && !event.isViewOnly && (<div className="text-sm text-red-600 my-2 p-2 bg-red-50 border border-red-200 rounded"><AlertTriangle className="w-4 h-4 inline-block mr-1" />Clashes with {slot.clash.courseTitle || 'another course'} ({slot.clash.eventName}) on {formatDateTime(slot.clash.otherSessionStart)}.</div>)}
+                              <SlotSchedule slot={slot} />
                               <p className="text-sm text-gray-600 mb-2">👥 Available: {slot.availableCapacity} / {slot.maxCapacity}</p>
+                              {slot.waitlistLength > 0 && <p className="text-sm text-gray-600 mb-2">⏳ Waitlist: {slot.waitlistLength} student(s){slot.waitlistPosition ? `, you are #${slot.waitlistPosition}` : ''}</p>}
                               <div className="w-full bg-gray-200 h-2.5 rounded-full overflow-hidden my-2"> <div className={`h-full transition-all duration-500 ease-out ${ (slot.maxCapacity > 0 && slot.availableCapacity <= 0) ? 'bg-red-600' : 'bg-green-500' }`} style={{ width: `${100 - (slot.availableCapacity / slot.maxCapacity) * 100}%` }}/></div>
                             </div>
-                            <button onClick={() => handleEnrollClick(event, offering, slot)} disabled={buttonState.disabled} className={`mt-4 w-full py-2.5 px-4 rounded-lg text-white font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 ${buttonState.className}`} aria-label={buttonState.text}>
+                            <button onClick={() => buttonState.isRank ? toggleRanking(event, offering) : buttonState.isSwap ? handleSwapClick(event, offering, slot) : buttonState.isWaitlist ? handleWaitlistClick(event, offering, slot) : handleEnrollClick(event, offering, slot)} disabled={buttonState.disabled} className={`mt-4 w-full py-2.5 px-4 rounded-lg text-white font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 ${buttonState.className}`} aria-label={buttonState.text}>
                               {isLoadingThisSlot ? ( <span className="flex items-center justify-center"><svg className="w-5 h-5 mr-2 animate-spin" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" /><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8h8a8 8 0 01-8 8 8 8 0 01-8-8z" /></svg>Processing...</span> ) : ( buttonState.text )}
                             </button>
+                            {offering.isEnrolledInThisOffering && event.canChangeEnrollments && (<button onClick={() => handleDropClick(event, offering, slot)} disabled={isLoadingThisSlot} className="mt-2 text-sm text-red-600 font-semibold hover:underline" aria-label="Drop course">Drop course</button>)}
+                            {slot.waitlistPosition && !offering.isEnrolledInThisOffering && (<button onClick={() => handleWaitlistClick(event, offering, slot, true)} disabled={isLoadingThisSlot} className="mt-2 text-sm text-red-600 font-semibold hover:underline" aria-label="Leave waitlist">Leave waitlist</button>)}
                           </div>
                         );
                       })}
@@ -214,7 +411,7 @@ function StudentView() {
           ))}
         </div>
       )}
-      <ConfirmationModal isOpen={modalState.isOpen} onClose={closeModal} onConfirm={modalState.onConfirm} title={modalState.title} confirmText="Yes, Enroll" closeText="Cancel">{modalState.content}</ConfirmationModal>
+      <ConfirmationModal isOpen={modalState.isOpen} onClose={closeModal} onConfirm={modalState.onConfirm} title={modalState.title} confirmText={modalState.confirmText || 'Yes, Enroll'} closeText="Cancel">{modalState.content}</ConfirmationModal>
     </div>
   );
 }
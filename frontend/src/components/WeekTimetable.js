@@ -0,0 +1,166 @@
+// src/components/WeekTimetable.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api from '../services/api';
+import { Calendar, ChevronLeft, ChevronRight, Download, Link } from 'react-feather';
+import { formatDateTime } from '../utils/dateTime';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 00:00 (local time) of the week `value` falls in.
+const startOfWeek = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const locationOf = (session) => {
+  if (session.room) return [session.room.name, session.room.building].filter(Boolean).join(', ');
+  return session.venue;
+};
+
+// The student's sessions for one week at a time, with an .ics download and a private subscription
+// link that calendar apps poll. `refreshKey` changes whenever the student's enrollments do.
+const WeekTimetable = ({ refreshKey }) => {
+  const [sessions, setSessions] = useState([]);
+  const [feed, setFeed] = useState({ active: false, createdAt: null });
+  const [feedUrl, setFeedUrl] = useState('');
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const fetchTimetable = useCallback(async () => {
+    try {
+      const res = await api.get('users/my-timetable');
+      setSessions(res.data.data.sessions || []);
+      setFeed(res.data.data.feed || { active: false, createdAt: null });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not load your timetable.' });
+    }
+  }, []);
+
+  useEffect(() => { fetchTimetable(); }, [fetchTimetable, refreshKey]);
+
+  const days = useMemo(() => Array.from({ length: 7 }, (_, index) => {
+    const date = addDays(weekStart, index);
+    const next = addDays(date, 1);
+    return { date, sessions: sessions.filter(s => new Date(s.start) >= date && new Date(s.start) < next) };
+  }), [sessions, weekStart]);
+  const weekEnd = addDays(weekStart, 7);
+  const isEmptyWeek = days.every(day => day.sessions.length === 0);
+  const nextSession = sessions.find(s => new Date(s.start) >= weekEnd);
+
+  const handleDownload = async () => {
+    try {
+      const response = await api.get('users/my-timetable.ics', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      const fileName = response.headers['content-disposition']?.split('filename=')[1]?.replace(/"/g, '') || 'timetable.ics';
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not download your timetable.' });
+    }
+  };
+
+  const handleCreateFeed = async () => {
+    if (feed.active && !window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) return;
+    try {
+      const res = await api.post('users/my-timetable/feed');
+      setFeedUrl(new URL(`${api.defaults.baseURL.replace(/\/$/, '')}${res.data.data.feedPath}`, window.location.origin).href);
+      setFeed({ active: true, createdAt: res.data.data.createdAt });
+      setMessage({ type: 'success', text: res.data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not create the calendar link.' });
+    }
+  };
+
+  const handleDisableFeed = async () => {
+    if (!window.confirm('Turn off your calendar link? Subscribed calendars will stop updating.')) return;
+    try {
+      const res = await api.delete('users/my-timetable/feed');
+      setFeedUrl('');
+      setFeed({ active: false, createdAt: null });
+      setMessage({ type: 'success', text: res.data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not turn off the calendar link.' });
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setMessage({ type: 'success', text: 'Link copied.' });
+    } catch {
+      setMessage({ type: 'error', text: 'Copy the link from the box instead.' });
+    }
+  };
+
+  return (
+    <section className="max-w-7xl mx-auto mb-6 p-4 bg-white rounded-lg shadow-sm border">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-indigo-700 flex items-center"><Calendar className="w-5 h-5 mr-2" />My Timetable</h3>
+        <div className="flex items-center gap-2">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="p-2 bg-gray-100 rounded-md hover:bg-gray-200" aria-label="Previous week"><ChevronLeft className="w-4 h-4" /></button>
+          <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="px-3 py-1.5 bg-gray-100 rounded-md hover:bg-gray-200 text-sm">This week</button>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="p-2 bg-gray-100 rounded-md hover:bg-gray-200" aria-label="Next week"><ChevronRight className="w-4 h-4" /></button>
+          <span className="text-sm text-gray-600 ml-2">{weekStart.toLocaleDateString([], { dateStyle: 'medium' })} – {new Date(weekEnd - DAY_MS).toLocaleDateString([], { dateStyle: 'medium' })}</span>
+        </div>
+      </div>
+
+      {message.text && (
+        <div className={`p-2 mb-3 rounded-md text-sm flex justify-between ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+          <span>{message.text}</span>
+          <button onClick={() => setMessage({ type: '', text: '' })} className="font-semibold hover:underline">Dismiss</button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+        {days.map(day => (
+          <div key={day.date.toISOString()} className={`rounded-md border p-2 min-h-[6rem] ${day.date.toDateString() === new Date().toDateString() ? 'border-indigo-400 bg-indigo-50' : 'bg-gray-50'}`}>
+            <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{day.date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}</p>
+            {day.sessions.map(session => (
+              <div key={`${session.offeringId}-${session.slotId}-${session.sessionIndex}`} className="mb-1 p-1.5 rounded bg-white border-l-4 border-indigo-500 text-xs shadow-sm">
+                <p className="font-semibold text-gray-800">{formatTime(session.start)}–{formatTime(session.end)}</p>
+                <p className="text-indigo-700">{session.courseTitle || 'Course'}</p>
+                {locationOf(session) && <p className="text-gray-500">{locationOf(session)}</p>}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {isEmptyWeek && (
+        <p className="text-sm text-gray-500 mt-2">
+          No sessions this week.{nextSession && <> Next: {nextSession.courseTitle} on {formatDateTime(nextSession.start)}. <button onClick={() => setWeekStart(startOfWeek(nextSession.start))} className="text-indigo-600 hover:underline">Go to that week</button></>}
+        </p>
+      )}
+
+      <div className="mt-4 pt-3 border-t flex flex-wrap items-center gap-3 text-sm">
+        <button onClick={handleDownload} className="flex items-center px-3 py-1.5 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"><Download className="w-4 h-4 mr-1.5" />Download .ics</button>
+        <button onClick={handleCreateFeed} className="flex items-center px-3 py-1.5 bg-gray-100 rounded-md hover:bg-gray-200"><Link className="w-4 h-4 mr-1.5" />{feed.active ? 'New subscription link' : 'Create subscription link'}</button>
+        {feed.active && <button onClick={handleDisableFeed} className="text-red-600 font-semibold hover:underline">Turn off link</button>}
+        <span className="text-xs text-gray-500">{feed.active ? `Subscription link on since ${formatDateTime(feed.createdAt)}. Subscribed calendars follow slot changes.` : 'Subscribe from your calendar app to keep it in sync with slot changes.'}</span>
+      </div>
+      {feedUrl && (
+        <div className="mt-2 flex items-center gap-2">
+          <input value={feedUrl} readOnly onFocus={e => e.target.select()} aria-label="Calendar subscription link" className="flex-1 p-2 border rounded-md text-xs font-mono" />
+          <button onClick={handleCopy} className="px-3 py-1.5 bg-gray-100 rounded-md hover:bg-gray-200 text-sm">Copy</button>
+        </div>
+      )}
+      {feedUrl && <p className="text-xs text-gray-500 mt-1">This link is shown only once and works without signing in. Keep it private.</p>}
+    </section>
+  );
+};
+
+export default WeekTimetable;
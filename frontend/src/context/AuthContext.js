@@ -1,7 +1,7 @@
 // src/context/AuthContext.js
 import React, { createContext, useState, useEffect, useCallback, useContext, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import api from '../services/api';
+import api, { storeSessionTokens, clearSessionTokens, onSessionExpired } from '../services/api';
 
 // Create the context object
 export const AuthContext = createContext(null);
@@ -11,6 +11,9 @@ export const useAuth = () => {
   return useContext(AuthContext);
 };
 
+// Students get their own portal; every staff role (admin, coordinator, faculty) lands in the admin area.
+export const getHomePath = (user) => (user?.role === 'student' ? '/student-dashboard' : '/admin');
+
 // The main provider component that wraps your app
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
@@ -49,22 +52,33 @@ export const AuthProvider = ({ children }) => {
     checkStoredSession();
   }, []); // Empty dependency array ensures this runs only once
 
+  // The API layer calls this when a refresh token is rejected (expired, revoked or reused).
+  useEffect(() => {
+    onSessionExpired(() => {
+      setUser(null);
+      setToken(null);
+      delete api.defaults.headers.common['Authorization'];
+      navigate('/login');
+    });
+    return () => onSessionExpired(null);
+  }, [navigate]);
+
   const login = useCallback(async (credentials) => {
     setIsLoading(true);
     setAuthError(null); // Clear previous errors on a new attempt
     try {
       const response = await api.post('auth/login', credentials);
       
-      const { token: apiToken, user: apiUser } = response.data;
+      const { token: apiToken, refreshToken, user: apiUser } = response.data;
       
-      localStorage.setItem('token', apiToken);
+      storeSessionTokens({ token: apiToken, refreshToken });
       localStorage.setItem('user', JSON.stringify(apiUser));
       api.defaults.headers.common['Authorization'] = `Bearer ${apiToken}`;
       setToken(apiToken);
       setUser(apiUser);
       
       // Smart redirection after login
-      const from = location.state?.from?.pathname || (apiUser.role === 'admin' ? '/admin' : '/student-dashboard');
+      const from = location.state?.from?.pathname || getHomePath(apiUser);
       
       if (apiUser.requiresPasswordChange) {
         navigate('/change-password');
@@ -83,10 +97,12 @@ export const AuthProvider = ({ children }) => {
   }, [navigate, location.state]);
 
   const logout = useCallback(() => {
+    // End the session on the server too; the UI signs out whether or not that call succeeds.
+    const refreshToken = localStorage.getItem('refreshToken');
+    api.post('auth/logout', { refreshToken }).catch(err => console.warn('Logout request failed:', err));
     setUser(null);
     setToken(null);
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearSessionTokens();
     delete api.defaults.headers.common['Authorization'];
     navigate('/login'); // Navigate to the login page after logout
   }, [navigate]);
@@ -100,6 +116,24 @@ export const AuthProvider = ({ children }) => {
     });
   }, []);
 
+  // Adopts a new token pair issued by the server, e.g. after a password change ends all other sessions.
+  const updateSessionTokens = useCallback(({ token: newToken, refreshToken }) => {
+    if (!newToken) return;
+    storeSessionTokens({ token: newToken, refreshToken });
+    api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  }, []);
+
+  // Mirrors the server's permission check: "events:write" is satisfied by "events:write" or any scoped
+  // variant such as "events:write:own-department". The server still enforces the scope itself.
+  const hasPermission = useCallback((permission) => {
+    if (!user) return false;
+    // Sessions stored before permissions were sent with the user fall back to the old admin/student split.
+    const granted = user.permissions || (user.role === 'admin' ? null : []);
+    if (!granted) return true;
+    return granted.some(p => p === permission || p.startsWith(`${permission}:`));
+  }, [user]);
+
   // useMemo ensures this object is stable and prevents unnecessary re-renders
   const value = useMemo(() => ({
     user,
@@ -111,7 +145,9 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     updateUser,
-  }), [user, token, isLoading, authError, login, logout, updateUser]);
+    updateSessionTokens,
+    hasPermission,
+  }), [user, token, isLoading, authError, login, logout, updateUser, updateSessionTokens, hasPermission]);
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
\ No newline at end of file
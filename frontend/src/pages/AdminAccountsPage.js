@@ -0,0 +1,178 @@
+// src/pages/AdminAccountsPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { formatDateTime } from '../utils/dateTime';
+
+const ROLES = ['admin', 'coordinator', 'faculty', 'student'];
+const initialNewAccountState = { username: '', name: '', password: '', department: '', role: 'admin' };
+
+function AdminAccountsPage() {
+  const { user: currentUser } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [roleFilter, setRoleFilter] = useState('admin');
+  const [newAccount, setNewAccount] = useState(initialNewAccountState);
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyAccountId, setBusyAccountId] = useState(null);
+  const [uiMessages, setUiMessages] = useState({ error: '', success: '' });
+
+  const setTimedMessage = (type, message, duration = 5000) => {
+    setUiMessages({ [type]: message });
+    setTimeout(() => setUiMessages(prev => ({ ...prev, [type]: '' })), duration);
+  };
+
+  const fetchAccounts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get(`admin/accounts?role=${roleFilter}`);
+      setAccounts(res.data.data || []);
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not load accounts.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roleFilter]);
+
+  useEffect(() => { fetchAccounts(); }, [fetchAccounts]);
+
+  const handleNewAccountChange = (e) => setNewAccount(p => ({ ...p, [e.target.name]: e.target.value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newAccount.username.trim() || !newAccount.name.trim()) { setTimedMessage('error', 'Username and name are required.'); return; }
+    if (newAccount.role === 'coordinator' && !newAccount.department.trim()) { setTimedMessage('error', 'Coordinators need a department.'); return; }
+    setIsSaving(true);
+    setTemporaryPassword(null);
+    try {
+      const payload = { ...newAccount };
+      if (!payload.password) delete payload.password;
+      const res = await api.post('admin/accounts', payload);
+      setTimedMessage('success', res.data.message);
+      if (res.data.temporaryPassword) setTemporaryPassword({ username: res.data.data.username, password: res.data.temporaryPassword });
+      setNewAccount(initialNewAccountState);
+      fetchAccounts();
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not create the account.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleDisabled = async (account) => {
+    const disabling = !account.isDisabled;
+    if (disabling && !window.confirm(`Disable ${account.username}? They will be signed out everywhere and cannot log in until re-enabled.`)) return;
+    setBusyAccountId(account._id);
+    try {
+      const res = await api.patch(`admin/accounts/${account._id}/status`, { disabled: disabling });
+      setTimedMessage('success', res.data.message);
+      fetchAccounts();
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not update the account.');
+    } finally {
+      setBusyAccountId(null);
+    }
+  };
+
+  const handleRoleChange = async (account, role) => {
+    if (role === account.role) return;
+    if (!window.confirm(`Change ${account.username} from ${account.role} to ${role}? They will be signed out.`)) return;
+    setBusyAccountId(account._id);
+    try {
+      const res = await api.patch(`admin/accounts/${account._id}/role`, { role });
+      setTimedMessage('success', res.data.message);
+      fetchAccounts();
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not change the role.');
+    } finally {
+      setBusyAccountId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Admin Accounts</h1>
+      <p className="text-lg text-gray-600">Create staff accounts, disable access, and change roles. Coordinators manage their own department; faculty see rosters of the courses they teach.</p>
+
+      {uiMessages.error && <p className="p-3 my-4 bg-red-100 text-red-700 rounded-md">{uiMessages.error}</p>}
+      {uiMessages.success && <p className="p-3 my-4 bg-green-100 text-green-700 rounded-md">{uiMessages.success}</p>}
+
+      <section className="p-6 bg-white rounded-xl shadow-lg">
+        <h2 className="text-2xl font-semibold mb-4 text-gray-700 border-b pb-2">Create Account</h2>
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div><label htmlFor="acc-username" className="block text-sm font-medium text-gray-700 mb-1">Username</label><input id="acc-username" name="username" value={newAccount.username} onChange={handleNewAccountChange} required className="w-full p-2 border rounded-md" /></div>
+          <div><label htmlFor="acc-name" className="block text-sm font-medium text-gray-700 mb-1">Full Name</label><input id="acc-name" name="name" value={newAccount.name} onChange={handleNewAccountChange} required className="w-full p-2 border rounded-md" /></div>
+          <div><label htmlFor="acc-password" className="block text-sm font-medium text-gray-700 mb-1">Initial Password (optional)</label><input id="acc-password" type="password" name="password" value={newAccount.password} onChange={handleNewAccountChange} placeholder="Leave empty to generate one" className="w-full p-2 border rounded-md" /></div>
+          <div><label htmlFor="acc-department" className="block text-sm font-medium text-gray-700 mb-1">Department {newAccount.role === 'coordinator' ? '(required for coordinators)' : '(optional)'}</label><input id="acc-department" name="department" value={newAccount.department} onChange={handleNewAccountChange} required={newAccount.role === 'coordinator'} className="w-full p-2 border rounded-md" /></div>
+          <div><label htmlFor="acc-role" className="block text-sm font-medium text-gray-700 mb-1">Role</label><select id="acc-role" name="role" value={newAccount.role} onChange={handleNewAccountChange} className="w-full p-2 border rounded-md">{ROLES.map(r => <option key={r} value={r}>{r}</option>)}</select></div>
+          <div className="flex items-end"><button type="submit" disabled={isSaving} className="w-full p-2 bg-indigo-600 text-white font-semibold rounded-lg disabled:opacity-50">{isSaving ? 'Creating...' : 'Create Account'}</button></div>
+        </form>
+        <p className="text-xs text-gray-500 mt-3">New accounts must choose their own password on first login.</p>
+        {temporaryPassword && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+            Temporary password for <span className="font-semibold">{temporaryPassword.username}</span>: <code className="font-mono bg-white px-2 py-0.5 border rounded">{temporaryPassword.password}</code>
+            <span className="block text-xs text-gray-600 mt-1">It is shown only once. Share it over a secure channel.</span>
+          </div>
+        )}
+      </section>
+
+      <section className="p-6 bg-white rounded-xl shadow-lg">
+        <div className="flex flex-col md:flex-row justify-between md:items-center mb-4 gap-4">
+          <h2 className="text-2xl font-semibold">Accounts</h2>
+          <div><label htmlFor="roleFilter" className="text-sm font-medium mr-2">Role:</label><select id="roleFilter" value={roleFilter} onChange={e => setRoleFilter(e.target.value)} className="p-2 border rounded-md">{ROLES.map(r => <option key={r} value={r}>{r}</option>)}</select></div>
+        </div>
+        <div className="overflow-x-auto">
+          {loading ? <p className="text-center p-4">Loading...</p> : accounts.length === 0 ? <p className="text-center p-4 text-gray-500">No accounts found.</p> : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Username</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Department</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium uppercase">Created</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y">
+                {accounts.map(account => {
+                  const isSelf = account._id === currentUser?._id;
+                  return (
+                    <tr key={account._id} className={account.isDisabled ? 'bg-gray-50 text-gray-500' : 'hover:bg-gray-50'}>
+                      <td className="px-6 py-4 whitespace-nowrap">{account.name}{isSelf && <span className="ml-2 text-xs text-indigo-600 font-semibold">(you)</span>}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">{account.username}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">{account.department || 'N/A'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select value={account.role} onChange={e => handleRoleChange(account, e.target.value)} disabled={isSelf || busyAccountId === account._id} className="p-1 border rounded-md text-sm">
+                          {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {account.isDisabled
+                          ? <span className="px-2 py-0.5 text-xs font-semibold bg-gray-200 text-gray-700 rounded-full" title={account.disabledAt ? `Disabled ${formatDateTime(account.disabledAt)}` : undefined}>Disabled</span>
+                          : <span className="px-2 py-0.5 text-xs font-semibold bg-green-100 text-green-700 rounded-full">Active</span>}
+                        {account.requiresPasswordChange && !account.isDisabled && <span className="ml-2 text-xs text-yellow-700">password not set yet</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">{account.createdAt ? formatDateTime(account.createdAt) : 'N/A'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {!isSelf && (
+                          <button onClick={() => handleToggleDisabled(account)} disabled={busyAccountId === account._id} className={`${account.isDisabled ? 'text-green-600' : 'text-red-600'} hover:underline font-semibold`}>
+                            {account.isDisabled ? 'Enable' : 'Disable'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export default AdminAccountsPage;
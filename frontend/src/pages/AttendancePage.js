@@ -0,0 +1,296 @@
+// src/pages/AttendancePage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Download } from 'react-feather';
+import { formatDateTime } from '../utils/dateTime';
+import { scheduleOf, formatSession, summarizeSchedule } from '../utils/slotSchedule';
+
+const STATUSES = [
+  { value: 'present', label: 'Present', className: 'bg-green-600 text-white' },
+  { value: 'late', label: 'Late', className: 'bg-yellow-500 text-white' },
+  { value: 'absent', label: 'Absent', className: 'bg-red-600 text-white' },
+  { value: 'excused', label: 'Excused', className: 'bg-blue-600 text-white' },
+];
+
+const REPORT_GROUPINGS = { offering: 'Per offering', department: 'Per department', student: 'Per student' };
+
+// Code check-in for one session: open it for a few minutes and show the rotating code to the room.
+const CheckInPanel = ({ basePath, session, checkIn, onChange, setMessage }) => {
+  const [minutes, setMinutes] = useState(15);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick every second while open; fetch a fresh code once the shown one has expired.
+  useEffect(() => {
+    if (!checkIn?.open) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [checkIn?.open]);
+
+  useEffect(() => {
+    if (checkIn?.open && checkIn.current && now >= new Date(checkIn.current.expiresAt).getTime()) onChange();
+  }, [now, checkIn, onChange]);
+
+  const handleOpen = async () => {
+    try {
+      const res = await api.post(`${basePath}/check-in`, { session, minutes: parseInt(minutes, 10) });
+      setMessage({ type: 'success', text: res.data.message });
+      onChange();
+    } catch (err) { setMessage({ type: 'error', text: err.error || 'Could not open check-in.' }); }
+  };
+
+  const handleClose = async () => {
+    try {
+      const res = await api.delete(`${basePath}/check-in`);
+      setMessage({ type: 'success', text: res.data.message });
+      onChange();
+    } catch (err) { setMessage({ type: 'error', text: err.error || 'Could not close check-in.' }); }
+  };
+
+  const isThisSession = checkIn?.open && new Date(checkIn.session).getTime() === new Date(session).getTime();
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border">
+      <h3 className="font-semibold text-gray-700 mb-2">Code Check-in</h3>
+      {checkIn?.open ? (
+        <div className="space-y-2">
+          {!isThisSession && <p className="text-sm text-yellow-700">Check-in is open for the session of {formatDateTime(checkIn.session)}.</p>}
+          {checkIn.current && (
+            <div className="text-center">
+              <p className="text-5xl font-mono font-bold tracking-widest text-indigo-700">{checkIn.current.code}</p>
+              <p className="text-xs text-gray-500 mt-1">Changes in {Math.max(0, Math.ceil((new Date(checkIn.current.expiresAt).getTime() - now) / 1000))}s · Check-in closes {formatDateTime(checkIn.closesAt)}</p>
+            </div>
+          )}
+          <button onClick={handleClose} className="px-4 py-2 bg-red-600 text-white rounded-md">Close Check-in</button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="checkInMinutes" className="text-sm">Open for</label>
+          <input id="checkInMinutes" type="number" min="1" max="240" value={minutes} onChange={e => setMinutes(e.target.value)} className="w-20 p-2 border rounded-md" />
+          <span className="text-sm">minutes</span>
+          <button onClick={handleOpen} className="px-4 py-2 bg-indigo-600 text-white rounded-md">Open Check-in</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AttendanceReport = ({ events }) => {
+  const [groupBy, setGroupBy] = useState('offering');
+  const [eventId, setEventId] = useState('');
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const params = new URLSearchParams({ groupBy });
+    if (eventId) params.append('eventId', eventId);
+    api.get(`events/reports/attendance?${params.toString()}`)
+      .then(res => { setRows(res.data.data || []); setError(''); })
+      .catch(err => setError(err.error || 'Could not load the attendance report.'));
+  }, [groupBy, eventId]);
+
+  const handleDownload = async () => {
+    try {
+      const params = new URLSearchParams({ groupBy, format: 'csv' });
+      if (eventId) params.append('eventId', eventId);
+      const response = await api.get(`events/reports/attendance?${params.toString()}`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      const fileName = response.headers['content-disposition']?.split('filename=')[1]?.replace(/"/g, '') || `attendance_by_${groupBy}.csv`;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) { setError(err.message || 'Could not download the report.'); }
+  };
+
+  const label = (row) => {
+    if (groupBy === 'offering') return row.courseTitle;
+    if (groupBy === 'department') return row.department;
+    return `${row.name} (${row.username}) · ${row.courseTitle}`;
+  };
+
+  return (
+    <section className="p-6 bg-white rounded-xl shadow-lg">
+      <h2 className="text-2xl font-semibold text-gray-700 mb-4">Attendance Reports</h2>
+      {error && <p className="p-3 mb-4 bg-red-100 text-red-700 rounded-md">{error}</p>}
+      <div className="flex flex-wrap gap-4 items-end mb-4">
+        <select value={groupBy} onChange={e => setGroupBy(e.target.value)} className="p-2 border rounded-md">
+          {Object.entries(REPORT_GROUPINGS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+        </select>
+        <select value={eventId} onChange={e => setEventId(e.target.value)} className="p-2 border rounded-md">
+          <option value="">All events</option>
+          {events.map(event => <option key={event._id} value={event._id}>{event.name}</option>)}
+        </select>
+        <button onClick={handleDownload} className="flex items-center px-4 py-2 bg-gray-700 text-white rounded-md"><Download className="w-4 h-4 mr-2" />Download CSV</button>
+      </div>
+      {rows.length === 0 ? <p className="text-sm text-gray-500">No attendance has been taken yet.</p> : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium uppercase">Event</th>
+                <th className="px-4 py-2 text-left font-medium uppercase">{groupBy === 'offering' ? 'Course' : groupBy === 'department' ? 'Department' : 'Student · Course'}</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Sessions</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Present</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Late</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Excused</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Absent</th>
+                <th className="px-4 py-2 text-right font-medium uppercase">Rate</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {rows.map((row, i) => (
+                <tr key={i}>
+                  <td className="px-4 py-2">{row.eventName}</td>
+                  <td className="px-4 py-2">{label(row)}</td>
+                  <td className="px-4 py-2 text-right">{row.sessionsHeld}</td>
+                  <td className="px-4 py-2 text-right">{row.present}</td>
+                  <td className="px-4 py-2 text-right">{row.late}</td>
+                  <td className="px-4 py-2 text-right">{row.excused}</td>
+                  <td className="px-4 py-2 text-right">{row.absent}</td>
+                  <td className="px-4 py-2 text-right font-semibold">{row.rate === null ? '—' : `${row.rate}%`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+// Take attendance for a slot session, by marking the roster or opening code check-in. The roster list
+// comes from the class rosters, so faculty only see the offerings they teach.
+function AttendancePage() {
+  const { hasPermission } = useAuth();
+  const [rosters, setRosters] = useState([]);
+  const [selection, setSelection] = useState({ eventId: '', offeringId: '', slotId: '' });
+  const [session, setSession] = useState('');
+  const [attendance, setAttendance] = useState(null);
+  const [marks, setMarks] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    api.get('events/rosters')
+      .then(res => setRosters(res.data.data || []))
+      .catch(err => setMessage({ type: 'error', text: err.error || 'Could not load rosters.' }))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const event = rosters.find(e => e._id === selection.eventId);
+  const offering = event?.courses.find(o => o._id === selection.offeringId);
+  const slot = offering?.slots.find(s => String(s.id) === selection.slotId);
+  // Attendance works with session starts; the roster copy of the slot has their end and venue.
+  const sessionLabel = (start) => {
+    const full = scheduleOf(slot).find(s => new Date(s.start).getTime() === new Date(start).getTime());
+    return full ? formatSession(full) : formatDateTime(start);
+  };
+  const basePath = offering && selection.slotId ? `events/${selection.eventId}/courses/${selection.offeringId}/slots/${selection.slotId}/attendance` : null;
+
+  const fetchAttendance = useCallback(async () => {
+    if (!basePath) { setAttendance(null); return; }
+    try {
+      const res = await api.get(`${basePath}${session ? `?session=${encodeURIComponent(session)}` : ''}`);
+      setAttendance(res.data.data);
+      setMarks(Object.fromEntries(res.data.data.roster.map(s => [s._id, s.status])));
+    } catch (err) { setMessage({ type: 'error', text: err.error || 'Could not load attendance.' }); }
+  }, [basePath, session]);
+
+  useEffect(() => { fetchAttendance(); }, [fetchAttendance]);
+
+  const handleSave = async () => {
+    const changed = attendance.roster.filter(s => (marks[s._id] ?? null) !== s.status).map(s => ({ userId: s._id, status: marks[s._id] ?? null }));
+    if (changed.length === 0) return setMessage({ type: 'error', text: 'Nothing has changed.' });
+    setIsSaving(true);
+    try {
+      const res = await api.put(basePath, { session: attendance.session, entries: changed });
+      setAttendance(prev => ({ ...prev, roster: res.data.data.roster }));
+      setMessage({ type: 'success', text: res.data.message });
+    } catch (err) { setMessage({ type: 'error', text: err.error || 'Could not save attendance.' });
+    } finally { setIsSaving(false); }
+  };
+
+  const markAllUnmarked = (status) => setMarks(prev => Object.fromEntries(attendance.roster.map(s => [s._id, prev[s._id] || status])));
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Attendance</h1>
+      <p className="text-lg text-gray-600">Mark who attended each session, or let students check in with the code shown in class.</p>
+
+      {message.text && (
+        <div className={`p-3 rounded-md flex justify-between ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+          <span>{message.text}</span>
+          <button onClick={() => setMessage({ type: '', text: '' })} className="text-sm font-semibold hover:underline">Dismiss</button>
+        </div>
+      )}
+
+      {loading ? <p className="text-center p-4">Loading...</p> : (
+        <section className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select value={selection.eventId} onChange={e => { setSelection({ eventId: e.target.value, offeringId: '', slotId: '' }); setSession(''); }} className="p-2 border rounded-md">
+              <option value="">-- Select Event --</option>
+              {rosters.map(e => <option key={e._id} value={e._id}>{e.name}</option>)}
+            </select>
+            <select value={selection.offeringId} onChange={e => { setSelection(p => ({ ...p, offeringId: e.target.value, slotId: '' })); setSession(''); }} disabled={!event} className="p-2 border rounded-md">
+              <option value="">-- Select Course --</option>
+              {(event?.courses || []).map(o => <option key={o._id} value={o._id}>{o.course?.title || 'Untitled course'}</option>)}
+            </select>
+            <select value={selection.slotId} onChange={e => { setSelection(p => ({ ...p, slotId: e.target.value })); setSession(''); }} disabled={!offering} className="p-2 border rounded-md">
+              <option value="">-- Select Slot --</option>
+              {(offering?.slots || []).map(s => <option key={s._id} value={s.id}>Slot #{s.id}: {summarizeSchedule(s)} ({s.enrolled.length} enrolled)</option>)}
+            </select>
+          </div>
+
+          {attendance && (
+            <>
+              {attendance.sessions.length > 1 && (
+                <div>
+                  <label htmlFor="attendanceSession" className="text-sm font-medium mr-2">Session:</label>
+                  <select id="attendanceSession" value={new Date(attendance.session).toISOString()} onChange={e => setSession(e.target.value)} className="p-2 border rounded-md">
+                    {attendance.sessions.map(s => <option key={s} value={new Date(s).toISOString()}>{sessionLabel(s)}</option>)}
+                  </select>
+                </div>
+              )}
+              <CheckInPanel basePath={basePath} session={attendance.session} checkIn={attendance.checkIn} onChange={fetchAttendance} setMessage={setMessage} />
+
+              {attendance.roster.length === 0 ? <p className="text-sm text-gray-500">No students are enrolled in this slot.</p> : (
+                <>
+                  <div className="flex justify-between items-center">
+                    <h3 className="font-semibold text-gray-700">Roster for {sessionLabel(attendance.session)}</h3>
+                    <button onClick={() => markAllUnmarked('present')} className="text-sm text-indigo-600 font-semibold hover:underline">Mark unmarked as present</button>
+                  </div>
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <tbody className="divide-y">
+                      {attendance.roster.map(student => (
+                        <tr key={student._id}>
+                          <td className="px-4 py-2">{student.name}<span className="block text-xs text-gray-500">{student.username}{student.method === 'code' ? ' · checked in with code' : ''}</span></td>
+                          <td className="px-4 py-2">
+                            <div className="flex flex-wrap gap-1 justify-end">
+                              {STATUSES.map(status => (
+                                <button key={status.value} onClick={() => setMarks(p => ({ ...p, [student._id]: p[student._id] === status.value ? null : status.value }))} className={`px-3 py-1 rounded-md text-xs font-semibold ${marks[student._id] === status.value ? status.className : 'bg-gray-100 text-gray-600'}`}>{status.label}</button>
+                              ))}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <button onClick={handleSave} disabled={isSaving} className="px-6 py-2 bg-indigo-600 text-white rounded-md disabled:opacity-50">{isSaving ? 'Saving...' : 'Save Attendance'}</button>
+                </>
+              )}
+            </>
+          )}
+        </section>
+      )}
+
+      {hasPermission('reports:read') && <AttendanceReport events={rosters} />}
+    </div>
+  );
+}
+
+export default AttendancePage;
@@ -1,9 +1,28 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { NavLink } from 'react-router-dom';
 import api from '../services/api';
-import { ArrowLeft, CheckCircle, XCircle, AlertCircle } from 'react-feather';
+import { ArrowLeft, CheckCircle, XCircle, AlertCircle, Download } from 'react-feather';
+
+// Each operation posts the CSV to its own endpoint; all of them support a dry run.
+const OPERATIONS = {
+  enroll: { label: 'Enroll', endpoint: 'events/admin/bulk-enroll', doneLabel: 'Enrolled' },
+  unenroll: { label: 'Unenroll', endpoint: 'events/admin/bulk-unenroll', doneLabel: 'Unenrolled' },
+  move: { label: 'Move', endpoint: 'events/admin/bulk-move', doneLabel: 'Moved' },
+};
+
+const describeCourse = row => (row.fromCourse || row.toCourse ? `${row.fromCourse || '?'} → ${row.toCourse || '?'}` : row.courseTitle);
+const describeSlot = row => {
+  if (row.slotId === undefined || row.slotId === null) return '';
+  return row.fromSlotId !== undefined ? `#${row.fromSlotId} → #${row.slotId}` : `#${row.slotId}`;
+};
+
+const escapeCsvField = value => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
 function BulkEnrollmentPage() {
+  const [operation, setOperation] = useState('enroll');
   const [events, setEvents] = useState([]);
   const [selectedEvent, setSelectedEvent] = useState('');
   const [csvFile, setCsvFile] = useState(null);
@@ -28,8 +47,8 @@ function BulkEnrollmentPage() {
     fetchEvents();
   }, [fetchEvents]);
 
-  const handleUpload = async e => {
-    e.preventDefault();
+  // The file is always checked with a dry run first; the admin then confirms the previewed result.
+  const sendFile = async dryRun => {
     if (!selectedEvent || !csvFile) {
       setError('Please select an event and a CSV file.');
       return;
@@ -40,10 +59,10 @@ function BulkEnrollmentPage() {
     const formData = new FormData();
     formData.append('csv', csvFile);
     formData.append('eventId', selectedEvent);
+    formData.append('dryRun', String(dryRun));
 
     try {
-      // Corrected endpoint
-      const response = await api.post('events/admin/bulk-enroll', formData, {
+      const response = await api.post(OPERATIONS[operation].endpoint, formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
       setUploadResult(response.data.data);
@@ -54,6 +73,30 @@ function BulkEnrollmentPage() {
     }
   };
 
+  const handleUpload = e => {
+    e.preventDefault();
+    sendFile(true);
+  };
+
+  const isPreview = uploadResult?.dryRun;
+
+  // Every row of the report in file order, as a CSV the admin can keep or fix and re-upload.
+  const handleDownloadResults = () => {
+    const lines = [
+      ...uploadResult.successes.map(r => ({ row: r.row, values: [r.row, r.username, describeCourse(r), describeSlot(r), isPreview ? 'will succeed' : 'succeeded', ''] })),
+      ...uploadResult.failures.map(r => ({ row: r.row, values: [r.row, r.username, describeCourse(r), '', 'failed', r.reason] })),
+    ].sort((a, b) => a.row - b.row).map(line => line.values.map(escapeCsvField).join(','));
+    const csv = [['row', 'username', 'course', 'slot', 'status', 'reason'].join(','), ...lines].join('\r\n');
+    const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `bulk_${operation}_${isPreview ? 'preview' : 'results'}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
   const handleDismissError = () => setError('');
 
   if (loading) {
@@ -100,18 +143,53 @@ function BulkEnrollmentPage() {
 
       <section className="p-6 bg-white rounded-xl shadow-lg">
         <form onSubmit={handleUpload} className="space-y-6">
-          <p className="text-sm text-gray-600">
-            CSV file must have headers: <code className="bg-gray-100 px-1 rounded">username</code>,{' '}
-            <code className="bg-gray-100 px-1 rounded">coursetitle</code>.
-          </p>
+          <div role="radiogroup" aria-label="Operation" className="flex gap-2">
+            {Object.entries(OPERATIONS).map(([key, op]) => (
+              <button
+                key={key}
+                type="button"
+                role="radio"
+                aria-checked={operation === key}
+                onClick={() => { setOperation(key); setUploadResult(null); }}
+                className={`px-4 py-2 rounded-lg font-semibold ${operation === key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {op.label}
+              </button>
+            ))}
+          </div>
+          {operation === 'enroll' && (
+            <p className="text-sm text-gray-600">
+              CSV file must have headers: <code className="bg-gray-100 px-1 rounded">username</code>,{' '}
+              <code className="bg-gray-100 px-1 rounded">coursetitle</code>. An optional{' '}
+              <code className="bg-gray-100 px-1 rounded">slot</code> column picks the slot by its number (e.g. 2) or by the
+              start of one of its sessions (e.g. 2026-11-02 09:00). Rows without one go to the first active slot with a free
+              seat that fits the student's timetable.
+            </p>
+          )}
+          {operation === 'unenroll' && (
+            <p className="text-sm text-gray-600">
+              CSV file must have headers: <code className="bg-gray-100 px-1 rounded">username</code>,{' '}
+              <code className="bg-gray-100 px-1 rounded">coursetitle</code>. Each student loses their seat and enrollment in that
+              course; freed seats go to the waitlists.
+            </p>
+          )}
+          {operation === 'move' && (
+            <p className="text-sm text-gray-600">
+              CSV file must have headers: <code className="bg-gray-100 px-1 rounded">username</code>,{' '}
+              <code className="bg-gray-100 px-1 rounded">fromcourse</code>, <code className="bg-gray-100 px-1 rounded">tocourse</code>,
+              and optionally <code className="bg-gray-100 px-1 rounded">slot</code> (as for enrolling; required to move within
+              one course). The new course is checked as if the old one were already dropped.
+            </p>
+          )}
+          <p className="text-xs text-gray-500">All rows are applied together. Rows that can't be applied are listed and skipped.</p>
           <div>
             <label htmlFor="eventSelect" className="block text-sm font-medium text-gray-700 mb-1">
-              1. Select Event to Enroll Students In:
+              1. Select Event:
             </label>
             <select
               id="eventSelect"
               value={selectedEvent}
-              onChange={e => setSelectedEvent(e.target.value)}
+              onChange={e => { setSelectedEvent(e.target.value); setUploadResult(null); }}
               required
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
               aria-describedby="eventSelectHelp"
@@ -124,7 +202,7 @@ function BulkEnrollmentPage() {
               ))}
             </select>
             <p id="eventSelectHelp" className="text-xs text-gray-500 mt-1">
-              Select the event for which to enroll students.
+              The courses in the file must belong to this event.
             </p>
           </div>
           <div>
@@ -135,13 +213,13 @@ function BulkEnrollmentPage() {
               id="csvSelect"
               type="file"
               accept=".csv"
-              onChange={e => setCsvFile(e.target.files[0])}
+              onChange={e => { setCsvFile(e.target.files[0]); setUploadResult(null); }}
               required
               className="w-full p-2 border border-gray-300 rounded-lg file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-indigo-100 file:text-indigo-700 hover:file:bg-indigo-200 transition"
               aria-describedby="csvSelectHelp"
             />
             <p id="csvSelectHelp" className="text-xs text-gray-500 mt-1">
-              Upload a CSV file with student enrollment details.
+              Upload a CSV file with the columns listed above.
             </p>
           </div>
           <button
@@ -158,7 +236,7 @@ function BulkEnrollmentPage() {
                 Processing...
               </span>
             ) : (
-              'Upload and Enroll Students'
+              `Preview ${OPERATIONS[operation].label}`
             )}
           </button>
         </form>
@@ -166,23 +244,69 @@ function BulkEnrollmentPage() {
 
       {uploadResult && (
         <section className="p-6 bg-white rounded-xl shadow-lg">
-          <h2 className="text-xl font-semibold text-indigo-700 mb-4">Upload Results</h2>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-indigo-700">{isPreview ? 'Preview: Nothing Saved Yet' : 'Upload Results'}</h2>
+            <button onClick={handleDownloadResults} className="flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-semibold">
+              <Download className="w-4 h-4 mr-1" />
+              Download {isPreview ? 'Preview' : 'Results'}
+            </button>
+          </div>
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             <div className="p-4 bg-green-100 rounded-lg flex items-center space-x-2">
               <CheckCircle className="w-6 h-6 text-green-700" />
               <div>
                 <p className="text-2xl font-bold text-green-700">{uploadResult.successes.length}</p>
-                <p className="text-sm font-medium text-green-600">Successful Enrollments</p>
+                <p className="text-sm font-medium text-green-600">{isPreview ? 'Rows That Will Succeed' : 'Successful Rows'}</p>
               </div>
             </div>
             <div className="p-4 bg-red-100 rounded-lg flex items-center space-x-2">
               <XCircle className="w-6 h-6 text-red-700" />
               <div>
                 <p className="text-2xl font-bold text-red-700">{uploadResult.failures.length}</p>
-                <p className="text-sm font-medium text-red-600">Failed Rows</p>
+                <p className="text-sm font-medium text-red-600">{isPreview ? 'Rows That Will Fail' : 'Failed Rows'}</p>
               </div>
             </div>
           </div>
+          {isPreview && (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <button
+                onClick={() => sendFile(false)}
+                disabled={isUploading || uploadResult.successes.length === 0}
+                className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+              >
+                Confirm: {OPERATIONS[operation].label} {uploadResult.successes.length} Row(s)
+              </button>
+              <button onClick={() => setUploadResult(null)} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">Cancel</button>
+              <span className="text-xs text-gray-500">The file is checked again on confirm, so seats taken meanwhile are reported.</span>
+            </div>
+          )}
+          {uploadResult.successes.length > 0 && (
+            <div className="mt-6">
+              <h3 className="font-semibold text-gray-700 mb-2">{isPreview ? `Will Be ${OPERATIONS[operation].doneLabel}:` : `${OPERATIONS[operation].doneLabel}:`}</h3>
+              <div className="bg-gray-50 p-4 rounded-lg max-h-64 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-100 sticky top-0">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Username</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Slot</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {uploadResult.successes.map(success => (
+                      <tr key={success.row} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 text-sm text-gray-600">{success.row}</td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{success.username}</td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{describeCourse(success)}</td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{describeSlot(success)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
           {uploadResult.failures.length > 0 && (
             <div className="mt-6">
               <h3 className="font-semibold text-gray-700 mb-2">Failure Details:</h3>
@@ -192,7 +316,7 @@ function BulkEnrollmentPage() {
                     <tr>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Username</th>
-                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Course Title</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
                       <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
                     </tr>
                   </thead>
@@ -201,7 +325,7 @@ function BulkEnrollmentPage() {
                       <tr key={i} className="hover:bg-gray-50">
                         <td className="px-4 py-2 text-sm text-gray-600">{fail.row}</td>
                         <td className="px-4 py-2 text-sm text-gray-600">{fail.username}</td>
-                        <td className="px-4 py-2 text-sm text-gray-600">{fail.courseTitle}</td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{describeCourse(fail)}</td>
                         <td className="px-4 py-2 text-sm text-red-600">{fail.reason}</td>
                       </tr>
                     ))}
@@ -210,6 +334,12 @@ function BulkEnrollmentPage() {
               </div>
             </div>
           )}
+          {uploadResult.promoted?.length > 0 && (
+            <p className="mt-4 text-sm text-gray-600">
+              {isPreview ? 'Will be promoted from waitlists' : 'Promoted from waitlists'}:{' '}
+              {uploadResult.promoted.map(p => `${p.username} (${p.courseTitle} #${p.slotId})`).join(', ')}
+            </p>
+          )}
         </section>
       )}
     </div>
@@ -1,42 +1,111 @@
 // src/pages/CatalogManagementPage.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import api from '../services/api';
 
+// Readable form of one prerequisite rule, with its courses populated.
+const describeRule = (rule) => {
+    const count = rule.minCount || 1;
+    if (rule.tag) return `${count === 1 ? 'One course' : `${count} courses`} tagged "${rule.tag}"`;
+    const titles = (rule.courses || []).map(c => c.title);
+    if (count >= titles.length) return titles.join(', ');
+    return `${count === 1 ? 'One' : count} of ${titles.join(', ')}`;
+};
+
+// A rule is edited either as a course list or as a tag; only the active one is saved.
+const toEditableRule = (rule) => ({
+    mode: rule.tag ? 'tag' : 'courses',
+    courses: (rule.courses || []).map(c => c._id || c),
+    tag: rule.tag || '',
+    minCount: rule.minCount || 1,
+});
+
 // Reusable Modal for Creating/Editing a Course in the Catalog
-const CatalogCourseModal = ({ isOpen, onClose, onSave, courseToEdit, allCourses }) => {
+const CatalogCourseModal = ({ isOpen, onClose, onSave, courseToEdit, allCourses, exclusiveGroups }) => {
     const [title, setTitle] = useState('');
     const [description, setDescription] = useState('');
     const [prerequisites, setPrerequisites] = useState([]);
+    const [rules, setRules] = useState([]);
+    const [tags, setTags] = useState('');
+    const [exclusiveGroup, setExclusiveGroup] = useState('');
 
     useEffect(() => {
         if (isOpen) {
             setTitle(courseToEdit?.title || '');
             setDescription(courseToEdit?.description || '');
             setPrerequisites(courseToEdit?.prerequisites?.map(p => p._id) || []);
+            setRules((courseToEdit?.prerequisiteRules || []).map(toEditableRule));
+            setTags((courseToEdit?.tags || []).join(', '));
+            setExclusiveGroup(courseToEdit?.exclusiveGroup || '');
         }
     }, [isOpen, courseToEdit]);
 
     if (!isOpen) return null;
     
     const handleSave = () => {
-        onSave({ _id: courseToEdit?._id, title, description, prerequisites });
+        const prerequisiteRules = rules.map(r => (r.mode === 'tag' ? { tag: r.tag.trim(), minCount: Number(r.minCount) } : { courses: r.courses, minCount: Number(r.minCount) }));
+        onSave({ _id: courseToEdit?._id, title, description, prerequisites, prerequisiteRules, tags, exclusiveGroup: exclusiveGroup.trim() });
     };
 
+    const updateRule = (index, changes) => setRules(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
     const availablePrereqs = allCourses.filter(c => c._id !== courseToEdit?._id);
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
-            <div className="bg-white p-6 rounded-lg w-full max-w-xl" onClick={e => e.stopPropagation()}>
+            <div className="bg-white p-6 rounded-lg w-full max-w-xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
                 <h3 className="text-xl font-semibold mb-4">{courseToEdit ? 'Edit Course' : 'Create New Course'}</h3>
                 <div className="space-y-4">
                     <div><label>Title</label><input value={title} onChange={e => setTitle(e.target.value)} className="w-full p-2 border rounded"/></div>
                     <div><label>Description</label><textarea value={description} onChange={e => setDescription(e.target.value)} rows="3" className="w-full p-2 border rounded"/></div>
                     <div>
-                        <label>Prerequisites (Ctrl/Cmd to select multiple)</label>
-                        <select multiple value={prerequisites} onChange={e => setPrerequisites(Array.from(e.target.selectedOptions, o => o.value))} className="w-full h-40 p-2 border rounded">
+                        <label>Exclusive Group (optional)</label>
+                        <input value={exclusiveGroup} onChange={e => setExclusiveGroup(e.target.value)} list="exclusive-group-options" placeholder="e.g. Networking" className="w-full p-2 border rounded"/>
+                        <datalist id="exclusive-group-options">
+                            {exclusiveGroups.map(g => <option key={g.name} value={g.name} />)}
+                        </datalist>
+                        <p className="text-xs text-gray-500 mt-1">Students can take only one course from the same group. Leave empty for none.</p>
+                    </div>
+                    <div>
+                        <label>Tags (comma separated, optional)</label>
+                        <input value={tags} onChange={e => setTags(e.target.value)} placeholder="e.g. Networking, Security" className="w-full p-2 border rounded"/>
+                        <p className="text-xs text-gray-500 mt-1">Prerequisite rules of other courses can ask for a number of courses with a tag.</p>
+                    </div>
+                    <div>
+                        <label>Required Courses: all of these (Ctrl/Cmd to select multiple)</label>
+                        <select multiple value={prerequisites} onChange={e => setPrerequisites(Array.from(e.target.selectedOptions, o => o.value))} className="w-full h-32 p-2 border rounded">
                             {availablePrereqs.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
                         </select>
                     </div>
+                    <div>
+                        <div className="flex justify-between items-center">
+                            <label>Additional Rules: each must also be met</label>
+                            <button type="button" onClick={() => setRules(prev => [...prev, { mode: 'courses', courses: [], tag: '', minCount: 1 }])} className="text-sm text-indigo-600 font-semibold">+ Add Rule</button>
+                        </div>
+                        {rules.length === 0 && <p className="text-xs text-gray-500">e.g. "one of Cisco 1 or CCNA Basics", or "any two courses tagged Networking".</p>}
+                        <div className="space-y-3 mt-2">
+                            {rules.map((rule, index) => (
+                                <div key={index} className="p-3 border rounded bg-gray-50 space-y-2">
+                                    <div className="flex items-center gap-2 text-sm">
+                                        <span>At least</span>
+                                        <input type="number" min="1" value={rule.minCount} onChange={e => updateRule(index, { minCount: e.target.value })} className="w-16 p-1 border rounded"/>
+                                        <span>of</span>
+                                        <select value={rule.mode} onChange={e => updateRule(index, { mode: e.target.value })} className="p-1 border rounded">
+                                            <option value="courses">these courses</option>
+                                            <option value="tag">the courses tagged</option>
+                                        </select>
+                                        <button type="button" onClick={() => setRules(prev => prev.filter((_, i) => i !== index))} className="ml-auto text-red-600 text-xs font-semibold">Remove</button>
+                                    </div>
+                                    {rule.mode === 'tag' ? (
+                                        <input value={rule.tag} onChange={e => updateRule(index, { tag: e.target.value })} placeholder="Tag, e.g. Networking" className="w-full p-2 border rounded text-sm"/>
+                                    ) : (
+                                        <select multiple value={rule.courses} onChange={e => updateRule(index, { courses: Array.from(e.target.selectedOptions, o => o.value) })} className="w-full h-24 p-2 border rounded text-sm">
+                                            {availablePrereqs.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
+                                        </select>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
                 </div>
                 <div className="mt-6 flex justify-end space-x-4">
                     <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Cancel</button>
@@ -47,17 +116,222 @@ const CatalogCourseModal = ({ isOpen, onClose, onSave, courseToEdit, allCourses
     );
 };
 
+// Shows what uses a course before it is deleted and lets the admin pick how: a course nothing uses is
+// simply trashed; one in use is either cascaded (its offerings and enrollments go) or replaced.
+const DeleteCourseModal = ({ course, allCourses, onClose, onDeleted }) => {
+    const [report, setReport] = useState(null);
+    const [mode, setMode] = useState('cascade');
+    const [replacementId, setReplacementId] = useState('');
+    const [error, setError] = useState('');
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    useEffect(() => {
+        if (!course) return;
+        setReport(null);
+        setMode('cascade');
+        setReplacementId('');
+        setError('');
+        api.get(`catalog/courses/${course._id}/dependencies`)
+            .then(res => setReport(res.data.data))
+            .catch(err => setError(err.error || 'Could not check what uses this course.'));
+    }, [course]);
+
+    if (!course) return null;
+
+    const handleDelete = async () => {
+        setIsDeleting(true);
+        setError('');
+        try {
+            const params = report?.hasDependencies ? { mode, ...(mode === 'replace' && { replacementId }) } : { mode: 'block' };
+            const res = await api.delete(`catalog/courses/${course._id}`, { params });
+            onDeleted(res.data.message);
+        } catch (err) {
+            setError(err.error || 'Could not delete course.');
+            // A blocked delete sends back the current report (something may have started using the course).
+            if (err.details?.requiredBy) setReport({ ...err.details, hasDependencies: true });
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
+    const replacementOptions = allCourses.filter(c => c._id !== course._id);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4">
+            <div className="bg-white p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <h3 className="text-xl font-semibold mb-4">Delete "{course.title}"</h3>
+                {!report && !error && <p className="text-gray-500">Checking what uses this course...</p>}
+                {report && !report.hasDependencies && (
+                    <p>Nothing uses this course. It will be moved to the trash and can be restored from the Trash page.</p>
+                )}
+                {report?.hasDependencies && (
+                    <div className="space-y-4 text-sm">
+                        <p>This course is still in use:</p>
+                        {report.events.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold">Offered in {report.events.length} event(s)</h4>
+                                <ul className="list-disc list-inside">
+                                    {report.events.map(e => (
+                                        <li key={e._id}>{e.name}{e.department ? ` (${e.department})` : ''}: {e.enrolledCount} enrolled{e.inTrash ? ' · in the trash' : e.isOpen ? ' · open' : ''}</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                        {report.requiredBy.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold">Prerequisite of {report.requiredBy.length} course(s)</h4>
+                                <p>{report.requiredBy.map(c => c.title).join(', ')}</p>
+                            </div>
+                        )}
+                        {report.students.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold">Held by {report.students.length} student(s)</h4>
+                                <div className="max-h-32 overflow-y-auto border rounded p-2 bg-gray-50">
+                                    {report.students.map(s => <div key={s._id}>{s.name} ({s.username}){s.eventName ? ` · ${s.eventName}` : ''}</div>)}
+                                </div>
+                            </div>
+                        )}
+                        {report.recordHolders?.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold">Prior credit or waiver held by {report.recordHolders.length} student(s)</h4>
+                                <div className="max-h-32 overflow-y-auto border rounded p-2 bg-gray-50">
+                                    {report.recordHolders.map(s => <div key={s._id}>{s.name} ({s.username}) · {[s.priorCredit && 'prior credit', ...s.waiverKinds.map(kind => (kind === 'credit' ? 'granted credit' : 'waiver'))].filter(Boolean).join(', ')}</div>)}
+                                </div>
+                            </div>
+                        )}
+                        <div className="space-y-2 pt-2 border-t">
+                            <label className="flex items-start gap-2">
+                                <input type="radio" name="delete-mode" checked={mode === 'cascade'} onChange={() => setMode('cascade')} className="mt-1" />
+                                <span><strong>Cascade:</strong> remove it from every event (un-enrolling its students) and from other courses' prerequisites. Prior credits and waivers are kept.</span>
+                            </label>
+                            <label className="flex items-start gap-2">
+                                <input type="radio" name="delete-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1" />
+                                <span><strong>Replace:</strong> put another course in its place everywhere; students keep their seats.</span>
+                            </label>
+                            {mode === 'replace' && (
+                                <select value={replacementId} onChange={e => setReplacementId(e.target.value)} className="w-full p-2 border rounded">
+                                    <option value="">-- Choose the replacement course --</option>
+                                    {replacementOptions.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
+                                </select>
+                            )}
+                        </div>
+                    </div>
+                )}
+                {error && <p className="mt-4 p-3 bg-red-100 text-red-700 rounded-md text-sm">{error}</p>}
+                <div className="mt-6 flex justify-end space-x-4">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded">Cancel</button>
+                    <button
+                        onClick={handleDelete}
+                        disabled={!report || isDeleting || (report.hasDependencies && mode === 'replace' && !replacementId)}
+                        className="px-4 py-2 bg-red-600 text-white rounded disabled:opacity-50"
+                    >
+                        {isDeleting ? 'Deleting...' : 'Move to Trash'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Follows `key` ('prerequisites' or 'dependents') from a course and returns every course reached.
+const collectTransitive = (nodesById, startId, key) => {
+    const seen = new Set();
+    const queue = [...(nodesById.get(startId)?.[key] || [])];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (seen.has(id)) continue;
+        seen.add(id);
+        queue.push(...(nodesById.get(id)?.[key] || []));
+    }
+    return seen;
+};
+
+// Prerequisite DAG laid out in topological levels, one column per level. Selecting a course
+// highlights what it needs (upstream) and what needs it (downstream).
+const PrerequisiteGraph = ({ graph }) => {
+    const [selectedId, setSelectedId] = useState(null);
+    const nodesById = useMemo(() => new Map(graph.nodes.map(n => [n._id, n])), [graph]);
+    const upstream = useMemo(() => (selectedId ? collectTransitive(nodesById, selectedId, 'prerequisites') : new Set()), [nodesById, selectedId]);
+    const downstream = useMemo(() => (selectedId ? collectTransitive(nodesById, selectedId, 'dependents') : new Set()), [nodesById, selectedId]);
+
+    if (graph.nodes.length === 0) return <p className="text-gray-500">The catalog is empty.</p>;
+
+    const columns = graph.levels.map((ids, level) => ({ title: level === 0 ? 'Level 0 · no prerequisites' : `Level ${level}`, ids }));
+    if (graph.cyclic.length > 0) columns.push({ title: 'In a cycle', ids: graph.cyclic, isCyclic: true });
+
+    const nodeClass = (id) => {
+        if (id === selectedId) return 'bg-indigo-600 text-white border-indigo-700';
+        if (upstream.has(id)) return 'bg-blue-100 border-blue-400';
+        if (downstream.has(id)) return 'bg-amber-100 border-amber-400';
+        return selectedId ? 'bg-white opacity-50' : 'bg-white hover:bg-gray-100';
+    };
+    const titles = (ids) => [...ids].map(id => nodesById.get(id)?.title).filter(Boolean).sort().join(', ') || 'None';
+    const selected = selectedId && nodesById.get(selectedId);
+
+    return (
+        <div className="space-y-4">
+            {graph.cyclic.length > 0 && (
+                <p className="p-3 bg-red-100 text-red-700 rounded-md text-sm">Some courses require each other in a cycle and can never be taken. Edit their prerequisites to break it.</p>
+            )}
+            <div className="flex gap-4 overflow-x-auto pb-2">
+                {columns.map(column => (
+                    <div key={column.title} className={`flex-shrink-0 w-56 p-3 rounded-lg ${column.isCyclic ? 'bg-red-50' : 'bg-gray-50'}`}>
+                        <h3 className="text-xs font-semibold uppercase text-gray-500 mb-2">{column.title}</h3>
+                        <div className="space-y-2">
+                            {column.ids.map(id => {
+                                const node = nodesById.get(id);
+                                return (
+                                    <button key={id} onClick={() => setSelectedId(id === selectedId ? null : id)} className={`w-full text-left p-2 border rounded text-sm ${nodeClass(id)}`}>
+                                        <span className="font-semibold block">{node.title}</span>
+                                        <span className="text-xs">{node.prerequisites.length} prereq · {node.dependents.length} dependent</span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                ))}
+            </div>
+            {selected ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                    <div className="p-3 border border-blue-300 rounded-lg bg-blue-50">
+                        <h4 className="font-semibold mb-1">Upstream: what {selected.title} needs</h4>
+                        <p><span className="font-medium">Direct:</span> {titles(selected.prerequisites)}</p>
+                        <p><span className="font-medium">All:</span> {titles(upstream)}</p>
+                    </div>
+                    <div className="p-3 border border-amber-300 rounded-lg bg-amber-50">
+                        <h4 className="font-semibold mb-1">Downstream: what needs {selected.title}</h4>
+                        <p><span className="font-medium">Direct:</span> {titles(selected.dependents)}</p>
+                        <p><span className="font-medium">All:</span> {titles(downstream)}</p>
+                    </div>
+                </div>
+            ) : (
+                <p className="text-sm text-gray-500">Select a course to see its upstream and downstream dependencies.</p>
+            )}
+        </div>
+    );
+};
+
 function CatalogManagementPage() {
     const [courses, setCourses] = useState([]);
+    const [exclusiveGroups, setExclusiveGroups] = useState([]);
+    const [graph, setGraph] = useState({ nodes: [], edges: [], levels: [], cyclic: [] });
     const [loading, setLoading] = useState(true);
     const [selectedCourse, setSelectedCourse] = useState(null);
     const [isModalOpen, setIsModalOpen] = useState(false);
+    const [courseToDelete, setCourseToDelete] = useState(null);
+    const [successMessage, setSuccessMessage] = useState('');
 
     const fetchCourses = useCallback(async () => {
         setLoading(true);
         try {
-            const response = await api.get('catalog/courses');
-            setCourses(response.data.data || []);
+            const [coursesRes, groupsRes, graphRes] = await Promise.all([
+                api.get('catalog/courses'),
+                api.get('catalog/courses/exclusive-groups'),
+                api.get('catalog/courses/prerequisite-graph')
+            ]);
+            setCourses(coursesRes.data.data || []);
+            setExclusiveGroups(groupsRes.data.data || []);
+            setGraph(graphRes.data.data);
         } catch (err) { console.error(err); }
         finally { setLoading(false); }
     }, []);
@@ -79,14 +353,11 @@ function CatalogManagementPage() {
         }
     };
 
-    const handleDeleteCourse = async (courseId, courseTitle) => {
-        if (!window.confirm(`Delete "${courseTitle}" from the catalog? This is permanent.`)) return;
-        try {
-            await api.delete(`catalog/courses/${courseId}`);
-            fetchCourses();
-        } catch (err) {
-             alert(err.error || "Could not delete course.");
-        }
+    const handleCourseDeleted = (message) => {
+        setCourseToDelete(null);
+        setSuccessMessage(message);
+        setTimeout(() => setSuccessMessage(''), 8000);
+        fetchCourses();
     };
 
     if (loading) return <div>Loading Course Catalog...</div>;
@@ -97,6 +368,7 @@ function CatalogManagementPage() {
                 <h1 className="text-3xl font-bold">Course Catalog Management</h1>
                 <button onClick={() => { setSelectedCourse(null); setIsModalOpen(true); }} className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg">Add New Course</button>
             </div>
+            {successMessage && <p className="p-3 bg-green-100 text-green-700 rounded-md">{successMessage}</p>}
             
             <section className="p-6 bg-white rounded-xl shadow-lg">
                 <div className="space-y-4">
@@ -105,28 +377,62 @@ function CatalogManagementPage() {
                             <div>
                                 <h3 className="font-bold text-lg">{course.title}</h3>
                                 <p className="text-sm text-gray-600">{course.description}</p>
-                                {(course.prerequisites || []).length > 0 && (
+                                {course.exclusiveGroup && (
+                                    <span className="inline-block mt-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">Group: {course.exclusiveGroup}</span>
+                                )}
+                                {(course.tags || []).map(tag => (
+                                    <span key={tag} className="inline-block mt-2 mr-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">#{tag}</span>
+                                ))}
+                                {((course.prerequisites || []).length > 0 || (course.prerequisiteRules || []).length > 0) && (
                                     <div className="text-xs mt-2">
                                         <span className="font-semibold">Prerequisites: </span>
-                                        <span>{course.prerequisites.map(p => p.title).join(', ')}</span>
+                                        <span>{[...(course.prerequisites || []).map(p => p.title), ...(course.prerequisiteRules || []).map(describeRule)].join('; ')}</span>
                                     </div>
                                 )}
                             </div>
                             <div className="space-x-4 flex-shrink-0 ml-4">
                                 <button onClick={() => { setSelectedCourse(course); setIsModalOpen(true); }} className="text-indigo-600 font-semibold">Edit</button>
-                                <button onClick={() => handleDeleteCourse(course._id, course.title)} className="text-red-600 font-semibold">Delete</button>
+                                <button onClick={() => setCourseToDelete(course)} className="text-red-600 font-semibold">Delete</button>
                             </div>
                         </div>
                     ))}
                 </div>
             </section>
             
+            <section className="p-6 bg-white rounded-xl shadow-lg">
+                <h2 className="text-2xl font-semibold mb-4">Prerequisite Graph</h2>
+                <PrerequisiteGraph graph={graph} />
+            </section>
+
+            <section className="p-6 bg-white rounded-xl shadow-lg">
+                <h2 className="text-2xl font-semibold mb-4">Exclusive Groups</h2>
+                {exclusiveGroups.length === 0 ? (
+                    <p className="text-gray-500">No exclusive groups defined. Set a group on a course to create one.</p>
+                ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {exclusiveGroups.map(group => (
+                            <div key={group.name} className="p-4 border rounded-lg bg-purple-50">
+                                <h3 className="font-bold text-purple-800">{group.name}</h3>
+                                <p className="text-sm text-gray-700">{group.courses.map(c => c.title).join(', ')}</p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </section>
+
             <CatalogCourseModal 
                 isOpen={isModalOpen}
                 onClose={() => setIsModalOpen(false)}
                 onSave={handleSaveCourse}
                 courseToEdit={selectedCourse}
                 allCourses={courses}
+                exclusiveGroups={exclusiveGroups}
+            />
+            <DeleteCourseModal
+                course={courseToDelete}
+                allCourses={courses}
+                onClose={() => setCourseToDelete(null)}
+                onDeleted={handleCourseDeleted}
             />
         </div>
     );
@@ -1,11 +1,119 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import api from '../services/api';
+import SlotSchedule from '../components/SlotSchedule';
+import { toDateTimeInput, fromDateTimeInput, formatDateTime } from '../utils/dateTime';
+import { RECURRENCE_FREQUENCIES, MAX_SESSIONS_PER_SLOT, slotSessions, expandRecurrence, describeRecurrence } from '../utils/slotSchedule';
 
-const initialOfferingState = { course: '', slots: [{ id: Date.now(), time: new Date().toISOString().slice(0, 16), maxCapacity: 10, isActive: true }] };
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+const newKey = () => Date.now() + Math.random();
+
+// Sessions are edited as datetime-local strings; they are turned back into instants on save.
+const toEditableSession = (session) => ({
+    key: newKey(),
+    start: toDateTimeInput(session.start),
+    end: toDateTimeInput(session.end || new Date(new Date(session.start).getTime() + HOUR_MS)),
+    venue: session.venue || '',
+});
+
+const newSlot = () => ({ key: newKey(), maxCapacity: 10, isActive: true, room: '', instructors: [], recurrence: null, sessions: [toEditableSession({ start: new Date() })] });
+
+const initialOfferingState = { course: '', instructors: [], slots: [newSlot()] };
+
+// One line per clash reported by the server when saving (see services/resources.js).
+const describeClash = (clash) => {
+    const who = clash.resource?.name || (clash.resource?.kind === 'room' ? 'The room' : 'An instructor');
+    if (clash.type === 'INSTRUCTOR_OVERLOADED') return `${who} would teach ${clash.hours} h in the week of ${new Date(clash.weekOf).toLocaleDateString()} (limit ${clash.limit} h).`;
+    const at = `Slot #${clash.slotId}, ${formatDateTime(clash.sessionStart)}`;
+    if (!clash.with) return `${at}: ${who} is not available at that time.`;
+    const other = clash.with.sameOffering ? `slot #${clash.with.slotId} of this offering` : `${clash.with.courseTitle || 'another course'} slot #${clash.with.slotId} in ${clash.with.eventName}`;
+    return `${at}: ${who} is also booked for ${other} (${formatDateTime(clash.with.sessionStart)}).`;
+};
+
+// Generator defaults: the saved rule, or a weekly series starting at the slot's first session.
+const initialRule = (slot) => {
+    const r = slot.recurrence;
+    if (r) return { startsAt: toDateTimeInput(r.startsAt), durationMinutes: r.durationMinutes, frequency: r.frequency, interval: r.interval || 1, count: r.count || '', until: r.until ? toDateTimeInput(r.until).slice(0, 10) : '', venue: r.venue || '' };
+    const first = slot.sessions[0];
+    const minutes = first && first.start && first.end ? Math.round((new Date(first.end) - new Date(first.start)) / 60000) : 60;
+    return { startsAt: first?.start || toDateTimeInput(new Date()), durationMinutes: minutes > 0 ? minutes : 60, frequency: 'weekly', interval: 1, count: 10, until: '', venue: first?.venue || '' };
+};
+
+// Sessions of one slot: edit them one by one, or generate a recurring series that replaces them.
+const SlotScheduleEditor = ({ slot, onChange }) => {
+    const [showGenerator, setShowGenerator] = useState(false);
+    const [rule, setRule] = useState(() => initialRule(slot));
+    const [generatorError, setGeneratorError] = useState('');
+    const { sessions } = slot;
+
+    const updateSession = (index, field, value) => onChange({ sessions: sessions.map((s, i) => (i === index ? { ...s, [field]: value } : s)) });
+    const removeSession = (index) => { if (sessions.length > 1) onChange({ sessions: sessions.filter((_, i) => i !== index) }); };
+    // A new session defaults to a week after the last one, the usual pattern for a course.
+    const addSession = () => {
+        const last = sessions[sessions.length - 1];
+        const start = last ? new Date(new Date(last.start).getTime() + WEEK_MS) : new Date();
+        const end = last ? new Date(new Date(last.end).getTime() + WEEK_MS) : new Date(start.getTime() + HOUR_MS);
+        onChange({ sessions: [...sessions, { ...toEditableSession({ start, end }), venue: last?.venue || '' }] });
+    };
+
+    const handleGenerate = () => {
+        const durationMinutes = parseInt(rule.durationMinutes, 10);
+        const interval = parseInt(rule.interval, 10) || 1;
+        const count = parseInt(rule.count, 10) || undefined;
+        if (!rule.startsAt || !(durationMinutes > 0)) { setGeneratorError('Give the first session start and a duration.'); return; }
+        if (!count && !rule.until) { setGeneratorError('Give a number of sessions or an end date.'); return; }
+        const generated = expandRecurrence({ ...rule, startsAt: new Date(rule.startsAt), durationMinutes, interval, count });
+        if (generated.length === 0) { setGeneratorError('The end date is before the first session.'); return; }
+        if (generated.length > MAX_SESSIONS_PER_SLOT) { setGeneratorError(`A slot can have at most ${MAX_SESSIONS_PER_SLOT} sessions.`); return; }
+        setGeneratorError('');
+        setShowGenerator(false);
+        onChange({
+            sessions: generated.map(toEditableSession),
+            recurrence: { frequency: rule.frequency, interval, startsAt: fromDateTimeInput(rule.startsAt), durationMinutes, count, until: rule.until ? new Date(`${rule.until}T23:59:59`).toISOString() : undefined, venue: rule.venue.trim() || undefined },
+        });
+    };
+
+    return (
+        <div className="md:col-span-4 space-y-2">
+            <div className="flex justify-between items-center">
+                <label className="text-xs font-medium">Sessions ({sessions.length}){slot.recurrence && <span className="ml-2 font-normal text-gray-500">Generated: {describeRecurrence(slot.recurrence)}</span>}</label>
+                <button type="button" onClick={() => setShowGenerator(v => !v)} className="text-xs text-indigo-600 hover:underline">{showGenerator ? 'Hide generator' : 'Generate recurring sessions'}</button>
+            </div>
+            {showGenerator && (
+                <div className="p-3 bg-indigo-50 rounded-md grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                    <div className="col-span-2"><label className="font-medium">First session starts</label><input type="datetime-local" value={rule.startsAt} onChange={e => setRule(p => ({ ...p, startsAt: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div><label className="font-medium">Duration (min)</label><input type="number" min="1" max="1440" value={rule.durationMinutes} onChange={e => setRule(p => ({ ...p, durationMinutes: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div><label className="font-medium">Venue</label><input value={rule.venue} maxLength={100} onChange={e => setRule(p => ({ ...p, venue: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div><label className="font-medium">Repeats</label><select value={rule.frequency} onChange={e => setRule(p => ({ ...p, frequency: e.target.value }))} className="w-full p-1 border rounded-md mt-1">{RECURRENCE_FREQUENCIES.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}</select></div>
+                    <div><label className="font-medium">Every</label><input type="number" min="1" max="52" value={rule.interval} onChange={e => setRule(p => ({ ...p, interval: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div><label className="font-medium">Sessions</label><input type="number" min="1" max={MAX_SESSIONS_PER_SLOT} value={rule.count} onChange={e => setRule(p => ({ ...p, count: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div><label className="font-medium">Or until</label><input type="date" value={rule.until} onChange={e => setRule(p => ({ ...p, until: e.target.value }))} className="w-full p-1 border rounded-md mt-1" /></div>
+                    <div className="col-span-2 md:col-span-4 flex items-center justify-between">
+                        <p className="text-gray-600">Replaces this slot's sessions. With both a count and an end date, the series stops at whichever comes first.</p>
+                        <button type="button" onClick={handleGenerate} className="ml-2 px-3 py-1 bg-indigo-600 text-white rounded-md">Generate</button>
+                    </div>
+                    {generatorError && <p className="col-span-2 md:col-span-4 text-red-600">{generatorError}</p>}
+                </div>
+            )}
+            <div className="max-h-48 overflow-y-auto space-y-1">
+                {sessions.map((session, index) => (
+                    <div key={session.key} className="grid grid-cols-12 gap-2 items-center text-xs">
+                        <input type="datetime-local" value={session.start} onChange={e => updateSession(index, 'start', e.target.value)} required aria-label="Session start" className="col-span-4 p-1 border rounded-md" />
+                        <input type="datetime-local" value={session.end} onChange={e => updateSession(index, 'end', e.target.value)} required aria-label="Session end" className="col-span-4 p-1 border rounded-md" />
+                        <input value={session.venue} maxLength={100} onChange={e => updateSession(index, 'venue', e.target.value)} placeholder="Venue" aria-label="Session venue" className="col-span-3 p-1 border rounded-md" />
+                        {sessions.length > 1 && <button type="button" onClick={() => removeSession(index)} className="text-red-500 font-bold hover:text-red-700" aria-label="Remove session">×</button>}
+                    </div>
+                ))}
+            </div>
+            <button type="button" onClick={addSession} className="text-xs text-indigo-600 hover:underline">+ Add Session</button>
+        </div>
+    );
+};
 
 // This single, smart modal handles both Creating a new Offering and Editing an existing one.
-const CourseOfferingModal = ({ isOpen, onClose, onSave, offeringToEdit, catalogCourses, existingCourseIdsInEvent }) => {
+const CourseOfferingModal = ({ isOpen, onClose, onSave, offeringToEdit, catalogCourses, existingCourseIdsInEvent, facultyList, venues, clashes }) => {
     const [offeringData, setOfferingData] = useState(initialOfferingState);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
@@ -15,11 +123,14 @@ const CourseOfferingModal = ({ isOpen, onClose, onSave, offeringToEdit, catalogC
             setError('');
             if (offeringToEdit) {
                 const editableSlots = (offeringToEdit.slots || []).map(s => ({
-                    ...s, 
-                    time: new Date(s.time).toISOString().slice(0, 16),
-                    key: s._id || Date.now() + Math.random()
+                    ...s,
+                    sessions: slotSessions(s).map(toEditableSession),
+                    recurrence: s.recurrence || null,
+                    room: s.room?._id || s.room || '',
+                    instructors: (s.instructors || []).map(String),
+                    key: s._id || newKey()
                 }));
-                setOfferingData({ ...offeringToEdit, course: offeringToEdit.course._id, slots: editableSlots });
+                setOfferingData({ ...offeringToEdit, course: offeringToEdit.course._id, instructors: (offeringToEdit.instructors || []).map(String), slots: editableSlots });
             } else {
                 setOfferingData(initialOfferingState);
             }
@@ -34,20 +145,31 @@ const CourseOfferingModal = ({ isOpen, onClose, onSave, offeringToEdit, catalogC
         slots[index] = { ...slots[index], [field]: finalValue };
         setOfferingData(p => ({ ...p, slots }));
     };
-    const addSlot = () => setOfferingData(p => ({ ...p, slots: [...p.slots, { key: Date.now(), time: new Date().toISOString().slice(0,16), maxCapacity: 10, isActive: true }]}));
+    const handleScheduleChange = (index, changes) => setOfferingData(p => ({ ...p, slots: p.slots.map((s, i) => (i === index ? { ...s, ...changes } : s)) }));
+    const addSlot = () => setOfferingData(p => ({ ...p, slots: [...p.slots, newSlot()]}));
     const removeSlot = (index) => { if (offeringData.slots.length > 1) setOfferingData(p => ({...p, slots: p.slots.filter((_, i) => i !== index)})); };
     const handleCourseSelection = (e) => setOfferingData(p => ({ ...p, course: e.target.value }));
+    // Removing an offering instructor also takes them off any slot they were assigned to.
+    const toggleInstructor = (facultyId) => setOfferingData(p => (p.instructors.includes(facultyId)
+        ? { ...p, instructors: p.instructors.filter(id => id !== facultyId), slots: p.slots.map(s => ({ ...s, instructors: (s.instructors || []).filter(id => id !== facultyId) })) }
+        : { ...p, instructors: [...p.instructors, facultyId] }));
+    const toggleSlotInstructor = (index, facultyId) => {
+        const current = offeringData.slots[index].instructors || [];
+        handleScheduleChange(index, { instructors: current.includes(facultyId) ? current.filter(id => id !== facultyId) : [...current, facultyId] });
+    };
+    const venueById = new Map(venues.map(v => [v._id, v]));
+    const facultyNames = new Map(facultyList.map(f => [f._id, f.name]));
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const save = async (allowClashes) => {
         if (!offeringData.course) { setError('You must select a course from the catalog.'); return; }
         setIsSubmitting(true);
         try { 
-            await onSave(offeringData); 
+            await onSave(offeringData, allowClashes); 
         } finally { 
             setIsSubmitting(false); 
         }
     };
+    const handleSubmit = (e) => { e.preventDefault(); save(false); };
     
     const availableCourses = catalogCourses.filter(c => !existingCourseIdsInEvent.includes(c._id));
 
@@ -74,20 +196,55 @@ const CourseOfferingModal = ({ isOpen, onClose, onSave, offeringToEdit, catalogC
                         {availableCourses.length === 0 && !offeringToEdit && <p className="text-xs text-gray-500 mt-1">All catalog courses are already in this event.</p>}
                     </div>
                     
+                    <fieldset className="border p-4 rounded-lg"><legend>Instructors</legend>
+                        {facultyList.length === 0 ? <p className="text-xs text-gray-500">No faculty accounts exist yet. Create them from Admin Accounts.</p> : (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                                {facultyList.map(f => (
+                                    <label key={f._id} className="flex items-center text-sm"><input type="checkbox" checked={offeringData.instructors.includes(f._id)} onChange={() => toggleInstructor(f._id)} className="h-4 w-4 mr-2"/>{f.name} <span className="ml-1 text-gray-500">({f.username})</span></label>
+                                ))}
+                            </div>
+                        )}
+                        <p className="text-xs text-gray-500 mt-2">Instructors can view this offering's class roster.</p>
+                    </fieldset>
+
                     <fieldset className="border p-4 rounded-lg"><legend>Define Slots for this Offering</legend>
                         {offeringData.slots.map((slot, index) => (
                            <div key={slot.key || index} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-center mb-2 p-2 border-t relative">
-                                <div className="md:col-span-2"><label className="text-xs font-medium">Time & Date</label><input type="datetime-local" value={slot.time} onChange={e => handleSlotChange(index, 'time', e.target.value)} required className="w-full p-2 border rounded-md mt-1" /></div>
-                                <div><label className="text-xs font-medium">Capacity</label><input type="number" value={slot.maxCapacity} min="1" onChange={e => handleSlotChange(index, 'maxCapacity', e.target.value)} placeholder="Cap" required className="w-full p-2 border rounded-md mt-1" /></div>
+                                <div className="md:col-span-4 text-sm font-medium">{slot.id ? `Slot #${slot.id}` : 'New slot'}</div>
+                                <div className="md:col-span-2"><label className="text-xs font-medium">Room</label>
+                                    <select value={slot.room || ''} onChange={e => handleSlotChange(index, 'room', e.target.value)} className="w-full p-2 border rounded-md mt-1">
+                                        <option value="">-- No room --</option>
+                                        {venues.map(v => <option key={v._id} value={v._id}>{v.name}{v.building ? ` (${v.building})` : ''}, {v.capacity} seats</option>)}
+                                    </select>
+                                </div>
+                                <div><label className="text-xs font-medium">Capacity</label><input type="number" value={slot.maxCapacity} min="1" max={venueById.get(slot.room)?.capacity} title={slot.room ? 'Capped by the room size' : undefined} onChange={e => handleSlotChange(index, 'maxCapacity', e.target.value)} placeholder="Cap" required className="w-full p-2 border rounded-md mt-1" /></div>
                                 <div className="flex items-center justify-between pt-5">
                                   <label className="flex items-center"><input type="checkbox" checked={slot.isActive} onChange={e => handleSlotChange(index, 'isActive', e.target.checked)} className="h-4 w-4 mr-2"/> Active</label>
                                   {offeringData.slots.length > 1 && (<button type="button" onClick={() => removeSlot(index)} className="text-red-500 font-bold hover:text-red-700">X</button>)}
                                 </div>
+                                {offeringData.instructors.length > 1 && (
+                                    <div className="md:col-span-4 text-xs"><span className="font-medium mr-2">Taught by</span>
+                                        {offeringData.instructors.map(id => (
+                                            <label key={id} className="inline-flex items-center mr-3"><input type="checkbox" checked={(slot.instructors || []).includes(id)} onChange={() => toggleSlotInstructor(index, id)} className="h-3 w-3 mr-1" />{facultyNames.get(id) || 'Unknown'}</label>
+                                        ))}
+                                        <span className="text-gray-500">(none ticked: all of the offering's instructors)</span>
+                                    </div>
+                                )}
+                                <SlotScheduleEditor slot={slot} onChange={changes => handleScheduleChange(index, changes)} />
                             </div>
                         ))}
                         <button type="button" onClick={addSlot} className="mt-2 p-2 text-sm bg-indigo-100 text-indigo-700 rounded-md hover:bg-indigo-200">+ Add Slot</button>
                     </fieldset>
                     {error && <p className="text-sm text-red-600">{error}</p>}
+                    {clashes.length > 0 && (
+                        <div className="p-3 bg-yellow-50 border border-yellow-300 rounded-md text-sm">
+                            <p className="font-semibold text-yellow-800 mb-1">{clashes.length} room or instructor clash(es):</p>
+                            <ul className="list-disc list-inside space-y-0.5 text-yellow-800 max-h-40 overflow-y-auto">
+                                {clashes.map((clash, i) => <li key={i}>{describeClash(clash)}</li>)}
+                            </ul>
+                            <button type="button" onClick={() => save(true)} disabled={isSubmitting} className="mt-2 px-3 py-1 bg-yellow-600 text-white rounded-md disabled:opacity-50">Save anyway</button>
+                        </div>
+                    )}
                 </div>
                 <div className="mt-6 flex justify-end space-x-4">
                     <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-lg">Cancel</button>
@@ -103,24 +260,31 @@ function CourseManagementPage() {
     const { eventId } = useParams();
     const [event, setEvent] = useState(null);
     const [catalogCourses, setCatalogCourses] = useState([]);
+    const [facultyList, setFacultyList] = useState([]);
     const [loading, setLoading] = useState(true);
     const [uiMessage, setUiMessage] = useState({ type: '', text: '' });
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [offeringToEdit, setOfferingToEdit] = useState(null);
+    const [venues, setVenues] = useState([]);
+    const [clashes, setClashes] = useState([]);
 
     const setTimedMessage = (type, text, duration = 5000) => { setUiMessage({ type, text }); setTimeout(() => setUiMessage({ type: '', text: '' }), duration); };
 
     const fetchData = useCallback(async () => {
         if (!event) setLoading(true);
         try {
-            const [eventRes, catalogRes] = await Promise.all([
+            const [eventRes, catalogRes, facultyRes, venueRes] = await Promise.all([
                 api.get(`events/${eventId}`),
-                api.get('catalog/courses')
+                api.get('catalog/courses'),
+                api.get('users/faculty'),
+                api.get('resources/venues')
             ]);
             if (eventRes.data.success) setEvent(eventRes.data.data);
             else setTimedMessage('error', eventRes.data.error);
             if (catalogRes.data.success) setCatalogCourses(catalogRes.data.data);
             else setTimedMessage('error', catalogRes.data.error);
+            if (facultyRes.data.success) setFacultyList(facultyRes.data.data);
+            if (venueRes.data.success) setVenues(venueRes.data.data);
         } catch (err) { setTimedMessage('error', err.error || "Failed to load page data."); }
         finally { setLoading(false); }
     }, [eventId, event]);
@@ -129,11 +293,17 @@ function CourseManagementPage() {
 
     // --- THE FIX IS HERE (PART 1) ---
     // The API call paths are now unified to use `/courses`.
-    const handleAddOrUpdateOffering = async (offeringData) => {
+    const handleAddOrUpdateOffering = async (offeringData, allowClashes = false) => {
         try {
             const payload = {
                 course: offeringData.course,
-                slots: offeringData.slots.map(({ key, ...rest }) => rest) // Remove temporary React key before sending
+                instructors: offeringData.instructors,
+                allowClashes,
+                // Remove temporary React keys before sending; the server derives `time` from the sessions.
+                slots: offeringData.slots.map(({ key, time, sessions, ...rest }) => ({
+                    ...rest,
+                    sessions: sessions.map(s => ({ start: fromDateTimeInput(s.start), end: fromDateTimeInput(s.end), venue: s.venue })),
+                }))
             };
 
             const response = offeringToEdit 
@@ -144,9 +314,14 @@ function CourseManagementPage() {
                 setTimedMessage('success', offeringToEdit ? 'Course offering updated!' : 'Course offering added!');
                 setIsModalOpen(false);
                 setOfferingToEdit(null);
+                setClashes([]);
                 fetchData();
             } else { setTimedMessage('error', response.data.error); }
-        } catch (err) { setTimedMessage('error', err.error); }
+        } catch (err) {
+            // Clashes keep the modal open so the admin can adjust the schedule or save anyway.
+            if (err.details?.clashes) { setClashes(err.details.clashes); return; }
+            setTimedMessage('error', err.error);
+        }
     };
 
     const handleDeleteCourseOffering = async (offeringId, courseTitle) => {
@@ -159,8 +334,10 @@ function CourseManagementPage() {
     };
     // --- END OF FIX (PART 1) ---
 
-    const openCreateModal = () => { setOfferingToEdit(null); setIsModalOpen(true); };
-    const openEditModal = (offering) => { setOfferingToEdit(offering); setIsModalOpen(true); };
+    const openCreateModal = () => { setOfferingToEdit(null); setClashes([]); setIsModalOpen(true); };
+    const openEditModal = (offering) => { setOfferingToEdit(offering); setClashes([]); setIsModalOpen(true); };
+
+    const facultyNameMap = useMemo(() => new Map(facultyList.map(f => [f._id, f.name])), [facultyList]);
 
     const courseTitleMap = useMemo(() => {
         const map = new Map();
@@ -182,8 +359,8 @@ function CourseManagementPage() {
                     <button onClick={openCreateModal} className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700">Add Course Offering</button>
                 </div>
             </div>
-            {uiMessage.error && <p className="p-3 my-4 bg-red-100 text-red-700 rounded-md">{uiMessage.error}</p>}
-            {uiMessage.success && <p className="p-3 my-4 bg-green-100 text-green-700 rounded-md">{uiMessage.success}</p>}
+            {uiMessage.type === 'error' && <p className="p-3 my-4 bg-red-100 text-red-700 rounded-md">{uiMessage.text}</p>}
+            {uiMessage.type === 'success' && <p className="p-3 my-4 bg-green-100 text-green-700 rounded-md">{uiMessage.text}</p>}
             
             <section className="p-6 bg-white rounded-xl shadow-lg">
                 <h2 className="text-2xl font-semibold mb-4">Offered Courses</h2>
@@ -199,6 +376,9 @@ function CourseManagementPage() {
                                     <div className="flex-1">
                                         <h3 className="font-bold text-lg text-gray-800">{courseInfo.title}</h3>
                                         <p className="text-sm text-gray-600 mt-1">{courseInfo.description}</p>
+                                        {(offering.instructors || []).length > 0 && (
+                                            <p className="text-sm text-gray-600 mt-1">Instructors: {offering.instructors.map(id => facultyNameMap.get(String(id)) || 'Unknown').join(', ')}</p>
+                                        )}
                                         <div className="mt-3 text-xs text-gray-500">
                                             <p className="font-semibold">{(offering.slots || []).length} slot(s) offered:</p>
                                             <ul className="list-disc list-inside pl-2">
@@ -206,9 +386,12 @@ function CourseManagementPage() {
                                                     // --- THE FIX IS HERE (PART 2) ---
                                                     // Added a unique key to the list item
                                                     <li key={slot._id}>
-                                                        {new Date(slot.time).toLocaleString()} - 
+                                                        Slot #{slot.id} - 
                                                         Capacity: {slot.maxCapacity} - 
                                                         Status: {slot.isActive ? 'Active' : 'Inactive'}
+                                                        {slot.room?.name && ` - Room: ${slot.room.name}`}
+                                                        {(slot.waitlist || []).length > 0 && ` - Waitlist: ${slot.waitlist.length}`}
+                                                        <SlotSchedule slot={slot} className="pl-5 text-xs text-gray-500" />
                                                     </li>
                                                 ))}
                                             </ul>
@@ -226,7 +409,7 @@ function CourseManagementPage() {
                                         </div>
                                     </div>
                                     <div className="space-x-4 flex-shrink-0 ml-4">
-                                        <button onClick={() => openEditModal(offering)} className="text-indigo-600 hover:underline font-semibold">Edit Slots</button>
+                                        <button onClick={() => openEditModal(offering)} className="text-indigo-600 hover:underline font-semibold">Edit Offering</button>
                                         <button onClick={() => handleDeleteCourseOffering(offering._id, courseInfo.title)} className="text-red-600 hover:underline font-semibold">Remove</button>
                                     </div>
                                 </div>
@@ -243,6 +426,9 @@ function CourseManagementPage() {
                 offeringToEdit={offeringToEdit}
                 catalogCourses={catalogCourses}
                 existingCourseIdsInEvent={existingCourseIdsInEvent}
+                facultyList={facultyList}
+                venues={venues}
+                clashes={clashes}
             />
         </div>
     );
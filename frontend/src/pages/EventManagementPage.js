@@ -2,12 +2,18 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toDateTimeInput, fromDateTimeInput, formatDateTime } from '../utils/dateTime';
 
 // Reusable Modal Component for editing an event
 const EditEventModal = ({ isOpen, onClose, event, onSave }) => {
     const [name, setName] = useState('');
     const [isOpenForEnrollment, setIsOpenForEnrollment] = useState(false);
     const [maxCourses, setMaxCourses] = useState(1);
+    const [opensAt, setOpensAt] = useState('');
+    const [closesAt, setClosesAt] = useState('');
+    const [enrollmentMode, setEnrollmentMode] = useState('first-come');
+    const [prerequisitePolicy, setPrerequisitePolicy] = useState('enrolled');
     const [error, setError] = useState('');
 
     useEffect(() => {
@@ -15,6 +21,10 @@ const EditEventModal = ({ isOpen, onClose, event, onSave }) => {
             setName(event.name);
             setIsOpenForEnrollment(event.isOpen);
             setMaxCourses(event.maxCoursesPerStudent || 1);
+            setOpensAt(toDateTimeInput(event.opensAt));
+            setClosesAt(toDateTimeInput(event.closesAt));
+            setEnrollmentMode(event.enrollmentMode || 'first-come');
+            setPrerequisitePolicy(event.prerequisitePolicy || 'enrolled');
             setError('');
         }
     }, [event]);
@@ -31,10 +41,18 @@ const EditEventModal = ({ isOpen, onClose, event, onSave }) => {
             setError('Max courses must be a number and at least 1.');
             return;
         }
+        if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+            setError('Closing time must be after opening time.');
+            return;
+        }
         onSave(event._id, { 
             name: name.trim(), 
             isOpen: isOpenForEnrollment, 
-            maxCoursesPerStudent: maxCoursesNum 
+            maxCoursesPerStudent: maxCoursesNum,
+            opensAt: fromDateTimeInput(opensAt),
+            closesAt: fromDateTimeInput(closesAt),
+            enrollmentMode,
+            prerequisitePolicy
         });
     };
 
@@ -51,10 +69,35 @@ const EditEventModal = ({ isOpen, onClose, event, onSave }) => {
                         <label htmlFor="editMaxCourses" className="block text-sm font-medium text-gray-700">Max Courses Per Student</label>
                         <input id="editMaxCourses" type="number" min="1" value={maxCourses} onChange={(e) => setMaxCourses(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md" />
                     </div>
+                    <div>
+                        <label htmlFor="editEnrollmentMode" className="block text-sm font-medium text-gray-700">Enrollment Mode</label>
+                        <select id="editEnrollmentMode" value={enrollmentMode} onChange={(e) => setEnrollmentMode(e.target.value)} disabled={!!event.allocation?.committedAt} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+                            <option value="first-come">First come, first served</option>
+                            <option value="ranked">Ranked preferences (allocated after the window closes)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="editPrerequisitePolicy" className="block text-sm font-medium text-gray-700">Prerequisites Count</label>
+                        <select id="editPrerequisitePolicy" value={prerequisitePolicy} onChange={(e) => setPrerequisitePolicy(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+                            <option value="enrolled">Any enrollment not failed or withdrawn</option>
+                            <option value="completed">Only completed courses</option>
+                        </select>
+                    </div>
                     <div className="flex items-center">
                         <input id="editIsEventOpen" type="checkbox" checked={isOpenForEnrollment} onChange={(e) => setIsOpenForEnrollment(e.target.checked)} className="h-4 w-4 text-indigo-600 border-gray-300 rounded" />
                         <label htmlFor="editIsEventOpen" className="ml-2 block text-sm text-gray-900">Open for Enrollment</label>
                     </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="editOpensAt" className="block text-sm font-medium text-gray-700">Opens At (optional)</label>
+                            <input id="editOpensAt" type="datetime-local" value={opensAt} onChange={(e) => setOpensAt(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md" />
+                        </div>
+                        <div>
+                            <label htmlFor="editClosesAt" className="block text-sm font-medium text-gray-700">Closes At (optional)</label>
+                            <input id="editClosesAt" type="datetime-local" value={closesAt} onChange={(e) => setClosesAt(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md" />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500">A scheduled window opens and closes the event automatically; the checkbox above only applies to unscheduled events.</p>
                     {error && <p className="text-sm text-red-600">{error}</p>}
                 </div>
                 <div className="mt-6 flex justify-end space-x-4">
@@ -66,6 +109,104 @@ const EditEventModal = ({ isOpen, onClose, event, onSave }) => {
     );
 };
 
+// Modal for previewing and committing the allocation of a ranked-preference event
+const AllocationModal = ({ event, onClose, onCommitted }) => {
+    const [tieBreak, setTieBreak] = useState('lottery');
+    const [seed, setSeed] = useState('');
+    const [plan, setPlan] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => { setPlan(null); setSeed(''); setError(''); }, [event]);
+
+    if (!event) return null;
+
+    const runPreview = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const response = await api.post(`events/${event._id}/allocation/preview`, { tieBreak, seed });
+            if (response.data.success) {
+                setPlan(response.data.data);
+                setSeed(response.data.data.seed);
+            } else { setError(response.data.error); }
+        } catch (err) { setError(err.error || 'Could not run the preview.'); }
+        finally { setIsWorking(false); }
+    };
+
+    const runCommit = async () => {
+        if (!plan) return;
+        if (!window.confirm(`Commit this allocation for "${event.name}"? ${plan.totals.seatsAssigned} enrollment(s) will be written and this cannot be repeated.`)) return;
+        setIsWorking(true);
+        setError('');
+        try {
+            const response = await api.post(`events/${event._id}/allocation/commit`, { tieBreak: plan.tieBreak, seed: plan.seed });
+            if (response.data.success) onCommitted(response.data.message);
+            else setError(response.data.error);
+        } catch (err) { setError(err.error || 'Could not commit the allocation.'); }
+        finally { setIsWorking(false); }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <h3 className="text-xl font-semibold mb-4 text-gray-800">Allocate Seats: {event.name}</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                    <div>
+                        <label htmlFor="allocTieBreak" className="block text-sm font-medium text-gray-700">Tie-break</label>
+                        <select id="allocTieBreak" value={tieBreak} onChange={(e) => { setTieBreak(e.target.value); setPlan(null); }} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+                            <option value="lottery">Random lottery</option>
+                            <option value="seniority">Semester seniority (lottery within a semester)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="allocSeed" className="block text-sm font-medium text-gray-700">Lottery Seed (optional)</label>
+                        <input id="allocSeed" type="text" value={seed} onChange={(e) => { setSeed(e.target.value); setPlan(null); }} placeholder="Generated if empty" className="mt-1 w-full p-2 border border-gray-300 rounded-md" />
+                    </div>
+                    <button onClick={runPreview} disabled={isWorking} className="p-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50">{isWorking ? 'Working...' : 'Preview (Dry Run)'}</button>
+                </div>
+                {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+                {plan && (
+                    <div className="mt-6 space-y-6">
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+                            <div className="p-3 bg-gray-50 rounded-lg"><p className="text-2xl font-bold">{plan.totals.submissions}</p><p className="text-xs text-gray-500">Rankings Submitted</p></div>
+                            <div className="p-3 bg-green-50 rounded-lg"><p className="text-2xl font-bold text-green-700">{plan.totals.seatsAssigned}</p><p className="text-xs text-gray-500">Seats Assigned</p></div>
+                            <div className="p-3 bg-indigo-50 rounded-lg"><p className="text-2xl font-bold text-indigo-700">{plan.totals.firstChoiceAssigned}</p><p className="text-xs text-gray-500">Got First Choice</p></div>
+                            <div className="p-3 bg-red-50 rounded-lg"><p className="text-2xl font-bold text-red-700">{plan.totals.studentsUnassigned}</p><p className="text-xs text-gray-500">Students Unassigned</p></div>
+                        </div>
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50"><tr><th className="px-4 py-2 text-left">Course</th><th className="px-4 py-2 text-center">Open Seats</th><th className="px-4 py-2 text-center">First-Choice Demand</th><th className="px-4 py-2 text-center">Assigned</th></tr></thead>
+                            <tbody className="divide-y">
+                                {plan.offerings.map(o => (<tr key={o.offeringId}><td className="px-4 py-2">{o.courseTitle}</td><td className="px-4 py-2 text-center">{o.seatsBefore}</td><td className="px-4 py-2 text-center">{o.firstChoiceCount}</td><td className="px-4 py-2 text-center">{o.assigned}</td></tr>))}
+                            </tbody>
+                        </table>
+                        <div className="max-h-72 overflow-y-auto border rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50 sticky top-0"><tr><th className="px-4 py-2 text-left">#</th><th className="px-4 py-2 text-left">Student</th><th className="px-4 py-2 text-left">Assigned</th><th className="px-4 py-2 text-left">Skipped Choices</th></tr></thead>
+                                <tbody className="divide-y">
+                                    {plan.students.map(s => (
+                                        <tr key={s.userId} className={s.assigned.length === 0 ? 'bg-red-50' : ''}>
+                                            <td className="px-4 py-2 text-gray-500">{s.order}</td>
+                                            <td className="px-4 py-2">{s.name} <span className="text-gray-500">({s.username}{s.semester ? `, Sem ${s.semester}` : ''})</span></td>
+                                            <td className="px-4 py-2">{s.assigned.length > 0 ? s.assigned.map(a => `${a.courseTitle} (choice ${a.rank})`).join(', ') : <span className="text-red-600">None</span>}</td>
+                                            <td className="px-4 py-2 text-xs text-gray-600">{s.skipped.map(k => `#${k.rank} ${k.courseTitle || '?'}: ${k.message}`).join('; ')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <p className="text-xs text-gray-500">Seed <code>{plan.seed}</code> ({plan.tieBreak}). Committing re-runs the allocation with this seed, so the result matches this preview unless rankings or seats changed since.</p>
+                    </div>
+                )}
+                <div className="mt-6 flex justify-end space-x-4">
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-lg">Close</button>
+                    <button onClick={runCommit} disabled={!plan || isWorking} className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg disabled:opacity-50">Commit Allocation</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 function EventManagementPage() {
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -73,8 +214,15 @@ function EventManagementPage() {
     const [selectedEvent, setSelectedEvent] = useState(null);
     const [newEventName, setNewEventName] = useState('');
     const [newMaxCourses, setNewMaxCourses] = useState(1);
+    const [newDepartment, setNewDepartment] = useState('');
     const [isCreating, setIsCreating] = useState(false);
+    const [previewDays, setPreviewDays] = useState(7);
+    const [upcomingWindows, setUpcomingWindows] = useState([]);
+    const [allocationEvent, setAllocationEvent] = useState(null);
     const navigate = useNavigate();
+    const { user } = useAuth();
+    // Coordinators hold the department-scoped variant; their events always belong to their own department.
+    const isDepartmentScoped = !!user?.permissions?.includes('events:write:own-department');
 
     const setTimedMessage = (type, text, duration = 5000) => {
         setUiMessage({ type, text });
@@ -93,6 +241,15 @@ function EventManagementPage() {
     }, []);
 
     useEffect(() => { fetchEvents(); }, [fetchEvents]);
+
+    const fetchUpcomingWindows = useCallback(async () => {
+        try {
+            const response = await api.get(`events/schedule/upcoming?days=${previewDays}`);
+            if (response.data.success) setUpcomingWindows(response.data.data.upcoming || []);
+        } catch (err) { setTimedMessage('error', err.error || 'Could not load the schedule preview.'); }
+    }, [previewDays]);
+
+    useEffect(() => { fetchUpcomingWindows(); }, [fetchUpcomingWindows]);
     
     const handleCreateEvent = async (e) => {
         e.preventDefault();
@@ -104,12 +261,14 @@ function EventManagementPage() {
         try {
             const response = await api.post('events', { 
                 name: newEventName.trim(), 
-                maxCoursesPerStudent: maxCoursesNum 
+                maxCoursesPerStudent: maxCoursesNum,
+                ...(!isDepartmentScoped && { department: newDepartment.trim() || null })
             });
             if (response.data.success) {
                 setTimedMessage('success', `Event created successfully.`);
                 setNewEventName('');
                 setNewMaxCourses(1);
+                setNewDepartment('');
                 fetchEvents();
             } else { setTimedMessage('error', response.data.error); }
         } catch (err) { setTimedMessage('error', err.error); }
@@ -123,12 +282,19 @@ function EventManagementPage() {
                 setTimedMessage('success', 'Event updated successfully!');
                 setSelectedEvent(null);
                 fetchEvents();
+                fetchUpcomingWindows();
             } else { setTimedMessage('error', response.data.error); }
         } catch (err) { setTimedMessage('error', err.error); }
     };
     
+    const handleAllocationCommitted = (message) => {
+        setAllocationEvent(null);
+        setTimedMessage('success', message);
+        fetchEvents();
+    };
+
     const handleDeleteEvent = async (eventId, eventName) => {
-        if (!window.confirm(`DELETE the event "${eventName}"? This cannot be undone.`)) return;
+        if (!window.confirm(`Move the event "${eventName}" to the trash? Enrolled students lose their seats until it is restored from the Trash page.`)) return;
         try {
             const response = await api.delete(`events/${eventId}`);
             if (response.data.success) {
@@ -148,7 +314,7 @@ function EventManagementPage() {
             
             <section className="p-6 bg-white rounded-xl shadow-lg">
                 <h2 className="text-2xl font-semibold mb-4 text-gray-700 border-b pb-2">Create New Event</h2>
-                <form onSubmit={handleCreateEvent} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <form onSubmit={handleCreateEvent} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
                     <div className="sm:col-span-2">
                         <label htmlFor="newEventName" className="block text-sm font-medium text-gray-700 mb-1">New Event Name</label>
                         <input id="newEventName" type="text" value={newEventName} onChange={(e) => setNewEventName(e.target.value)} required placeholder="e.g., Spring 2025 Registration" className="w-full p-2 border border-gray-300 rounded-md"/>
@@ -157,7 +323,11 @@ function EventManagementPage() {
                         <label htmlFor="newMaxCourses" className="block text-sm font-medium text-gray-700 mb-1">Max Courses/Student</label>
                         <input id="newMaxCourses" type="number" min="1" value={newMaxCourses} onChange={(e) => setNewMaxCourses(e.target.value)} required className="w-full p-2 border border-gray-300 rounded-md"/>
                     </div>
-                    <button type="submit" disabled={isCreating} className="sm:col-span-3 w-full p-3 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+                    <div>
+                        <label htmlFor="newDepartment" className="block text-sm font-medium text-gray-700 mb-1">Owning Department</label>
+                        <input id="newDepartment" type="text" value={isDepartmentScoped ? (user?.department || '') : newDepartment} onChange={(e) => setNewDepartment(e.target.value)} disabled={isDepartmentScoped} placeholder="Optional" className="w-full p-2 border border-gray-300 rounded-md disabled:bg-gray-100"/>
+                    </div>
+                    <button type="submit" disabled={isCreating} className="sm:col-span-4 w-full p-3 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
                         {isCreating ? 'Creating...' : 'Create Event'}
                     </button>
                 </form>
@@ -171,6 +341,7 @@ function EventManagementPage() {
                             <thead className="bg-gray-50">
                                 <tr>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                                     <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Max Courses</th>
                                     <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider"># of Courses</th>
@@ -181,11 +352,13 @@ function EventManagementPage() {
                                 {events.map((event) => (
                                     <tr key={event._id} className="hover:bg-gray-50">
                                         <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">{event.name}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${event.isOpen ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>{event.isOpen ? 'Open' : 'Closed'}</span></td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{event.department || 'All'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${(event.schedule ? event.schedule.isOpen : event.isOpen) ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>{(event.schedule ? event.schedule.isOpen : event.isOpen) ? 'Open' : 'Closed'}</span>{event.schedule?.scheduled && <span className="ml-2 text-xs text-gray-500">Scheduled</span>}{event.enrollmentMode === 'ranked' && <span className="ml-2 text-xs text-purple-700">{event.allocation?.committedAt ? 'Ranked · Allocated' : 'Ranked'}</span>}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-center font-medium text-gray-700">{event.maxCoursesPerStudent}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-center text-gray-500">{(event.courses || []).length}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
                                             <button onClick={() => navigate(`/admin/events/${event._id}`)} className="text-green-600 hover:text-green-900 font-semibold">Manage Courses</button>
+                                            {event.enrollmentMode === 'ranked' && !event.allocation?.committedAt && <button onClick={() => setAllocationEvent(event)} className="text-purple-600 hover:text-purple-900 font-semibold">Allocate</button>}
                                             <button onClick={() => setSelectedEvent(event)} className="text-indigo-600 hover:text-indigo-900 font-semibold">Edit</button>
                                             <button onClick={() => handleDeleteEvent(event._id, event.name)} className="text-red-600 hover:text-red-900 font-semibold">Delete</button>
                                         </td>
@@ -197,7 +370,35 @@ function EventManagementPage() {
                 </div>
             </section>
             
+            <section className="p-6 bg-white rounded-xl shadow-lg">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Opening Soon</h2>
+                    <div>
+                        <label htmlFor="previewDays" className="text-sm font-medium mr-2">Next</label>
+                        <select id="previewDays" value={previewDays} onChange={(e) => setPreviewDays(Number(e.target.value))} className="p-2 border rounded-md">
+                            {[1, 3, 7, 14, 30].map(d => <option key={d} value={d}>{d} day{d > 1 ? 's' : ''}</option>)}
+                        </select>
+                    </div>
+                </div>
+                {upcomingWindows.length === 0 ? (
+                    <p className="text-gray-500">No events are scheduled to open in this period.</p>
+                ) : (
+                    <ul className="divide-y">
+                        {upcomingWindows.map((w, i) => (
+                            <li key={`${w.eventId}-${i}`} className="py-3 flex justify-between text-sm">
+                                <div>
+                                    <span className="font-semibold text-gray-800">{w.eventName}</span>
+                                    <span className="ml-2 text-gray-500">{w.department || w.semester ? [w.department, w.semester && `Sem ${w.semester}`].filter(Boolean).join(' / ') : 'All students'}</span>
+                                </div>
+                                <div className="text-gray-700">Opens {formatDateTime(w.opensAt)}{w.closesAt && `, closes ${formatDateTime(w.closesAt)}`}</div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+            
             <EditEventModal isOpen={!!selectedEvent} onClose={() => setSelectedEvent(null)} event={selectedEvent} onSave={handleUpdateEvent} />
+            <AllocationModal event={allocationEvent} onClose={() => setAllocationEvent(null)} onCommitted={handleAllocationCommitted} />
         </div>
     );
 }
@@ -0,0 +1,220 @@
+// src/pages/OutcomesPage.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api from '../services/api';
+import { Download, Upload } from 'react-feather';
+import { formatDateTime } from '../utils/dateTime';
+
+const STATUSES = ['enrolled', 'attended', 'completed', 'failed', 'withdrawn'];
+
+const STATUS_STYLES = {
+  enrolled: 'bg-gray-100 text-gray-700',
+  attended: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-yellow-100 text-yellow-800',
+};
+
+const rowKey = (row) => `${row.userId}-${row.courseId}`;
+
+// Status, grade and score of each enrollment in an event, edited row by row or uploaded as a CSV.
+// Events set to count only completed courses use these statuses for their prerequisite checks.
+function OutcomesPage() {
+  const [events, setEvents] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [outcomes, setOutcomes] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [filters, setFilters] = useState({ courseTitle: '', status: '' });
+  const [csvFile, setCsvFile] = useState(null);
+  const [uploadFailures, setUploadFailures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    api.get('events/all')
+      .then(res => {
+        const data = res.data.data || [];
+        setEvents(data);
+        setSelectedEventId(current => current || (data[0]?._id ?? ''));
+      })
+      .catch(err => setMessage({ type: 'error', text: err.error || 'Could not load events.' }))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const fetchOutcomes = useCallback(async () => {
+    if (!selectedEventId) return;
+    try {
+      const res = await api.get(`events/${selectedEventId}/outcomes`);
+      setOutcomes(res.data.data.outcomes || []);
+      setDrafts({});
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not load outcomes.' });
+    }
+  }, [selectedEventId]);
+
+  useEffect(() => { fetchOutcomes(); }, [fetchOutcomes]);
+
+  const courseTitles = useMemo(() => [...new Set(outcomes.map(o => o.courseTitle))], [outcomes]);
+  const visibleOutcomes = outcomes.filter(o => (!filters.courseTitle || o.courseTitle === filters.courseTitle) && (!filters.status || o.status === filters.status));
+
+  const valueOf = (row, field) => {
+    const draft = drafts[rowKey(row)];
+    if (draft && draft[field] !== undefined) return draft[field];
+    return row[field] ?? '';
+  };
+
+  const setDraft = (row, field, value) => setDrafts(prev => ({ ...prev, [rowKey(row)]: { ...prev[rowKey(row)], [field]: value } }));
+
+  const handleSave = async (row) => {
+    const draft = drafts[rowKey(row)];
+    if (!draft) return;
+    try {
+      const res = await api.patch(`events/${selectedEventId}/outcomes`, { userId: row.userId, courseId: row.courseId, ...draft });
+      setOutcomes(prev => prev.map(o => (rowKey(o) === rowKey(row) ? { ...o, ...res.data.data } : o)));
+      setDrafts(({ [rowKey(row)]: _saved, ...rest }) => rest);
+      setMessage({ type: 'success', text: res.data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not save the outcome.' });
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!csvFile) return;
+    setBusy(true);
+    setUploadFailures([]);
+    const formData = new FormData();
+    formData.append('csv', csvFile);
+    try {
+      const res = await api.post(`events/${selectedEventId}/outcomes/upload`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+      setUploadFailures(res.data.data.failures || []);
+      setMessage({ type: 'success', text: res.data.message });
+      setCsvFile(null);
+      const fileInput = document.getElementById('outcomes-upload-input');
+      if (fileInput) fileInput.value = '';
+      await fetchOutcomes();
+    } catch (err) {
+      setUploadFailures(err.details?.failures || []);
+      setMessage({ type: 'error', text: err.error || 'Could not upload outcomes.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await api.get(`events/${selectedEventId}/outcomes/download`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      const fileName = response.headers['content-disposition']?.split('filename=')[1]?.replace(/"/g, '') || 'outcomes.csv';
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Could not download outcomes.' });
+    }
+  };
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Course Outcomes</h1>
+      <p className="text-lg text-gray-600">Record whether each enrollment was attended, completed, failed or withdrawn, with an optional grade and score.</p>
+
+      {message.text && (
+        <div className={`p-3 rounded-md flex justify-between ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+          <span>{message.text}</span>
+          <button onClick={() => setMessage({ type: '', text: '' })} className="text-sm font-semibold hover:underline">Dismiss</button>
+        </div>
+      )}
+
+      {loading ? <p className="text-center p-4">Loading...</p> : events.length === 0 ? (
+        <p className="text-center p-4 text-gray-500">There are no events yet.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-4 items-end">
+            <div>
+              <label htmlFor="outcomesEvent" className="block text-sm font-medium mb-1">Event</label>
+              <select id="outcomesEvent" value={selectedEventId} onChange={e => { setSelectedEventId(e.target.value); setFilters({ courseTitle: '', status: '' }); setUploadFailures([]); }} className="p-2 border rounded-md">
+                {events.map(event => <option key={event._id} value={event._id}>{event.name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="outcomesCourse" className="block text-sm font-medium mb-1">Course</label>
+              <select id="outcomesCourse" value={filters.courseTitle} onChange={e => setFilters(p => ({ ...p, courseTitle: e.target.value }))} className="p-2 border rounded-md">
+                <option value="">All courses</option>
+                {courseTitles.map(title => <option key={title} value={title}>{title}</option>)}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="outcomesStatus" className="block text-sm font-medium mb-1">Status</label>
+              <select id="outcomesStatus" value={filters.status} onChange={e => setFilters(p => ({ ...p, status: e.target.value }))} className="p-2 border rounded-md capitalize">
+                <option value="">All statuses</option>
+                {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+            </div>
+            <button onClick={handleDownload} disabled={!selectedEventId} className="flex items-center px-4 py-2 bg-gray-700 text-white rounded-md disabled:opacity-50"><Download className="w-4 h-4 mr-2" />Download CSV</button>
+          </div>
+
+          <section className="p-6 bg-white rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-2">Upload Outcomes via CSV</h2>
+            <p className="text-sm text-gray-600 mb-4">Headers: <code>username</code>, <code>courseTitle</code>, and any of <code>status</code>, <code>grade</code>, <code>score</code>. A downloaded file can be edited and uploaded again.</p>
+            <form onSubmit={handleUpload} className="flex flex-wrap gap-4 items-center">
+              <input id="outcomes-upload-input" type="file" accept=".csv" onChange={e => setCsvFile(e.target.files[0])} className="text-sm border rounded-lg p-2" />
+              <button type="submit" disabled={busy || !csvFile || !selectedEventId} className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-md disabled:opacity-50"><Upload className="w-4 h-4 mr-2" />{busy ? 'Uploading...' : 'Upload'}</button>
+            </form>
+            {uploadFailures.length > 0 && (
+              <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm max-h-48 overflow-y-auto">
+                <p className="font-semibold text-red-700 mb-1">{uploadFailures.length} row(s) were not applied:</p>
+                <ul className="space-y-1 text-red-700">
+                  {uploadFailures.map(f => <li key={f.row}>Row {f.row}{f.username ? ` (${f.username}${f.courseTitle ? `, ${f.courseTitle}` : ''})` : ''}: {f.reason}</li>)}
+                </ul>
+              </div>
+            )}
+          </section>
+
+          <section className="p-6 bg-white rounded-xl shadow-lg overflow-x-auto">
+            {visibleOutcomes.length === 0 ? (
+              <p className="text-center p-4 text-gray-500">No enrollments match.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Student</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Course</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Grade</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Score</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Updated</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {visibleOutcomes.map(row => (
+                    <tr key={rowKey(row)}>
+                      <td className="px-4 py-2">{row.name}<span className="block text-xs text-gray-500">{row.username}{row.department ? ` · ${row.department}` : ''}</span></td>
+                      <td className="px-4 py-2">{row.courseTitle}</td>
+                      <td className="px-4 py-2">
+                        <select value={valueOf(row, 'status')} onChange={e => setDraft(row, 'status', e.target.value)} className={`p-1 border rounded-md capitalize ${STATUS_STYLES[valueOf(row, 'status')] || ''}`}>
+                          {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-4 py-2"><input value={valueOf(row, 'grade')} onChange={e => setDraft(row, 'grade', e.target.value)} maxLength={20} className="w-20 p-1 border rounded-md" /></td>
+                      <td className="px-4 py-2"><input type="number" min="0" value={valueOf(row, 'score')} onChange={e => setDraft(row, 'score', e.target.value)} className="w-24 p-1 border rounded-md" /></td>
+                      <td className="px-4 py-2 text-xs text-gray-500">{row.outcomeUpdatedAt ? formatDateTime(row.outcomeUpdatedAt) : '—'}</td>
+                      <td className="px-4 py-2"><button onClick={() => handleSave(row)} disabled={!drafts[rowKey(row)]} className="px-3 py-1 bg-indigo-600 text-white rounded-md disabled:opacity-40">Save</button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OutcomesPage;
@@ -0,0 +1,220 @@
+// src/pages/ResourcesPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { Edit2, Trash2 } from 'react-feather';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyVenue = { name: '', building: '', capacity: 30, availability: [] };
+
+const describeAvailability = (windows) => (windows || []).length === 0
+  ? 'Always available'
+  : windows.map(w => `${DAYS[w.dayOfWeek].slice(0, 3)} ${w.startTime}–${w.endTime}`).join(', ');
+
+// Weekly windows in which a venue or instructor can be booked. No windows means always available.
+const AvailabilityEditor = ({ windows, onChange }) => {
+  const update = (index, field, value) => onChange(windows.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+  return (
+    <div className="space-y-1">
+      {windows.length === 0 && <p className="text-xs text-gray-500">No windows: always available.</p>}
+      {windows.map((w, index) => (
+        <div key={index} className="flex items-center gap-2 text-sm">
+          <select value={w.dayOfWeek} onChange={e => update(index, 'dayOfWeek', Number(e.target.value))} aria-label="Day" className="p-1 border rounded-md">
+            {DAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+          </select>
+          <input type="time" value={w.startTime} onChange={e => update(index, 'startTime', e.target.value)} required aria-label="From" className="p-1 border rounded-md" />
+          <span>to</span>
+          <input type="time" value={w.endTime} onChange={e => update(index, 'endTime', e.target.value)} required aria-label="Until" className="p-1 border rounded-md" />
+          <button type="button" onClick={() => onChange(windows.filter((_, i) => i !== index))} className="text-red-500 font-bold hover:text-red-700" aria-label="Remove window">×</button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange([...windows, { dayOfWeek: 1, startTime: '09:00', endTime: '17:00' }])} className="text-xs text-indigo-600 hover:underline">+ Add window</button>
+    </div>
+  );
+};
+
+const InstructorRow = ({ instructor, onSaved, setMessage }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [availability, setAvailability] = useState([]);
+  const [maxWeeklyHours, setMaxWeeklyHours] = useState('');
+
+  const startEditing = () => {
+    setAvailability(instructor.profile?.availability || []);
+    setMaxWeeklyHours(instructor.profile?.maxWeeklyHours ?? '');
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await api.put(`resources/instructors/${instructor._id}`, { availability, maxWeeklyHours: maxWeeklyHours === '' ? null : maxWeeklyHours });
+      setMessage({ type: 'success', text: res.data.message });
+      setIsEditing(false);
+      onSaved();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not save the instructor.' });
+    }
+  };
+
+  return (
+    <li className="py-3">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="font-semibold text-gray-800">{instructor.name} <span className="text-sm font-normal text-gray-500">({instructor.username}{instructor.department ? ` · ${instructor.department}` : ''})</span></p>
+          <p className="text-sm text-gray-600">{describeAvailability(instructor.profile?.availability)}{instructor.profile?.maxWeeklyHours ? ` · up to ${instructor.profile.maxWeeklyHours} h/week` : ''}</p>
+        </div>
+        {!isEditing && <button onClick={startEditing} className="text-indigo-600 hover:underline text-sm font-semibold">Edit</button>}
+      </div>
+      {isEditing && (
+        <form onSubmit={handleSave} className="mt-2 p-3 bg-gray-50 rounded-md space-y-3">
+          <AvailabilityEditor windows={availability} onChange={setAvailability} />
+          <div>
+            <label htmlFor={`hours-${instructor._id}`} className="text-sm font-medium mr-2">Most hours per week</label>
+            <input id={`hours-${instructor._id}`} type="number" min="1" value={maxWeeklyHours} onChange={e => setMaxWeeklyHours(e.target.value)} placeholder="No limit" className="w-28 p-1 border rounded-md" />
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded-md">Save</button>
+            <button type="button" onClick={() => setIsEditing(false)} className="px-3 py-1 bg-gray-200 rounded-md">Cancel</button>
+          </div>
+        </form>
+      )}
+    </li>
+  );
+};
+
+// Rooms and instructor availability used when scheduling slots. A slot's seats can't exceed its
+// room's capacity, and saving an offering reports room and instructor clashes.
+function ResourcesPage() {
+  const [venues, setVenues] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [venueForm, setVenueForm] = useState(emptyVenue);
+  const [editingVenueId, setEditingVenueId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [venueRes, instructorRes] = await Promise.all([api.get('resources/venues'), api.get('resources/instructors')]);
+      setVenues(venueRes.data.data || []);
+      setInstructors(instructorRes.data.data || []);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not load venues and instructors.' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchData(); }, [fetchData]);
+
+  const resetVenueForm = () => { setVenueForm(emptyVenue); setEditingVenueId(null); };
+
+  const handleVenueSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = { ...venueForm, capacity: parseInt(venueForm.capacity, 10) };
+      const res = editingVenueId ? await api.put(`resources/venues/${editingVenueId}`, payload) : await api.post('resources/venues', payload);
+      setMessage({ type: 'success', text: res.data.message });
+      resetVenueForm();
+      fetchData();
+    } catch (err) {
+      const slots = err.details?.slots || [];
+      const list = slots.slice(0, 5).map(s => `${s.courseTitle || 'Untitled'} #${s.slotId} (${s.maxCapacity} seats)`).join(', ');
+      setMessage({ type: 'error', text: `${err.error || 'Could not save the venue.'}${list ? ` ${list}` : ''}` });
+    }
+  };
+
+  const handleEditVenue = (venue) => {
+    setEditingVenueId(venue._id);
+    setVenueForm({ name: venue.name, building: venue.building || '', capacity: venue.capacity, availability: venue.availability || [] });
+  };
+
+  const handleDeleteVenue = async (venue) => {
+    if (!window.confirm(`Delete the venue "${venue.name}"?`)) return;
+    try {
+      const res = await api.delete(`resources/venues/${venue._id}`);
+      setMessage({ type: 'success', text: res.data.message });
+      if (editingVenueId === venue._id) resetVenueForm();
+      fetchData();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.error || 'Could not delete the venue.' });
+    }
+  };
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Venues & Instructors</h1>
+      <p className="text-lg text-gray-600">Rooms cap the seats of the slots held in them. Availability and weekly hours are checked when course offerings are saved.</p>
+
+      {message.text && (
+        <div className={`p-3 rounded-md flex justify-between ${message.type === 'error' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+          <span>{message.text}</span>
+          <button onClick={() => setMessage({ type: '', text: '' })} className="text-sm font-semibold hover:underline">Dismiss</button>
+        </div>
+      )}
+
+      {loading ? <p className="text-center p-4">Loading...</p> : (
+        <>
+          <section className="p-6 bg-white rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Venues</h2>
+            <form onSubmit={handleVenueSubmit} className="p-4 border rounded-lg space-y-3 mb-6">
+              <h3 className="font-semibold">{editingVenueId ? 'Edit Venue' : 'Add Venue'}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div><label htmlFor="venueName" className="block text-sm font-medium">Name</label><input id="venueName" value={venueForm.name} maxLength={100} onChange={e => setVenueForm(p => ({ ...p, name: e.target.value }))} required className="w-full p-2 border rounded-md" /></div>
+                <div><label htmlFor="venueBuilding" className="block text-sm font-medium">Building</label><input id="venueBuilding" value={venueForm.building} maxLength={100} onChange={e => setVenueForm(p => ({ ...p, building: e.target.value }))} className="w-full p-2 border rounded-md" /></div>
+                <div><label htmlFor="venueCapacity" className="block text-sm font-medium">Capacity</label><input id="venueCapacity" type="number" min="1" value={venueForm.capacity} onChange={e => setVenueForm(p => ({ ...p, capacity: e.target.value }))} required className="w-full p-2 border rounded-md" /></div>
+              </div>
+              <div>
+                <p className="text-sm font-medium mb-1">Availability</p>
+                <AvailabilityEditor windows={venueForm.availability} onChange={availability => setVenueForm(p => ({ ...p, availability }))} />
+              </div>
+              <div className="flex gap-2">
+                <button type="submit" className="px-4 py-2 bg-green-600 text-white rounded-md">{editingVenueId ? 'Save Venue' : 'Add Venue'}</button>
+                {editingVenueId && <button type="button" onClick={resetVenueForm} className="px-4 py-2 bg-gray-200 rounded-md">Cancel</button>}
+              </div>
+            </form>
+
+            {venues.length === 0 ? <p className="text-center p-4 text-gray-500">No venues yet.</p> : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Name</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Building</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase">Capacity</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase">Availability</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {venues.map(venue => (
+                    <tr key={venue._id}>
+                      <td className="px-4 py-2 font-medium">{venue.name}</td>
+                      <td className="px-4 py-2">{venue.building || '—'}</td>
+                      <td className="px-4 py-2 text-right">{venue.capacity}</td>
+                      <td className="px-4 py-2 text-gray-600">{describeAvailability(venue.availability)}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">
+                        <button onClick={() => handleEditVenue(venue)} className="text-indigo-600 hover:text-indigo-800 mr-3" aria-label={`Edit ${venue.name}`}><Edit2 className="w-4 h-4" /></button>
+                        <button onClick={() => handleDeleteVenue(venue)} className="text-red-600 hover:text-red-800" aria-label={`Delete ${venue.name}`}><Trash2 className="w-4 h-4" /></button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section className="p-6 bg-white rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-2">Instructors</h2>
+            <p className="text-sm text-gray-600 mb-4">Faculty accounts are created from Admin Accounts. Here you set when each one can teach and their weekly teaching limit.</p>
+            {instructors.length === 0 ? <p className="text-center p-4 text-gray-500">No faculty accounts exist yet.</p> : (
+              <ul className="divide-y divide-gray-200">
+                {instructors.map(instructor => <InstructorRow key={instructor._id} instructor={instructor} onSaved={fetchData} setMessage={setMessage} />)}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ResourcesPage;
@@ -0,0 +1,102 @@
+// src/pages/RosterPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import SlotSchedule from '../components/SlotSchedule';
+
+// Read-only class lists. The server decides what is visible: faculty get the offerings they teach,
+// coordinators the events of their department, admins everything.
+function RosterPage() {
+  const [rosters, setRosters] = useState([]);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchRosters = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('events/rosters');
+      const data = res.data.data || [];
+      setRosters(data);
+      setSelectedEventId(current => current || (data[0]?._id ?? ''));
+    } catch (err) {
+      setError(err.error || 'Could not load rosters.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchRosters(); }, [fetchRosters]);
+
+  const selectedEvent = rosters.find(e => e._id === selectedEventId);
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Class Rosters</h1>
+      <p className="text-lg text-gray-600">Students enrolled in each slot of the courses you can view.</p>
+
+      {error && <p className="p-3 my-4 bg-red-100 text-red-700 rounded-md">{error}</p>}
+
+      {loading ? <p className="text-center p-4">Loading...</p> : rosters.length === 0 ? (
+        <p className="text-center p-4 text-gray-500">No rosters are available to you yet.</p>
+      ) : (
+        <>
+          <div>
+            <label htmlFor="rosterEvent" className="text-sm font-medium mr-2">Event:</label>
+            <select id="rosterEvent" value={selectedEventId} onChange={e => setSelectedEventId(e.target.value)} className="p-2 border rounded-md">
+              {rosters.map(event => <option key={event._id} value={event._id}>{event.name}{event.department ? ` (${event.department})` : ''}</option>)}
+            </select>
+          </div>
+
+          {selectedEvent && (selectedEvent.courses.length === 0 ? (
+            <p className="text-center p-4 text-gray-500">This event has no course offerings.</p>
+          ) : selectedEvent.courses.map(offering => (
+            <section key={offering._id} className="p-6 bg-white rounded-xl shadow-lg">
+              <h2 className="text-2xl font-semibold text-gray-700">{offering.course?.title || 'Untitled course'}</h2>
+              {offering.instructors.length > 0 && (
+                <p className="text-sm text-gray-500 mt-1">Instructors: {offering.instructors.map(i => i.name).join(', ')}</p>
+              )}
+              <div className="mt-4 space-y-6">
+                {offering.slots.map(slot => (
+                  <div key={slot._id}>
+                    <h3 className="font-semibold text-gray-700">
+                      Slot #{slot.id} <span className="text-sm font-normal text-gray-500">({slot.enrolled.length}/{slot.maxCapacity}{slot.isActive === false ? ', inactive' : ''})</span>
+                    </h3>
+                    <SlotSchedule slot={slot} className="text-sm text-gray-500" />
+                    {slot.enrolled.length === 0 ? <p className="text-sm text-gray-500 mt-1">No students enrolled.</p> : (
+                      <div className="overflow-x-auto mt-2">
+                        <table className="min-w-full divide-y divide-gray-200">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className="px-6 py-3 text-left text-xs font-medium uppercase">Name</th>
+                              <th className="px-6 py-3 text-left text-xs font-medium uppercase">Username</th>
+                              <th className="px-6 py-3 text-left text-xs font-medium uppercase">Department</th>
+                              <th className="px-6 py-3 text-left text-xs font-medium uppercase">Semester</th>
+                              <th className="px-6 py-3 text-left text-xs font-medium uppercase">Section</th>
+                            </tr>
+                          </thead>
+                          <tbody className="bg-white divide-y">
+                            {slot.enrolled.map(student => (
+                              <tr key={student._id} className="hover:bg-gray-50">
+                                <td className="px-6 py-3 whitespace-nowrap">{student.name}</td>
+                                <td className="px-6 py-3 whitespace-nowrap">{student.username}</td>
+                                <td className="px-6 py-3 whitespace-nowrap">{student.department || 'N/A'}</td>
+                                <td className="px-6 py-3 whitespace-nowrap">{student.semester || 'N/A'}</td>
+                                <td className="px-6 py-3 whitespace-nowrap">{student.section || 'N/A'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </section>
+          )))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RosterPage;
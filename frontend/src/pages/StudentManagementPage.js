@@ -1,5 +1,141 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import api from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+
+const WAIVER_KIND_LABELS = {
+    credit: 'Credit: counts as having taken the course',
+    waiver: 'Waiver: lifts the prerequisites of the course',
+};
+
+// Prerequisite credits (e.g. from a transcript elsewhere) and waivers for one student. Changes are
+// saved straight away; they affect future enrollments only.
+const PrerequisiteWaiversPanel = ({ studentId, catalogCourses }) => {
+    const [waivers, setWaivers] = useState([]);
+    const [form, setForm] = useState({ kind: 'credit', courseId: '', reason: '' });
+    const [message, setMessage] = useState({ error: '', success: '' });
+
+    useEffect(() => {
+        api.get(`users/${studentId}/prerequisite-waivers`)
+            .then(res => setWaivers(res.data.data || []))
+            .catch(err => setMessage({ error: err.error || 'Could not load prerequisite waivers.' }));
+    }, [studentId]);
+
+    const handleGrant = async () => {
+        if (!form.courseId) return setMessage({ error: 'Choose a course.' });
+        try {
+            const res = await api.post(`users/${studentId}/prerequisite-waivers`, form);
+            setWaivers(res.data.data || []);
+            setForm(p => ({ ...p, courseId: '', reason: '' }));
+            setMessage({ success: res.data.message });
+        } catch (err) { setMessage({ error: err.error || 'Could not grant the waiver.' }); }
+    };
+
+    const handleWithdraw = async (waiverId) => {
+        try {
+            const res = await api.delete(`users/${studentId}/prerequisite-waivers/${waiverId}`);
+            setWaivers(prev => prev.filter(w => w._id !== waiverId));
+            setMessage({ success: res.data.message });
+        } catch (err) { setMessage({ error: err.error || 'Could not withdraw the waiver.' }); }
+    };
+
+    return (
+        <div className="mt-6 pt-4 border-t">
+            <h4 className="text-lg font-semibold mb-2">Prerequisite Credits & Waivers</h4>
+            {message.error && <p className="p-2 mb-2 bg-red-100 text-red-700 rounded-md text-sm">{message.error}</p>}
+            {message.success && <p className="p-2 mb-2 bg-green-100 text-green-700 rounded-md text-sm">{message.success}</p>}
+            {waivers.length > 0 ? (
+                <ul className="space-y-1 mb-4">
+                    {waivers.map(w => (
+                        <li key={w._id} className="flex justify-between items-start p-2 bg-white rounded border text-sm">
+                            <span>
+                                <span className={`inline-block mr-2 px-2 py-0.5 text-xs font-semibold rounded-full ${w.kind === 'credit' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>{w.kind}</span>
+                                {w.course?.title || 'Removed course'}
+                                <span className="block text-xs text-gray-500">{[w.reason, w.grantedBy && `by ${w.grantedBy.username}`, formatDateTime(w.grantedAt)].filter(Boolean).join(' · ')}</span>
+                            </span>
+                            <button onClick={() => handleWithdraw(w._id)} className="text-xs text-red-600 font-semibold ml-2">Withdraw</button>
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="text-sm text-gray-500 mb-4">No credits or waivers.</p>}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <select value={form.kind} onChange={e => setForm(p => ({ ...p, kind: e.target.value }))} className="p-2 border rounded-md">
+                    {Object.entries(WAIVER_KIND_LABELS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                </select>
+                <select value={form.courseId} onChange={e => setForm(p => ({ ...p, courseId: e.target.value }))} className="p-2 border rounded-md">
+                    <option value="">-- Select Course --</option>
+                    {catalogCourses.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
+                </select>
+                <input value={form.reason} onChange={e => setForm(p => ({ ...p, reason: e.target.value }))} placeholder="Reason (e.g. transcript from previous college)" className="p-2 border rounded-md md:col-span-2" />
+            </div>
+            <button onClick={handleGrant} className="mt-2 px-4 py-2 bg-indigo-600 text-white rounded-md">Grant</button>
+        </div>
+    );
+};
+
+// Courses the student completed before or outside Selectrum. They count as taken for prerequisites
+// and duplicate checks but are not enrollments.
+const TranscriptPanel = ({ studentId, catalogCourses }) => {
+    const [entries, setEntries] = useState([]);
+    const [form, setForm] = useState({ courseId: '', completedAt: '', term: '', grade: '' });
+    const [message, setMessage] = useState({ error: '', success: '' });
+
+    useEffect(() => {
+        api.get(`users/${studentId}/transcript`)
+            .then(res => setEntries(res.data.data || []))
+            .catch(err => setMessage({ error: err.error || 'Could not load prior credits.' }));
+    }, [studentId]);
+
+    const handleAdd = async () => {
+        if (!form.courseId) return setMessage({ error: 'Choose a course.' });
+        try {
+            const res = await api.post(`users/${studentId}/transcript`, form);
+            setEntries(res.data.data || []);
+            setForm({ courseId: '', completedAt: '', term: '', grade: '' });
+            setMessage({ success: res.data.message });
+        } catch (err) { setMessage({ error: err.error || 'Could not record the prior credit.' }); }
+    };
+
+    const handleRemove = async (entryId) => {
+        try {
+            const res = await api.delete(`users/${studentId}/transcript/${entryId}`);
+            setEntries(prev => prev.filter(e => e._id !== entryId));
+            setMessage({ success: res.data.message });
+        } catch (err) { setMessage({ error: err.error || 'Could not remove the prior credit.' }); }
+    };
+
+    return (
+        <div className="mt-6 pt-4 border-t">
+            <h4 className="text-lg font-semibold mb-2">Prior Credits (Transcript)</h4>
+            {message.error && <p className="p-2 mb-2 bg-red-100 text-red-700 rounded-md text-sm">{message.error}</p>}
+            {message.success && <p className="p-2 mb-2 bg-green-100 text-green-700 rounded-md text-sm">{message.success}</p>}
+            {entries.length > 0 ? (
+                <ul className="space-y-1 mb-4">
+                    {entries.map(entry => (
+                        <li key={entry._id} className="flex justify-between items-start p-2 bg-white rounded border text-sm">
+                            <span>
+                                {entry.courseTitle}
+                                <span className="block text-xs text-gray-500">
+                                    {[entry.term, entry.grade && `Grade ${entry.grade}`, entry.completedAt && `Completed ${new Date(entry.completedAt).toLocaleDateString()}`, entry.source === 'import' ? 'Imported' : 'Added', entry.recordedBy && `by ${entry.recordedBy.username}`].filter(Boolean).join(' · ')}
+                                </span>
+                            </span>
+                            <button onClick={() => handleRemove(entry._id)} className="text-xs text-red-600 font-semibold ml-2">Remove</button>
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="text-sm text-gray-500 mb-4">No prior credits recorded.</p>}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <select value={form.courseId} onChange={e => setForm(p => ({ ...p, courseId: e.target.value }))} className="p-2 border rounded-md md:col-span-2">
+                    <option value="">-- Select Course --</option>
+                    {catalogCourses.map(c => <option key={c._id} value={c._id}>{c.title}</option>)}
+                </select>
+                <input type="date" value={form.completedAt} onChange={e => setForm(p => ({ ...p, completedAt: e.target.value }))} className="p-2 border rounded-md" title="Completion date (optional)" />
+                <input value={form.term} onChange={e => setForm(p => ({ ...p, term: e.target.value }))} placeholder="Term (optional)" className="p-2 border rounded-md" />
+                <input value={form.grade} onChange={e => setForm(p => ({ ...p, grade: e.target.value }))} placeholder="Grade (optional)" className="p-2 border rounded-md" />
+            </div>
+            <button onClick={handleAdd} className="mt-2 px-4 py-2 bg-indigo-600 text-white rounded-md">Record Prior Credit</button>
+        </div>
+    );
+};
 
 const EditStudentModal = ({ isOpen, onClose, student, events, onSave, onPasswordReset, onEnroll, onUnenroll }) => {
     const [formData, setFormData] = useState({});
@@ -7,6 +143,12 @@ const EditStudentModal = ({ isOpen, onClose, student, events, onSave, onPassword
     const [enrollmentSelection, setEnrollmentSelection] = useState({ eventId: '', courseId: '' });
     const [availableCourses, setAvailableCourses] = useState([]);
     const [isSaving, setIsSaving] = useState(false);
+    const [catalogCourses, setCatalogCourses] = useState([]);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        api.get('catalog/courses').then(res => setCatalogCourses(res.data.data || [])).catch(() => setCatalogCourses([]));
+    }, [isOpen]);
 
     useEffect(() => {
         if (student) {
@@ -94,10 +236,12 @@ const EditStudentModal = ({ isOpen, onClose, student, events, onSave, onPassword
                     <div>
                         <h5 className="font-semibold mb-2">Current Enrollments</h5>
                         {student.enrollments && student.enrollments.length > 0 ? (
-                            <ul className="space-y-1">{student.enrollments.map(enr => <li key={enr.eventId + enr.courseId} className="flex justify-between items-center p-2 bg-white rounded border"><span>{enr.courseTitle}</span><button onClick={() => onUnenroll(student._id, enr.eventId, enr.courseId)} className="text-xs text-red-600 font-semibold">Un-enroll</button></li>)}</ul>
+                            <ul className="space-y-1">{student.enrollments.map(enr => <li key={enr.eventId + enr.courseId} className="flex justify-between items-center p-2 bg-white rounded border"><span>{enr.courseTitle}{enr.status && enr.status !== 'enrolled' && <span className="ml-2 text-xs text-gray-500 capitalize">{enr.status}{enr.grade ? ` · ${enr.grade}` : ''}</span>}</span><button onClick={() => onUnenroll(student._id, enr.eventId, enr.courseId)} className="text-xs text-red-600 font-semibold">Un-enroll</button></li>)}</ul>
                         ) : <p className="text-sm text-gray-500">No enrollments found.</p>}
                     </div>
                 </div>
+                <TranscriptPanel studentId={student._id} catalogCourses={catalogCourses} />
+                <PrerequisiteWaiversPanel studentId={student._id} catalogCourses={catalogCourses} />
                 <div className="flex justify-end mt-6 pt-4 border-t"><button onClick={onClose} className="px-6 py-2 bg-gray-200 rounded-md">Close</button></div>
             </div>
         </div>
@@ -117,6 +261,10 @@ function StudentManagementPage() {
   const [selectedStudents, setSelectedStudents] = useState(new Set());
   const [filterDepartment, setFilterDepartment] = useState('all');
   const [distinctDepartments, setDistinctDepartments] = useState(['all']);
+  const [lockouts, setLockouts] = useState({ accounts: [], blockedIps: [] });
+  const [transcriptFile, setTranscriptFile] = useState(null);
+  const [transcriptFailures, setTranscriptFailures] = useState([]);
+  const [isImportingTranscript, setIsImportingTranscript] = useState(false);
 
   const setTimedMessage = (type, message, duration = 5000) => {
     setUiMessages({ [type]: message });
@@ -126,10 +274,11 @@ function StudentManagementPage() {
   const fetchData = useCallback(async () => {
     setLoadingStates(prev => ({ ...prev, fetching: true }));
     try {
-        const [studentsRes, eventsRes, deptsRes] = await Promise.all([
+        const [studentsRes, eventsRes, deptsRes, lockoutsRes] = await Promise.all([
             api.get('users/students'),
             api.get('events/all'),
-            api.get('users/departments')
+            api.get('users/departments'),
+            api.get('users/lockouts')
         ]);
         if (studentsRes.data.success) setStudents(studentsRes.data.data || []);
         else setTimedMessage('error', studentsRes.data.error || 'Failed to load students.');
@@ -138,6 +287,7 @@ function StudentManagementPage() {
         if (deptsRes.data.success) {
             setDistinctDepartments(['all', ...(deptsRes.data.data || [])]);
         }
+        if (lockoutsRes.data.success) setLockouts(lockoutsRes.data.data);
     } catch(err) {
         setTimedMessage('error', err.error || 'Could not fetch initial data.');
     } finally {
@@ -170,7 +320,7 @@ function StudentManagementPage() {
   const handleBulkDelete = async () => {
     const studentIdsToDelete = Array.from(selectedStudents);
     if (studentIdsToDelete.length === 0) { setTimedMessage('error', 'No students selected to delete.'); return; }
-    if (!window.confirm(`Are you sure you want to delete ${studentIdsToDelete.length} selected student(s)? This action is irreversible.`)) return;
+    if (!window.confirm(`Move ${studentIdsToDelete.length} selected student(s) to the trash? Their seats are released; they can be restored from the Trash page.`)) return;
     setLoadingStates(prev => ({ ...prev, deletingStudent: true }));
     try {
         const response = await api.delete('users', { data: { userIds: studentIdsToDelete } });
@@ -226,8 +376,28 @@ function StudentManagementPage() {
     } finally { setLoadingStates(prev => ({ ...prev, uploadingCsv: false })); }
   };
   
+  const handleImportTranscript = async (e) => {
+    e.preventDefault();
+    if (!transcriptFile) { setTimedMessage('error', 'Please select a CSV file to upload.'); return; }
+    setIsImportingTranscript(true);
+    setTranscriptFailures([]);
+    const formData = new FormData();
+    formData.append('csv', transcriptFile);
+    try {
+      const response = await api.post('users/transcripts/upload', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+      setTranscriptFile(null);
+      const fileInput = document.getElementById('transcript-upload-input');
+      if (fileInput) fileInput.value = '';
+      setTranscriptFailures(response.data.data?.failures || []);
+      setTimedMessage('success', response.data.message);
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not import prior credits.');
+      setTranscriptFailures(err.details?.failures || []);
+    } finally { setIsImportingTranscript(false); }
+  };
+
   const handleDeleteStudent = async (studentId, studentName) => {
-    if (!window.confirm(`Are you sure you want to delete "${studentName}"?`)) return;
+    if (!window.confirm(`Move "${studentName}" to the trash? Their seats are released; they can be restored from the Trash page.`)) return;
     setLoadingStates(prev => ({ ...prev, deletingStudent: studentId }));
     try {
         const response = await api.delete(`users/${studentId}`);
@@ -254,6 +424,20 @@ function StudentManagementPage() {
           setTimedMessage('success', res.data.message);
       } catch (err) { setTimedMessage('error', err.error); }
   };
+  const handleUnlock = async (userId) => {
+      try {
+          const res = await api.post(`users/${userId}/unlock`);
+          setTimedMessage('success', res.data.message);
+          fetchData();
+      } catch (err) { setTimedMessage('error', err.error); }
+  };
+  const handleUnblockIp = async (ip) => {
+      try {
+          const res = await api.post('users/lockouts/unblock-ip', { ip });
+          setTimedMessage('success', res.data.message);
+          fetchData();
+      } catch (err) { setTimedMessage('error', err.error); }
+  };
   const handleAdminEnroll = async (userId, eventId, courseId) => {
       try {
           const res = await api.post('events/admin/enroll', { userId, eventId, courseId });
@@ -303,9 +487,57 @@ function StudentManagementPage() {
             <div><label htmlFor="csv-upload-input" className="block text-sm font-medium text-gray-700 mb-1">Select CSV File</label><input id="csv-upload-input" type="file" accept=".csv" onChange={(e) => setCsvFile(e.target.files[0])} required className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-gray-50 hover:file:bg-indigo-100 border rounded-lg cursor-pointer p-2"/></div>
             <button type="submit" className="w-full p-3 bg-teal-600 text-white font-semibold rounded-lg" disabled={loadingStates.uploadingCsv || !csvFile}>{loadingStates.uploadingCsv ? 'Uploading...' : 'Upload CSV'}</button>
           </form>
+
+          <h3 className="text-xl font-semibold mt-8 mb-3 text-gray-700 border-b pb-2">Import Prior Credits via CSV</h3>
+          <p className="text-sm text-gray-600 mb-4">Courses students completed before Selectrum. Headers: <code>username</code>, <code>courseTitle</code>. Optional: <code>completedAt</code>, <code>term</code>, <code>grade</code>.</p>
+          <form onSubmit={handleImportTranscript} className="space-y-4">
+            <div><label htmlFor="transcript-upload-input" className="block text-sm font-medium text-gray-700 mb-1">Select CSV File</label><input id="transcript-upload-input" type="file" accept=".csv" onChange={(e) => setTranscriptFile(e.target.files[0])} required className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-gray-50 hover:file:bg-indigo-100 border rounded-lg cursor-pointer p-2"/></div>
+            <button type="submit" className="w-full p-3 bg-teal-600 text-white font-semibold rounded-lg" disabled={isImportingTranscript || !transcriptFile}>{isImportingTranscript ? 'Importing...' : 'Import Prior Credits'}</button>
+          </form>
+          {transcriptFailures.length > 0 && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm max-h-48 overflow-y-auto">
+              <p className="font-semibold text-red-700 mb-1">{transcriptFailures.length} row(s) were not imported:</p>
+              <ul className="space-y-1 text-red-700">
+                {transcriptFailures.map(f => <li key={f.row}>Row {f.row}{f.username ? ` (${f.username}${f.courseTitle ? `, ${f.courseTitle}` : ''})` : ''}: {f.reason}</li>)}
+              </ul>
+            </div>
+          )}
         </section>
       </div>
 
+      {(lockouts.accounts.length > 0 || lockouts.blockedIps.length > 0) && (
+        <section className="p-6 bg-white rounded-xl shadow-lg border-l-4 border-red-500">
+          <h2 className="text-2xl font-semibold mb-2 text-gray-700">Login Lockouts</h2>
+          <p className="text-sm text-gray-600 mb-4">Accounts and networks temporarily blocked after repeated failed logins. They unlock on their own when the time runs out.</p>
+          {lockouts.accounts.length > 0 && (
+            <ul className="divide-y border rounded-md mb-4">
+              {lockouts.accounts.map(account => (
+                <li key={account._id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3">
+                  <div>
+                    <span className="font-semibold">{account.name}</span> <span className="text-gray-500">({account.username}, {account.role})</span>
+                    <div className="text-xs text-gray-500">Locked until {formatDateTime(account.lockedUntil)} · lockout #{account.lockoutCount}{account.lastFailedLoginAt && ` · last failure ${formatDateTime(account.lastFailedLoginAt)}`}</div>
+                  </div>
+                  <button onClick={() => handleUnlock(account._id)} className="px-3 py-1 text-sm bg-red-600 text-white rounded-md">Unlock</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {lockouts.blockedIps.length > 0 && (
+            <ul className="divide-y border rounded-md">
+              {lockouts.blockedIps.map(block => (
+                <li key={block.ip} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3">
+                  <div>
+                    <span className="font-mono">{block.ip}</span>
+                    <div className="text-xs text-gray-500">Blocked until {formatDateTime(block.blockedUntil)} · block #{block.blockCount}</div>
+                  </div>
+                  <button onClick={() => handleUnblockIp(block.ip)} className="px-3 py-1 text-sm bg-red-600 text-white rounded-md">Lift Block</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
       <section className="p-6 bg-white rounded-xl shadow-lg">
         <div className="flex flex-col md:flex-row justify-between md:items-center mb-4 gap-4">
             <h2 className="text-2xl font-semibold">Student List</h2>
@@ -331,11 +563,15 @@ function StudentManagementPage() {
                             <tr key={student._id} className={selectedStudents.has(student._id) ? 'bg-indigo-50' : 'hover:bg-gray-50'}>
                                 <td className="p-4"><input type="checkbox" checked={selectedStudents.has(student._id)} onChange={() => handleSelectStudent(student._id)}/></td>
                                 <td className="px-6 py-4 whitespace-nowrap">{student.name}</td>
-                                <td className="px-6 py-4 whitespace-nowrap">{student.username}</td>
+                                <td className="px-6 py-4 whitespace-nowrap">
+                                    {student.username}
+                                    {student.lockedUntil && new Date(student.lockedUntil) > new Date() && <span title={`Locked until ${formatDateTime(student.lockedUntil)}`} className="ml-2 px-2 py-0.5 text-xs font-semibold bg-red-100 text-red-700 rounded-full">Locked</span>}
+                                </td>
                                 <td className="px-6 py-4 whitespace-nowrap">{student.department || 'N/A'}</td>
                                 <td className="px-6 py-4 whitespace-nowrap">{student.semester || 'N/A'}</td>
                                 <td className="px-6 py-4 whitespace-nowrap">{student.section || 'N/A'}</td>
                                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-4">
+                                    {student.lockedUntil && new Date(student.lockedUntil) > new Date() && <button onClick={() => handleUnlock(student._id)} className="text-orange-600 hover:underline font-semibold">Unlock</button>}
                                     <button onClick={() => setSelectedStudent(student)} className="text-indigo-600 hover:underline font-semibold">Edit</button>
                                     <button onClick={() => handleDeleteStudent(student._id, student.name)} disabled={!!loadingStates.deletingStudent} className="text-red-600 hover:underline font-semibold">Delete</button>
                                 </td>
@@ -0,0 +1,123 @@
+// src/pages/TrashPage.js
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { formatDateTime } from '../utils/dateTime';
+
+// One section per kind of record; each is shown only to staff who may delete that kind.
+const SECTIONS = [
+  { key: 'students', title: 'Students', permission: 'students:write', listUrl: 'users/trash', restoreUrl: id => `users/${id}/restore`, label: s => `${s.name} (${s.username})`, detail: s => [s.department, s.semester && `Sem ${s.semester}`, `${(s.enrollments || []).length} enrollment(s)`].filter(Boolean).join(' · ') },
+  { key: 'events', title: 'Events', permission: 'events:write', listUrl: 'events/trash', restoreUrl: id => `events/${id}/restore`, label: e => e.name, detail: e => [e.department, `${e.offeringCount} course(s)`, `${e.seatCount} seat(s) on the rosters`].filter(Boolean).join(' · ') },
+  { key: 'courses', title: 'Catalog Courses', permission: 'catalog:write', listUrl: 'catalog/courses/trash', restoreUrl: id => `catalog/courses/${id}/restore`, label: c => c.title, detail: c => c.description || '' },
+];
+
+function TrashPage() {
+  const { hasPermission } = useAuth();
+  const visibleSections = useMemo(() => SECTIONS.filter(section => hasPermission(section.permission)), [hasPermission]);
+  const [items, setItems] = useState({});
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [dropped, setDropped] = useState([]);
+  const [uiMessages, setUiMessages] = useState({ error: '', success: '' });
+
+  const setTimedMessage = (type, message, duration = 5000) => {
+    setUiMessages({ [type]: message });
+    setTimeout(() => setUiMessages(prev => ({ ...prev, [type]: '' })), duration);
+  };
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      const responses = await Promise.all(visibleSections.map(section => api.get(section.listUrl)));
+      setItems(Object.fromEntries(visibleSections.map((section, i) => [section.key, responses[i].data.data || []])));
+      if (responses[0]) setRetentionDays(responses[0].data.retentionDays);
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not load the trash.');
+    } finally {
+      setLoading(false);
+    }
+  }, [visibleSections]);
+
+  useEffect(() => { fetchTrash(); }, [fetchTrash]);
+
+  const handleRestore = async (section, item) => {
+    setBusyId(item._id);
+    setDropped([]);
+    try {
+      const res = await api.post(section.restoreUrl(item._id));
+      setTimedMessage('success', res.data.message);
+      setDropped(res.data.data?.dropped || []);
+      fetchTrash();
+    } catch (err) {
+      setTimedMessage('error', err.error || 'Could not restore this item.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-8 p-4 md:p-6">
+      <h1 className="text-4xl font-bold text-gray-800">Trash</h1>
+      <p className="text-lg text-gray-600">
+        Deleted students, events and courses wait here{retentionDays ? ` for ${retentionDays} days` : ''} before they are removed for good.
+      </p>
+
+      {uiMessages.error && <p className="p-3 my-4 bg-red-100 text-red-700 rounded-md">{uiMessages.error}</p>}
+      {uiMessages.success && <p className="p-3 my-4 bg-green-100 text-green-700 rounded-md">{uiMessages.success}</p>}
+      {dropped.length > 0 && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+          <p className="font-semibold mb-1">Not restored:</p>
+          <ul className="list-disc list-inside">
+            {dropped.map((d, i) => <li key={i}>{[d.username, d.eventName, d.courseTitle].filter(Boolean).join(' · ')}: {d.reason}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {loading ? <p className="text-center p-4">Loading...</p> : visibleSections.map(section => {
+        const sectionItems = items[section.key] || [];
+        return (
+          <section key={section.key} className="p-6 bg-white rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold mb-4">{section.title} <span className="text-base font-normal text-gray-500">({sectionItems.length})</span></h2>
+            {sectionItems.length === 0 ? <p className="text-gray-500">Nothing here.</p> : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium uppercase">Item</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium uppercase">Deleted</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium uppercase">Purged On</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y">
+                    {sectionItems.map(item => (
+                      <tr key={item._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4">
+                          <div className="font-medium text-gray-900">{section.label(item)}</div>
+                          <div className="text-xs text-gray-500">{section.detail(item)}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {formatDateTime(item.deletedAt)}
+                          {item.deletedBy && <span className="block text-xs text-gray-500">by {item.deletedBy.username}</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">{formatDateTime(item.purgeAt)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          <button onClick={() => handleRestore(section, item)} disabled={busyId === item._id} className="text-green-600 hover:underline font-semibold disabled:opacity-50">
+                            {busyId === item._id ? 'Restoring...' : 'Restore'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default TrashPage;
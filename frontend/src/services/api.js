@@ -25,23 +25,82 @@ api.interceptors.request.use(
   }
 );
 
+// --- Session refresh ---
+// Access tokens are short-lived. When one is rejected with 401 the interceptor below trades the
+// stored refresh token for a new pair and replays the request once. Concurrent 401s share a single
+// refresh call, since a refresh token only works once.
+const AUTH_ENDPOINTS = ['auth/login', 'auth/refresh', 'auth/logout'];
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+export const storeSessionTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// AuthContext registers a callback here so a failed refresh signs the user out of the UI too.
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { timeout: 10000 })
+      : Promise.reject(new Error('No refresh token stored.')))
+      .then(({ data }) => {
+        storeSessionTokens(data);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const shouldRefresh = (error) => {
+  const { config, response } = error;
+  return response && response.status === 401 && config && !config._retried &&
+    !AUTH_ENDPOINTS.some(endpoint => (config.url || '').includes(endpoint));
+};
+
 // Interceptor to handle responses (e.g., for global error handling or token expiry)
 api.interceptors.response.use(
   (response) => response, // Simply return the response if successful
-  (error) => {
+  async (error) => {
+    if (shouldRefresh(error)) {
+      const originalRequest = error.config;
+      originalRequest._retried = true;
+      try {
+        // Another tab may have refreshed already; if so, just retry with its token.
+        const sentToken = String(originalRequest.headers['Authorization'] || '').replace('Bearer ', '');
+        const storedToken = localStorage.getItem('token');
+        const token = storedToken && storedToken !== sentToken ? storedToken : await refreshSession();
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        if (refreshError.request && !refreshError.response) {
+          // The refresh call never got an answer; keep the session and let the user retry.
+          return Promise.reject({ error: 'Network error or server did not respond.' });
+        }
+        console.warn('Session could not be refreshed; signing out.');
+        clearSessionTokens();
+        if (sessionExpiredHandler) sessionExpiredHandler();
+        return Promise.reject(error.response.data || { error: 'Your session has expired. Please log in again.' });
+      }
+    }
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
       console.error('API Error Response:', error.response.data);
-      if (error.response.status === 401) {
-        // Handle unauthorized errors (e.g., token expired)
-        // localStorage.removeItem('token');
-        // localStorage.removeItem('user'); // Or however you store user info
-        // Potentially redirect to login: window.location.href = '/';
-        // For a more robust solution, use a state management (Context/Redux) to trigger logout
-        // This is a good place to emit an event or update a global state for logout
-        console.warn('Unauthorized access or token expired. Consider logging out user.');
-      }
       // Return a more structured error
       return Promise.reject(error.response.data || { error: 'An unexpected error occurred' });
     } else if (error.request) {
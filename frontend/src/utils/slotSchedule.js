@@ -0,0 +1,67 @@
+// src/utils/slotSchedule.js
+import { formatDateTime } from './dateTime';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'daily', label: 'Daily', unit: 'day' },
+];
+export const MAX_SESSIONS_PER_SLOT = 200;
+
+const FREQUENCY_DAYS = { daily: 1, weekly: 7 };
+
+// Sessions in start order. Slots from before schedules only have `time` and no end.
+export const slotSessions = (slot) => {
+  if (slot?.sessions?.length > 0) return [...slot.sessions].sort((a, b) => new Date(a.start) - new Date(b.start));
+  return slot?.time ? [{ start: slot.time, end: null, venue: null }] : [];
+};
+
+// Sessions for display: a session without its own venue label shows the slot's room, when the
+// server sent it populated.
+export const scheduleOf = (slot) => slotSessions(slot).map(s => ({ ...s, venue: s.venue || slot.room?.name || null }));
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { timeStyle: 'short' });
+const formatDate = (value) => new Date(value).toLocaleDateString([], { dateStyle: 'medium' });
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+// "Oct 5, 2026, 9:00 AM – 10:30 AM · Lab 2"
+export const formatSession = (session) => {
+  const end = session.end ? ` – ${sameDay(session.start, session.end) ? formatTime(session.end) : formatDateTime(session.end)}` : '';
+  return `${formatDateTime(session.start)}${end}${session.venue ? ` · ${session.venue}` : ''}`;
+};
+
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.frequency) || RECURRENCE_FREQUENCIES[0];
+  const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${frequency.unit}s` : frequency.label;
+  const limits = [recurrence.count && `${recurrence.count} sessions`, recurrence.until && `until ${formatDate(recurrence.until)}`].filter(Boolean);
+  return [every, ...limits].join(', ');
+};
+
+// One line for lists and confirmations: the session itself, or the count and date range.
+export const summarizeSchedule = (slot) => {
+  const sessions = scheduleOf(slot);
+  if (sessions.length === 0) return 'No sessions scheduled';
+  if (sessions.length === 1) return formatSession(sessions[0]);
+  const first = sessions[0];
+  const last = sessions[sessions.length - 1];
+  const venues = [...new Set(sessions.map(s => s.venue).filter(Boolean))];
+  return `${sessions.length} sessions, ${formatDate(first.start)} – ${formatDate(last.start)}${venues.length === 1 ? ` · ${venues[0]}` : ''}`;
+};
+
+// Browser-side twin of the server's expandRecurrence, so the editor can show the sessions before
+// saving. Works in local time, so a weekly 9:00 session stays at 9:00 across daylight-saving changes.
+// `until` is inclusive of that whole day.
+export const expandRecurrence = ({ startsAt, durationMinutes, frequency = 'weekly', interval = 1, count, until, venue }) => {
+  const sessions = [];
+  const start = new Date(startsAt);
+  if (Number.isNaN(start.getTime()) || !(durationMinutes > 0)) return sessions;
+  const last = until ? new Date(`${until}T23:59:59`) : null;
+  // One past the maximum, so callers can tell a series that is too long.
+  const limit = count > 0 ? Math.min(count, MAX_SESSIONS_PER_SLOT + 1) : MAX_SESSIONS_PER_SLOT + 1;
+  if (!last && !(count > 0)) return sessions;
+  while (sessions.length < limit && (!last || start <= last)) {
+    sessions.push({ start: start.toISOString(), end: new Date(start.getTime() + durationMinutes * 60000).toISOString(), venue: venue || '' });
+    start.setDate(start.getDate() + FREQUENCY_DAYS[frequency] * interval);
+  }
+  return sessions;
+};